@@ -0,0 +1,164 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    address: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn(),
+    },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  const id = req.header('x-auth-token');
+  if (!id) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  req.user = { id: Number(id), role: 'customer' };
+  return next();
+});
+
+const addressesRouter = require('../routes/addresses');
+
+describe('Address book API', () => {
+  let app;
+
+  const home = {
+    fullName: 'Ada Lovelace',
+    line1: '12 St James Sq',
+    city: 'London',
+    postalCode: 'sw1y 4jh',
+    country: 'gb',
+  };
+  const stored = (overrides = {}) => ({
+    id: 3,
+    userId: 42,
+    ...home,
+    line2: null,
+    region: null,
+    postalCode: 'SW1Y 4JH',
+    country: 'GB',
+    phone: null,
+    isDefault: false,
+    createdAt: new Date('2026-10-01T10:00:00Z'),
+    updatedAt: new Date('2026-10-01T10:00:00Z'),
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/account/addresses', addressesRouter);
+    jest.clearAllMocks();
+    prisma.address.create.mockImplementation(({ data }) => Promise.resolve({ id: 9, ...data }));
+    prisma.address.update.mockImplementation(({ where, data }) => Promise.resolve(stored({ id: where.id, ...data })));
+  });
+
+  it('401 → requires authentication', async () => {
+    const res = await request(app).get('/api/account/addresses');
+    expect(res.status).toBe(401);
+    expect(prisma.address.findMany).not.toHaveBeenCalled();
+  });
+
+  it('GET → lists only the caller’s addresses, default first', async () => {
+    prisma.address.findMany.mockResolvedValue([stored({ isDefault: true })]);
+
+    const res = await request(app).get('/api/account/addresses').set('x-auth-token', '42');
+
+    expect(res.status).toBe(200);
+    expect(prisma.address.findMany).toHaveBeenCalledWith({ where: { userId: 42 }, orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }] });
+    expect(res.body).toEqual([
+      { id: 3, fullName: 'Ada Lovelace', line1: '12 St James Sq', line2: null, city: 'London', region: null, postalCode: 'SW1Y 4JH', country: 'GB', phone: null, isDefault: true },
+    ]);
+  });
+
+  it('POST → the first saved address becomes the default', async () => {
+    prisma.address.count.mockResolvedValue(0);
+
+    const res = await request(app).post('/api/account/addresses').set('x-auth-token', '42').send(home);
+
+    expect(res.status).toBe(201);
+    expect(prisma.address.create).toHaveBeenCalledWith({
+      data: { ...home, line2: null, region: null, postalCode: 'SW1Y 4JH', country: 'GB', phone: null, userId: 42, isDefault: true },
+    });
+    expect(prisma.address.updateMany).toHaveBeenCalledWith({ where: { userId: 42, isDefault: true, NOT: { id: 9 } }, data: { isDefault: false } });
+    expect(res.body).toMatchObject({ id: 9, isDefault: true });
+  });
+
+  it('POST → later addresses only take the default when asked', async () => {
+    prisma.address.count.mockResolvedValue(2);
+
+    await request(app).post('/api/account/addresses').set('x-auth-token', '42').send(home);
+    expect(prisma.address.create).toHaveBeenLastCalledWith({ data: expect.objectContaining({ isDefault: false }) });
+    expect(prisma.address.updateMany).not.toHaveBeenCalled();
+
+    await request(app).post('/api/account/addresses').set('x-auth-token', '42').send({ ...home, isDefault: true });
+    expect(prisma.address.create).toHaveBeenLastCalledWith({ data: expect.objectContaining({ isDefault: true }) });
+    expect(prisma.address.updateMany).toHaveBeenCalledTimes(1);
+  });
+
+  it('400 → validates each field', async () => {
+    const res = await request(app)
+      .post('/api/account/addresses')
+      .set('x-auth-token', '42')
+      .send({ ...home, city: '', country: 'United Kingdom', phone: 'call me' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(['city', 'country', 'phone']);
+    expect(prisma.address.create).not.toHaveBeenCalled();
+  });
+
+  it('400 → the address book is full', async () => {
+    prisma.address.count.mockResolvedValue(20);
+
+    const res = await request(app).post('/api/account/addresses').set('x-auth-token', '42').send(home);
+
+    expect(res.status).toBe(400);
+    expect(prisma.address.create).not.toHaveBeenCalled();
+  });
+
+  it('PATCH → updates only the given fields and can move the default', async () => {
+    prisma.address.findFirst.mockResolvedValue(stored());
+
+    const res = await request(app).patch('/api/account/addresses/3').set('x-auth-token', '42').send({ line2: 'Flat 2', isDefault: true });
+
+    expect(res.status).toBe(200);
+    expect(prisma.address.findFirst).toHaveBeenCalledWith({ where: { id: 3, userId: 42 } });
+    expect(prisma.address.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { line2: 'Flat 2', isDefault: true } });
+    expect(prisma.address.updateMany).toHaveBeenCalledWith({ where: { userId: 42, isDefault: true, NOT: { id: 3 } }, data: { isDefault: false } });
+    expect(res.body).toMatchObject({ line2: 'Flat 2', isDefault: true });
+  });
+
+  it('404 → another user’s address', async () => {
+    prisma.address.findFirst.mockResolvedValue(null);
+
+    const res = await request(app).patch('/api/account/addresses/3').set('x-auth-token', '7').send({ city: 'Paris' });
+
+    expect(res.status).toBe(404);
+    expect(prisma.address.update).not.toHaveBeenCalled();
+  });
+
+  it('DELETE → deleting the default hands it to the newest remaining address', async () => {
+    prisma.address.findFirst.mockResolvedValueOnce(stored({ isDefault: true })).mockResolvedValueOnce(stored({ id: 4 }));
+
+    const res = await request(app).delete('/api/account/addresses/3').set('x-auth-token', '42');
+
+    expect(res.status).toBe(200);
+    expect(prisma.address.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+    expect(prisma.address.update).toHaveBeenCalledWith({ where: { id: 4 }, data: { isDefault: true } });
+  });
+});
@@ -11,12 +11,20 @@ jest.mock('../prismaClient', () => ({
     findUnique: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
+    findMany: jest.fn(),
   },
 }));
+jest.mock('../services/mailer', () => ({
+  sendVerificationEmail: jest.fn().mockResolvedValue({ sent: true }),
+  sendPasswordResetEmail: jest.fn().mockResolvedValue({ sent: true }),
+  isEmailConfigured: jest.fn(() => true),
+}));
 
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const prisma = require('../prismaClient');
+const { sendVerificationEmail, sendPasswordResetEmail, isEmailConfigured } = require('../services/mailer');
 
 describe('Auth API', () => {
   let app;
@@ -33,6 +41,8 @@ describe('Auth API', () => {
     prisma.user.findUnique = jest.fn();
     prisma.user.create = jest.fn();
     prisma.user.update = jest.fn();
+    prisma.user.updateMany = jest.fn();
+    prisma.user.findMany = jest.fn();
   });
 
   beforeEach(() => {
@@ -40,20 +50,52 @@ describe('Auth API', () => {
     app.use(bodyParser.json());
     app.use('/api/auth', authRouter);
     jest.clearAllMocks();
+    delete process.env.REQUIRE_VERIFIED_EMAIL;
   });
 
   describe('POST /api/auth/register', () => {
-    it('200 → creates user and returns token', async () => {
+    it('200 → creates an unverified user and emails a code', async () => {
       prisma.user.findUnique.mockResolvedValue(null);
       prisma.user.create.mockResolvedValue({ id: 1 });
       const res = await request(app)
         .post('/api/auth/register')
         .send({ name: 'Alice', email: 'alice@example.com', password: 'secret123' });
       expect(res.status).toBe(200);
-      expect(res.body).toEqual({ token: 'jwt-token' });
+      expect(res.body).toMatchObject({ email: 'alice@example.com', requiresVerification: true });
+      expect(res.body).not.toHaveProperty('token');
+      expect(res.body).not.toHaveProperty('devVerificationCode');
       // ensure password was hashed & user.save called
       expect(bcrypt.hash).toHaveBeenCalledWith('secret123', 'salt');
-      expect(prisma.user.create).toHaveBeenCalled();
+
+      const { data } = prisma.user.create.mock.calls[0][0];
+      expect(data.emailVerified).toBe(false);
+      const [to, code] = sendVerificationEmail.mock.calls[0];
+      expect(to).toBe('alice@example.com');
+      expect(code).toMatch(/^\d{6}$/);
+      expect(data.verificationCode).toMatch(/^[a-f0-9]{64}$/);
+      expect(data.verificationCodeExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('200 → returns the code in development when email is not configured', async () => {
+      isEmailConfigured.mockReturnValueOnce(false);
+      prisma.user.findUnique.mockResolvedValue(null);
+      prisma.user.create.mockResolvedValue({ id: 1 });
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Alice', email: 'alice@example.com', password: 'secret123' });
+      expect(res.status).toBe(200);
+      expect(res.body.devVerificationCode).toBe(sendVerificationEmail.mock.calls[0][1]);
+    });
+
+    it('200 → returns a token straight away when verification is not required', async () => {
+      process.env.REQUIRE_VERIFIED_EMAIL = 'false';
+      prisma.user.findUnique.mockResolvedValue(null);
+      prisma.user.create.mockResolvedValue({ id: 1 });
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Alice', email: 'alice@example.com', password: 'secret123' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ token: 'jwt-token' });
     });
 
     it('400 → validation errors', async () => {
@@ -76,12 +118,13 @@ describe('Auth API', () => {
 
   describe('POST /api/auth/login', () => {
     it('200 → valid creds', async () => {
-      prisma.user.findUnique.mockResolvedValue({ id: 'uid', password: 'hashed-pass', emailVerified: true });
+      prisma.user.findUnique.mockResolvedValue({ id: 'uid', password: 'hashed-pass', emailVerified: true, role: 'admin' });
       const res = await request(app)
         .post('/api/auth/login')
         .send({ email: 'u@e.com', password: 'pass' });
       expect(res.status).toBe(200);
       expect(res.body).toEqual({ token: 'jwt-token' });
+      expect(jwt.sign.mock.calls[0][0]).toEqual({ user: { id: 'uid', role: 'admin' } });
     });
 
     it('400 → validation errors', async () => {
@@ -101,6 +144,25 @@ describe('Auth API', () => {
       expect(res.body).toEqual({ msg: 'Invalid credentials' });
     });
 
+    it('403 → unverified email when verification is required', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'uid', email: 'u@e.com', password: 'hashed-pass', emailVerified: false });
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'u@e.com', password: 'pass' });
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ code: 'EMAIL_NOT_VERIFIED', email: 'u@e.com' });
+    });
+
+    it('200 → unverified email is allowed when the policy is off', async () => {
+      process.env.REQUIRE_VERIFIED_EMAIL = 'false';
+      prisma.user.findUnique.mockResolvedValue({ id: 'uid', password: 'hashed-pass', emailVerified: false });
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'u@e.com', password: 'pass' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ token: 'jwt-token' });
+    });
+
     it('400 → wrong password', async () => {
       prisma.user.findUnique.mockResolvedValue({ id: 'uid', password: 'hashed-wrong', emailVerified: true });
       bcrypt.compare.mockResolvedValue(false);
@@ -112,56 +174,243 @@ describe('Auth API', () => {
     });
   });
 
-  describe('POST /api/auth/verify-email', () => {
-    it('200 → email exists', async () => {
-      prisma.user.findUnique.mockResolvedValue({ id: 'u1' });
-      const res = await request(app).post('/api/auth/verify-email').send({ email: 'found@e.com' });
+  describe('POST /api/auth/password-reset/request', () => {
+    const genericMsg = { msg: 'If an account exists for that email, we sent a link to reset the password.' };
+
+    it('200 → stores a hashed token and emails the raw one', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 5, email: 'e@x.com' });
+      prisma.user.update.mockResolvedValue({});
+
+      const res = await request(app).post('/api/auth/password-reset/request').send({ email: 'E@x.com' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(genericMsg);
+
+      const { data } = prisma.user.update.mock.calls[0][0];
+      expect(data.passwordResetTokenHash).toMatch(/^[a-f0-9]{64}$/);
+      expect(data.passwordResetExpiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      const [to, resetUrl] = sendPasswordResetEmail.mock.calls[0];
+      expect(to).toBe('e@x.com');
+      const token = new URL(resetUrl).searchParams.get('token');
+      expect(token).toBeTruthy();
+      expect(token).not.toBe(data.passwordResetTokenHash);
+    });
+
+    it('200 → same response when no account exists', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+      const res = await request(app).post('/api/auth/password-reset/request').send({ email: 'no@one.com' });
       expect(res.status).toBe(200);
-      expect(res.body).toEqual({ msg: 'Email is valid, you can proceed to reset your password' });
+      expect(res.body).toEqual(genericMsg);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+      expect(sendPasswordResetEmail).not.toHaveBeenCalled();
     });
 
     it('400 → validation error', async () => {
-      const res = await request(app).post('/api/auth/verify-email').send({ email: 'bad' });
+      const res = await request(app).post('/api/auth/password-reset/request').send({ email: 'bad' });
       expect(res.status).toBe(400);
       expect(res.body.errors).toBeInstanceOf(Array);
     });
+  });
 
-    it('400 → not found', async () => {
-      prisma.user.findUnique.mockResolvedValue(null);
-      const res = await request(app).post('/api/auth/verify-email').send({ email: 'no@one.com' });
+  describe('POST /api/auth/password-reset/confirm', () => {
+    it('200 → consumes a valid token and sets the new password', async () => {
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
+      const res = await request(app).post('/api/auth/password-reset/confirm').send({ token: 'abc123', password: 'newpass123' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ msg: 'Password successfully reset' });
+      expect(bcrypt.hash).toHaveBeenCalledWith('newpass123', 'salt');
+
+      const { where, data } = prisma.user.updateMany.mock.calls[0][0];
+      expect(where.passwordResetTokenHash).toMatch(/^[a-f0-9]{64}$/);
+      expect(where.passwordResetTokenHash).not.toBe('abc123');
+      expect(where.passwordResetExpiresAt).toEqual({ gt: expect.any(Date) });
+      expect(data).toEqual({ password: 'hashed-newpass123', passwordResetTokenHash: null, passwordResetExpiresAt: null });
+    });
+
+    it('400 → invalid, used or expired token', async () => {
+      prisma.user.updateMany.mockResolvedValue({ count: 0 });
+      const res = await request(app).post('/api/auth/password-reset/confirm').send({ token: 'stale', password: 'abcdef' });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ msg: 'This reset link is invalid or has expired. Please request a new one.' });
+    });
+
+    it('400 → validation error', async () => {
+      const res = await request(app).post('/api/auth/password-reset/confirm').send({ password: '123' });
       expect(res.status).toBe(400);
-      expect(res.body).toEqual({ msg: 'Invalid email. User not found' });
+      expect(res.body.errors).toBeInstanceOf(Array);
+    });
+  });
+
+  describe('POST /api/auth/request-verification', () => {
+    const genericMsg = 'If that account still needs verification, we sent a new code.';
+
+    it('200 → issues a new code once the cooldown has passed', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 3, email: 'u@e.com', emailVerified: false, verificationSentAt: new Date(Date.now() - 120000) });
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app).post('/api/auth/request-verification').send({ email: 'u@e.com' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ msg: genericMsg });
+
+      const { where, data } = prisma.user.updateMany.mock.calls[0][0];
+      expect(where).toMatchObject({ id: 3, emailVerified: false });
+      expect(data.verificationAttempts).toBe(0);
+      expect(sendVerificationEmail).toHaveBeenCalledWith('u@e.com', expect.stringMatching(/^\d{6}$/), 15);
+    });
+
+    it('429 → resends are throttled', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 3, email: 'u@e.com', emailVerified: false, verificationSentAt: new Date(Date.now() - 20000) });
+      prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app).post('/api/auth/request-verification').send({ email: 'u@e.com' });
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+      expect(res.body.retryAfter).toBeGreaterThan(0);
+      expect(res.body.retryAfter).toBeLessThanOrEqual(40);
+      expect(sendVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('200 → same response for unknown or already verified accounts', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 3, emailVerified: true });
+      const res = await request(app).post('/api/auth/request-verification').send({ email: 'u@e.com' });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ msg: genericMsg });
+      expect(prisma.user.updateMany).not.toHaveBeenCalled();
     });
   });
 
-  describe('POST /api/auth/reset-password', () => {
-    it('200 → reset success', async () => {
-      prisma.user.findUnique.mockResolvedValue({ id: 'u1' });
+  describe('POST /api/auth/confirm-email', () => {
+    const { createHash } = require('crypto');
+    const pendingUser = {
+      id: 3,
+      email: 'u@e.com',
+      emailVerified: false,
+      verificationCode: createHash('sha256').update('123456').digest('hex'),
+      verificationCodeExpiresAt: new Date(Date.now() + 60000),
+      verificationAttempts: 1,
+    };
+
+    it('200 → verifies the email and signs the user in', async () => {
+      prisma.user.findUnique.mockResolvedValue(pendingUser);
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
       prisma.user.update.mockResolvedValue({});
-      const res = await request(app)
-        .post('/api/auth/reset-password')
-        .send({ email: 'e@x.com', password: 'newpass123' });
+
+      const res = await request(app).post('/api/auth/confirm-email').send({ email: 'U@e.com', code: '123456' });
       expect(res.status).toBe(200);
-      expect(res.body).toEqual({ msg: 'Password successfully reset' });
-      expect(bcrypt.hash).toHaveBeenCalledWith('newpass123', 'salt');
-      expect(prisma.user.update).toHaveBeenCalled();
+      expect(res.body).toEqual({ token: 'jwt-token' });
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 3 },
+        data: expect.objectContaining({ emailVerified: true, verificationCode: null, verificationAttempts: 0 }),
+      });
+    });
+
+    it('400 → wrong code spends an attempt', async () => {
+      prisma.user.findUnique.mockResolvedValue(pendingUser);
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app).post('/api/auth/confirm-email').send({ email: 'u@e.com', code: '654321' });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ msg: 'Incorrect verification code.', attemptsRemaining: 3 });
+      expect(prisma.user.updateMany.mock.calls[0][0]).toMatchObject({
+        where: { id: 3, verificationAttempts: { lt: 5 } },
+        data: { verificationAttempts: { increment: 1 } },
+      });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('429 → attempt limit reached', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...pendingUser, verificationAttempts: 5 });
+      prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app).post('/api/auth/confirm-email').send({ email: 'u@e.com', code: '123456' });
+      expect(res.status).toBe(429);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('400 → expired code', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...pendingUser, verificationCodeExpiresAt: new Date(Date.now() - 1000) });
+
+      const res = await request(app).post('/api/auth/confirm-email').send({ email: 'u@e.com', code: '123456' });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ msg: 'This verification code is invalid or has expired. Please request a new one.' });
+      expect(prisma.user.updateMany).not.toHaveBeenCalled();
     });
 
     it('400 → validation error', async () => {
-      const res = await request(app)
-        .post('/api/auth/reset-password')
-        .send({ email: 'bad', password: '123' });
+      const res = await request(app).post('/api/auth/confirm-email').send({ email: 'u@e.com', code: 'abc' });
       expect(res.status).toBe(400);
       expect(res.body.errors).toBeInstanceOf(Array);
     });
+  });
 
-    it('400 → user not found', async () => {
-      prisma.user.findUnique.mockResolvedValue(null);
-      const res = await request(app)
-        .post('/api/auth/reset-password')
-        .send({ email: 'no@one.com', password: 'abcdef' });
+  describe('GET /api/auth/users', () => {
+    it('200 → admins can list users', async () => {
+      jwt.verify.mockReturnValue({ user: { id: 1, role: 'admin' } });
+      prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
+      prisma.user.findMany.mockResolvedValue([{ id: 1, email: 'admin@e.com', role: 'admin' }]);
+
+      const res = await request(app).get('/api/auth/users').set('x-auth-token', 'tok');
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+    });
+
+    it('403 → shoppers cannot list users', async () => {
+      jwt.verify.mockReturnValue({ user: { id: 2, role: 'customer' } });
+
+      const res = await request(app).get('/api/auth/users').set('x-auth-token', 'tok');
+      expect(res.status).toBe(403);
+      expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+
+    it('401 → requires a token', async () => {
+      const res = await request(app).get('/api/auth/users');
+      expect(res.status).toBe(401);
+    });
+
+    it('401 → order tokens from /track do not sign in', async () => {
+      jwt.verify.mockReturnValue({ orderChanges: { orderNumber: 'FE-100200' }, aud: 'order-changes' });
+
+      const res = await request(app).get('/api/auth/users').set('x-auth-token', 'tok');
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ msg: 'Token is not valid' });
+      expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/auth/users/:id/tax-exempt', () => {
+    beforeEach(() => {
+      jwt.verify.mockReturnValue({ user: { id: 1, role: 'admin' } });
+      prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
+    });
+
+    it('200 → admins can mark a customer tax exempt', async () => {
+      prisma.user.update.mockResolvedValue({ id: 5, email: 'buyer@e.com', role: 'customer', taxExempt: true });
+
+      const res = await request(app).patch('/api/auth/users/5/tax-exempt').set('x-auth-token', 'tok').send({ taxExempt: true });
+      expect(res.status).toBe(200);
+      expect(res.body.taxExempt).toBe(true);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 5 }, data: { taxExempt: true } }));
+    });
+
+    it('400 → taxExempt must be a boolean', async () => {
+      const res = await request(app).patch('/api/auth/users/5/tax-exempt').set('x-auth-token', 'tok').send({ taxExempt: 'maybe' });
       expect(res.status).toBe(400);
-      expect(res.body).toEqual({ msg: 'Invalid email. User not found' });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('404 → unknown user', async () => {
+      prisma.user.update.mockRejectedValue(Object.assign(new Error('missing'), { code: 'P2025' }));
+
+      const res = await request(app).patch('/api/auth/users/99/tax-exempt').set('x-auth-token', 'tok').send({ taxExempt: false });
+      expect(res.status).toBe(404);
+      expect(res.body.msg).toBe('User not found');
+    });
+
+    it('403 → shoppers cannot change the flag', async () => {
+      jwt.verify.mockReturnValue({ user: { id: 2, role: 'customer' } });
+
+      const res = await request(app).patch('/api/auth/users/2/tax-exempt').set('x-auth-token', 'tok').send({ taxExempt: true });
+      expect(res.status).toBe(403);
     });
   });
 });
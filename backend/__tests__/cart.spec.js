@@ -0,0 +1,234 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    product: { findUnique: jest.fn() },
+    cart: { findUnique: jest.fn(), create: jest.fn(), upsert: jest.fn(), delete: jest.fn() },
+    cartItem: { upsert: jest.fn(), update: jest.fn(), deleteMany: jest.fn() },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+
+const mockAuth = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (token) req.user = { id: Number(token) };
+  return next();
+};
+jest.mock('../middleware/optionalAuth', () => mockAuth);
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  if (!req.header('x-auth-token')) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  return mockAuth(req, res, next);
+});
+
+const cartRouter = require('../routes/cart');
+
+describe('Cart API', () => {
+  let app;
+
+  const GUEST_TOKEN = 'guest-cart-token-0123456789';
+  const lamp = { id: 1, name: 'Desk Lamp', price: '40.00', category: 'home', image: 'lamp.jpg', brand: null, stock: 5 };
+  const mug = { id: 2, name: 'Mug', price: '12.50', category: 'kitchen', image: 'mug.jpg', brand: 'Acme', stock: 20 };
+  const item = (product, quantity) => ({ productId: product.id, quantity, product });
+  const guestCart = (items = []) => ({ id: 10, token: GUEST_TOKEN, userId: null, items });
+  const userCart = (items = []) => ({ id: 20, token: 'user-cart-token-0123456789', userId: 42, items });
+
+  // Answers cart lookups by token, user id or cart id from the carts given; account carts missing from them are created.
+  const withCarts = (...carts) => {
+    prisma.cart.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve(carts.find(cart => (where.token ? cart.token === where.token : where.userId ? cart.userId === where.userId : cart.id === where.id)) || null)
+    );
+    prisma.cart.upsert.mockImplementation(({ where, create }) => Promise.resolve(carts.find(cart => cart.userId === where.userId) || { id: 21, items: [], ...create }));
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/cart', cartRouter);
+    jest.clearAllMocks();
+    prisma.product.findUnique.mockImplementation(({ where }) => Promise.resolve([lamp, mug].find(product => product.id === where.id) || null));
+    withCarts();
+  });
+
+  describe('GET /api/cart', () => {
+    it('gives guests without a cart an empty one without storing anything', async () => {
+      const res = await request(app).get('/api/cart');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ token: null, items: [], itemCount: 0, subtotal: 0 });
+      expect(prisma.cart.create).not.toHaveBeenCalled();
+    });
+
+    it('returns the guest cart for its token with prices from the catalog', async () => {
+      withCarts(guestCart([item(lamp, 2), item(mug, 1)]));
+
+      const res = await request(app).get('/api/cart').set('x-cart-token', GUEST_TOKEN);
+
+      expect(res.body).toMatchObject({ token: GUEST_TOKEN, itemCount: 3, subtotal: 92.5, currency: 'USD' });
+      expect(res.body.items[0]).toMatchObject({ productId: 1, quantity: 2, product: { id: 1, name: 'Desk Lamp', price: 40 } });
+    });
+
+    it('uses the account cart when signed in and never reveals its token', async () => {
+      withCarts(guestCart([item(mug, 1)]), userCart([item(lamp, 1)]));
+
+      const res = await request(app).get('/api/cart').set('x-auth-token', '42').set('x-cart-token', GUEST_TOKEN);
+
+      expect(res.body.token).toBeNull();
+      expect(res.body.items.map(entry => entry.productId)).toEqual([1]);
+    });
+
+    it('does not open a user cart with its token', async () => {
+      withCarts(userCart([item(lamp, 1)]));
+
+      const res = await request(app).get('/api/cart').set('x-cart-token', 'user-cart-token-0123456789');
+
+      expect(res.body.items).toEqual([]);
+    });
+  });
+
+  describe('POST /api/cart/items', () => {
+    it('creates a guest cart on the first add and returns its token', async () => {
+      prisma.cart.create.mockImplementation(({ data }) => {
+        const cart = { id: 11, userId: null, items: [], ...data };
+        withCarts({ ...cart, items: [item(lamp, 1)] });
+        return Promise.resolve(cart);
+      });
+
+      const res = await request(app).post('/api/cart/items').send({ productId: 1 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+      expect(prisma.cartItem.upsert).toHaveBeenCalledWith({
+        where: { cartId_productId: { cartId: 11, productId: 1 } },
+        create: { cartId: 11, productId: 1, quantity: 1 },
+        update: { quantity: 1 },
+      });
+    });
+
+    it('adds to the quantity of a product already in the cart', async () => {
+      withCarts(guestCart([item(lamp, 2)]));
+
+      await request(app).post('/api/cart/items').set('x-cart-token', GUEST_TOKEN).send({ productId: 1, quantity: 2 });
+
+      expect(prisma.cartItem.upsert).toHaveBeenCalledWith(expect.objectContaining({ update: { quantity: 4 } }));
+    });
+
+    it('409 → more than is in stock', async () => {
+      withCarts(guestCart([item(lamp, 4)]));
+
+      const res = await request(app).post('/api/cart/items').set('x-cart-token', GUEST_TOKEN).send({ productId: 1, quantity: 2 });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ message: 'Only 5 left in stock', reason: 'INSUFFICIENT_STOCK', available: 5 });
+      expect(prisma.cartItem.upsert).not.toHaveBeenCalled();
+    });
+
+    it('404 → unknown product', async () => {
+      withCarts(guestCart());
+
+      const res = await request(app).post('/api/cart/items').set('x-cart-token', GUEST_TOKEN).send({ productId: 99 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.reason).toBe('PRODUCT_NOT_FOUND');
+    });
+
+    it('400 → invalid quantity', async () => {
+      const res = await request(app).post('/api/cart/items').send({ productId: 1, quantity: 0 });
+
+      expect(res.status).toBe(400);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changing and removing items', () => {
+    it('PATCH → sets the quantity of an item', async () => {
+      withCarts(userCart([item(mug, 1)]));
+
+      const res = await request(app).patch('/api/cart/items/2').set('x-auth-token', '42').send({ quantity: 3 });
+
+      expect(res.status).toBe(200);
+      expect(prisma.cartItem.update).toHaveBeenCalledWith({ where: { cartId_productId: { cartId: 20, productId: 2 } }, data: { quantity: 3 } });
+    });
+
+    it('PATCH → 404 when the product is not in the cart', async () => {
+      withCarts(userCart([item(mug, 1)]));
+
+      const res = await request(app).patch('/api/cart/items/1').set('x-auth-token', '42').send({ quantity: 3 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.reason).toBe('ITEM_NOT_FOUND');
+    });
+
+    it('PATCH → requires a quantity', async () => {
+      const res = await request(app).patch('/api/cart/items/1').set('x-auth-token', '42').send({});
+      expect(res.status).toBe(400);
+    });
+
+    it('DELETE → removes one item', async () => {
+      withCarts(userCart([item(mug, 1)]));
+      prisma.cartItem.deleteMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app).delete('/api/cart/items/2').set('x-auth-token', '42');
+
+      expect(res.status).toBe(200);
+      expect(prisma.cartItem.deleteMany).toHaveBeenCalledWith({ where: { cartId: 20, productId: 2 } });
+    });
+
+    it('DELETE /api/cart → empties the cart', async () => {
+      withCarts(guestCart([item(lamp, 1), item(mug, 2)]));
+
+      const res = await request(app).delete('/api/cart').set('x-cart-token', GUEST_TOKEN);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ token: GUEST_TOKEN, items: [], itemCount: 0 });
+      expect(prisma.cartItem.deleteMany).toHaveBeenCalledWith({ where: { cartId: 10 } });
+    });
+  });
+
+  describe('POST /api/cart/merge', () => {
+    it('401 → requires authentication', async () => {
+      const res = await request(app).post('/api/cart/merge').send({ cartToken: GUEST_TOKEN });
+      expect(res.status).toBe(401);
+    });
+
+    it('adds the guest quantities to the account cart, up to stock, and deletes the guest cart', async () => {
+      withCarts(guestCart([item(lamp, 4), item(mug, 2)]), userCart([item(lamp, 3)]));
+
+      const res = await request(app).post('/api/cart/merge').set('x-auth-token', '42').send({ cartToken: GUEST_TOKEN });
+
+      expect(res.status).toBe(200);
+      expect(prisma.cartItem.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { cartId_productId: { cartId: 20, productId: 1 } }, update: { quantity: 5 } }));
+      expect(prisma.cartItem.upsert).toHaveBeenCalledWith(expect.objectContaining({ create: { cartId: 20, productId: 2, quantity: 2 } }));
+      expect(prisma.cart.delete).toHaveBeenCalledWith({ where: { id: 10 } });
+    });
+
+    it('creates the account cart when the user has none', async () => {
+      withCarts(guestCart([item(mug, 1)]));
+
+      await request(app).post('/api/cart/merge').set('x-auth-token', '42').send({ cartToken: GUEST_TOKEN });
+
+      expect(prisma.cart.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 42 }, create: expect.objectContaining({ userId: 42 }), update: {} }));
+      expect(prisma.cartItem.upsert).toHaveBeenCalledWith(expect.objectContaining({ create: { cartId: 21, productId: 2, quantity: 1 } }));
+    });
+
+    it('leaves the account cart alone for unknown tokens', async () => {
+      withCarts(userCart([item(lamp, 1)]));
+
+      const res = await request(app).post('/api/cart/merge').set('x-auth-token', '42').send({ cartToken: 'no-such-cart-token-000000' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.items).toHaveLength(1);
+      expect(prisma.cartItem.upsert).not.toHaveBeenCalled();
+      expect(prisma.cart.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,8 +1,33 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'testsecret';
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    order: { findUnique: jest.fn(), create: jest.fn(), updateMany: jest.fn(() => Promise.resolve({ count: 1 })) },
+    orderStatusHistory: { create: jest.fn() },
+    orderItem: { findMany: jest.fn() },
+    product: { findMany: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() },
+    idempotencyKey: { findUnique: jest.fn(), create: jest.fn() },
+    promotion: { findUnique: jest.fn(), updateMany: jest.fn() },
+    promotionRedemption: { count: jest.fn(), create: jest.fn(), findUnique: jest.fn(), deleteMany: jest.fn() },
+    address: { findFirst: jest.fn(), count: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+    user: { findUnique: jest.fn() },
+    webhookSubscription: { findMany: jest.fn(() => Promise.resolve([])) },
+    webhookDelivery: { createMany: jest.fn() },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
 
 const checkoutRouter = require('../routes/checkout');
+const { getPaymentProvider } = require('../services/payments');
+
+const ADDRESS = { fullName: 'Test', line1: '1 Main St', city: 'Springfield', region: 'IL', postalCode: '62701', country: 'US' };
 
 describe('POST /api/checkout/create-order', () => {
   let app;
@@ -30,11 +55,7 @@ describe('POST /api/checkout/create-order', () => {
       items: [{ productId: 'p1', quantity: 1 }],
       name: 'Test',
       email: 'invalid-email',
-      shippingAddress: 'Addr',
-      cardNumber: '4111111111111111',
-      cardName: 'Test',
-      expiry: '01/23',
-      cvc: '123',
+      shippingAddress: ADDRESS,
     };
     const res = await request(app)
       .post('/api/checkout/create-order')
@@ -43,57 +64,668 @@ describe('POST /api/checkout/create-order', () => {
     expect(res.body).toEqual({ error: 'Invalid email format' });
   });
 
-  it('400 → invalid card number', async () => {
-    const payload = {
-      items: [{ productId: 'p1', quantity: 1 }],
+  it('400 → raw card details are never accepted', async () => {
+    const res = await request(app).post('/api/checkout/create-order').send({
+      items: [{ productId: 1, quantity: 1 }],
       name: 'Test',
       email: 't@e.com',
-      shippingAddress: 'Addr',
-      cardNumber: '1234',
-      cardName: 'Test',
-      expiry: '01/23',
+      shippingAddress: ADDRESS,
+      cardNumber: '4111111111111111',
+      expiry: '01/30',
       cvc: '123',
-    };
-    const res = await request(app)
-      .post('/api/checkout/create-order')
-      .send(payload);
+    });
     expect(res.status).toBe(400);
-    expect(res.body).toEqual({ error: 'Invalid card number' });
+    expect(res.body).toMatchObject({ code: 'CARD_DATA_REJECTED' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
   });
 
-  it('400 → invalid expiry date', async () => {
+  describe('stock reservation', () => {
     const payload = {
-      items: [{ productId: 'p1', quantity: 1 }],
+      items: [
+        { productId: 1, quantity: 2 },
+        { productId: 2, quantity: 5 },
+      ],
       name: 'Test',
       email: 't@e.com',
-      shippingAddress: 'Addr',
-      cardNumber: '4111111111111111',
-      cardName: 'Test',
-      expiry: '13/99',
-      cvc: '123',
+      shippingAddress: ADDRESS,
     };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.order.findUnique.mockResolvedValue(null);
+      prisma.product.findMany.mockResolvedValue([
+        { id: 1, name: 'Phone', price: 100, image: 'a.jpg' },
+        { id: 2, name: 'Cable', price: 5, image: 'b.jpg' },
+      ]);
+    });
+
+    it('201 → decrements stock and creates the order in one transaction', async () => {
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ items: [], statusHistory: [], total: 225 });
+
+      const res = await request(app).post('/api/checkout/create-order').send(payload);
+      expect(res.status).toBe(201);
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, stock: { gte: 2 } },
+        data: { stock: { decrement: 2 } },
+      });
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 2, stock: { gte: 5 } },
+        data: { stock: { decrement: 5 } },
+      });
+    });
+
+    it('201 → queues an order.created webhook with the order', async () => {
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({
+        orderNumber: 'FE-123456',
+        email: 'test@example.com',
+        currency: 'USD',
+        total: '225.00',
+        paymentStatus: 'requires_payment',
+        items: [{ productId: 1, name: 'Phone', quantity: 2, price: '100.00' }],
+        statusHistory: [],
+      });
+      prisma.webhookSubscription.findMany.mockResolvedValueOnce([{ id: 2 }, { id: 3 }]);
+      prisma.webhookDelivery.createMany.mockResolvedValue({ count: 2 });
+
+      await request(app).post('/api/checkout/create-order').send(payload).expect(201);
+
+      const deliveries = prisma.webhookDelivery.createMany.mock.calls[0][0].data;
+      expect(deliveries.map(delivery => delivery.subscriptionId)).toEqual([2, 3]);
+      expect(deliveries[0].eventId).toBe(deliveries[1].eventId);
+      expect(deliveries[0].payload).toMatchObject({
+        type: 'order.created',
+        data: { orderNumber: 'FE-123456', total: 225, items: [{ productId: 1, name: 'Phone', quantity: 2, price: 100 }] },
+      });
+    });
+
+    it('409 → lists every item without enough stock and creates no order', async () => {
+      prisma.product.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+      prisma.product.findUnique.mockResolvedValue({ stock: 3 });
+
+      const res = await request(app).post('/api/checkout/create-order').send(payload);
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({
+        error: 'Some items in your cart do not have enough stock.',
+        code: 'INSUFFICIENT_STOCK',
+        items: [{ productId: 2, name: 'Cable', requested: 5, available: 3 }],
+      });
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('idempotency keys', () => {
+    const payload = {
+      items: [{ productId: 1, quantity: 1 }],
+      name: 'Test',
+      email: 'T@e.com',
+      shippingAddress: ADDRESS,
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.order.findUnique.mockResolvedValue(null);
+      prisma.product.findMany.mockResolvedValue([{ id: 1, name: 'Phone', price: 100, image: 'a.jpg' }]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: 55, items: [], statusHistory: [], total: 100 });
+    });
+
+    it('201 → stores the response under the key with the new order', async () => {
+      prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/checkout/create-order').set('Idempotency-Key', 'attempt-1').send(payload);
+      expect(res.status).toBe(201);
+      expect(prisma.idempotencyKey.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          scope: 'checkout:create-order',
+          key: 'attempt-1',
+          statusCode: 201,
+          orderId: 55,
+          response: expect.objectContaining({ orderNumber: res.body.orderNumber }),
+        }),
+      });
+      expect(res.body.payment.clientSecret).toEqual(expect.any(String));
+      expect(JSON.stringify(prisma.idempotencyKey.create.mock.calls[0][0])).not.toContain(res.body.payment.clientSecret);
+    });
+
+    it('replays the original order when the key is reused', async () => {
+      let storedHash;
+      prisma.idempotencyKey.findUnique.mockResolvedValueOnce(null);
+      prisma.idempotencyKey.create.mockImplementation(({ data }) => {
+        storedHash = data.requestHash;
+        return Promise.resolve(data);
+      });
+      const first = await request(app).post('/api/checkout/create-order').set('Idempotency-Key', 'attempt-2').send(payload);
+
+      prisma.idempotencyKey.findUnique.mockResolvedValueOnce({ requestHash: storedHash, statusCode: 201, response: first.body });
+      const replay = await request(app).post('/api/checkout/create-order').set('Idempotency-Key', 'attempt-2').send(payload);
+
+      expect(replay.status).toBe(201);
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(replay.body.orderNumber).toBe(first.body.orderNumber);
+      expect(prisma.order.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('422 → key reused with a different payload', async () => {
+      prisma.idempotencyKey.findUnique.mockResolvedValue({ requestHash: 'other', statusCode: 201, response: {} });
+      const res = await request(app).post('/api/checkout/create-order').set('Idempotency-Key', 'attempt-3').send(payload);
+      expect(res.status).toBe(422);
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('replays the winner when a concurrent duplicate commits first', async () => {
+      let storedHash;
+      prisma.idempotencyKey.findUnique.mockResolvedValueOnce(null);
+      prisma.idempotencyKey.create.mockImplementation(({ data }) => {
+        storedHash = data.requestHash;
+        return Promise.reject(Object.assign(new Error('unique'), { code: 'P2002', meta: { target: ['scope', 'key'] } }));
+      });
+      prisma.idempotencyKey.findUnique.mockImplementationOnce(() =>
+        Promise.resolve({ requestHash: storedHash, statusCode: 201, response: { orderNumber: 'FE-111111' } })
+      );
+
+      const res = await request(app).post('/api/checkout/create-order').set('Idempotency-Key', 'attempt-4').send(payload);
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual({ orderNumber: 'FE-111111' });
+    });
+  });
+
+  describe('coupon codes', () => {
+    const payload = {
+      items: [
+        { productId: 1, quantity: 1 },
+        { productId: 2, quantity: 2 },
+      ],
+      name: 'Test',
+      email: 'T@e.com',
+      shippingAddress: ADDRESS,
+      couponCode: ' phones10 ',
+    };
+    const promotion = {
+      id: 9,
+      code: 'PHONES10',
+      type: 'percentage',
+      value: '10',
+      categories: ['Phones'],
+      brands: [],
+      productIds: [],
+      maxRedemptions: 100,
+      maxRedemptionsPerUser: 1,
+      redemptionCount: 4,
+      active: true,
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.order.findUnique.mockResolvedValue(null);
+      prisma.product.findMany.mockResolvedValue([
+        { id: 1, name: 'Phone', price: 100, image: 'a.jpg', category: 'phones' },
+        { id: 2, name: 'Cable', price: 5, image: 'b.jpg', category: 'accessories' },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.promotion.findUnique.mockResolvedValue(promotion);
+      prisma.promotion.updateMany.mockResolvedValue({ count: 1 });
+      prisma.promotionRedemption.count.mockResolvedValue(0);
+      prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 77, ...data, items: [], statusHistory: [] }));
+    });
+
+    it('201 → discounts only the targeted lines and records the redemption', async () => {
+      const res = await request(app).post('/api/checkout/create-order').send(payload);
+
+      expect(res.status).toBe(201);
+      // Illinois tax is charged per discounted line: 6.25% of $90.00 and of $10.00, each rounded to the cent.
+      expect(res.body).toMatchObject({ subtotal: 110, discountTotal: 10, taxTotal: 6.26, total: 106.26, couponCode: 'PHONES10' });
+      expect(prisma.promotion.updateMany).toHaveBeenCalledWith({
+        where: { id: 9, active: true, redemptionCount: { lt: 100 } },
+        data: { redemptionCount: { increment: 1 } },
+      });
+      expect(prisma.order.create).toHaveBeenCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ couponCode: 'PHONES10', promotion: { connect: { id: 9 } } }) })
+      );
+      expect(prisma.promotionRedemption.create).toHaveBeenCalledWith({
+        data: { promotionId: 9, orderId: 77, userId: null, email: 't@e.com' },
+      });
+    });
+
+    it('400 → the code ran out between preview and checkout', async () => {
+      prisma.promotion.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app).post('/api/checkout/create-order').send(payload);
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_COUPON', reason: 'EXHAUSTED' });
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('400 → the customer already used the code', async () => {
+      prisma.promotionRedemption.count.mockResolvedValue(1);
+
+      const res = await request(app).post('/api/checkout/create-order').send(payload);
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_COUPON', reason: 'USER_LIMIT' });
+      expect(prisma.promotionRedemption.count).toHaveBeenCalledWith({ where: { promotionId: 9, OR: [{ email: 't@e.com' }] } });
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shipping addresses', () => {
+    const payload = { items: [{ productId: 1, quantity: 1 }], name: 'Test', email: 't@e.com' };
+    const signedIn = () => `Bearer ${jwt.sign({ user: { id: 42, role: 'customer' } }, process.env.JWT_SECRET)}`;
+    const saved = { id: 3, userId: 42, fullName: 'Ada Lovelace', line1: '12 St James Sq', line2: null, city: 'London', region: null, postalCode: 'SW1Y 4JH', country: 'GB', phone: null, isDefault: true };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      prisma.order.findUnique.mockResolvedValue(null);
+      prisma.product.findMany.mockResolvedValue([{ id: 1, name: 'Phone', price: 100, image: 'a.jpg' }]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 5, ...data, shipTo: data.shipTo.create, items: [], statusHistory: [] }));
+    });
+
+    it('400 → free-text and incomplete addresses are rejected field by field', async () => {
+      const freeText = await request(app).post('/api/checkout/create-order').send({ ...payload, shippingAddress: '1 Main St' });
+      const incomplete = await request(app)
+        .post('/api/checkout/create-order')
+        .send({ ...payload, shippingAddress: { ...ADDRESS, postalCode: '', country: 'USA' } });
+
+      expect(freeText.status).toBe(400);
+      expect(freeText.body).toMatchObject({ code: 'INVALID_ADDRESS' });
+      expect(incomplete.status).toBe(400);
+      expect(incomplete.body.fields.map(field => field.path)).toEqual(['shippingAddress.postalCode', 'shippingAddress.country']);
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('201 → stores the order’s own copy of the address next to a one-line version', async () => {
+      const res = await request(app)
+        .post('/api/checkout/create-order')
+        .send({ ...payload, shippingAddress: { ...ADDRESS, line2: ' ', country: 'us', phone: '+1 217 555 0100' } });
+
+      expect(res.status).toBe(201);
+      const address = { ...ADDRESS, line2: null, phone: '+1 217 555 0100' };
+      expect(prisma.order.create.mock.calls[0][0].data).toMatchObject({
+        shippingAddress: 'Test, 1 Main St, Springfield, IL 62701, US',
+        shipTo: { create: address },
+      });
+      expect(res.body.shippingAddress).toEqual({ ...address, formatted: 'Test, 1 Main St, Springfield, IL 62701, US' });
+      expect(prisma.address.create).not.toHaveBeenCalled();
+    });
+
+    it('201 → ships to a saved address of the signed-in customer', async () => {
+      prisma.address.findFirst.mockResolvedValue(saved);
+
+      const res = await request(app).post('/api/checkout/create-order').set('Authorization', signedIn()).send({ ...payload, shippingAddressId: 3 });
+
+      expect(res.status).toBe(201);
+      expect(prisma.address.findFirst).toHaveBeenCalledWith({ where: { id: 3, userId: 42 } });
+      const { id, userId, isDefault, ...fields } = saved;
+      expect(prisma.order.create.mock.calls[0][0].data.shipTo).toEqual({ create: fields });
+    });
+
+    it('400 → saved addresses are only available to their owner', async () => {
+      const res = await request(app).post('/api/checkout/create-order').send({ ...payload, shippingAddressId: 3 });
+
+      expect(res.status).toBe(400);
+      expect(prisma.address.findFirst).not.toHaveBeenCalled();
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('saves a new address to the address book when asked', async () => {
+      prisma.address.count.mockResolvedValue(0);
+      prisma.address.create.mockImplementation(({ data }) => Promise.resolve({ id: 8, ...data }));
+
+      const res = await request(app).post('/api/checkout/create-order').set('Authorization', signedIn()).send({ ...payload, shippingAddress: ADDRESS, saveAddress: true });
+
+      expect(res.status).toBe(201);
+      expect(prisma.address.create).toHaveBeenCalledWith({
+        data: { ...ADDRESS, line2: null, phone: null, userId: 42, isDefault: true },
+      });
+    });
+  });
+});
+
+describe('POST /api/checkout/orders/:orderNumber/confirm-payment', () => {
+  let app;
+  let createdOrder;
+
+  const placeOrder = async () => {
     const res = await request(app)
       .post('/api/checkout/create-order')
-      .send(payload);
+      .send({ items: [{ productId: 1, quantity: 2 }], name: 'Test', email: 't@e.com', shippingAddress: ADDRESS });
+    createdOrder = { ...prisma.order.create.mock.calls[0][0].data, paymentIntentId: res.body.payment?.intentId };
+    return res;
+  };
+
+  // The first lookup is the confirmation itself, the second the status transition it triggers.
+  const storedPaymentRow = (overrides = {}) => ({
+    id: 5,
+    orderNumber: createdOrder.orderNumber,
+    total: createdOrder.total,
+    currency: createdOrder.currency,
+    paymentProvider: createdOrder.paymentProvider,
+    paymentIntentId: createdOrder.paymentIntentId,
+    paymentStatus: 'pending',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/checkout', checkoutRouter);
+    jest.clearAllMocks();
+    prisma.order.findUnique.mockResolvedValue(null);
+    prisma.product.findMany.mockResolvedValue([{ id: 1, name: 'Phone', price: 100, image: 'a.jpg' }]);
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+    prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 5, ...data, items: [], statusHistory: [] }));
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_VERIFIED' });
+  });
+
+  it('creates the order at ORDER_PLACED, then opens its payment intent outside the transaction', async () => {
+    const provider = getPaymentProvider('mock');
+    const createSpy = jest.spyOn(provider, 'createPayment');
+    prisma.$transaction.mockImplementationOnce(async (fn, options) => {
+      const result = await fn(prisma);
+      expect(createSpy).not.toHaveBeenCalled();
+      expect(options).toEqual({ maxWait: 5000, timeout: 20000 });
+      return result;
+    });
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(201);
+    expect(res.body.payment).toEqual({ provider: 'mock', intentId: expect.stringMatching(/^pi_mock_/), clientSecret: expect.any(String), status: 'pending' });
+    expect(createdOrder).toMatchObject({ statusIndex: 0, paymentProvider: 'mock', paymentStatus: 'pending' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, paymentIntentId: null, paymentStatus: 'pending' },
+      data: { paymentIntentId: res.body.payment.intentId, paymentStatus: 'pending' },
+    });
+    createSpy.mockRestore();
+  });
+
+  it('500 → expires the order and releases its stock when the intent cannot be opened', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = getPaymentProvider('mock');
+    const createSpy = jest.spyOn(provider, 'createPayment').mockRejectedValue(new Error('connect ETIMEDOUT'));
+    prisma.orderItem.findMany.mockResolvedValue([{ productId: 1, quantity: 2, name: 'Phone' }]);
+    prisma.promotionRedemption.findUnique.mockResolvedValue(null);
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(500);
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, paymentStatus: { in: ['pending', 'requires_action', 'processing'] } },
+      data: { paymentStatus: 'failed' },
+    });
+    expect(prisma.product.updateMany).toHaveBeenLastCalledWith({ where: { id: 1 }, data: { stock: { increment: 2 } } });
+    createSpy.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('200 → verifies the payment and moves the order to PAYMENT_VERIFIED', async () => {
+    const { body } = await placeOrder();
+    prisma.order.findUnique.mockResolvedValueOnce(storedPaymentRow()).mockResolvedValueOnce({ id: 5, statusIndex: 0, paymentStatus: 'succeeded' });
+
+    const res = await request(app)
+      .post(`/api/checkout/orders/${body.orderNumber}/confirm-payment`)
+      .send({ paymentIntentId: body.payment.intentId, paymentMethod: 'pm_card_visa' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: 'Payment confirmed.', orderNumber: body.orderNumber, paymentStatus: 'succeeded' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, paymentStatus: { in: ['pending', 'requires_action', 'processing'] } },
+      data: { paymentStatus: 'succeeded', paidAt: expect.any(Date), amountPaid: createdOrder.total },
+    });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ orderId: 5, code: 'PAYMENT_VERIFIED', actor: 'payment' }),
+    });
+  });
+
+  it('402 → a declined card fails the order and releases its stock', async () => {
+    const { body } = await placeOrder();
+    prisma.order.findUnique.mockResolvedValueOnce(storedPaymentRow());
+    prisma.orderItem.findMany.mockResolvedValue([{ productId: 1, quantity: 2, name: 'Phone' }]);
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_FAILED' });
+
+    const res = await request(app)
+      .post(`/api/checkout/orders/${body.orderNumber}/confirm-payment`)
+      .send({ paymentIntentId: body.payment.intentId, paymentMethod: 'pm_card_chargeDeclined' });
+
+    expect(res.status).toBe(402);
+    expect(res.body).toEqual({ error: 'Your card was declined.', code: 'PAYMENT_DECLINED', paymentStatus: 'failed' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, paymentStatus: { in: ['pending', 'requires_action', 'processing'] } },
+      data: { paymentStatus: 'failed' },
+    });
+    expect(prisma.product.updateMany).toHaveBeenLastCalledWith({ where: { id: 1 }, data: { stock: { increment: 2 } } });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ orderId: 5, code: 'PAYMENT_FAILED', actor: 'payment', note: 'Your card was declined.' }),
+    });
+  });
+
+  it('409 → a success for a different amount is not trusted', async () => {
+    const { body } = await placeOrder();
+    prisma.order.findUnique.mockResolvedValueOnce(storedPaymentRow({ total: '1.00' }));
+
+    const res = await request(app)
+      .post(`/api/checkout/orders/${body.orderNumber}/confirm-payment`)
+      .send({ paymentIntentId: body.payment.intentId, paymentMethod: 'pm_card_visa' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ code: 'PAYMENT_ERROR', reason: 'AMOUNT_MISMATCH' });
+    expect(prisma.orderStatusHistory.create).not.toHaveBeenCalled();
+  });
+
+  it('404 → the intent id must belong to the order', async () => {
+    const { body } = await placeOrder();
+    prisma.order.findUnique.mockResolvedValueOnce(storedPaymentRow());
+    prisma.order.updateMany.mockClear();
+
+    const res = await request(app)
+      .post(`/api/checkout/orders/${body.orderNumber}/confirm-payment`)
+      .send({ paymentIntentId: 'pi_mock_someone_else', paymentMethod: 'pm_card_visa' });
+
+    expect(res.status).toBe(404);
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('400 → only payment method ids are accepted', async () => {
+    const res = await request(app)
+      .post('/api/checkout/orders/FE-123456/confirm-payment')
+      .send({ paymentIntentId: 'pi_mock_1', paymentMethod: '4111111111111111' });
+
     expect(res.status).toBe(400);
-    expect(res.body).toEqual({ error: 'Invalid expiry date' });
+    expect(prisma.order.findUnique).not.toHaveBeenCalled();
   });
 
-  it('400 → invalid CVC', async () => {
-    const payload = {
-      items: [{ productId: 'p1', quantity: 1 }],
+  it('verifies fully discounted orders without opening a payment', async () => {
+    prisma.promotion.findUnique.mockResolvedValue({ id: 3, code: 'FREE', type: 'percentage', value: '100', active: true, categories: [], brands: [], productIds: [] });
+    prisma.promotion.updateMany.mockResolvedValue({ count: 1 });
+    prisma.order.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce({ id: 5, statusIndex: 0, paymentStatus: 'succeeded' });
+
+    const res = await request(app)
+      .post('/api/checkout/create-order')
+      .send({ items: [{ productId: 1, quantity: 1 }], name: 'Test', email: 't@e.com', shippingAddress: ADDRESS, couponCode: 'FREE' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.total).toBe(0);
+    expect(res.body.payment).toEqual({ provider: null, intentId: null, clientSecret: null, status: 'succeeded' });
+    expect(prisma.order.create).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ paymentStatus: 'succeeded' }) }));
+    expect(res.body.statusHistory).toEqual([{ code: 'PAYMENT_VERIFIED' }]);
+  });
+});
+
+describe('POST /api/checkout/apply-coupon', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/checkout', checkoutRouter);
+    jest.clearAllMocks();
+    prisma.product.findMany.mockResolvedValue([{ id: 1, name: 'Phone', price: 100, image: 'a.jpg', category: 'phones' }]);
+    prisma.promotionRedemption.count.mockResolvedValue(0);
+  });
+
+  it('200 → previews the discount without claiming the code', async () => {
+    prisma.promotion.findUnique.mockResolvedValue({ id: 3, code: 'TAKE15', type: 'fixed', value: '15', active: true, categories: [], brands: [], productIds: [] });
+
+    const res = await request(app)
+      .post('/api/checkout/apply-coupon')
+      .send({ couponCode: 'take15', items: [{ productId: 1, quantity: 2 }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ couponCode: 'TAKE15', subtotal: 200, discount: 15, total: 185 });
+    expect(prisma.promotion.findUnique).toHaveBeenCalledWith({ where: { code: 'TAKE15' } });
+    expect(prisma.promotion.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('400 → reports why the code cannot be used', async () => {
+    prisma.promotion.findUnique.mockResolvedValue({
+      id: 3,
+      code: 'BIGSPEND',
+      type: 'fixed',
+      value: '20',
+      minSubtotal: '250',
+      active: true,
+      categories: [],
+      brands: [],
+      productIds: [],
+    });
+
+    const res = await request(app).post('/api/checkout/apply-coupon').send({ couponCode: 'BIGSPEND', items: [{ productId: 1, quantity: 1 }] });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Spend at least $250.00 to use this promo code.', code: 'INVALID_COUPON', reason: 'MIN_SUBTOTAL' });
+  });
+
+  it('400 → unknown code', async () => {
+    prisma.promotion.findUnique.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/checkout/apply-coupon').send({ couponCode: 'NOPE', items: [{ productId: 1 }] });
+    expect(res.status).toBe(400);
+    expect(res.body.reason).toBe('NOT_FOUND');
+  });
+});
+
+describe('POST /api/checkout/quote', () => {
+  let app;
+  const promotion = { id: 4, code: 'PHONES10', type: 'percentage', value: '10', active: true, categories: ['phones'], brands: [], productIds: [] };
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/checkout', checkoutRouter);
+    jest.clearAllMocks();
+    prisma.order.findUnique.mockResolvedValue(null);
+    prisma.product.findMany.mockResolvedValue([
+      { id: 1, name: 'Phone', price: 99.99, image: 'a.jpg', category: 'phones' },
+      { id: 2, name: 'Cable', price: 5, image: 'b.jpg', category: 'accessories' },
+    ]);
+    prisma.promotion.findUnique.mockResolvedValue(promotion);
+    prisma.promotion.updateMany.mockResolvedValue({ count: 1 });
+    prisma.promotionRedemption.count.mockResolvedValue(0);
+  });
+
+  const items = [
+    { productId: 1, quantity: 2 },
+    { productId: 2, quantity: 1 },
+  ];
+
+  it('200 → returns a line-by-line breakdown without reserving anything', async () => {
+    const res = await request(app).post('/api/checkout/quote').send({ items, shippingAddress: { country: 'us', postalCode: '94107' }, couponCode: 'phones10' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      currency: 'USD',
+      lines: [
+        { productId: 1, name: 'Phone', image: 'a.jpg', unitPrice: 99.99, quantity: 2, subtotal: 199.98, discount: 20, tax: 0, total: 179.98 },
+        { productId: 2, name: 'Cable', image: 'b.jpg', unitPrice: 5, quantity: 1, subtotal: 5, discount: 0, tax: 0, total: 5 },
+      ],
+      subtotal: 204.98,
+      discountTotal: 20,
+      shippingTotal: 0,
+      taxTotal: 0,
+      total: 184.98,
+      promotion: { code: 'PHONES10', description: null, type: 'percentage', freeShipping: false },
+    });
+    expect(res.body.money.total).toEqual({ amount: 18498, currency: 'USD', formatted: '$184.98' });
+    expect(res.body.lines[0].money.discount).toEqual({ amount: 2000, currency: 'USD', formatted: '$20.00' });
+    expect(prisma.promotion.updateMany).not.toHaveBeenCalled();
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('charges exactly the quoted total when the order is placed', async () => {
+    const quote = await request(app).post('/api/checkout/quote').send({ items, shippingAddress: ADDRESS, couponCode: 'PHONES10' });
+
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+    prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 5, ...data, items: [], statusHistory: [] }));
+    const order = await request(app).post('/api/checkout/create-order').send({
+      items,
+      couponCode: 'PHONES10',
       name: 'Test',
       email: 't@e.com',
-      shippingAddress: 'Addr',
-      cardNumber: '4111111111111111',
-      cardName: 'Test',
-      expiry: '01/23',
-      cvc: '12', // too short
-    };
+      shippingAddress: ADDRESS,
+    });
+
+    expect(order.status).toBe(201);
+    expect(order.body).toMatchObject({
+      subtotal: quote.body.subtotal,
+      discountTotal: quote.body.discountTotal,
+      shippingTotal: quote.body.shippingTotal,
+      taxTotal: quote.body.taxTotal,
+      total: quote.body.total,
+      money: quote.body.money,
+    });
+    // Stored as exact decimal strings, never as floats.
+    expect(prisma.order.create).toHaveBeenCalledWith(
+      expect.objectContaining({ data: expect.objectContaining({ subtotal: '204.98', discountTotal: '20.00', taxTotal: '11.56', total: '196.54', currency: 'USD' }) })
+    );
+  });
+
+  it('200 → lists the shipping methods for the destination and prices the chosen one', async () => {
+    const res = await request(app)
+      .post('/api/checkout/quote')
+      .send({ items, shippingAddress: { country: 'CA' }, shippingMethod: 'express', couponCode: 'PHONES10' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.shippingOptions.map(option => [option.code, option.amount])).toEqual([
+      ['standard', 12.99],
+      ['express', 29.99],
+    ]);
+    expect(res.body.shippingOptions[1].money.amount).toEqual({ amount: 2999, currency: 'USD', formatted: '$29.99' });
+    expect(res.body).toMatchObject({ shippingMethod: { code: 'express', name: 'Express' }, shippingTotal: 29.99, taxTotal: 9.25, total: 224.22 });
+    expect(res.body.deliveryWindow).toEqual({ start: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), end: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) });
+  });
+
+  it('400 → a method that does not ship to the destination', async () => {
+    const res = await request(app).post('/api/checkout/quote').send({ items, shippingAddress: { country: 'CA' }, shippingMethod: 'overnight' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'That shipping method is not available for this address.', code: 'INVALID_SHIPPING_METHOD', reason: 'UNAVAILABLE' });
+  });
+
+  it('stores the chosen method and its delivery window on the order', async () => {
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+    prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: 5, ...data, items: [], statusHistory: [] }));
+
     const res = await request(app)
       .post('/api/checkout/create-order')
-      .send(payload);
+      .send({ items, name: 'Test', email: 't@e.com', shippingAddress: ADDRESS, shippingMethod: 'overnight' });
+
+    expect(res.status).toBe(201);
+    const { data } = prisma.order.create.mock.calls[0][0];
+    expect(data).toMatchObject({ shippingMethod: 'overnight', shippingTotal: '29.99', taxTotal: '12.81', total: '247.78' });
+    expect(data.deliveryWindowStart).toEqual(data.deliveryWindowEnd);
+    expect(data.estimatedDelivery).toEqual(data.deliveryWindowEnd);
+    expect(res.body).toMatchObject({
+      shippingMethod: { code: 'overnight', name: 'Overnight' },
+      deliveryWindow: { start: data.deliveryWindowStart.toISOString().slice(0, 10), end: data.deliveryWindowEnd.toISOString().slice(0, 10) },
+    });
+  });
+
+  it('400 → unknown products', async () => {
+    prisma.product.findMany.mockResolvedValue([]);
+    const res = await request(app).post('/api/checkout/quote').send({ items });
     expect(res.status).toBe(400);
-    expect(res.body).toEqual({ error: 'Invalid CVC' });
+    expect(res.body).toEqual({ error: 'One or more products are no longer available.' });
   });
 });
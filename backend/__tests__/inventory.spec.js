@@ -0,0 +1,86 @@
+jest.mock('../prismaClient', () => ({}));
+
+const { reserveStock, releaseOrderStock, InsufficientStockError } = require('../services/inventory');
+
+const makeTx = () => ({
+  product: { updateMany: jest.fn().mockResolvedValue({ count: 1 }), findUnique: jest.fn(), findMany: jest.fn().mockResolvedValue([]) },
+  order: { updateMany: jest.fn() },
+  orderItem: { findMany: jest.fn() },
+  webhookSubscription: { findMany: jest.fn().mockResolvedValue([{ id: 2 }]) },
+  webhookDelivery: { createMany: jest.fn().mockResolvedValue({ count: 1 }) },
+});
+
+describe('inventory service', () => {
+  it('reserveStock → merges duplicate lines for the same product', async () => {
+    const tx = makeTx();
+    await reserveStock(tx, [
+      { productId: 4, name: 'Mouse', quantity: 1 },
+      { productId: 4, name: 'Mouse', quantity: 2 },
+    ]);
+    expect(tx.product.updateMany).toHaveBeenCalledTimes(1);
+    expect(tx.product.updateMany).toHaveBeenCalledWith({
+      where: { id: 4, stock: { gte: 3 } },
+      data: { stock: { decrement: 3 } },
+    });
+  });
+
+  it('reserveStock → queues product.stock_low only for products it takes down to the threshold', async () => {
+    const tx = makeTx();
+    tx.product.findMany.mockResolvedValue([
+      { id: 4, name: 'Mouse', stock: 5 },
+      { id: 6, name: 'Cable', stock: 2 },
+    ]);
+
+    await reserveStock(tx, [
+      { productId: 4, name: 'Mouse', quantity: 2 },
+      { productId: 6, name: 'Cable', quantity: 1 },
+    ]);
+
+    expect(tx.webhookDelivery.createMany).toHaveBeenCalledTimes(1);
+    const [delivery] = tx.webhookDelivery.createMany.mock.calls[0][0].data;
+    expect(delivery).toMatchObject({ subscriptionId: 2, event: 'product.stock_low' });
+    expect(delivery.payload.data).toEqual({ id: 4, name: 'Mouse', stock: 5, threshold: 5 });
+  });
+
+  it('reserveStock → throws with every shortfall', async () => {
+    const tx = makeTx();
+    tx.product.updateMany.mockResolvedValue({ count: 0 });
+    tx.product.findUnique.mockResolvedValueOnce({ stock: 0 }).mockResolvedValueOnce(null);
+
+    const error = await reserveStock(tx, [
+      { productId: 1, name: 'A', quantity: 1 },
+      { productId: 2, name: 'B', quantity: 2 },
+    ]).catch(err => err);
+
+    expect(error).toBeInstanceOf(InsufficientStockError);
+    expect(error.items).toEqual([
+      { productId: 1, name: 'A', requested: 1, available: 0 },
+      { productId: 2, name: 'B', requested: 2, available: 0 },
+    ]);
+  });
+
+  it('releaseOrderStock → restocks each product once', async () => {
+    const tx = makeTx();
+    tx.order.updateMany.mockResolvedValue({ count: 1 });
+    tx.orderItem.findMany.mockResolvedValue([
+      { productId: 1, quantity: 2, name: 'A' },
+      { productId: null, quantity: 1, name: 'Deleted product' },
+    ]);
+
+    await expect(releaseOrderStock(10, tx)).resolves.toBe(true);
+    expect(tx.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 10, stockReleasedAt: null },
+      data: { stockReleasedAt: expect.any(Date) },
+    });
+    expect(tx.product.updateMany).toHaveBeenCalledTimes(1);
+    expect(tx.product.updateMany).toHaveBeenCalledWith({ where: { id: 1 }, data: { stock: { increment: 2 } } });
+  });
+
+  it('releaseOrderStock → is a no-op when stock was already released', async () => {
+    const tx = makeTx();
+    tx.order.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(releaseOrderStock(10, tx)).resolves.toBe(false);
+    expect(tx.product.updateMany).not.toHaveBeenCalled();
+  });
+});
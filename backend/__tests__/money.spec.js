@@ -0,0 +1,29 @@
+const { toMinorUnits, fromMinorUnits, toDecimalString, formatMoney, toMoney, allocate } = require('../utils/money');
+
+describe('money', () => {
+  it('converts decimals to minor units without float drift', () => {
+    expect(toMinorUnits('19.995')).toBe(2000);
+    expect(toMinorUnits(1.005)).toBe(101);
+    expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+    expect(toMinorUnits('-2.5')).toBe(-250);
+    expect(toMinorUnits({ toFixed: () => '1234.5' })).toBe(123450);
+    expect(toMinorUnits(null)).toBe(0);
+    expect(toMinorUnits('1500', 'JPY')).toBe(1500);
+    expect(() => toMinorUnits('ten dollars')).toThrow(TypeError);
+  });
+
+  it('converts back for storage and display', () => {
+    expect(toDecimalString(5)).toBe('0.05');
+    expect(toDecimalString(-123456)).toBe('-1234.56');
+    expect(toDecimalString(1500, 'JPY')).toBe('1500');
+    expect(fromMinorUnits(18498)).toBe(184.98);
+    expect(formatMoney(123456)).toBe('$1,234.56');
+    expect(toMoney(999, 'EUR')).toEqual({ amount: 999, currency: 'EUR', formatted: '€9.99' });
+  });
+
+  it('allocates without losing or inventing cents', () => {
+    expect(allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocate(1000, [3000, 0, 1000])).toEqual([750, 0, 250]);
+    expect(allocate(0, [1, 2])).toEqual([0, 0]);
+  });
+});
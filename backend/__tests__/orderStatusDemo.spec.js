@@ -0,0 +1,60 @@
+jest.mock('../prismaClient', () => {
+  const client = {
+    order: { findMany: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn() },
+    orderStatusHistory: { create: jest.fn() },
+    webhookSubscription: { findMany: jest.fn(() => Promise.resolve([])) },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+const { startOrderStatusDemo } = require('../services/orderStatusDemo');
+
+describe('order status demo ticker', () => {
+  let demo;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    prisma.orderStatusHistory.create.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    demo?.stop();
+  });
+
+  it('advances selected open orders one step through the transition rules', async () => {
+    prisma.order.findMany.mockResolvedValue([
+      { orderNumber: 'FE-1', statusIndex: 0 },
+      { orderNumber: 'FE-2', statusIndex: 3 },
+    ]);
+    prisma.order.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve(where.orderNumber === 'FE-1' ? { id: 1, statusIndex: 0, paymentStatus: 'succeeded' } : { id: 2, statusIndex: 3, paymentStatus: 'succeeded' })
+    );
+    const rolls = [0.1, 0.9];
+    demo = startOrderStatusDemo({ intervalMs: 60000, advanceProbability: 0.5, random: () => rolls.shift() });
+
+    await demo.tick();
+
+    expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ paymentStatus: 'succeeded' }) }));
+    expect(prisma.order.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 1, statusIndex: 0, cancelledAt: null }, data: { statusIndex: 1 } });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ orderId: 1, code: 'PAYMENT_VERIFIED', actor: 'demo' }),
+    });
+  });
+
+  it('skips orders that moved since they were read', async () => {
+    prisma.order.findMany.mockResolvedValue([{ orderNumber: 'FE-1', statusIndex: 0 }]);
+    prisma.order.findUnique.mockResolvedValue({ id: 1, statusIndex: 0, paymentStatus: 'succeeded' });
+    prisma.order.updateMany.mockResolvedValue({ count: 0 });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    demo = startOrderStatusDemo({ random: () => 0 });
+
+    await demo.tick();
+
+    expect(prisma.orderStatusHistory.create).not.toHaveBeenCalled();
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,703 @@
+const http = require('http');
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'testsecret';
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    order: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    orderItem: { findMany: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    product: { updateMany: jest.fn() },
+    promotion: { updateMany: jest.fn() },
+    promotionRedemption: { findUnique: jest.fn(), deleteMany: jest.fn() },
+    address: { update: jest.fn() },
+    returnRequest: { findUnique: jest.fn(), create: jest.fn() },
+    refund: { create: jest.fn() },
+    orderStatusHistory: { create: jest.fn(), findMany: jest.fn() },
+    webhookSubscription: { findMany: jest.fn(() => Promise.resolve([])) },
+    webhookDelivery: { createMany: jest.fn() },
+    user: { findUnique: jest.fn() },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+
+// Tokens look like "<userId>" or "<userId>:<role>".
+const mockUser = token => {
+  const [id, role = 'customer'] = token.split(':');
+  return { id: Number(id), role };
+};
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  req.user = mockUser(token);
+  return next();
+});
+jest.mock('../middleware/optionalAuth', () => (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (token) req.user = mockUser(token);
+  return next();
+});
+
+jest.mock('../services/pricing', () => ({ ...jest.requireActual('../services/pricing'), priceOrder: jest.fn() }));
+const { priceOrder } = require('../services/pricing');
+
+const mockCancelPayment = jest.fn();
+jest.mock('../services/payments', () => ({
+  ...jest.requireActual('../services/payments'),
+  getPaymentProvider: () => ({ name: 'mock', cancelPayment: mockCancelPayment }),
+}));
+
+const mockRefund = jest.fn();
+jest.mock('../services/refunds/localProvider', () => ({ createLocalRefundProvider: () => ({ name: 'local', refund: mockRefund }) }));
+
+const ordersRouter = require('../routes/orders');
+const { issueOrderEventsToken } = require('../services/orderEvents');
+const { issueOrderChangeToken, readOrderChangeToken } = require('../services/orderChanges');
+
+describe('Orders API', () => {
+  let app;
+
+  const storedOrder = {
+    id: 11,
+    orderNumber: 'FE-100200',
+    email: 'alice@example.com',
+    userId: 42,
+    total: '59.98',
+    statusIndex: 2,
+    estimatedDelivery: null,
+    createdAt: new Date('2026-10-01T10:00:00Z'),
+    updatedAt: new Date('2026-10-02T10:00:00Z'),
+    items: [{ id: 1, productId: 3, name: 'Cable', price: '29.99', quantity: 2, image: null }],
+    statusHistory: [
+      { code: 'PAYMENT_VERIFIED', label: 'Payment verified', description: 'Paid', enteredAt: new Date('2026-10-01T11:00:00Z') },
+      { code: 'ORDER_PLACED', label: 'Order placed', description: 'Placed', enteredAt: new Date('2026-10-01T10:00:00Z') },
+    ],
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/orders', ordersRouter);
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockImplementation(({ where }) => Promise.resolve({ role: where.id === 1 ? 'fulfillment' : 'customer' }));
+  });
+
+  describe('POST /api/orders/track', () => {
+    it('200 → reading an order never changes its status', async () => {
+      prisma.order.findUnique.mockResolvedValue(storedOrder);
+
+      const res = await request(app).post('/api/orders/track').send({ orderNumber: 'fe-100200', email: 'Alice@example.com' });
+      expect(res.status).toBe(200);
+      expect(res.body.currentStatus.code).toBe('PAYMENT_VERIFIED');
+      expect(res.body.statusHistory[0]).not.toHaveProperty('actor');
+      expect(res.body.eventsToken).toEqual(expect.any(String));
+      expect(readOrderChangeToken(res.body.orderToken)).toBe('FE-100200');
+      expect(prisma.order.update).not.toHaveBeenCalled();
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('200 → still tracks the order without live updates when no JWT_SECRET is set', async () => {
+      prisma.order.findUnique.mockResolvedValue(storedOrder);
+      delete process.env.JWT_SECRET;
+
+      const res = await request(app).post('/api/orders/track').send({ orderNumber: 'FE-100200', email: 'alice@example.com' });
+      process.env.JWT_SECRET = 'testsecret';
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ orderNumber: 'FE-100200', eventsToken: null, orderToken: null });
+    });
+  });
+
+  describe('GET /api/orders/mine', () => {
+    it('200 → returns a page of the caller’s orders with items and current status', async () => {
+      prisma.order.findMany.mockResolvedValue([{ ...storedOrder, statusHistory: [storedOrder.statusHistory[0]] }]);
+      prisma.order.count.mockResolvedValue(12);
+
+      const res = await request(app).get('/api/orders/mine?page=2&limit=5').set('x-auth-token', '42');
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ total: 12, page: 2, limit: 5, totalPages: 3 });
+      expect(res.body.orders[0]).toMatchObject({
+        orderNumber: 'FE-100200',
+        total: 59.98,
+        itemCount: 2,
+        items: [{ productId: 3, name: 'Cable', price: 29.99, quantity: 2 }],
+        currentStatus: { code: 'PAYMENT_VERIFIED' },
+      });
+      expect(res.body.orders[0].money.total).toEqual({ amount: 5998, currency: 'USD', formatted: '$59.98' });
+      expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 42 }, skip: 5, take: 5 }));
+    });
+
+    it('200 → falls back to statusIndex when an order has no history', async () => {
+      prisma.order.findMany.mockResolvedValue([{ ...storedOrder, statusHistory: [] }]);
+      prisma.order.count.mockResolvedValue(1);
+
+      const res = await request(app).get('/api/orders/mine').set('x-auth-token', '42');
+      expect(res.status).toBe(200);
+      expect(res.body.orders[0].currentStatus.code).toBe('PICKING_ITEMS');
+    });
+
+    it('401 → requires authentication', async () => {
+      const res = await request(app).get('/api/orders/mine');
+      expect(res.status).toBe(401);
+      expect(prisma.order.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/orders/mine/:orderNumber', () => {
+    it('200 → returns the order with its status timeline in order', async () => {
+      prisma.order.findUnique.mockResolvedValue(storedOrder);
+
+      const res = await request(app).get('/api/orders/mine/fe-100200').set('x-auth-token', '42');
+      expect(res.status).toBe(200);
+      expect(prisma.order.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { orderNumber: 'FE-100200' } }));
+      expect(res.body.statusHistory.map(entry => entry.code)).toEqual(['ORDER_PLACED', 'PAYMENT_VERIFIED']);
+      expect(res.body.currentStatus.code).toBe('PAYMENT_VERIFIED');
+      expect(res.body.statusFlow.length).toBeGreaterThan(0);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it('200 → payment events show in the timeline without becoming the current status', async () => {
+      const refund = { code: 'PAYMENT_REFUNDED', label: 'Refund issued', description: 'Refunded', note: '$10.00 refunded', enteredAt: new Date('2026-10-03T10:00:00Z') };
+      prisma.order.findUnique.mockResolvedValue({ ...storedOrder, statusHistory: [...storedOrder.statusHistory, refund] });
+
+      const res = await request(app).get('/api/orders/mine/FE-100200').set('x-auth-token', '42');
+      expect(res.body.statusHistory.map(entry => entry.code)).toEqual(['ORDER_PLACED', 'PAYMENT_VERIFIED', 'PAYMENT_REFUNDED']);
+      expect(res.body.currentStatus.code).toBe('PAYMENT_VERIFIED');
+    });
+
+    it('404 → another user’s order', async () => {
+      prisma.order.findUnique.mockResolvedValue(storedOrder);
+
+      const res = await request(app).get('/api/orders/mine/FE-100200').set('x-auth-token', '7');
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/orders/:orderNumber/events', () => {
+    // Reads the stream until `until` shows up in it, then hangs up.
+    const readEvents = (path, headers, until) =>
+      new Promise((resolve, reject) => {
+        const server = app.listen(0, () => {
+          const req = http.get({ port: server.address().port, path, headers }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+              text += chunk;
+              if (text.includes(until)) {
+                req.destroy();
+                server.close(() => resolve({ status: res.statusCode, headers: res.headers, text }));
+              }
+            });
+          });
+          req.on('error', reject);
+        });
+      });
+
+    it('streams entries after Last-Event-ID to a guest holding the token from /track', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, userId: null, statusHistory: [{ id: 7 }] });
+      prisma.orderStatusHistory.findMany.mockResolvedValue([
+        { id: 6, orderId: 11, code: 'PAYMENT_REFUNDED', label: 'Refunded', description: 'Refunded', enteredAt: new Date('2026-10-02T08:00:00Z'), order: { statusIndex: 1, cancelledAt: null } },
+        { id: 8, orderId: 11, code: 'PICKING_ITEMS', label: 'Picking items', description: 'Picking', enteredAt: new Date('2026-10-02T09:00:00Z'), actor: 'fulfillment', order: { statusIndex: 2, cancelledAt: null } },
+      ]);
+
+      const res = await readEvents(`/api/orders/fe-100200/events?token=${issueOrderEventsToken('FE-100200')}`, { 'Last-Event-ID': '5' }, 'id: 8\n');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(prisma.orderStatusHistory.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { OR: [{ orderId: 11, id: { gt: 5 } }] } }));
+      const events = res.text.split('\n\n').filter(block => block.startsWith('id:'));
+      expect(events.map(block => block.split('\n').slice(0, 2))).toEqual([
+        ['id: 6', 'event: history'],
+        ['id: 8', 'event: history'],
+      ]);
+      const [refunded, picking] = events.map(block => JSON.parse(block.split('\n')[2].slice('data: '.length)));
+      expect(refunded.isStatus).toBe(false);
+      expect(picking).toMatchObject({ isStatus: true, entry: { id: 8, code: 'PICKING_ITEMS', label: 'Picking items' } });
+      expect(picking.entry).not.toHaveProperty('actor');
+    });
+
+    it('401 → needs a token', async () => {
+      const res = await request(app).get('/api/orders/FE-100200/events');
+      expect(res.status).toBe(401);
+    });
+
+    it('401 → login tokens are not accepted in the query string', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, userId: 42, statusHistory: [] });
+      const loginToken = jwt.sign({ user: { id: 42, role: 'customer' } }, process.env.JWT_SECRET);
+
+      const res = await request(app).get(`/api/orders/FE-100200/events?token=${loginToken}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('401 → order change tokens are not events tokens', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, userId: 42, statusHistory: [] });
+
+      const res = await request(app).get(`/api/orders/FE-100200/events?token=${issueOrderChangeToken('FE-100200')}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('404 → a token for another order does not open this one', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, userId: 42, statusHistory: [] });
+
+      const res = await request(app).get(`/api/orders/FE-100200/events?token=${issueOrderEventsToken('FE-999999')}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/orders/:orderNumber/status', () => {
+    const history = [
+      ...storedOrder.statusHistory,
+      { code: 'PICKING_ITEMS', label: 'Picking items', description: 'Picking', enteredAt: new Date('2026-10-02T09:00:00Z'), actor: 'fulfillment', actorUserId: 1, note: 'Rush' },
+    ];
+
+    it('200 → applies an allowed transition and records the actor and note', async () => {
+      prisma.order.findUnique
+        .mockResolvedValueOnce({ id: 11, statusIndex: 1 })
+        .mockResolvedValueOnce({ ...storedOrder, statusIndex: 2, statusHistory: history });
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+      prisma.orderStatusHistory.create.mockResolvedValue({});
+
+      const res = await request(app)
+        .post('/api/orders/FE-100200/status')
+        .set('x-auth-token', '1:fulfillment')
+        .send({ status: 'PICKING_ITEMS', note: 'Rush' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 11, statusIndex: 1, cancelledAt: null }, data: { statusIndex: 2 } });
+      expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ orderId: 11, code: 'PICKING_ITEMS', actor: 'fulfillment', actorUserId: 1, note: 'Rush' }),
+      });
+      expect(res.body.currentStatus).toMatchObject({ code: 'PICKING_ITEMS', actor: 'fulfillment', note: 'Rush' });
+      expect(res.body.allowedTransitions).toEqual(['QUALITY_CHECK', 'CANCELLED']);
+    });
+
+    it('queues an order.status_changed webhook with the new history entry', async () => {
+      prisma.order.findUnique.mockResolvedValueOnce({ id: 11, statusIndex: 1 }).mockResolvedValueOnce({ ...storedOrder, statusIndex: 2, statusHistory: history });
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+      prisma.orderStatusHistory.create.mockResolvedValue(history[history.length - 1]);
+      prisma.webhookSubscription.findMany.mockResolvedValueOnce([{ id: 2 }]);
+      prisma.webhookDelivery.createMany.mockResolvedValue({ count: 1 });
+
+      await request(app).post('/api/orders/FE-100200/status').set('x-auth-token', '1:fulfillment').send({ status: 'PICKING_ITEMS', note: 'Rush' }).expect(200);
+
+      const [delivery] = prisma.webhookDelivery.createMany.mock.calls[0][0].data;
+      expect(delivery).toMatchObject({ subscriptionId: 2, event: 'order.status_changed' });
+      expect(delivery.payload.data).toEqual({
+        orderNumber: 'FE-100200',
+        from: 'PAYMENT_VERIFIED',
+        to: 'PICKING_ITEMS',
+        label: 'Picking items',
+        actor: 'fulfillment',
+        note: 'Rush',
+        changedAt: new Date('2026-10-02T09:00:00Z'),
+      });
+    });
+
+    it('409 → skipping ahead is rejected', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, statusIndex: 1 });
+
+      const res = await request(app).post('/api/orders/FE-100200/status').set('x-auth-token', '1:fulfillment').send({ status: 'DELIVERED' });
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ currentStatus: 'PAYMENT_VERIFIED', allowedTransitions: ['PICKING_ITEMS', 'CANCELLED'] });
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('409 → staff cannot verify a payment the provider has not confirmed', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, statusIndex: 0, paymentStatus: 'pending' });
+
+      const res = await request(app).post('/api/orders/FE-100200/status').set('x-auth-token', '1:admin').send({ status: 'PAYMENT_VERIFIED' });
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ code: 'PAYMENT_NOT_CONFIRMED', currentStatus: 'ORDER_PLACED' });
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('409 → the order moved concurrently', async () => {
+      prisma.order.findUnique.mockResolvedValue({ id: 11, statusIndex: 1 });
+      prisma.order.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app).post('/api/orders/FE-100200/status').set('x-auth-token', '1:fulfillment').send({ status: 'PICKING_ITEMS' });
+      expect(res.status).toBe(409);
+      expect(prisma.orderStatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    it('400 → unknown status code', async () => {
+      const res = await request(app).post('/api/orders/FE-100200/status').set('x-auth-token', '1:fulfillment').send({ status: 'TELEPORTED' });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeInstanceOf(Array);
+    });
+
+    it('403 → shoppers cannot change statuses', async () => {
+      const res = await request(app).post('/api/orders/FE-100200/status').set('x-auth-token', '42').send({ status: 'PICKING_ITEMS' });
+      expect(res.status).toBe(403);
+      expect(prisma.order.findUnique).not.toHaveBeenCalled();
+    });
+
+    it('404 → unknown order', async () => {
+      prisma.order.findUnique.mockResolvedValue(null);
+      const res = await request(app).post('/api/orders/FE-000000/status').set('x-auth-token', '1:fulfillment').send({ status: 'PICKING_ITEMS' });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/orders/:orderNumber/cancel', () => {
+    const paidOrder = { ...storedOrder, paymentStatus: 'succeeded', currency: 'USD', refundDue: '0', cancelledAt: null, shipTo: null };
+    const cancelledOrder = {
+      ...paidOrder,
+      cancelledAt: new Date('2026-10-03T10:00:00Z'),
+      refundDue: '59.98',
+      statusHistory: [...storedOrder.statusHistory, { code: 'CANCELLED', label: 'Cancelled', description: 'Cancelled', enteredAt: new Date('2026-10-03T10:00:00Z') }],
+    };
+
+    beforeEach(() => {
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+      prisma.orderItem.findMany.mockResolvedValue([{ productId: 3, quantity: 2, name: 'Cable' }]);
+    });
+
+    it('200 → cancels the order, restocks it, frees its promo code use and records what is owed back', async () => {
+      prisma.order.findUnique.mockResolvedValueOnce(paidOrder).mockResolvedValueOnce(paidOrder).mockResolvedValueOnce(paidOrder).mockResolvedValue(cancelledOrder);
+      prisma.promotionRedemption.findUnique.mockResolvedValueOnce({ id: 8, promotionId: 3 });
+      prisma.promotionRedemption.deleteMany.mockResolvedValueOnce({ count: 1 });
+
+      const res = await request(app).post('/api/orders/FE-100200/cancel').set('x-auth-token', '42').send({ reason: 'Changed my mind' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 11, statusIndex: 2, cancelledAt: null }, data: { cancelledAt: expect.any(Date) } });
+      expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ orderId: 11, code: 'CANCELLED', actor: 'customer', actorUserId: 42, note: 'Changed my mind' }),
+      });
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({ where: { id: 3 }, data: { stock: { increment: 2 } } });
+      expect(prisma.promotionRedemption.deleteMany).toHaveBeenCalledWith({ where: { id: 8 } });
+      expect(prisma.promotion.updateMany).toHaveBeenCalledWith({ where: { id: 3, redemptionCount: { gt: 0 } }, data: { redemptionCount: { decrement: 1 } } });
+      expect(prisma.order.update).toHaveBeenCalledWith({ where: { id: 11 }, data: { cancellationReason: 'Changed my mind', refundDue: '59.98' } });
+      expect(res.body).toMatchObject({ currentStatus: { code: 'CANCELLED' }, canCancel: false, canEdit: false, refundDue: 59.98 });
+      expect(res.body.statusFlow.map(status => status.code)).toEqual(['ORDER_PLACED', 'PAYMENT_VERIFIED', 'PICKING_ITEMS', 'CANCELLED']);
+    });
+
+    it('200 → cancels the open payment instead of owing a refund', async () => {
+      const unpaid = { ...paidOrder, statusIndex: 0, paymentStatus: 'pending', paymentProvider: 'mock', paymentIntentId: 'pi_123' };
+      prisma.order.findUnique.mockResolvedValueOnce(unpaid).mockResolvedValueOnce(unpaid).mockResolvedValueOnce(unpaid).mockResolvedValue(cancelledOrder);
+
+      const res = await request(app).post('/api/orders/FE-100200/cancel').send({ orderToken: issueOrderChangeToken('FE-100200') });
+
+      expect(res.status).toBe(200);
+      expect(prisma.order.update).toHaveBeenCalledWith({ where: { id: 11 }, data: { cancellationReason: null, paymentStatus: 'canceled' } });
+      expect(mockCancelPayment).toHaveBeenCalledWith('pi_123');
+    });
+
+    it('404 → guests need the order token /track gave them for this order', async () => {
+      prisma.order.findUnique.mockResolvedValue(paidOrder);
+
+      for (const body of [{ email: 'alice@example.com' }, { orderToken: issueOrderChangeToken('FE-100201') }, { orderToken: issueOrderEventsToken('FE-100200') }, { orderToken: 'not-a-token' }]) {
+        const res = await request(app).post('/api/orders/FE-100200/cancel').send(body);
+        expect(res.status).toBe(404);
+      }
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('409 → the order was already handed to the carrier', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...paidOrder, statusIndex: 5 });
+
+      const res = await request(app).post('/api/orders/FE-100200/cancel').set('x-auth-token', '42').send({});
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ code: 'ORDER_NOT_CHANGEABLE', currentStatus: 'HANDOFF_TO_CARRIER' });
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/orders/:orderNumber', () => {
+    const paidOrder = {
+      ...storedOrder,
+      paymentStatus: 'succeeded',
+      currency: 'USD',
+      refundDue: '0',
+      cancelledAt: null,
+      shipToId: 8,
+      shipTo: { id: 8, fullName: 'Alice', line1: '1 Main St', line2: null, city: 'Springfield', region: 'IL', postalCode: '62701', country: 'US', phone: null },
+      items: [{ ...storedOrder.items[0], product: { id: 3, category: 'cables', brand: null, weightGrams: 50, taxCategory: 'standard' } }],
+    };
+    const pricing = total => ({
+      subtotal: total,
+      discountTotal: 0,
+      shippingTotal: 0,
+      taxTotal: 0,
+      total,
+      lines: [{ discount: 0, tax: 0, taxRate: 0 }],
+      tax: { jurisdiction: null, exempt: false },
+    });
+    const newAddress = { fullName: 'Alice', line1: '9 Elm St', city: 'Chicago', region: 'IL', postalCode: '60601', country: 'us' };
+
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
+      prisma.order.findUnique.mockResolvedValue(paidOrder);
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('200 → lowers a quantity, restocks the difference and owes it back', async () => {
+      priceOrder.mockResolvedValue(pricing(2999));
+
+      const res = await request(app).patch('/api/orders/FE-100200').set('x-auth-token', '42').send({ items: [{ itemId: 1, quantity: 1 }] });
+
+      expect(res.status).toBe(200);
+      expect(priceOrder).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ lines: [expect.objectContaining({ productId: 3, unitAmount: 2999, quantity: 1 })] }));
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 11, statusIndex: 2, cancelledAt: null, updatedAt: storedOrder.updatedAt },
+        data: expect.objectContaining({ total: '29.99', refundDue: '29.99' }),
+      });
+      expect(prisma.orderItem.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { quantity: 1, discount: '0.00', tax: '0.00', taxRate: '0' } });
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({ where: { id: 3 }, data: { stock: { increment: 1 } } });
+      expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ code: 'ORDER_UPDATED', actor: 'customer', note: 'Cable: 2 → 1. $29.99 will be refunded.' }),
+      });
+    });
+
+    it('200 → changes the shipping address of the order', async () => {
+      priceOrder.mockResolvedValue(pricing(5998));
+
+      const res = await request(app).patch('/api/orders/FE-100200').send({ orderToken: issueOrderChangeToken('FE-100200'), shippingAddress: newAddress });
+
+      expect(res.status).toBe(200);
+      expect(prisma.address.update).toHaveBeenCalledWith({ where: { id: 8 }, data: expect.objectContaining({ line1: '9 Elm St', country: 'US' }) });
+      expect(prisma.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({ data: expect.not.objectContaining({ refundDue: expect.anything() }) }));
+      expect(res.body).not.toHaveProperty('shippingAddress');
+    });
+
+    it('400 → quantities can only be lowered', async () => {
+      const res = await request(app).patch('/api/orders/FE-100200').set('x-auth-token', '42').send({ items: [{ itemId: 1, quantity: 3 }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.reason).toBe('QUANTITY_INCREASED');
+      expect(priceOrder).not.toHaveBeenCalled();
+    });
+
+    it('409 → the change would raise the total', async () => {
+      priceOrder.mockResolvedValue(pricing(6498));
+
+      const res = await request(app).patch('/api/orders/FE-100200').set('x-auth-token', '42').send({ shippingAddress: newAddress });
+
+      expect(res.status).toBe(409);
+      expect(res.body.reason).toBe('TOTAL_INCREASED');
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('409 → the total cannot change while the payment is open', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...paidOrder, statusIndex: 0, paymentStatus: 'pending' });
+      priceOrder.mockResolvedValue(pricing(2999));
+
+      const res = await request(app).patch('/api/orders/FE-100200').set('x-auth-token', '42').send({ items: [{ itemId: 1, quantity: 1 }] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.reason).toBe('PAYMENT_PENDING');
+    });
+
+    it('400 → invalid address', async () => {
+      const res = await request(app)
+        .patch('/api/orders/FE-100200')
+        .set('x-auth-token', '42')
+        .send({ shippingAddress: { ...newAddress, country: 'USA' } });
+
+      expect(res.status).toBe(400);
+      expect(prisma.order.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/orders/:orderNumber/returns', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const deliveredOrder = deliveredAt => ({
+      ...storedOrder,
+      statusIndex: 9,
+      subtotal: '59.98',
+      statusHistory: [...storedOrder.statusHistory, { code: 'DELIVERED', label: 'Delivered', description: 'Delivered', enteredAt: deliveredAt }],
+      returns: [],
+    });
+
+    beforeEach(() => {
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+      prisma.returnRequest.findUnique.mockResolvedValue(null);
+      prisma.returnRequest.create.mockResolvedValue({});
+    });
+
+    it('201 → starts a return for delivered items', async () => {
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder(new Date(Date.now() - 3 * DAY)));
+
+      const res = await request(app)
+        .post('/api/orders/FE-100200/returns')
+        .send({ orderToken: issueOrderChangeToken('FE-100200'), items: [{ itemId: 1, quantity: 1, reason: 'defective' }], comment: 'Stops charging' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ canReturn: true, items: [{ id: 1, returnableQuantity: 2 }] });
+      expect(prisma.returnRequest.create).toHaveBeenCalledWith({
+        data: {
+          rmaNumber: expect.stringMatching(/^RMA-\d{6}$/),
+          orderId: 11,
+          comment: 'Stops charging',
+          items: { create: [{ orderItemId: 1, quantity: 1, reason: 'defective' }] },
+        },
+        include: expect.any(Object),
+      });
+    });
+
+    it('409 → the return window has closed', async () => {
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder(new Date(Date.now() - 45 * DAY)));
+
+      const res = await request(app)
+        .post('/api/orders/FE-100200/returns')
+        .set('x-auth-token', '42')
+        .send({ items: [{ itemId: 1, quantity: 1, reason: 'no_longer_needed' }] });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ code: 'RETURN_NOT_ALLOWED', reason: 'WINDOW_CLOSED' });
+      expect(prisma.returnRequest.create).not.toHaveBeenCalled();
+    });
+
+    it('409 → orders that have not been delivered cannot be returned', async () => {
+      prisma.order.findUnique.mockResolvedValue(storedOrder);
+
+      const res = await request(app)
+        .post('/api/orders/FE-100200/returns')
+        .set('x-auth-token', '42')
+        .send({ items: [{ itemId: 1, quantity: 1, reason: 'damaged' }] });
+
+      expect(res.status).toBe(409);
+      expect(res.body.reason).toBe('NOT_DELIVERED');
+    });
+
+    it('400 → units already being returned cannot be returned again', async () => {
+      prisma.order.findUnique.mockResolvedValue({
+        ...deliveredOrder(new Date(Date.now() - DAY)),
+        returns: [{ status: 'approved', items: [{ orderItemId: 1, quantity: 2 }] }],
+      });
+
+      const res = await request(app)
+        .post('/api/orders/FE-100200/returns')
+        .set('x-auth-token', '42')
+        .send({ items: [{ itemId: 1, quantity: 1, reason: 'damaged' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.reason).toBe('QUANTITY_EXCEEDED');
+    });
+
+    it('400 → every item needs a known reason', async () => {
+      const res = await request(app)
+        .post('/api/orders/FE-100200/returns')
+        .set('x-auth-token', '42')
+        .send({ items: [{ itemId: 1, quantity: 1, reason: 'changed_mind' }] });
+
+      expect(res.status).toBe(400);
+      expect(prisma.order.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/orders/:orderNumber/refunds', () => {
+    const paidOrder = {
+      ...storedOrder,
+      currency: 'USD',
+      subtotal: '59.98',
+      discountTotal: '6.00',
+      paymentStatus: 'succeeded',
+      amountPaid: '59.98',
+      amountRefunded: '0',
+      refundDue: '0',
+      items: [{ ...storedOrder.items[0], discount: '6.00', tax: '4.00' }],
+      refunds: [],
+    };
+
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
+      prisma.order.findUnique.mockResolvedValue(paidOrder);
+      prisma.order.updateMany.mockResolvedValue({ count: 1 });
+      prisma.refund.create.mockResolvedValue({ id: 1 });
+      mockRefund.mockResolvedValue({ reference: null });
+    });
+
+    it('201 → refunds items at what was paid for them and records the refund', async () => {
+      const res = await request(app)
+        .post('/api/orders/FE-100200/refunds')
+        .set('x-auth-token', '1:admin')
+        .send({ lines: [{ itemId: 1, quantity: 1 }], reason: 'Arrived scratched' });
+
+      expect(res.status).toBe(201);
+      expect(prisma.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 11, paymentStatus: { in: ['succeeded', 'partially_refunded'] }, amountRefunded: '0', refundDue: '0' },
+        data: { amountRefunded: '28.99', paymentStatus: 'partially_refunded' },
+      });
+      expect(mockRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 2899, currency: 'USD', reason: 'Arrived scratched' }));
+      expect(prisma.refund.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          orderId: 11,
+          amount: '28.99',
+          provider: 'local',
+          issuedById: 1,
+          lines: { create: [{ orderItemId: 1, quantity: 1, amount: '28.99' }] },
+        }),
+        include: expect.any(Object),
+      });
+      expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ code: 'PAYMENT_REFUNDED', actor: 'admin', note: '$28.99 refunded ($28.99 of $59.98 in total): Arrived scratched' }),
+      });
+    });
+
+    it('201 → a full refund gives back the net paid amount', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...paidOrder, paymentStatus: 'partially_refunded', amountRefunded: '10.00' });
+
+      await request(app).post('/api/orders/FE-100200/refunds').set('x-auth-token', '1:admin').send({ full: true }).expect(201);
+
+      expect(prisma.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({ data: { amountRefunded: '59.98', paymentStatus: 'refunded' } }));
+      expect(prisma.refund.create).toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ amount: '49.98', lines: { create: [] } }) }));
+    });
+
+    it('201 → pays off what cancellations and changes owe the customer', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...paidOrder, refundDue: '29.99' });
+
+      await request(app).post('/api/orders/FE-100200/refunds').set('x-auth-token', '1:admin').send({ amount: 20 }).expect(201);
+
+      expect(prisma.order.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { amountRefunded: '20.00', paymentStatus: 'partially_refunded', refundDue: '9.99' } })
+      );
+    });
+
+    it('400 → cannot refund more than was paid net of earlier refunds', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...paidOrder, amountRefunded: '50.00' });
+
+      const res = await request(app).post('/api/orders/FE-100200/refunds').set('x-auth-token', '1:admin').send({ amount: 20 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.reason).toBe('AMOUNT_EXCEEDED');
+      expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('502 → nothing is recorded when the provider declines', async () => {
+      mockRefund.mockRejectedValue(new Error('charge already refunded'));
+
+      const res = await request(app).post('/api/orders/FE-100200/refunds').set('x-auth-token', '1:admin').send({ amount: 5 });
+
+      expect(res.status).toBe(502);
+      expect(res.body.reason).toBe('PROVIDER_DECLINED');
+      expect(prisma.refund.create).not.toHaveBeenCalled();
+    });
+
+    it('403 → only admins issue refunds', async () => {
+      const res = await request(app).post('/api/orders/FE-100200/refunds').set('x-auth-token', '1:fulfillment').send({ full: true });
+      expect(res.status).toBe(403);
+    });
+  });
+});
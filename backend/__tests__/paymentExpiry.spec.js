@@ -0,0 +1,82 @@
+jest.mock('../prismaClient', () => {
+  const client = {
+    order: { findMany: jest.fn(), updateMany: jest.fn() },
+    orderItem: { findMany: jest.fn() },
+    orderStatusHistory: { create: jest.fn() },
+    product: { updateMany: jest.fn() },
+    promotion: { updateMany: jest.fn() },
+    promotionRedemption: { findUnique: jest.fn(), deleteMany: jest.fn() },
+    webhookSubscription: { findMany: jest.fn(() => Promise.resolve([])) },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+const { getPaymentProvider } = require('../services/payments');
+const { startPendingPaymentExpiry } = require('../services/payments/expiry');
+
+describe('pending payment expiry', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const provider = getPaymentProvider('mock');
+  let expiry;
+
+  const pendingOrder = payment => ({ id: 5, orderNumber: 'FE-123456', paymentProvider: 'mock', paymentIntentId: payment.id });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    prisma.orderItem.findMany.mockResolvedValue([{ productId: 1, quantity: 2, name: 'Phone' }]);
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_FAILED' });
+    prisma.promotionRedemption.findUnique.mockResolvedValue({ id: 8, promotionId: 3 });
+    prisma.promotionRedemption.deleteMany.mockResolvedValue({ count: 1 });
+  });
+
+  afterEach(() => {
+    expiry?.stop();
+  });
+
+  it('cancels stale unpaid intents and releases their stock and promo code use', async () => {
+    const payment = await provider.createPayment({ amount: 2599, currency: 'USD' });
+    prisma.order.findMany.mockResolvedValue([pendingOrder(payment)]);
+    expiry = startPendingPaymentExpiry({ ttlMs: 30 * 60 * 1000, now: () => now });
+
+    await expiry.tick();
+
+    expect(prisma.order.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { paymentStatus: { in: ['pending', 'requires_action'] }, cancelledAt: null, createdAt: { lt: new Date('2026-10-19T11:30:00Z') } },
+      })
+    );
+    await expect(provider.retrievePayment(payment.id)).resolves.toMatchObject({ status: 'canceled' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, paymentStatus: { in: ['pending', 'requires_action', 'processing'] } },
+      data: { paymentStatus: 'canceled' },
+    });
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({ where: { id: 1 }, data: { stock: { increment: 2 } } });
+    expect(prisma.promotion.updateMany).toHaveBeenCalledWith({ where: { id: 3, redemptionCount: { gt: 0 } }, data: { redemptionCount: { decrement: 1 } } });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ orderId: 5, code: 'PAYMENT_FAILED', note: 'Payment was not completed in time' }),
+    });
+  });
+
+  it('expires orders whose intent was never opened', async () => {
+    prisma.order.findMany.mockResolvedValue([{ ...pendingOrder({ id: null }), paymentIntentId: null }]);
+    expiry = startPendingPaymentExpiry({ now: () => now });
+
+    await expiry.tick();
+
+    expect(prisma.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({ data: { paymentStatus: 'canceled' } }));
+  });
+
+  it('leaves orders alone whose payment succeeded before it could be cancelled', async () => {
+    const payment = await provider.createPayment({ amount: 2599, currency: 'USD' });
+    await provider.confirmPayment(payment.id, { paymentMethod: 'pm_card_visa' });
+    prisma.order.findMany.mockResolvedValue([pendingOrder(payment)]);
+    expiry = startPendingPaymentExpiry({ now: () => now });
+
+    await expiry.tick();
+
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,101 @@
+const Stripe = require('stripe');
+const { createStripeProvider } = require('../services/payments/stripeProvider');
+const { createMockProvider } = require('../services/payments/mockProvider');
+
+describe('Stripe payment provider', () => {
+  const intent = overrides => ({
+    id: 'pi_123',
+    client_secret: 'pi_123_secret_abc',
+    status: 'requires_payment_method',
+    amount: 2599,
+    currency: 'usd',
+    last_payment_error: null,
+    ...overrides,
+  });
+
+  const fakeStripe = () => ({
+    paymentIntents: { create: jest.fn(), retrieve: jest.fn(), confirm: jest.fn() },
+  });
+
+  it('creates a card PaymentIntent in minor units tagged with the order number', async () => {
+    const client = fakeStripe();
+    client.paymentIntents.create.mockResolvedValue(intent());
+    const provider = createStripeProvider({ client });
+
+    const payment = await provider.createPayment({ amount: 2599, currency: 'USD', orderNumber: 'FE-123456', email: 't@e.com' });
+
+    expect(client.paymentIntents.create).toHaveBeenCalledWith({
+      amount: 2599,
+      currency: 'usd',
+      payment_method_types: ['card'],
+      receipt_email: 't@e.com',
+      metadata: { orderNumber: 'FE-123456' },
+    });
+    expect(payment).toEqual({ id: 'pi_123', clientSecret: 'pi_123_secret_abc', status: 'pending', amount: 2599, currency: 'USD', failureMessage: null });
+  });
+
+  it('reads the intent back when the browser already confirmed it', async () => {
+    const client = fakeStripe();
+    client.paymentIntents.retrieve.mockResolvedValue(intent({ status: 'succeeded' }));
+    const provider = createStripeProvider({ client });
+
+    await expect(provider.confirmPayment('pi_123')).resolves.toMatchObject({ status: 'succeeded' });
+    expect(client.paymentIntents.confirm).not.toHaveBeenCalled();
+  });
+
+  it('reports card declines as failed payments', async () => {
+    const client = fakeStripe();
+    const declined = intent({ last_payment_error: { message: 'Your card was declined.' } });
+    client.paymentIntents.confirm.mockRejectedValue(Object.assign(new Error('Your card was declined.'), { type: 'StripeCardError', payment_intent: declined }));
+    const provider = createStripeProvider({ client });
+
+    await expect(provider.confirmPayment('pi_123', { paymentMethod: 'pm_card_chargeDeclined' })).resolves.toMatchObject({
+      status: 'failed',
+      failureMessage: 'Your card was declined.',
+    });
+  });
+
+  it('verifies webhook signatures with the webhook secret and maps the event', () => {
+    const provider = createStripeProvider({ client: { ...fakeStripe(), webhooks: Stripe.webhooks }, webhookSecret: 'whsec_test' });
+    const payload = JSON.stringify({ id: 'evt_1', type: 'charge.refunded', data: { object: { payment_intent: 'pi_123', amount: 2599, amount_refunded: 500, currency: 'usd' } } });
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_test' });
+
+    expect(provider.parseWebhookEvent(payload, { 'stripe-signature': signature })).toEqual({
+      id: 'evt_1',
+      type: 'payment.refunded',
+      paymentId: 'pi_123',
+      amount: 2599,
+      currency: 'USD',
+      failureMessage: null,
+      amountRefunded: 500,
+    });
+    expect(() => provider.parseWebhookEvent(payload, { 'stripe-signature': 't=1,v1=bad' })).toThrow(expect.objectContaining({ reason: 'INVALID_SIGNATURE' }));
+  });
+
+  it('requires a secret key', () => {
+    expect(() => createStripeProvider({ secretKey: '' })).toThrow(/STRIPE_SECRET_KEY/);
+  });
+});
+
+describe('mock payment provider', () => {
+  it('settles payments by test payment method and can be retried after a decline', async () => {
+    const provider = createMockProvider();
+    const { id } = await provider.createPayment({ amount: 1000, currency: 'USD' });
+
+    await expect(provider.confirmPayment(id, { paymentMethod: 'pm_card_chargeDeclined' })).resolves.toMatchObject({ status: 'failed' });
+    await expect(provider.confirmPayment(id, { paymentMethod: 'pm_card_visa' })).resolves.toMatchObject({ status: 'succeeded', amount: 1000 });
+    await expect(provider.retrievePayment(id)).resolves.toMatchObject({ status: 'succeeded' });
+  });
+
+  it('cancels payments that have not succeeded', async () => {
+    const provider = createMockProvider();
+    const { id } = await provider.createPayment({ amount: 1000, currency: 'USD' });
+
+    await expect(provider.cancelPayment(id)).resolves.toMatchObject({ status: 'canceled' });
+    await expect(provider.confirmPayment(id, { paymentMethod: 'pm_card_visa' })).resolves.toMatchObject({ status: 'canceled' });
+  });
+
+  it('rejects unknown payments', async () => {
+    await expect(createMockProvider().retrievePayment('pi_mock_missing')).rejects.toMatchObject({ reason: 'NOT_FOUND' });
+  });
+});
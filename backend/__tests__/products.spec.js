@@ -2,17 +2,41 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const request = require('supertest');
 
-jest.mock('../prismaClient', () => ({
-  product: {
-    findMany: jest.fn(),
-    findUnique: jest.fn(),
-    create: jest.fn(),
-    update: jest.fn(),
-    delete: jest.fn(),
-  },
-}));
+jest.mock('../prismaClient', () => {
+  const client = {
+    product: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      groupBy: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    user: { findUnique: jest.fn() },
+    webhookSubscription: { findMany: jest.fn(() => Promise.resolve([{ id: 2 }])) },
+    webhookDelivery: { createMany: jest.fn(() => Promise.resolve({ count: 1 })) },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
 const prisma = require('../prismaClient');
 
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  if (!req.header('x-auth-token')) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  // Tokens are role names in these tests: 'admin' or 'customer'.
+  req.user = { id: 1, role: req.header('x-auth-token') };
+  return next();
+});
+
+jest.mock('../services/pineconeSync', () => ({
+  ensureProductSyncedWithPinecone: jest.fn().mockResolvedValue(true),
+  removeProductFromPinecone: jest.fn().mockResolvedValue(true),
+}));
+const { ensureProductSyncedWithPinecone, removeProductFromPinecone } = require('../services/pineconeSync');
+
 jest.mock('weaviate-ts-client', () => {
   const chain = {
     withClassName: () => chain,
@@ -46,37 +70,145 @@ describe('Products API', () => {
     app.use(bodyParser.json());
     app.use('/api/products', productsRouter);
     jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
   });
 
   describe('GET /api/products', () => {
-    it('200 → returns all products formatted with id', async () => {
+    it('200 → returns the first page with the total when no limit is given', async () => {
       const fakeDocs = [
         { id: 1, name: 'A', price: 10 },
         { id: 2, name: 'B', price: 20 },
       ];
       prisma.product.findMany.mockResolvedValue(fakeDocs);
+      prisma.product.count.mockResolvedValue(2);
 
       const res = await request(app).get('/api/products');
       expect(res.status).toBe(200);
-      expect(res.body).toEqual(fakeDocs);
+      expect(res.body).toEqual({
+        products: [
+          { id: 1, name: 'A', price: 10, currency: 'USD', money: { price: { amount: 1000, currency: 'USD', formatted: '$10.00' } } },
+          { id: 2, name: 'B', price: 20, currency: 'USD', money: { price: { amount: 2000, currency: 'USD', formatted: '$20.00' } } },
+        ],
+        total: 2,
+        page: 1,
+        limit: 24,
+        totalPages: 1,
+        nextCursor: null,
+      });
+      expect(prisma.product.findMany).toHaveBeenCalledWith({ where: {}, orderBy: [{ id: 'asc' }], take: 24, skip: 0 });
+    });
+
+    it('200 → applies filters, sort and offset paging', async () => {
+      prisma.product.findMany.mockResolvedValue([{ id: 4, name: 'D', price: 15 }]);
+      prisma.product.count.mockResolvedValue(7);
+
+      const res = await request(app).get('/api/products').query({
+        page: 2,
+        limit: 3,
+        category: 'Electronics',
+        brand: 'sony',
+        minPrice: 10,
+        maxPrice: 50,
+        minRating: 4,
+        inStock: 'true',
+        sort: 'price_desc',
+      });
+
+      const where = {
+        category: { equals: 'Electronics', mode: 'insensitive' },
+        brand: { equals: 'sony', mode: 'insensitive' },
+        price: { gte: 10, lte: 50 },
+        rating: { gte: 4 },
+        stock: { gt: 0 },
+      };
+      expect(res.status).toBe(200);
+      expect(prisma.product.findMany).toHaveBeenCalledWith({ where, orderBy: [{ price: 'desc' }, { id: 'asc' }], take: 3, skip: 3 });
+      expect(prisma.product.count).toHaveBeenCalledWith({ where });
+      expect(res.body).toMatchObject({ total: 7, page: 2, limit: 3, totalPages: 3, nextCursor: null });
+    });
+
+    it('200 → uses keyset paging when a cursor is given', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        { id: 11, name: 'K', price: 1 },
+        { id: 12, name: 'L', price: 2 },
+      ]);
+      prisma.product.count.mockResolvedValue(20);
+
+      const res = await request(app).get('/api/products?cursor=10&limit=2');
+      expect(res.status).toBe(200);
+      expect(prisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({ cursor: { id: 10 }, skip: 1, take: 2 }));
+      expect(res.body.nextCursor).toBe(12);
+    });
+
+    it('200 → never returns more than 100 products at once', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+      prisma.product.count.mockResolvedValue(0);
+
+      const res = await request(app).get('/api/products?limit=500');
+      expect(res.body.limit).toBe(100);
+      expect(prisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({ take: 100 }));
+    });
+
+    it('200 → returns only the requested ids', async () => {
+      prisma.product.findMany.mockResolvedValue([{ id: 3, name: 'C', price: 5 }]);
+      prisma.product.count.mockResolvedValue(1);
+
+      const res = await request(app).get('/api/products?ids=3,8');
+      expect(res.status).toBe(200);
+      expect(prisma.product.findMany).toHaveBeenCalledWith({ where: { id: { in: [3, 8] } }, orderBy: [{ id: 'asc' }], take: 24, skip: 0 });
+
+      const badIds = await request(app).get('/api/products?ids=3,abc');
+      expect(badIds.status).toBe(400);
+    });
+
+    it('400 → invalid query parameters', async () => {
+      const badSort = await request(app).get('/api/products?sort=random');
+      expect(badSort.status).toBe(400);
+
+      const badRange = await request(app).get('/api/products?minPrice=50&maxPrice=10');
+      expect(badRange.status).toBe(400);
+      expect(badRange.body).toEqual({ message: 'minPrice cannot be greater than maxPrice' });
+
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
     });
 
     it('500 → server error', async () => {
       prisma.product.findMany.mockRejectedValue(new Error('db fail'));
+      prisma.product.count.mockResolvedValue(0);
       const res = await request(app).get('/api/products');
       expect(res.status).toBe(500);
       expect(res.text).toBe('Server error');
     });
   });
 
+  describe('GET /api/products/categories', () => {
+    it('200 → lists each category with its product count and an image', async () => {
+      prisma.product.groupBy.mockResolvedValue([
+        { category: 'Audio', _count: { _all: 4 } },
+        { category: 'Laptops', _count: { _all: 2 } },
+      ]);
+      prisma.product.findMany.mockResolvedValue([
+        { category: 'Audio', image: 'https://img.example.com/audio.jpg' },
+        { category: 'Laptops', image: 'https://img.example.com/laptop.jpg' },
+      ]);
+
+      const res = await request(app).get('/api/products/categories');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([
+        { category: 'Audio', count: 4, image: 'https://img.example.com/audio.jpg' },
+        { category: 'Laptops', count: 2, image: 'https://img.example.com/laptop.jpg' },
+      ]);
+    });
+  });
+
   describe('GET /api/products/:id', () => {
     it('200 → returns product when found', async () => {
-      const fakeProduct = { id: 123, name: 'X', price: 5 };
+      const fakeProduct = { id: 123, name: 'X', price: '19.995' };
       prisma.product.findUnique.mockResolvedValue(fakeProduct);
 
       const res = await request(app).get('/api/products/123');
       expect(res.status).toBe(200);
-      expect(res.body).toEqual(fakeProduct);
+      expect(res.body).toEqual({ id: 123, name: 'X', price: 20, currency: 'USD', money: { price: { amount: 2000, currency: 'USD', formatted: '$20.00' } } });
     });
 
     it('404 → product not found', async () => {
@@ -113,47 +245,137 @@ describe('Products API', () => {
     });
   });
 
-  describe('PUT /api/products/:id/rating', () => {
-    it('200 → updates rating when product exists', async () => {
-      const original = {
-        id: 1,
-        rating: 4,
-        numReviews: 2,
-      };
-      prisma.product.findUnique.mockResolvedValue(original);
-      const updated = { ...original, rating: 13 / 3, numReviews: 3 };
-      prisma.product.update.mockResolvedValue(updated);
+  describe('POST /api/products', () => {
+    const payload = {
+      name: 'New Gadget',
+      description: 'A brand new gadget.',
+      price: 49.5,
+      category: 'electronics',
+      image: 'https://example.com/gadget.jpg',
+      stock: 12,
+    };
+
+    it('201 → creates product and syncs its vector', async () => {
+      const created = { id: 7, ...payload };
+      prisma.product.create.mockResolvedValue(created);
+
+      const res = await request(app).post('/api/products').set('x-auth-token', 'admin').send(payload);
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ id: 7, name: 'New Gadget', price: 49.5 });
+      expect(prisma.product.create).toHaveBeenCalledWith({ data: payload });
+      expect(ensureProductSyncedWithPinecone).toHaveBeenCalledWith(created);
+    });
+
+    it('401 → requires authentication', async () => {
+      const res = await request(app).post('/api/products').send(payload);
+      expect(res.status).toBe(401);
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
 
+    it('403 → requires the admin role', async () => {
+      const res = await request(app).post('/api/products').set('x-auth-token', 'customer').send(payload);
+      expect(res.status).toBe(403);
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+
+    it('403 → admin role revoked since the token was issued', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'customer' });
+      const res = await request(app).post('/api/products').set('x-auth-token', 'admin').send(payload);
+      expect(res.status).toBe(403);
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+
+    it('400 → validation errors', async () => {
       const res = await request(app)
-        .put('/api/products/1/rating')
-        .send({ rating: 5 });
+        .post('/api/products')
+        .set('x-auth-token', 'admin')
+        .send({ name: 'Bad', price: -1 });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeInstanceOf(Array);
+    });
+
+    it('400 → unknown tax category', async () => {
+      const res = await request(app)
+        .post('/api/products')
+        .set('x-auth-token', 'admin')
+        .send({ ...payload, taxCategory: 'luxury' });
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].path).toBe('taxCategory');
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
 
-      // newAverage = (4*2 + 5) / 3 = 13/3 ≈ 4.333...
+    it('409 → duplicate name', async () => {
+      prisma.product.create.mockRejectedValue(Object.assign(new Error('unique'), { code: 'P2002' }));
+      const res = await request(app).post('/api/products').set('x-auth-token', 'admin').send(payload);
+      expect(res.status).toBe(409);
+    });
+
+    it('201 → still succeeds when vector sync fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      prisma.product.create.mockResolvedValue({ id: 8, ...payload });
+      ensureProductSyncedWithPinecone.mockRejectedValueOnce(new Error('pinecone down'));
+      const res = await request(app).post('/api/products').set('x-auth-token', 'admin').send(payload);
+      expect(res.status).toBe(201);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('PATCH /api/products/:id', () => {
+    beforeEach(() => {
+      prisma.product.findUnique.mockResolvedValue({ stock: 12 });
+    });
+
+    it('200 → updates only the provided fields', async () => {
+      const updated = { id: 3, name: 'Renamed', price: 10 };
+      prisma.product.update.mockResolvedValue(updated);
+
+      const res = await request(app)
+        .patch('/api/products/3')
+        .set('x-auth-token', 'admin')
+        .send({ name: 'Renamed', stock: 4 });
       expect(res.status).toBe(200);
-      expect(res.body).toEqual({
-        id: 1,
-        rating: expect.closeTo(13 / 3, 5),
-        numReviews: 3,
-      });
+      expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { name: 'Renamed', stock: 4 } });
+      expect(ensureProductSyncedWithPinecone).toHaveBeenCalledWith(updated);
+    });
+
+    it('queues product.updated, and product.stock_low when stock drops to the threshold', async () => {
+      prisma.product.update.mockResolvedValue({ id: 3, name: 'Cable', category: 'Accessories', price: '9.50', stock: 4 });
+
+      await request(app).patch('/api/products/3').set('x-auth-token', 'admin').send({ stock: 4 }).expect(200);
+
+      const events = prisma.webhookDelivery.createMany.mock.calls.map(([{ data }]) => data[0].payload);
+      expect(events.map(event => event.type)).toEqual(['product.updated', 'product.stock_low']);
+      expect(events[0].data).toEqual({ id: 3, name: 'Cable', category: 'Accessories', brand: null, price: 9.5, stock: 4 });
+      expect(events[1].data).toEqual({ id: 3, name: 'Cable', stock: 4, threshold: 5 });
+    });
+
+    it('400 → empty update', async () => {
+      const res = await request(app).patch('/api/products/3').set('x-auth-token', 'admin').send({});
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ message: 'No updatable fields provided' });
     });
 
     it('404 → product not found', async () => {
-      prisma.product.findUnique.mockResolvedValue(null);
-      const res = await request(app)
-        .put('/api/products/999/rating')
-        .send({ rating: 1 });
+      prisma.product.update.mockRejectedValue(Object.assign(new Error('missing'), { code: 'P2025' }));
+      const res = await request(app).patch('/api/products/99').set('x-auth-token', 'admin').send({ stock: 1 });
       expect(res.status).toBe(404);
-      expect(res.text).toBe('Product not found');
     });
+  });
 
-    it('500 → server error', async () => {
-      prisma.product.findUnique.mockResolvedValue({ id: 10, rating: 1, numReviews: 0 });
-      prisma.product.update.mockRejectedValue(new Error('fail'));
-      const res = await request(app)
-        .put('/api/products/10/rating')
-        .send({ rating: 2 });
-      expect(res.status).toBe(500);
-      expect(res.text).toBe('Server error');
+  describe('DELETE /api/products/:id', () => {
+    it('200 → deletes product and removes its vector', async () => {
+      prisma.product.delete.mockResolvedValue({ id: 5, pineconeId: '5' });
+      const res = await request(app).delete('/api/products/5').set('x-auth-token', 'admin');
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ message: 'Product deleted', id: 5 });
+      expect(removeProductFromPinecone).toHaveBeenCalledWith('5');
+    });
+
+    it('404 → product not found', async () => {
+      prisma.product.delete.mockRejectedValue(Object.assign(new Error('missing'), { code: 'P2025' }));
+      const res = await request(app).delete('/api/products/5').set('x-auth-token', 'admin');
+      expect(res.status).toBe(404);
+      expect(removeProductFromPinecone).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,115 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+
+jest.mock('../prismaClient', () => ({
+  promotion: { findMany: jest.fn(), create: jest.fn(), update: jest.fn() },
+  user: { findUnique: jest.fn() },
+}));
+const prisma = require('../prismaClient');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  const role = req.header('x-auth-token');
+  if (!role) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  req.user = { id: 1, role };
+  return next();
+});
+
+const { evaluatePromotion, PromotionError } = require('../services/promotions');
+const promotionsRouter = require('../routes/promotions');
+
+describe('evaluatePromotion', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const lines = [
+    { productId: 1, category: 'Laptops', brand: 'Acme', unitAmount: 100000, quantity: 1 },
+    { productId: 2, category: 'Accessories', brand: 'Cablr', unitAmount: 2000, quantity: 2 },
+  ];
+  const cart = { lines, subtotal: 104000, shippingTotal: 1200, now };
+  const base = { id: 1, code: 'CODE', active: true, value: '10', categories: [], brands: [], productIds: [], redemptionCount: 0 };
+
+  const reasonFor = promotion => {
+    try {
+      evaluatePromotion(promotion, cart);
+    } catch (err) {
+      expect(err).toBeInstanceOf(PromotionError);
+      return err.reason;
+    }
+    return null;
+  };
+
+  it('applies a percentage to the whole cart when untargeted', () => {
+    expect(evaluatePromotion({ ...base, type: 'percentage' }, cart)).toMatchObject({ discount: 10400, shippingDiscount: 0 });
+  });
+
+  it('limits targeted discounts to matching lines', () => {
+    expect(evaluatePromotion({ ...base, type: 'percentage', brands: ['cablr'] }, cart).discount).toBe(400);
+    expect(evaluatePromotion({ ...base, type: 'fixed', value: '50', productIds: [2] }, cart).discount).toBe(4000);
+  });
+
+  it('waives shipping for free-shipping codes', () => {
+    expect(evaluatePromotion({ ...base, type: 'free_shipping' }, cart)).toMatchObject({ discount: 0, shippingDiscount: 1200, freeShipping: true });
+  });
+
+  it('rejects codes outside their window, limits or targets', () => {
+    expect(reasonFor(null)).toBe('NOT_FOUND');
+    expect(reasonFor({ ...base, type: 'fixed', active: false })).toBe('INACTIVE');
+    expect(reasonFor({ ...base, type: 'fixed', startsAt: new Date('2026-11-01') })).toBe('NOT_STARTED');
+    expect(reasonFor({ ...base, type: 'fixed', endsAt: new Date('2026-10-01') })).toBe('EXPIRED');
+    expect(reasonFor({ ...base, type: 'fixed', maxRedemptions: 5, redemptionCount: 5 })).toBe('EXHAUSTED');
+    expect(reasonFor({ ...base, type: 'fixed', minSubtotal: '2000' })).toBe('MIN_SUBTOTAL');
+    expect(reasonFor({ ...base, type: 'fixed', categories: ['Phones'] })).toBe('NOT_APPLICABLE');
+  });
+});
+
+describe('POST /api/promotions', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/promotions', promotionsRouter);
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
+    prisma.promotion.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, redemptionCount: 0, ...data }));
+  });
+
+  it('201 → admins can create a targeted code', async () => {
+    const res = await request(app)
+      .post('/api/promotions')
+      .set('x-auth-token', 'admin')
+      .send({ code: 'laptops-20', type: 'percentage', value: 20, categories: ['Laptops'], maxRedemptionsPerUser: 1 });
+
+    expect(res.status).toBe(201);
+    expect(prisma.promotion.create).toHaveBeenCalledWith({
+      data: { code: 'LAPTOPS-20', type: 'percentage', value: 20, categories: ['Laptops'], maxRedemptionsPerUser: 1 },
+    });
+  });
+
+  it('400 → percentages above 100 are rejected', async () => {
+    const res = await request(app).post('/api/promotions').set('x-auth-token', 'admin').send({ code: 'TOO-MUCH', type: 'percentage', value: 150 });
+    expect(res.status).toBe(400);
+    expect(prisma.promotion.create).not.toHaveBeenCalled();
+  });
+
+  it('403 → shoppers cannot create codes', async () => {
+    const res = await request(app).post('/api/promotions').set('x-auth-token', 'customer').send({ code: 'FREEBIE', type: 'free_shipping' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('evaluatePromotion line discounts', () => {
+  it('splits a discount across eligible lines to the cent', () => {
+    const lines = [
+      { productId: 1, unitAmount: 1000, quantity: 1 },
+      { productId: 2, unitAmount: 1000, quantity: 1 },
+      { productId: 3, unitAmount: 1000, quantity: 1 },
+    ];
+    const applied = evaluatePromotion(
+      { id: 1, code: 'TEN', type: 'fixed', value: '10', active: true, categories: [], brands: [], productIds: [] },
+      { lines, subtotal: 3000 }
+    );
+    expect(applied.lineDiscounts).toEqual([334, 333, 333]);
+  });
+});
@@ -0,0 +1,221 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    returnRequest: { findMany: jest.fn(), count: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn(), update: jest.fn() },
+    order: { findUnique: jest.fn(), updateMany: jest.fn() },
+    product: { updateMany: jest.fn() },
+    refund: { create: jest.fn() },
+    orderStatusHistory: { create: jest.fn() },
+    user: { findUnique: jest.fn() },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  const role = req.header('x-auth-token');
+  if (!role) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  req.user = { id: 7, role };
+  return next();
+});
+
+const { returnWindow, returnableQuantities } = require('../services/returns');
+const { evaluatePromotion } = require('../services/promotions');
+const { paidValueOf } = require('../services/pricing');
+const returnsRouter = require('../routes/returns');
+
+describe('return eligibility', () => {
+  const order = {
+    statusHistory: [{ code: 'DELIVERED', enteredAt: new Date('2026-10-01T12:00:00Z') }],
+    items: [
+      { id: 1, quantity: 2 },
+      { id: 2, quantity: 1 },
+    ],
+    returns: [
+      { status: 'requested', items: [{ orderItemId: 1, quantity: 1 }] },
+      { status: 'rejected', items: [{ orderItemId: 2, quantity: 1 }] },
+    ],
+  };
+
+  it('opens the window at delivery for the configured number of days', () => {
+    expect(returnWindow(order, new Date('2026-10-20T12:00:00Z'))).toEqual({
+      deliveredAt: new Date('2026-10-01T12:00:00Z'),
+      endsAt: new Date('2026-10-31T12:00:00Z'),
+      open: true,
+    });
+    expect(returnWindow(order, new Date('2026-11-01T00:00:00Z')).open).toBe(false);
+    expect(returnWindow({ statusHistory: [] }).open).toBe(false);
+  });
+
+  it('counts units in open returns as taken and frees rejected ones', () => {
+    expect(Object.fromEntries(returnableQuantities(order))).toEqual({ 1: 1, 2: 1 });
+  });
+});
+
+describe('return value', () => {
+  // A laptop and two cables with 12.00 shipping, stored the way checkout stores the lines `priceOrder` discounted.
+  const lines = [
+    { productId: 1, category: 'Laptops', brand: 'Acme', unitAmount: 100000, quantity: 1 },
+    { productId: 2, category: 'Accessories', brand: 'Cablr', unitAmount: 2000, quantity: 2 },
+  ];
+  const cart = { lines, subtotal: 104000, shippingTotal: 1200 };
+  const base = { id: 1, code: 'CODE', active: true, categories: [], brands: [], productIds: [], redemptionCount: 0 };
+  const sumOf = amounts => amounts.reduce((sum, amount) => sum + amount, 0);
+  const orderFor = promotion => {
+    const { lineDiscounts, shippingDiscount } = evaluatePromotion(promotion, cart);
+    const items = lines.map((line, index) => ({ id: index + 1, price: line.unitAmount / 100, quantity: line.quantity, discount: lineDiscounts[index] / 100, tax: 0 }));
+    return { currency: 'USD', subtotal: '1040.00', discountTotal: (sumOf(lineDiscounts) + shippingDiscount) / 100, items };
+  };
+  const cable = order => paidValueOf(order, [{ orderItem: order.items[1], quantity: 1 }]);
+
+  it('is not lowered by a free-shipping code', () => {
+    expect(cable(orderFor({ ...base, type: 'free_shipping' }))).toBe(2000);
+  });
+
+  it('only takes a targeted code off the lines it applied to', () => {
+    const laptopOnly = orderFor({ ...base, type: 'fixed', value: '100', productIds: [1] });
+    expect(cable(laptopOnly)).toBe(2000);
+    expect(paidValueOf(laptopOnly, [{ orderItem: laptopOnly.items[0], quantity: 1 }])).toBe(90000);
+
+    const cablesOnly = orderFor({ ...base, type: 'percentage', value: '25', brands: ['cablr'] });
+    expect(cable(cablesOnly)).toBe(1500);
+  });
+});
+
+describe('Returns API', () => {
+  let app;
+
+  const storedReturn = {
+    id: 5,
+    rmaNumber: 'RMA-123456',
+    status: 'received',
+    comment: null,
+    labelUrl: 'https://labels.example.com/5.pdf',
+    reviewNote: null,
+    refundAmount: null,
+    restocked: true,
+    createdAt: new Date('2026-10-10T10:00:00Z'),
+    items: [
+      {
+        orderItemId: 1,
+        quantity: 1,
+        reason: 'defective',
+        orderItem: { id: 1, productId: 3, name: 'Cable', price: '30.00', quantity: 2, discount: '6.00', tax: '4.00' },
+      },
+    ],
+    order: {
+      id: 11,
+      orderNumber: 'FE-100200',
+      email: 'alice@example.com',
+      currency: 'USD',
+      subtotal: '60.00',
+      discountTotal: '6.00',
+      total: '62.00',
+      paymentStatus: 'succeeded',
+      amountPaid: '62.00',
+      amountRefunded: '0',
+      refundDue: '0',
+    },
+  };
+  const paidOrder = { ...storedReturn.order, items: [storedReturn.items[0].orderItem], refunds: [] };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/returns', returnsRouter);
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ role: 'fulfillment' });
+    prisma.returnRequest.findUnique.mockResolvedValue(storedReturn);
+    prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+    prisma.returnRequest.findMany.mockResolvedValue([]);
+    prisma.order.findUnique.mockResolvedValue(paidOrder);
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    prisma.refund.create.mockResolvedValue({ id: 1 });
+  });
+
+  it('lists returns waiting on a given status', async () => {
+    prisma.returnRequest.findMany.mockResolvedValue([{ ...storedReturn, status: 'requested' }]);
+    prisma.returnRequest.count.mockResolvedValue(1);
+
+    const res = await request(app).get('/api/returns?status=requested').set('x-auth-token', 'fulfillment');
+
+    expect(res.status).toBe(200);
+    expect(prisma.returnRequest.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { status: 'requested' } }));
+    expect(res.body.returns[0]).toMatchObject({ rmaNumber: 'RMA-123456', orderNumber: 'FE-100200', allowedTransitions: ['approved', 'rejected'] });
+  });
+
+  it('refunds what the items cost after the discount, with their tax, through the refund ledger', async () => {
+    const res = await request(app).patch('/api/returns/rma-123456').set('x-auth-token', 'fulfillment').send({ status: 'refunded' });
+
+    expect(res.status).toBe(200);
+    expect(prisma.returnRequest.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, status: 'received' },
+      data: { status: 'refunded', reviewedById: 7, refundAmount: '29.00' },
+    });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 11, paymentStatus: { in: ['succeeded', 'partially_refunded'] }, amountRefunded: '0', refundDue: '0' },
+      data: { amountRefunded: '29.00', paymentStatus: 'partially_refunded' },
+    });
+    expect(prisma.refund.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ orderId: 11, amount: '29.00', reason: 'Return RMA-123456', issuedById: 7, lines: { create: [{ orderItemId: 1, quantity: 1, amount: '29.00' }] } }),
+      include: expect.any(Object),
+    });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({ data: expect.objectContaining({ code: 'PAYMENT_REFUNDED', actor: 'fulfillment' }) });
+  });
+
+  it('400 → refunds cannot take what was refunded already or is still owed for changes', async () => {
+    prisma.returnRequest.findUnique.mockResolvedValue({ ...storedReturn, order: { ...storedReturn.order, amountRefunded: '30.00', refundDue: '20.00' } });
+
+    const res = await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'fulfillment').send({ status: 'refunded' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.reason).toBe('REFUND_EXCEEDED');
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    expect(prisma.returnRequest.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('puts received items back in stock unless told not to', async () => {
+    prisma.returnRequest.findUnique.mockResolvedValue({ ...storedReturn, status: 'label_issued', restocked: false });
+
+    await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'fulfillment').send({ status: 'received' }).expect(200);
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({ where: { id: 3 }, data: { stock: { increment: 1 } } });
+
+    prisma.product.updateMany.mockClear();
+    await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'fulfillment').send({ status: 'received', restock: false }).expect(200);
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('400 → a label can only be issued with its URL, and rejections need a note', async () => {
+    prisma.returnRequest.findUnique.mockResolvedValue({ ...storedReturn, status: 'approved' });
+
+    const label = await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'fulfillment').send({ status: 'label_issued' });
+    const rejected = await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'fulfillment').send({ status: 'rejected' });
+
+    expect([label.body.reason, rejected.body.reason]).toEqual(['LABEL_REQUIRED', 'NOTE_REQUIRED']);
+    expect(prisma.returnRequest.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('409 → statuses cannot be skipped', async () => {
+    prisma.returnRequest.findUnique.mockResolvedValue({ ...storedReturn, status: 'requested' });
+
+    const res = await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'fulfillment').send({ status: 'refunded' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ currentStatus: 'requested', allowedTransitions: ['approved', 'rejected'] });
+  });
+
+  it('403 → customers cannot review returns', async () => {
+    const res = await request(app).patch('/api/returns/RMA-123456').set('x-auth-token', 'customer').send({ status: 'approved' });
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,171 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    product: { findUnique: jest.fn(), update: jest.fn() },
+    orderItem: { findFirst: jest.fn() },
+    review: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      aggregate: jest.fn(),
+    },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+const prisma = require('../prismaClient');
+
+const mockAuth = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (token) req.user = { id: Number(token) };
+  return next();
+};
+jest.mock('../middleware/optionalAuth', () => mockAuth);
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  if (!req.header('x-auth-token')) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  return mockAuth(req, res, next);
+});
+
+const reviewsRouter = require('../routes/reviews');
+
+describe('Reviews API', () => {
+  let app;
+
+  const storedReview = {
+    id: 9,
+    productId: 1,
+    userId: 42,
+    rating: 4,
+    title: 'Solid',
+    body: 'Works as advertised.',
+    verifiedPurchase: true,
+    user: { name: 'Alice' },
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/products/:id/reviews', reviewsRouter);
+    jest.clearAllMocks();
+    prisma.review.aggregate.mockResolvedValue({ _avg: { rating: 4 }, _count: { _all: 1 } });
+    prisma.product.update.mockResolvedValue({});
+  });
+
+  describe('GET /api/products/:id/reviews', () => {
+    it('200 → returns a page of reviews and the viewer review', async () => {
+      prisma.review.findMany.mockResolvedValue([storedReview]);
+      prisma.review.count.mockResolvedValue(6);
+      prisma.review.findUnique.mockResolvedValue(storedReview);
+
+      const res = await request(app).get('/api/products/1/reviews?page=2&limit=5').set('x-auth-token', '42');
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ total: 6, page: 2, totalPages: 2, viewerReview: { id: 9, author: 'Alice' } });
+      expect(res.body.reviews[0]).not.toHaveProperty('user');
+      expect(prisma.review.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { productId: 1 }, skip: 5, take: 5 }));
+    });
+
+    it('200 → guests get no viewer review', async () => {
+      prisma.review.findMany.mockResolvedValue([]);
+      prisma.review.count.mockResolvedValue(0);
+
+      const res = await request(app).get('/api/products/1/reviews');
+      expect(res.status).toBe(200);
+      expect(res.body.viewerReview).toBeNull();
+      expect(prisma.review.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/products/:id/reviews', () => {
+    const payload = { rating: 5, title: 'Great', body: 'Love it.' };
+
+    it('201 → stores the review, flags verified purchases and recomputes aggregates', async () => {
+      prisma.product.findUnique.mockResolvedValue({ id: 1 });
+      prisma.orderItem.findFirst.mockResolvedValue({ id: 3 });
+      prisma.review.create.mockResolvedValue({ ...storedReview, ...payload });
+
+      const res = await request(app).post('/api/products/1/reviews').set('x-auth-token', '42').send(payload);
+      expect(res.status).toBe(201);
+      expect(prisma.review.create).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { productId: 1, userId: 42, ...payload, verifiedPurchase: true } })
+      );
+      expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { rating: 4, numReviews: 1 } });
+      expect(prisma.orderItem.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { productId: 1, order: { userId: 42, paidAt: { not: null }, cancelledAt: null } } })
+      );
+    });
+
+    it('401 → requires authentication', async () => {
+      const res = await request(app).post('/api/products/1/reviews').send(payload);
+      expect(res.status).toBe(401);
+    });
+
+    it('400 → rating out of range', async () => {
+      const res = await request(app)
+        .post('/api/products/1/reviews')
+        .set('x-auth-token', '42')
+        .send({ ...payload, rating: 7 });
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toBeInstanceOf(Array);
+    });
+
+    it('409 → one review per user per product', async () => {
+      prisma.product.findUnique.mockResolvedValue({ id: 1 });
+      prisma.orderItem.findFirst.mockResolvedValue(null);
+      prisma.review.create.mockRejectedValue(Object.assign(new Error('unique'), { code: 'P2002' }));
+
+      const res = await request(app).post('/api/products/1/reviews').set('x-auth-token', '42').send(payload);
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('PATCH /api/products/:id/reviews/:reviewId', () => {
+    it('200 → author can edit their review', async () => {
+      prisma.review.findUnique.mockResolvedValue(storedReview);
+      prisma.orderItem.findFirst.mockResolvedValue(null);
+      prisma.review.update.mockResolvedValue({ ...storedReview, rating: 2, verifiedPurchase: false });
+
+      const res = await request(app).patch('/api/products/1/reviews/9').set('x-auth-token', '42').send({ rating: 2 });
+      expect(res.status).toBe(200);
+      expect(res.body.rating).toBe(2);
+      expect(prisma.review.update).toHaveBeenCalledWith(expect.objectContaining({ data: { rating: 2, verifiedPurchase: false } }));
+      expect(prisma.review.aggregate).toHaveBeenCalled();
+    });
+
+    it('403 → cannot edit someone else’s review', async () => {
+      prisma.review.findUnique.mockResolvedValue(storedReview);
+      const res = await request(app).patch('/api/products/1/reviews/9').set('x-auth-token', '7').send({ rating: 1 });
+      expect(res.status).toBe(403);
+      expect(prisma.review.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/products/:id/reviews/:reviewId', () => {
+    it('200 → deletes and recomputes aggregates', async () => {
+      prisma.review.findUnique.mockResolvedValue(storedReview);
+      prisma.review.aggregate.mockResolvedValue({ _avg: { rating: null }, _count: { _all: 0 } });
+
+      const res = await request(app).delete('/api/products/1/reviews/9').set('x-auth-token', '42');
+      expect(res.status).toBe(200);
+      expect(prisma.review.delete).toHaveBeenCalledWith({ where: { id: 9 } });
+      expect(prisma.product.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { rating: 0, numReviews: 0 } });
+    });
+
+    it('404 → review belongs to a different product', async () => {
+      prisma.review.findUnique.mockResolvedValue({ ...storedReview, productId: 2 });
+      const res = await request(app).delete('/api/products/1/reviews/9').set('x-auth-token', '42');
+      expect(res.status).toBe(404);
+    });
+  });
+});
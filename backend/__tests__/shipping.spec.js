@@ -0,0 +1,109 @@
+const shippingConfig = require('../config/shipping');
+const {
+  ShippingError,
+  shipDateFor,
+  addBusinessDays,
+  resolveZone,
+  listShippingOptions,
+  chooseShippingOption,
+  orderDeliveryFields,
+  serializeOrderDelivery,
+} = require('../services/shipping');
+
+describe('shipping service', () => {
+  // Monday 19 October 2026; the warehouse runs on New York time (UTC-4 in October).
+  const mondayMorning = new Date('2026-10-19T13:00:00Z');
+  const mondayAfterCutoff = new Date('2026-10-19T18:30:00Z');
+
+  const lines = [{ productId: 1, unitAmount: 2000, quantity: 2, weightGrams: 600 }];
+
+  describe('calendar', () => {
+    it('ships the same day before the cutoff and the next business day after it', () => {
+      expect(shipDateFor(mondayMorning)).toBe('2026-10-19');
+      expect(shipDateFor(mondayAfterCutoff)).toBe('2026-10-20');
+    });
+
+    it('uses the warehouse clock, not UTC', () => {
+      // 01:00 UTC on Tuesday is still Monday evening in New York.
+      expect(shipDateFor(new Date('2026-10-20T01:00:00Z'))).toBe('2026-10-20');
+    });
+
+    it('skips weekends and carrier holidays', () => {
+      expect(shipDateFor(new Date('2026-10-24T15:00:00Z'))).toBe('2026-10-26');
+      expect(addBusinessDays('2026-11-25', 1)).toBe('2026-11-27');
+      expect(addBusinessDays('2026-12-24', 1)).toBe('2026-12-28');
+    });
+  });
+
+  describe('rates', () => {
+    it('lists every method for the zone, cheapest first, with its delivery window', () => {
+      const options = listShippingOptions({ lines, subtotal: 4000, shippingAddress: { country: 'US' }, now: mondayMorning });
+
+      expect(options).toEqual([
+        { code: 'standard', name: 'Standard', description: 'Ground delivery', zone: 'domestic', amount: 599, deliveryWindow: { start: '2026-10-22', end: '2026-10-26' } },
+        { code: 'express', name: 'Express', description: 'Two to three business days', zone: 'domestic', amount: 1999, deliveryWindow: { start: '2026-10-21', end: '2026-10-22' } },
+        { code: 'overnight', name: 'Overnight', description: 'Next business day', zone: 'domestic', amount: 3999, deliveryWindow: { start: '2026-10-20', end: '2026-10-20' } },
+      ]);
+    });
+
+    it('makes domestic standard shipping free from the subtotal threshold', () => {
+      const at = subtotal => listShippingOptions({ lines, subtotal, shippingAddress: { country: 'US' }, now: mondayMorning })[0];
+
+      expect(at(4999)).toMatchObject({ code: 'standard', amount: 599 });
+      expect(at(5000)).toMatchObject({ code: 'standard', amount: 0 });
+    });
+
+    it('prices other zones by weight and only offers the methods they have rates for', () => {
+      const options = listShippingOptions({ lines, subtotal: 10000, shippingAddress: { country: 'ca' }, now: mondayMorning });
+
+      expect(options.map(option => [option.code, option.amount])).toEqual([
+        ['standard', 1999],
+        ['express', 4499],
+      ]);
+      expect(resolveZone('JP')).toBe('international');
+    });
+
+    it('prices quotes without a country for the first zone', () => {
+      expect(listShippingOptions({ lines, subtotal: 4000, now: mondayMorning })[0]).toMatchObject({ zone: 'domestic' });
+    });
+  });
+
+  describe('choosing a method', () => {
+    const options = listShippingOptions({ lines, subtotal: 10000, shippingAddress: { country: 'CA' }, now: mondayMorning });
+
+    it('defaults to the configured method', () => {
+      expect(chooseShippingOption(options, null)).toMatchObject({ code: 'standard' });
+      expect(chooseShippingOption(options, ' Express ')).toMatchObject({ code: 'express' });
+    });
+
+    it('explains why a method cannot be used', () => {
+      expect(() => chooseShippingOption(options, 'overnight')).toThrow(expect.objectContaining({ reason: 'UNAVAILABLE' }));
+      expect(() => chooseShippingOption(options, 'drone')).toThrow(expect.objectContaining({ reason: 'UNKNOWN_METHOD' }));
+    });
+
+    it('refuses destinations no zone covers', () => {
+      const config = { ...shippingConfig, zones: [{ code: 'domestic', countries: ['US'] }] };
+      const none = listShippingOptions({ lines, subtotal: 10000, shippingAddress: { country: 'FR' }, now: mondayMorning, config });
+
+      expect(none).toEqual([]);
+      expect(() => chooseShippingOption(none, null, config)).toThrow(ShippingError);
+    });
+  });
+
+  it('stores the window as dates and reads it back unchanged', () => {
+    const [standard] = listShippingOptions({ lines, subtotal: 4000, shippingAddress: { country: 'US' }, now: mondayAfterCutoff });
+    const fields = orderDeliveryFields(standard);
+
+    expect(fields).toEqual({
+      shippingMethod: 'standard',
+      deliveryWindowStart: new Date('2026-10-23T00:00:00Z'),
+      deliveryWindowEnd: new Date('2026-10-27T00:00:00Z'),
+      estimatedDelivery: new Date('2026-10-27T00:00:00Z'),
+    });
+    expect(serializeOrderDelivery(fields)).toEqual({
+      shippingMethod: { code: 'standard', name: 'Standard' },
+      deliveryWindow: { start: '2026-10-23', end: '2026-10-27' },
+    });
+    expect(serializeOrderDelivery({ estimatedDelivery: new Date() })).toEqual({ shippingMethod: null, deliveryWindow: null });
+  });
+});
@@ -0,0 +1,72 @@
+const { createTableCalculator } = require('../services/tax/tableCalculator');
+const { getTaxCalculator, isTaxExempt, calculateOrderTax } = require('../services/tax');
+
+describe('tax service', () => {
+  const calculator = createTableCalculator();
+  const lines = [
+    { productId: 1, taxCategory: 'standard', amount: 10000 },
+    { productId: 2, taxCategory: 'reduced', amount: 2000 },
+    { productId: 3, taxCategory: 'exempt', amount: 500 },
+  ];
+
+  describe('table calculator', () => {
+    it('uses the most specific rule for the destination', async () => {
+      const state = await calculator.calculateTax({ lines, shippingAddress: { country: 'US', region: 'IL', postalCode: '62701' } });
+      const city = await calculator.calculateTax({ lines, shippingAddress: { country: 'us', region: 'il', postalCode: '60614-1234' } });
+
+      expect(state).toEqual({
+        jurisdiction: 'Illinois',
+        lines: [
+          { rate: 6.25, tax: 625 },
+          { rate: 1, tax: 20 },
+          { rate: 0, tax: 0 },
+        ],
+      });
+      expect(city.jurisdiction).toBe('Chicago, IL');
+      expect(city.lines.map(line => line.tax)).toEqual([1025, 45, 0]);
+    });
+
+    it('falls back to the standard rate for categories a rule does not list', async () => {
+      const result = await calculator.calculateTax({ lines, shippingAddress: { country: 'US', region: 'CA', postalCode: '94103' } });
+
+      expect(result.jurisdiction).toBe('San Francisco, CA');
+      expect(result.lines.map(line => [line.rate, line.tax])).toEqual([
+        [8.625, 863],
+        [8.625, 173],
+        [0, 0],
+      ]);
+    });
+
+    it('charges no tax where no rule applies', async () => {
+      const untaxedState = await calculator.calculateTax({ lines, shippingAddress: { country: 'US', region: 'OR', postalCode: '97201' } });
+      const noCountry = await calculator.calculateTax({ lines, shippingAddress: null });
+
+      expect(untaxedState.jurisdiction).toBeNull();
+      expect(untaxedState.lines.every(line => line.tax === 0)).toBe(true);
+      expect(noCountry).toEqual({ jurisdiction: null, lines: lines.map(() => ({ rate: 0, tax: 0 })) });
+    });
+  });
+
+  describe('order tax', () => {
+    it('skips the calculator for tax-exempt customers', async () => {
+      const stub = { calculateTax: jest.fn() };
+      const result = await calculateOrderTax({ lines, shippingAddress: { country: 'GB' }, taxExempt: true, calculator: stub });
+
+      expect(stub.calculateTax).not.toHaveBeenCalled();
+      expect(result).toEqual({ jurisdiction: null, exempt: true, lines: lines.map(() => ({ rate: 0, tax: 0 })) });
+    });
+
+    it('only treats flagged accounts as exempt', async () => {
+      const client = { user: { findUnique: jest.fn().mockResolvedValue({ taxExempt: true }) } };
+
+      await expect(isTaxExempt(client, 7)).resolves.toBe(true);
+      await expect(isTaxExempt(client, null)).resolves.toBe(false);
+      expect(client.user.findUnique).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects unknown calculators', () => {
+      expect(getTaxCalculator('table').name).toBe('table');
+      expect(() => getTaxCalculator('avalara')).toThrow('Unknown tax calculator "avalara"');
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const request = require('supertest');
+
+jest.mock('../prismaClient', () => ({
+  webhookSubscription: { findMany: jest.fn(), create: jest.fn(), update: jest.fn(), delete: jest.fn() },
+  webhookDelivery: { findMany: jest.fn(), count: jest.fn(), findUnique: jest.fn(), updateMany: jest.fn(), update: jest.fn() },
+  user: { findUnique: jest.fn() },
+}));
+const prisma = require('../prismaClient');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  const role = req.header('x-auth-token');
+  if (!role) {
+    return res.status(401).json({ msg: 'No token, authorization denied' });
+  }
+  req.user = { id: 1, role };
+  return next();
+});
+
+// Replays through the API go to this receiver instead of the network, passed in like the worker's own fetchImpl.
+const mockReceiver = jest.fn();
+jest.mock('../services/webhooks/worker', () => {
+  const worker = jest.requireActual('../services/webhooks/worker');
+  return { ...worker, replayDelivery: (id, options) => worker.replayDelivery(id, { ...options, fetchImpl: mockReceiver }) };
+});
+
+const { verifyWebhookSignature } = require('../services/payments/events');
+const { buildWebhookRequest } = require('../services/webhooks');
+const { backoffDelay, attemptDelivery } = require('../services/webhooks/worker');
+const webhookSubscriptionsRouter = require('../routes/webhookSubscriptions');
+
+const subscription = {
+  id: 2,
+  url: 'https://erp.example.com/hooks',
+  secret: 'whsec_0123456789abcdef',
+  events: ['order.created'],
+  active: true,
+  description: 'ERP',
+  createdAt: new Date('2026-10-01T00:00:00Z'),
+  updatedAt: new Date('2026-10-01T00:00:00Z'),
+};
+
+const delivery = {
+  id: 40,
+  subscriptionId: 2,
+  subscription,
+  eventId: 'evt_1',
+  event: 'order.created',
+  payload: { id: 'evt_1', type: 'order.created', createdAt: '2026-10-19T10:00:00.000Z', data: { orderNumber: 'FE-100200' } },
+  status: 'pending',
+  attempts: 0,
+  createdAt: new Date('2026-10-19T10:00:00Z'),
+};
+
+const respond = (status, body = 'ok') => jest.fn().mockResolvedValue({ ok: status >= 200 && status < 300, status, text: () => Promise.resolve(body) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+  prisma.webhookDelivery.update.mockImplementation(({ data }) => Promise.resolve({ ...delivery, ...data }));
+});
+
+describe('webhook delivery', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  it('signs the stored payload so receivers can verify it with the subscription secret', () => {
+    const { body, headers } = buildWebhookRequest(delivery, subscription.secret, 1792404000);
+
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(headers).toMatchObject({ 'X-Webhook-Id': 'evt_1', 'X-Webhook-Event': 'order.created' });
+    expect(() => verifyWebhookSignature(body, headers['X-Webhook-Signature'], subscription.secret, { now: 1792404000 * 1000 })).not.toThrow();
+    expect(() => verifyWebhookSignature(body, headers['X-Webhook-Signature'], 'whsec_other', { now: 1792404000 * 1000 })).toThrow();
+  });
+
+  it('doubles the wait after every failure up to the cap', () => {
+    const options = { backoffMs: 1000, maxBackoffMs: 5000 };
+    expect([1, 2, 3, 4].map(attempts => backoffDelay(attempts, options))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  it('marks a delivery succeeded and keeps the response', async () => {
+    const fetchImpl = respond(200, 'received');
+
+    const result = await attemptDelivery(delivery, { now, fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledWith('https://erp.example.com/hooks', expect.objectContaining({ method: 'POST', body: JSON.stringify(delivery.payload) }));
+    expect(prisma.webhookDelivery.updateMany).toHaveBeenCalledWith({
+      where: { id: 40, status: 'pending', attempts: 0 },
+      data: expect.objectContaining({ attempts: 1, lastAttemptAt: now }),
+    });
+    expect(result).toMatchObject({ status: 'succeeded', responseStatus: 200, responseBody: 'received', error: null });
+  });
+
+  it('schedules a retry with backoff when the receiver fails, then gives up', async () => {
+    const retried = await attemptDelivery(delivery, { now, fetchImpl: respond(503, 'busy'), maxAttempts: 3 });
+    expect(retried).toMatchObject({ status: 'pending', responseStatus: 503, error: 'Receiver answered 503', nextAttemptAt: new Date(now.getTime() + backoffDelay(1)) });
+
+    const failed = await attemptDelivery({ ...delivery, attempts: 2 }, { now, fetchImpl: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')), maxAttempts: 3 });
+    expect(failed).toMatchObject({ status: 'failed', responseStatus: null, error: 'connect ECONNREFUSED' });
+  });
+
+  it('leaves a delivery another worker claimed alone', async () => {
+    prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+    const fetchImpl = respond(200);
+
+    expect(await attemptDelivery(delivery, { now, fetchImpl })).toBeNull();
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+});
+
+describe('Webhook subscriptions API', () => {
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(bodyParser.json());
+    app.use('/api/webhook-subscriptions', webhookSubscriptionsRouter);
+    prisma.user.findUnique.mockResolvedValue({ role: 'admin' });
+  });
+
+  it('201 → creates a subscription and shows its generated secret once', async () => {
+    prisma.webhookSubscription.create.mockImplementation(({ data }) => Promise.resolve({ ...subscription, ...data }));
+
+    const res = await request(app).post('/api/webhook-subscriptions').set('x-auth-token', 'admin').send({ url: 'https://erp.example.com/hooks', events: ['order.created', 'order.created'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(prisma.webhookSubscription.create.mock.calls[0][0].data.events).toEqual(['order.created']);
+  });
+
+  it('400 → unknown event types', async () => {
+    const res = await request(app).post('/api/webhook-subscriptions').set('x-auth-token', 'admin').send({ url: 'https://erp.example.com/hooks', events: ['order.deleted'] });
+
+    expect(res.status).toBe(400);
+    expect(prisma.webhookSubscription.create).not.toHaveBeenCalled();
+  });
+
+  it('200 → lists subscriptions without their secrets', async () => {
+    prisma.webhookSubscription.findMany.mockResolvedValue([{ ...subscription, events: [] }]);
+
+    const res = await request(app).get('/api/webhook-subscriptions').set('x-auth-token', 'admin');
+
+    expect(res.body[0]).toMatchObject({ secretHint: '…cdef', allEvents: true });
+    expect(res.body[0]).not.toHaveProperty('secret');
+  });
+
+  it('200 → lists failed deliveries with the receiver’s response', async () => {
+    prisma.webhookDelivery.findMany.mockResolvedValue([{ ...delivery, status: 'failed', attempts: 8, responseStatus: 500, responseBody: 'boom' }]);
+    prisma.webhookDelivery.count.mockResolvedValue(1);
+
+    const res = await request(app).get('/api/webhook-subscriptions/2/deliveries?status=failed').set('x-auth-token', 'admin');
+
+    expect(prisma.webhookDelivery.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { subscriptionId: 2, status: 'failed' } }));
+    expect(res.body.deliveries[0]).toMatchObject({ id: 40, status: 'failed', attempts: 8, responseStatus: 500, responseBody: 'boom', nextAttemptAt: null });
+  });
+
+  it('200 → replays a failed delivery with a fresh set of attempts', async () => {
+    mockReceiver.mockResolvedValue({ ok: true, status: 204, text: () => Promise.resolve('') });
+    prisma.webhookDelivery.findUnique.mockResolvedValueOnce({ subscriptionId: 2 }).mockResolvedValueOnce({ ...delivery, status: 'failed', attempts: 8 });
+
+    const res = await request(app).post('/api/webhook-subscriptions/2/deliveries/40/replay').set('x-auth-token', 'admin');
+
+    expect(prisma.webhookDelivery.updateMany).toHaveBeenCalledWith({
+      where: { id: 40, status: { in: ['succeeded', 'failed'] } },
+      data: expect.objectContaining({ status: 'pending', attempts: 0 }),
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'succeeded', responseStatus: 204 });
+    expect(mockReceiver).toHaveBeenCalledWith('https://erp.example.com/hooks', expect.objectContaining({ method: 'POST' }));
+  });
+
+  it('409 → pending deliveries are still being sent and are not replayed', async () => {
+    prisma.webhookDelivery.findUnique.mockResolvedValueOnce({ subscriptionId: 2 }).mockResolvedValueOnce({ ...delivery, attempts: 3 });
+    prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await request(app).post('/api/webhook-subscriptions/2/deliveries/40/replay').set('x-auth-token', 'admin');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ reason: 'IN_PROGRESS' });
+    expect(mockReceiver).not.toHaveBeenCalled();
+    expect(prisma.webhookDelivery.update).not.toHaveBeenCalled();
+  });
+
+  it('404 → deliveries of another subscription cannot be replayed through this one', async () => {
+    prisma.webhookDelivery.findUnique.mockResolvedValue({ subscriptionId: 3 });
+
+    const res = await request(app).post('/api/webhook-subscriptions/2/deliveries/40/replay').set('x-auth-token', 'admin');
+
+    expect(res.status).toBe(404);
+    expect(prisma.webhookDelivery.update).not.toHaveBeenCalled();
+  });
+
+  it('403 → only admins manage webhooks', async () => {
+    prisma.user.findUnique.mockResolvedValue({ role: 'fulfillment' });
+    const res = await request(app).get('/api/webhook-subscriptions').set('x-auth-token', 'fulfillment');
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,217 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../prismaClient', () => {
+  const client = {
+    order: { findUnique: jest.fn(), updateMany: jest.fn() },
+    orderItem: { findMany: jest.fn() },
+    orderStatusHistory: { create: jest.fn() },
+    product: { updateMany: jest.fn() },
+    paymentEvent: { create: jest.fn() },
+    refund: { create: jest.fn() },
+    promotion: { updateMany: jest.fn() },
+    promotionRedemption: { findUnique: jest.fn(), deleteMany: jest.fn() },
+    webhookSubscription: { findMany: jest.fn(() => Promise.resolve([])) },
+  };
+  client.$transaction = jest.fn(fn => fn(client));
+  return client;
+});
+jest.mock('../services/mailer', () => ({
+  sendPaymentFailedEmail: jest.fn(() => Promise.resolve({ sent: true })),
+  sendRefundIssuedEmail: jest.fn(() => Promise.resolve({ sent: true })),
+}));
+const prisma = require('../prismaClient');
+const { sendPaymentFailedEmail, sendRefundIssuedEmail } = require('../services/mailer');
+const { signWebhookPayload } = require('../services/payments/events');
+
+const webhookRouter = require('../routes/webhooks');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'payment-webhooks');
+const fixture = name => fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8');
+
+const OPEN = { in: ['pending', 'requires_action', 'processing'] };
+
+describe('POST /api/webhooks/payments', () => {
+  let app;
+
+  const storedOrder = (overrides = {}) => ({
+    id: 5,
+    orderNumber: 'FE-123456',
+    email: 't@e.com',
+    total: '25.99',
+    currency: 'USD',
+    paymentProvider: 'mock',
+    paymentIntentId: 'pi_mock_fixture',
+    paymentStatus: 'pending',
+    amountRefunded: '0',
+    ...overrides,
+  });
+
+  const deliver = (payload, signature = signWebhookPayload(payload, 'whsec_mock')) =>
+    request(app).post('/api/webhooks/payments').set('Content-Type', 'application/json').set('X-Mock-Signature', signature).send(payload);
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/webhooks', webhookRouter);
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    prisma.paymentEvent.create.mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('400 → rejects events without a valid signature', async () => {
+    const payload = fixture('payment_intent.succeeded');
+
+    const unsigned = await request(app).post('/api/webhooks/payments').set('Content-Type', 'application/json').send(payload);
+    const forged = await deliver(payload, signWebhookPayload(payload, 'whsec_wrong'));
+    const tampered = await deliver(payload.replace('2599', '1'), signWebhookPayload(payload, 'whsec_mock'));
+
+    [unsigned, forged, tampered].forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({ code: 'INVALID_SIGNATURE' });
+    });
+    expect(prisma.order.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('400 → rejects signatures older than five minutes', async () => {
+    const payload = fixture('payment_intent.succeeded');
+    const res = await deliver(payload, signWebhookPayload(payload, 'whsec_mock', Math.floor(Date.now() / 1000) - 301));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('marks the order paid and records the event on payment_intent.succeeded', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder()).mockResolvedValueOnce({ id: 5, statusIndex: 0, paymentStatus: 'succeeded' });
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_VERIFIED' });
+
+    const res = await deliver(fixture('payment_intent.succeeded'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ received: true, outcome: 'applied', orderNumber: 'FE-123456' });
+    expect(prisma.paymentEvent.create).toHaveBeenCalledWith({
+      data: { provider: 'mock', eventId: 'evt_fixture_succeeded', type: 'payment.succeeded', orderId: 5 },
+    });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 5, paymentStatus: OPEN }, data: { paymentStatus: 'succeeded', paidAt: expect.any(Date), amountPaid: '25.99' } });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({ data: expect.objectContaining({ orderId: 5, code: 'PAYMENT_VERIFIED', actor: 'payment' }) });
+  });
+
+  it('acknowledges redelivered events without applying them again', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder());
+    prisma.paymentEvent.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    const res = await deliver(fixture('payment_intent.succeeded'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, outcome: 'duplicate' });
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not trust a success for a different amount', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder({ total: '1.00' }));
+
+    const res = await deliver(fixture('payment_intent.succeeded'));
+
+    expect(res.body).toMatchObject({ outcome: 'unchanged' });
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    expect(prisma.paymentEvent.create).toHaveBeenCalled();
+  });
+
+  it('releases stock and the promo code and emails the customer on payment_intent.payment_failed', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder());
+    prisma.orderItem.findMany.mockResolvedValue([{ productId: 1, quantity: 2, name: 'Phone' }]);
+    prisma.promotionRedemption.findUnique.mockResolvedValueOnce({ id: 8, promotionId: 3 });
+    prisma.promotionRedemption.deleteMany.mockResolvedValueOnce({ count: 1 });
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_FAILED' });
+
+    const res = await deliver(fixture('payment_intent.payment_failed'));
+
+    expect(res.body).toMatchObject({ outcome: 'applied' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 5, paymentStatus: OPEN }, data: { paymentStatus: 'failed' } });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 5, stockReleasedAt: null }, data: { stockReleasedAt: expect.any(Date) } });
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({ where: { id: 1 }, data: { stock: { increment: 2 } } });
+    expect(prisma.promotionRedemption.deleteMany).toHaveBeenCalledWith({ where: { id: 8 } });
+    expect(prisma.promotion.updateMany).toHaveBeenCalledWith({ where: { id: 3, redemptionCount: { gt: 0 } }, data: { redemptionCount: { decrement: 1 } } });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ orderId: 5, code: 'PAYMENT_FAILED', note: 'Your card was declined.' }),
+    });
+    expect(sendPaymentFailedEmail).toHaveBeenCalledWith('t@e.com', { orderNumber: 'FE-123456', reason: 'Your card was declined.' });
+  });
+
+  it('releases stock without emailing on payment_intent.canceled', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder());
+    prisma.orderItem.findMany.mockResolvedValue([{ productId: 1, quantity: 2, name: 'Phone' }]);
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_FAILED' });
+
+    const res = await deliver(fixture('payment_intent.canceled'));
+
+    expect(res.body).toMatchObject({ outcome: 'applied' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { id: 5, paymentStatus: OPEN }, data: { paymentStatus: 'canceled' } });
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({ where: { id: 1 }, data: { stock: { increment: 2 } } });
+    expect(sendPaymentFailedEmail).not.toHaveBeenCalled();
+  });
+
+  it('leaves orders whose payment already settled alone on a late failure', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder({ paymentStatus: 'succeeded' }));
+    prisma.order.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await deliver(fixture('payment_intent.payment_failed'));
+
+    expect(res.body).toMatchObject({ outcome: 'unchanged' });
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+    expect(sendPaymentFailedEmail).not.toHaveBeenCalled();
+  });
+
+  it('records partial refunds from the running refund total on charge.refunded', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder({ paymentStatus: 'succeeded' }));
+    prisma.orderStatusHistory.create.mockResolvedValue({ code: 'PAYMENT_REFUNDED' });
+
+    const res = await deliver(fixture('charge.refunded'));
+
+    expect(res.body).toMatchObject({ outcome: 'applied' });
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 5, paymentStatus: { in: ['succeeded', 'partially_refunded'] }, amountRefunded: { lt: '10.00' } },
+      data: { amountRefunded: '10.00', paymentStatus: 'partially_refunded' },
+    });
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ code: 'PAYMENT_REFUNDED', note: '$10.00 refunded ($10.00 of $25.99 in total)' }),
+    });
+    expect(prisma.refund.create).toHaveBeenCalledWith({
+      data: { orderId: 5, amount: '10.00', currency: 'USD', reason: 'Refunded at mock', provider: 'mock', providerReference: expect.any(String) },
+    });
+    expect(sendRefundIssuedEmail).toHaveBeenCalledWith('t@e.com', { orderNumber: 'FE-123456', amount: '$10.00', netPaid: '$15.99', reason: null });
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('marks the payment refunded once the whole total is back', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(storedOrder({ paymentStatus: 'partially_refunded', amountRefunded: '10.00' }));
+    const payload = fixture('charge.refunded').replace('"amount_refunded": 1000', '"amount_refunded": 2599');
+
+    await deliver(payload);
+
+    expect(prisma.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({ data: { amountRefunded: '25.99', paymentStatus: 'refunded' } }));
+    expect(prisma.orderStatusHistory.create).toHaveBeenCalledWith({ data: expect.objectContaining({ note: '$15.99 refunded ($25.99 of $25.99 in total)' }) });
+  });
+
+  it('ignores events for payments that are not ours', async () => {
+    prisma.order.findUnique.mockResolvedValueOnce(null);
+
+    const res = await deliver(fixture('payment_intent.succeeded'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, outcome: 'ignored' });
+    expect(prisma.paymentEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('ignores event types it does not handle', async () => {
+    const res = await deliver(JSON.stringify({ id: 'evt_1', type: 'customer.created', data: { object: { id: 'cus_1' } } }));
+
+    expect(res.body).toMatchObject({ outcome: 'ignored' });
+    expect(prisma.order.findUnique).not.toHaveBeenCalled();
+  });
+});
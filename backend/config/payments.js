@@ -0,0 +1,13 @@
+// Payment settings used by checkout and services/payments.
+
+module.exports = {
+  // Limits for the create-order transaction, which reserves stock and claims the promo code: how long it may wait
+  // for a connection, and how long it may run before it is rolled back. The payment intent is opened after it commits.
+  checkoutTransaction: {
+    maxWait: Number(process.env.CHECKOUT_TX_MAX_WAIT_MS || 5000),
+    timeout: Number(process.env.CHECKOUT_TX_TIMEOUT_MS || 20000),
+  },
+  // Orders whose payment is still not completed this long after they were placed are expired: their intent (if one
+  // was opened) is cancelled and the stock and promo code use they hold are released.
+  pendingPaymentTtlMs: Number(process.env.PENDING_PAYMENT_TTL_MS || 30 * 60 * 1000),
+};
@@ -0,0 +1,15 @@
+// Return policy used by services/returns.js. Keep it in step with the copy on the Shipping & Returns page.
+
+module.exports = {
+  // Days after delivery (the DELIVERED entry in the order's status history) a return can be started.
+  windowDays: Number(process.env.RETURN_WINDOW_DAYS || 30),
+  // Reason codes customers pick per item, with the label shown to them and to staff.
+  reasons: {
+    damaged: 'Arrived damaged',
+    defective: 'Stopped working or faulty',
+    wrong_item: 'Wrong item received',
+    not_as_described: 'Not as described',
+    no_longer_needed: 'No longer needed',
+    other: 'Other',
+  },
+};
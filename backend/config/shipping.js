@@ -0,0 +1,127 @@
+// Shipping methods, rate tables and the fulfillment calendar used by services/shipping.js.
+// Amounts and subtotal thresholds are in cents of the store currency; weights are in grams.
+// A rate band applies up to and including `upTo`; `null` means no upper limit.
+
+const extraHolidays = (process.env.SHIPPING_HOLIDAYS || '')
+  .split(',')
+  .map(date => date.trim())
+  .filter(Boolean);
+
+module.exports = {
+  // Cutoffs and business days are counted on the warehouse clock.
+  timeZone: process.env.SHIPPING_TIME_ZONE || 'America/New_York',
+  // Orders placed after this local time, or on a non-business day, leave the next business day.
+  cutoffTime: process.env.SHIPPING_CUTOFF_TIME || '14:00',
+  // Days the warehouse ships and carriers deliver (0 = Sunday).
+  businessDays: [1, 2, 3, 4, 5],
+  // Carrier holidays (observed dates), plus any listed in SHIPPING_HOLIDAYS as YYYY-MM-DD.
+  holidays: [
+    '2026-01-01',
+    '2026-05-25',
+    '2026-07-03',
+    '2026-09-07',
+    '2026-11-26',
+    '2026-12-25',
+    '2027-01-01',
+    '2027-05-31',
+    '2027-07-05',
+    '2027-09-06',
+    '2027-11-25',
+    '2027-12-24',
+    ...extraHolidays,
+  ],
+  defaultMethod: 'standard',
+  // Checked in order; the first zone listing the destination country wins and '*' matches any country.
+  // Quotes without a country yet are priced for the first zone.
+  zones: [
+    { code: 'domestic', countries: ['US'] },
+    { code: 'north_america', countries: ['CA', 'MX'] },
+    { code: 'international', countries: '*' },
+  ],
+  // A method is offered only in the zones it has a rate table for.
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard',
+      description: 'Ground delivery',
+      zones: {
+        domestic: {
+          transitDays: [3, 5],
+          basis: 'subtotal',
+          rates: [
+            { upTo: 4999, amount: 599 },
+            { upTo: null, amount: 0 },
+          ],
+        },
+        north_america: {
+          transitDays: [5, 8],
+          basis: 'weight',
+          rates: [
+            { upTo: 1000, amount: 1299 },
+            { upTo: 5000, amount: 1999 },
+            { upTo: null, amount: 2999 },
+          ],
+        },
+        international: {
+          transitDays: [7, 14],
+          basis: 'weight',
+          rates: [
+            { upTo: 1000, amount: 1999 },
+            { upTo: 5000, amount: 3499 },
+            { upTo: null, amount: 5499 },
+          ],
+        },
+      },
+    },
+    {
+      code: 'express',
+      name: 'Express',
+      description: 'Two to three business days',
+      zones: {
+        domestic: {
+          transitDays: [2, 3],
+          basis: 'weight',
+          rates: [
+            { upTo: 1000, amount: 1499 },
+            { upTo: 5000, amount: 1999 },
+            { upTo: null, amount: 2999 },
+          ],
+        },
+        north_america: {
+          transitDays: [3, 4],
+          basis: 'weight',
+          rates: [
+            { upTo: 1000, amount: 2999 },
+            { upTo: 5000, amount: 4499 },
+            { upTo: null, amount: 6499 },
+          ],
+        },
+        international: {
+          transitDays: [3, 5],
+          basis: 'weight',
+          rates: [
+            { upTo: 1000, amount: 4999 },
+            { upTo: 5000, amount: 7999 },
+            { upTo: null, amount: 11999 },
+          ],
+        },
+      },
+    },
+    {
+      code: 'overnight',
+      name: 'Overnight',
+      description: 'Next business day',
+      zones: {
+        domestic: {
+          transitDays: [1, 1],
+          basis: 'weight',
+          rates: [
+            { upTo: 1000, amount: 2999 },
+            { upTo: 5000, amount: 3999 },
+            { upTo: null, amount: 5999 },
+          ],
+        },
+      },
+    },
+  ],
+};
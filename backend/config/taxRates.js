@@ -0,0 +1,35 @@
+// Sales tax / VAT table used by services/tax/tableCalculator.js. Rates are percentages per
+// product tax category; a category a rule does not list falls back to its `standard` rate,
+// except `exempt`, which is never taxed. For a destination the most specific matching rule
+// wins: the longest postal code prefix, then a region rule, then the country rule.
+// Destinations no rule covers are not taxed.
+
+const TAX_CATEGORIES = ['standard', 'reduced', 'exempt'];
+
+const rules = [
+  // United States: state rates, with a few city rates by ZIP prefix. States without a rule (OR, MT, ...) have no sales tax.
+  { country: 'US', region: 'CA', name: 'California', rates: { standard: 7.25 } },
+  { country: 'US', region: 'CA', postalPrefix: '900', name: 'Los Angeles, CA', rates: { standard: 9.5 } },
+  { country: 'US', region: 'CA', postalPrefix: '941', name: 'San Francisco, CA', rates: { standard: 8.625 } },
+  { country: 'US', region: 'FL', name: 'Florida', rates: { standard: 6 } },
+  { country: 'US', region: 'IL', name: 'Illinois', rates: { standard: 6.25, reduced: 1 } },
+  { country: 'US', region: 'IL', postalPrefix: '606', name: 'Chicago, IL', rates: { standard: 10.25, reduced: 2.25 } },
+  { country: 'US', region: 'NY', name: 'New York', rates: { standard: 4 } },
+  { country: 'US', region: 'NY', postalPrefix: '100', name: 'New York City, NY', rates: { standard: 8.875 } },
+  { country: 'US', region: 'TX', name: 'Texas', rates: { standard: 6.25 } },
+  { country: 'US', region: 'WA', name: 'Washington', rates: { standard: 6.5 } },
+  // Canada: GST, or the combined HST / GST + PST rate by province.
+  { country: 'CA', name: 'Canada (GST)', rates: { standard: 5 } },
+  { country: 'CA', region: 'BC', name: 'British Columbia', rates: { standard: 12 } },
+  { country: 'CA', region: 'ON', name: 'Ontario (HST)', rates: { standard: 13 } },
+  { country: 'CA', region: 'QC', name: 'Quebec', rates: { standard: 14.975 } },
+  // VAT / GST countries.
+  { country: 'GB', name: 'United Kingdom (VAT)', rates: { standard: 20, reduced: 5 } },
+  { country: 'IE', name: 'Ireland (VAT)', rates: { standard: 23, reduced: 13.5 } },
+  { country: 'DE', name: 'Germany (VAT)', rates: { standard: 19, reduced: 7 } },
+  { country: 'FR', name: 'France (VAT)', rates: { standard: 20, reduced: 5.5 } },
+  { country: 'AU', name: 'Australia (GST)', rates: { standard: 10 } },
+  { country: 'NZ', name: 'New Zealand (GST)', rates: { standard: 15 } },
+];
+
+module.exports = { TAX_CATEGORIES, rules };
@@ -0,0 +1,13 @@
+// Outbound webhook settings used by services/webhooks.
+
+module.exports = {
+  // A product.stock_low event is sent when a product's stock drops to this many units or fewer.
+  lowStockThreshold: Number(process.env.LOW_STOCK_THRESHOLD || 5),
+  // How long a receiver gets to answer before the attempt counts as failed.
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+  // Attempts per delivery before it is marked failed and left for a manual replay.
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+  // The wait before the second attempt; it doubles after every further failure, up to maxBackoffMs.
+  backoffMs: Number(process.env.WEBHOOK_BACKOFF_MS || 30000),
+  maxBackoffMs: 6 * 60 * 60 * 1000,
+};
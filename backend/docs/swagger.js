@@ -44,6 +44,16 @@ const swaggerDefinition = {
       BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
     },
     schemas: {
+      Money: {
+        type: 'object',
+        description: 'An exact amount of money',
+        properties: {
+          amount: { type: 'integer', description: 'Amount in minor units of the currency (cents for USD)' },
+          currency: { type: 'string', description: 'ISO 4217 currency code' },
+          formatted: { type: 'string', description: 'Display string, e.g. "$99.99"' },
+        },
+        example: { amount: 9999, currency: 'USD', formatted: '$99.99' },
+      },
       Product: {
         type: 'object',
         required: ['name', 'price', 'description', 'category'],
@@ -51,7 +61,12 @@ const swaggerDefinition = {
           id: { type: 'string', description: 'Product ID' },
           name: { type: 'string', description: 'Name of the product' },
           description: { type: 'string', description: 'Detailed description of the product' },
-          price: { type: 'number', description: 'Price of the product in USD' },
+          price: { type: 'number', description: 'Price of the product in major units of `currency`' },
+          currency: { type: 'string', description: 'ISO 4217 currency code of the price' },
+          money: {
+            type: 'object',
+            properties: { price: { $ref: '#/components/schemas/Money' } },
+          },
           category: { type: 'string', description: 'Category the product belongs to' },
           brand: { type: 'string', description: 'Brand of the product' },
           stock: { type: 'integer', description: 'Stock count available' },
@@ -64,6 +79,8 @@ const swaggerDefinition = {
           name: 'Wireless Headphones',
           description: 'Noise-cancelling wireless headphones with long battery life.',
           price: 99.99,
+          currency: 'USD',
+          money: { price: { amount: 9999, currency: 'USD', formatted: '$99.99' } },
           category: 'Electronics',
           brand: 'Tekado',
           stock: 150,
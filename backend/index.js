@@ -7,10 +7,20 @@ const client = require('prom-client');
 const prisma = require('./prismaClient');
 const seedDB = require('./seed/productSeeds');
 const syncPinecone = require('./sync/syncPinecone');
+const { startOrderStatusDemo } = require('./services/orderStatusDemo');
+const { startWebhookWorker } = require('./services/webhooks/worker');
+const { startPendingPaymentExpiry } = require('./services/payments/expiry');
 const productRoutes = require('./routes/products');
+const reviewRoutes = require('./routes/reviews');
 const checkoutRoutes = require('./routes/checkout');
 const orderRoutes = require('./routes/orders');
 const authRoutes = require('./routes/auth');
+const promotionRoutes = require('./routes/promotions');
+const addressRoutes = require('./routes/addresses');
+const cartRoutes = require('./routes/cart');
+const returnRoutes = require('./routes/returns');
+const webhookRoutes = require('./routes/webhooks');
+const webhookSubscriptionRoutes = require('./routes/webhookSubscriptions');
 const { setupSwaggerUi, setupSwaggerJson } = require('./docs/swagger');
 
 // Create Express App
@@ -19,6 +29,8 @@ const PORT = process.env.PORT || 8000;
 
 // Middleware
 app.use(cors());
+// Webhook signatures are computed over the raw body, so these routes must see it before express.json parses it.
+app.use('/api/webhooks', webhookRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -87,10 +99,16 @@ setupSwaggerUi(app);
 
 // Routes
 app.use('/api/products', productRoutes);
+app.use('/api/products/:id/reviews', reviewRoutes);
 app.use('/api/checkout', checkoutRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/search', require('./routes/search'));
 app.use('/api/auth', authRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/account/addresses', addressRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/webhook-subscriptions', webhookSubscriptionRoutes);
 
 async function bootstrap() {
   try {
@@ -129,7 +147,24 @@ async function bootstrap() {
       }
     }
 
-    // 3. Start Express server
+    // 3. Demo mode: simulate fulfillment progress for stores without a fulfillment team
+    if (process.env.ORDER_STATUS_DEMO === 'true') {
+      const intervalMs = Number(process.env.ORDER_STATUS_DEMO_INTERVAL_MS || 60000);
+      startOrderStatusDemo({ intervalMs });
+      console.log(`🎲 Order status demo mode on (every ${intervalMs / 1000}s).`);
+    }
+
+    // 4. Send queued outbound webhooks; set WEBHOOK_WORKER=false on instances that should leave it to others.
+    if (process.env.WEBHOOK_WORKER !== 'false') {
+      startWebhookWorker({ intervalMs: Number(process.env.WEBHOOK_WORKER_INTERVAL_MS || 5000) });
+    }
+
+    // 5. Expire orders left unpaid, releasing their stock and promo code use; PAYMENT_EXPIRY=false leaves it to other instances.
+    if (process.env.PAYMENT_EXPIRY !== 'false') {
+      startPendingPaymentExpiry({ intervalMs: Number(process.env.PAYMENT_EXPIRY_INTERVAL_MS || 60000) });
+    }
+
+    // 6. Start Express server
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server ready on port ${PORT}.`);
     });
@@ -10,6 +10,10 @@ module.exports = function (req, res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    // Order change and order events tokens are signed with the same secret but carry no user.
+    if (!decoded.user) {
+      return res.status(401).json({ msg: 'Token is not valid' });
+    }
     req.user = decoded.user;
     next();
   } catch (err) {
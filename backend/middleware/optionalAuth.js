@@ -18,7 +18,8 @@ module.exports = function optionalAuth(req, _res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded.user;
+    // Order change and order events tokens carry no user and leave the request a guest.
+    req.user = decoded.user || undefined;
   } catch (err) {
     // Optional auth: ignore invalid/expired tokens and treat as guest.
     req.user = undefined;
@@ -0,0 +1,28 @@
+const prisma = require('../prismaClient');
+
+/**
+ * Authorization middleware for management routes. Mount after `auth.js`, e.g.
+ * `router.get('/users', authMiddleware, requireRole('admin'), handler)`.
+ *
+ * The role in the token lets non-admins be turned away without a query; admins are
+ * re-checked against the database so a demotion takes effect before the token expires.
+ */
+module.exports = function requireRole(...roles) {
+  return async function (req, res, next) {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ msg: 'You do not have permission to perform this action' });
+    }
+
+    try {
+      const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { role: true } });
+      if (!user || !roles.includes(user.role)) {
+        return res.status(403).json({ msg: 'You do not have permission to perform this action' });
+      }
+      req.user.role = user.role;
+      next();
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  };
+};
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "verificationAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "verificationSentAt" TIMESTAMP(3);
+
+-- Codes are now stored hashed; any plaintext code issued before this migration is unusable.
+UPDATE "User" SET "verificationCode" = NULL, "verificationCodeExpiresAt" = NULL WHERE "verificationCode" IS NOT NULL;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'fulfillment' BEFORE 'admin';
+
+-- AlterTable
+ALTER TABLE "OrderStatusHistory" ADD COLUMN     "actor" TEXT NOT NULL DEFAULT 'system',
+ADD COLUMN     "actorUserId" INTEGER,
+ADD COLUMN     "note" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "OrderStatusHistory" ADD CONSTRAINT "OrderStatusHistory_actorUserId_fkey" FOREIGN KEY ("actorUserId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('percentage', 'fixed', 'free_shipping');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "subtotal" DECIMAL(65,30) NOT NULL DEFAULT 0,
+ADD COLUMN     "discountTotal" DECIMAL(65,30) NOT NULL DEFAULT 0,
+ADD COLUMN     "shippingTotal" DECIMAL(65,30) NOT NULL DEFAULT 0,
+ADD COLUMN     "couponCode" TEXT,
+ADD COLUMN     "promotionId" INTEGER;
+
+-- Existing orders had no discounts or shipping, so their subtotal is their total.
+UPDATE "Order" SET "subtotal" = "total";
+
+-- CreateTable
+CREATE TABLE "Promotion" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "value" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "minSubtotal" DECIMAL(65,30),
+    "categories" TEXT[],
+    "brands" TEXT[],
+    "productIds" INTEGER[],
+    "maxRedemptions" INTEGER,
+    "maxRedemptionsPerUser" INTEGER,
+    "redemptionCount" INTEGER NOT NULL DEFAULT 0,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Promotion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PromotionRedemption" (
+    "id" SERIAL NOT NULL,
+    "promotionId" INTEGER NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "email" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PromotionRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Promotion_code_key" ON "Promotion"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromotionRedemption_orderId_key" ON "PromotionRedemption"("orderId");
+
+-- CreateIndex
+CREATE INDEX "PromotionRedemption_promotionId_userId_idx" ON "PromotionRedemption"("promotionId", "userId");
+
+-- CreateIndex
+CREATE INDEX "PromotionRedemption_promotionId_email_idx" ON "PromotionRedemption"("promotionId", "email");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "Promotion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "Promotion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromotionRedemption" ADD CONSTRAINT "PromotionRedemption_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "PaymentStatus" AS ENUM ('pending', 'requires_action', 'processing', 'succeeded', 'failed', 'canceled');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "paymentProvider" TEXT,
+ADD COLUMN     "paymentIntentId" TEXT,
+ADD COLUMN     "paymentStatus" "PaymentStatus" NOT NULL DEFAULT 'pending',
+ADD COLUMN     "paidAt" TIMESTAMP(3);
+
+-- Existing orders were accepted by the old in-app card check, so they count as paid.
+UPDATE "Order" SET "paymentStatus" = 'succeeded';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_paymentIntentId_key" ON "Order"("paymentIntentId");
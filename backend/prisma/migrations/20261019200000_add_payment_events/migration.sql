@@ -0,0 +1,27 @@
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'partially_refunded';
+ALTER TYPE "PaymentStatus" ADD VALUE 'refunded';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "amountRefunded" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PaymentEvent" (
+    "id" SERIAL NOT NULL,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "orderId" INTEGER,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentEvent_provider_eventId_key" ON "PaymentEvent"("provider", "eventId");
+
+-- CreateIndex
+CREATE INDEX "PaymentEvent_orderId_idx" ON "PaymentEvent"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentEvent" ADD CONSTRAINT "PaymentEvent_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
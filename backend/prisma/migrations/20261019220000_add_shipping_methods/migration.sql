@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "weightGrams" INTEGER NOT NULL DEFAULT 500;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "deliveryWindowEnd" DATE,
+ADD COLUMN     "deliveryWindowStart" DATE,
+ADD COLUMN     "shippingMethod" TEXT;
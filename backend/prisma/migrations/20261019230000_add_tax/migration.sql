@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "taxCategory" TEXT NOT NULL DEFAULT 'standard';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "taxExempt" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "taxExempt" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "taxJurisdiction" TEXT,
+ADD COLUMN     "taxTotal" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "tax" DECIMAL(65,30) NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DECIMAL(65,30) NOT NULL DEFAULT 0;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "refundDue" DECIMAL(65,30) NOT NULL DEFAULT 0;
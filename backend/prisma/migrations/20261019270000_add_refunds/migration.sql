@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "amountPaid" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- Backfill what paid orders captured. Cancelling records it all as refundDue; edits lowered the total by what
+-- they added to refundDue, and refunded returns added to refundDue without changing the total.
+UPDATE "Order" o
+SET "amountPaid" = CASE
+    WHEN o."cancelledAt" IS NOT NULL THEN o."refundDue"
+    ELSE o."total" + o."refundDue" - COALESCE(
+        (SELECT SUM(r."refundAmount") FROM "ReturnRequest" r WHERE r."orderId" = o."id" AND r."status" = 'refunded'),
+        0
+    )
+END
+WHERE o."paidAt" IS NOT NULL;
+
+-- CreateTable
+CREATE TABLE "Refund" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "reason" TEXT,
+    "provider" TEXT NOT NULL,
+    "providerReference" TEXT,
+    "issuedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Refund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RefundLine" (
+    "id" SERIAL NOT NULL,
+    "refundId" INTEGER NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+
+    CONSTRAINT "RefundLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Refund_orderId_createdAt_idx" ON "Refund"("orderId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RefundLine_refundId_orderItemId_key" ON "RefundLine"("refundId", "orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "Refund" ADD CONSTRAINT "Refund_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Refund" ADD CONSTRAINT "Refund_issuedById_fkey" FOREIGN KEY ("issuedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundLine" ADD CONSTRAINT "RefundLine_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "Refund"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundLine" ADD CONSTRAINT "RefundLine_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
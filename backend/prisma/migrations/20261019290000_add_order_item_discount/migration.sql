@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN "discount" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- Backfill earlier orders, which only stored the order's discount total. Free-shipping codes took nothing off
+-- the items; other codes are spread over the items by price, as returns were valued before.
+UPDATE "OrderItem" i
+SET "discount" = ROUND(o."discountTotal" * i."price" * i."quantity" / o."subtotal", 2)
+FROM "Order" o
+JOIN "Promotion" p ON p."id" = o."promotionId"
+WHERE i."orderId" = o."id"
+  AND p."type" <> 'free_shipping'
+  AND o."discountTotal" > 0
+  AND o."subtotal" > 0;
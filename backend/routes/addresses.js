@@ -0,0 +1,309 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const {
+  MAX_SAVED_ADDRESSES,
+  addressValidators,
+  pickAddress,
+  serializeAddress,
+  clearOtherDefaults,
+  addToAddressBook,
+} = require('../services/addresses');
+
+// Mounted at /api/account/addresses; every route works on the signed-in user's own address book.
+const router = express.Router();
+
+const defaultValidator = check('isDefault', 'isDefault must be a boolean').optional().isBoolean().toBoolean();
+
+const getUserId = req => {
+  const userId = Number(req.user?.id);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+};
+
+const loadOwnedAddress = async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ message: 'Invalid address id' });
+    return null;
+  }
+
+  // Addresses of other users are reported as missing so ids cannot be probed.
+  const address = await prisma.address.findFirst({ where: { id, userId: getUserId(req) } });
+  if (!address) {
+    res.status(404).json({ message: 'Address not found' });
+    return null;
+  }
+  return address;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required: [fullName, line1, city, postalCode, country]
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         fullName:
+ *           type: string
+ *           example: Ada Lovelace
+ *         line1:
+ *           type: string
+ *           example: 12 St James's Square
+ *         line2:
+ *           type: string
+ *           nullable: true
+ *         city:
+ *           type: string
+ *           example: London
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           description: State, province or county
+ *         postalCode:
+ *           type: string
+ *           example: SW1Y 4JH
+ *         country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 code
+ *           example: GB
+ *         phone:
+ *           type: string
+ *           nullable: true
+ *         isDefault:
+ *           type: boolean
+ *           description: Only on saved addresses. Checkout preselects the default.
+ */
+
+/**
+ * @swagger
+ * /api/account/addresses:
+ *   get:
+ *     summary: List your saved addresses
+ *     description: The default address comes first, then the most recently added.
+ *     tags: [Account]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const addresses = await prisma.address.findMany({
+      where: { userId: getUserId(req) },
+      orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }],
+    });
+    res.json(addresses.map(serializeAddress));
+  } catch (err) {
+    console.error('Error listing addresses:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/addresses:
+ *   post:
+ *     summary: Save a new address
+ *     description: The first address saved becomes the default. Saving another with `isDefault` moves the default to it.
+ *     tags: [Account]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: The saved address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       400:
+ *         description: Validation error, or the address book is full
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.post('/', authMiddleware, addressValidators(), defaultValidator, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const userId = getUserId(req);
+  try {
+    const address = await prisma.$transaction(tx => addToAddressBook(tx, userId, req.body, { isDefault: req.body.isDefault === true }));
+
+    if (!address) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_ADDRESSES} addresses. Delete one to add another.` });
+    }
+    res.status(201).json(serializeAddress(address));
+  } catch (err) {
+    console.error('Error saving address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/addresses/{id}:
+ *   get:
+ *     summary: Get one of your saved addresses
+ *     tags: [Account]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: Address not found
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const address = await loadOwnedAddress(req, res);
+    if (!address) return undefined;
+    res.json(serializeAddress(address));
+  } catch (err) {
+    console.error('Error loading address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/addresses/{id}:
+ *   patch:
+ *     summary: Edit a saved address
+ *     description: Orders already placed keep the address they were shipped to. Send `isDefault` as true to make this the default; the default cannot be unset directly, only moved.
+ *     tags: [Account]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: The updated address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Address not found
+ */
+router.patch('/:id', authMiddleware, addressValidators({ partial: true }), defaultValidator, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existing = await loadOwnedAddress(req, res);
+    if (!existing) return undefined;
+
+    const fields = pickAddress(req.body);
+    const data = {};
+    for (const key of Object.keys(fields)) {
+      if (req.body[key] !== undefined) data[key] = fields[key];
+    }
+    if (req.body.isDefault === true) data.isDefault = true;
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ message: 'No updatable fields provided' });
+    }
+
+    const address = await prisma.$transaction(async tx => {
+      const updated = await tx.address.update({ where: { id: existing.id }, data });
+      if (data.isDefault) {
+        await clearOtherDefaults(tx, existing.userId, existing.id);
+      }
+      return updated;
+    });
+
+    res.json(serializeAddress(address));
+  } catch (err) {
+    console.error('Error updating address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/addresses/{id}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: Deleting the default makes the most recently added remaining address the default.
+ *     tags: [Account]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       404:
+ *         description: Address not found
+ */
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const existing = await loadOwnedAddress(req, res);
+    if (!existing) return undefined;
+
+    await prisma.$transaction(async tx => {
+      await tx.address.delete({ where: { id: existing.id } });
+      if (existing.isDefault) {
+        const next = await tx.address.findFirst({ where: { userId: existing.userId }, orderBy: { createdAt: 'desc' } });
+        if (next) {
+          await tx.address.update({ where: { id: next.id }, data: { isDefault: true } });
+        }
+      }
+    });
+
+    res.json({ message: 'Address deleted', id: existing.id });
+  } catch (err) {
+    console.error('Error deleting address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
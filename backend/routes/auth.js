@@ -1,15 +1,57 @@
 const express = require('express');
+const { createHash, randomBytes, randomInt } = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const prisma = require('../prismaClient');
 const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { sendVerificationEmail, sendPasswordResetEmail, isEmailConfigured } = require('../services/mailer');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET;
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+const PASSWORD_RESET_REQUEST_MSG = 'If an account exists for that email, we sent a link to reset the password.';
+const EMAIL_VERIFICATION_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES || 15);
+const EMAIL_VERIFICATION_MAX_ATTEMPTS = Number(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS || 5);
+const EMAIL_VERIFICATION_RESEND_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || 60);
+const VERIFICATION_REQUEST_MSG = 'If that account still needs verification, we sent a new code.';
+const INVALID_VERIFICATION_MSG = 'This verification code is invalid or has expired. Please request a new one.';
+
+// The role rides along so the client can tailor its UI; requireRole still re-checks it server-side.
+const tokenPayload = user => ({ user: { id: user.id, role: user.role || 'customer' } });
 
 const normalizeEmail = email => String(email || '').trim().toLowerCase();
 
+// Only hashes of reset tokens and verification codes are stored, so a leaked database cannot be used to redeem them.
+const hashSecret = secret => createHash('sha256').update(String(secret)).digest('hex');
+
+// Read per request so the policy can be flipped without touching code. Defaults to requiring verification.
+const requiresVerifiedEmail = () => process.env.REQUIRE_VERIFIED_EMAIL !== 'false';
+
+// Without SMTP there is no way to receive the code locally, so development responses include it.
+const devVerificationCode = code => (!isEmailConfigured() && process.env.NODE_ENV !== 'production' ? { devVerificationCode: code } : {});
+
+const buildVerificationCode = () => {
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const now = new Date();
+  return {
+    code,
+    data: {
+      verificationCode: hashSecret(code),
+      verificationCodeExpiresAt: new Date(now.getTime() + EMAIL_VERIFICATION_TTL_MINUTES * 60 * 1000),
+      verificationAttempts: 0,
+      verificationSentAt: now,
+    },
+  };
+};
+
+const deliverVerificationCode = (email, code) => {
+  // Not awaited: a slow SMTP server should not hold up registration.
+  sendVerificationEmail(email, code, EMAIL_VERIFICATION_TTL_MINUTES).catch(err => console.error('Verification email failed:', err.message));
+};
+
 router.post(
   '/register',
   [
@@ -35,19 +77,28 @@ router.post(
       const salt = await bcrypt.genSalt(10);
       const hashed = await bcrypt.hash(password, salt);
 
+      const verification = buildVerificationCode();
       const user = await prisma.user.create({
         data: {
           name,
           email: normalizedEmail,
           password: hashed,
-          emailVerified: true,
-          verificationCode: null,
-          verificationCodeExpiresAt: null,
-          verifiedAt: new Date(),
+          emailVerified: false,
+          ...verification.data,
         },
       });
+      deliverVerificationCode(normalizedEmail, verification.code);
 
-      const payload = { user: { id: user.id } };
+      if (requiresVerifiedEmail()) {
+        return res.status(200).json({
+          msg: 'Account created. Enter the code we emailed you to verify your address.',
+          email: normalizedEmail,
+          requiresVerification: true,
+          ...devVerificationCode(verification.code),
+        });
+      }
+
+      const payload = tokenPayload(user);
       jwt.sign(payload, JWT_SECRET, { expiresIn: '48h' }, (err, token) => {
         if (err) throw err;
         return res.status(200).json({ token });
@@ -84,7 +135,12 @@ router.post(
         return res.status(400).json({ msg: 'Invalid credentials' });
       }
 
-      const payload = { user: { id: user.id } };
+      // Checked after the password so the response does not reveal which emails are registered.
+      if (!user.emailVerified && requiresVerifiedEmail()) {
+        return res.status(403).json({ msg: 'Please verify your email before signing in.', code: 'EMAIL_NOT_VERIFIED', email: user.email });
+      }
+
+      const payload = tokenPayload(user);
 
       jwt.sign(payload, JWT_SECRET, { expiresIn: '48h' }, (err, token) => {
         if (err) throw err;
@@ -97,25 +153,38 @@ router.post(
   }
 );
 
-// Simple email existence check for reset flows
-router.post('/verify-email', [check('email', 'Please include a valid email').isEmail()], async (req, res) => {
+// Always answers the same way so the endpoint cannot be used to discover which emails have accounts.
+router.post('/password-reset/request', [check('email', 'Please include a valid email').isEmail()], async (req, res) => {
   const errors = validationResult(req);
 
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { email } = req.body;
-  const normalizedEmail = normalizeEmail(email);
+  const normalizedEmail = normalizeEmail(req.body.email);
 
   try {
     const user = await prisma.user.findUnique({ where: { email: normalizedEmail } });
 
-    if (!user) {
-      return res.status(400).json({ msg: 'Invalid email. User not found' });
+    if (user) {
+      const token = randomBytes(32).toString('hex');
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          passwordResetTokenHash: hashSecret(token),
+          passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        },
+      });
+
+      const resetUrl = `${FRONTEND_URL}/reset-password?token=${token}`;
+      if (!isEmailConfigured() && process.env.NODE_ENV !== 'production') {
+        console.info(`[dev] Password reset link for ${normalizedEmail}: ${resetUrl}`);
+      }
+      // Not awaited: response time must not depend on whether an email went out.
+      sendPasswordResetEmail(normalizedEmail, resetUrl, PASSWORD_RESET_TTL_MINUTES).catch(err => console.error('Password reset email failed:', err.message));
     }
 
-    res.json({ msg: 'Email is valid, you can proceed to reset your password' });
+    res.json({ msg: PASSWORD_RESET_REQUEST_MSG });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -123,8 +192,8 @@ router.post('/verify-email', [check('email', 'Please include a valid email').isE
 });
 
 router.post(
-  '/reset-password',
-  [check('email', 'Please include a valid email').isEmail(), check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })],
+  '/password-reset/confirm',
+  [check('token', 'Reset token is required').isString().notEmpty(), check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })],
   async (req, res) => {
     const errors = validationResult(req);
 
@@ -132,24 +201,129 @@ router.post(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password } = req.body;
-    const normalizedEmail = normalizeEmail(email);
+    const { token, password } = req.body;
+    const tokenHash = hashSecret(token);
+
+    try {
+      const salt = await bcrypt.genSalt(10);
+      const hashed = await bcrypt.hash(password, salt);
+
+      // Matching on the hash and expiry in the update itself makes the token single-use even under concurrent requests.
+      const { count } = await prisma.user.updateMany({
+        where: { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { gt: new Date() } },
+        data: { password: hashed, passwordResetTokenHash: null, passwordResetExpiresAt: null },
+      });
+
+      if (count === 0) {
+        return res.status(400).json({ msg: 'This reset link is invalid or has expired. Please request a new one.' });
+      }
+
+      res.json({ msg: 'Password successfully reset' });
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+router.post('/request-verification', [check('email', 'Please include a valid email').isEmail()], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const normalizedEmail = normalizeEmail(req.body.email);
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+    if (!user || user.emailVerified) {
+      return res.json({ msg: VERIFICATION_REQUEST_MSG });
+    }
+
+    // The cooldown is part of the update's filter, so concurrent resends cannot both get through.
+    const resendAllowedBefore = new Date(Date.now() - EMAIL_VERIFICATION_RESEND_SECONDS * 1000);
+    const verification = buildVerificationCode();
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        emailVerified: false,
+        OR: [{ verificationSentAt: null }, { verificationSentAt: { lte: resendAllowedBefore } }],
+      },
+      data: verification.data,
+    });
+
+    if (count === 0) {
+      const lastSentAt = user.verificationSentAt ? new Date(user.verificationSentAt).getTime() : Date.now();
+      const retryAfter = Math.max(1, Math.ceil((lastSentAt + EMAIL_VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ msg: `Please wait ${retryAfter} seconds before requesting another code.`, retryAfter });
+    }
+
+    deliverVerificationCode(normalizedEmail, verification.code);
+    res.json({ msg: VERIFICATION_REQUEST_MSG, ...devVerificationCode(verification.code) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+router.post(
+  '/confirm-email',
+  [
+    check('email', 'Please include a valid email').isEmail(),
+    check('code', 'Enter the 6-digit code from the email').isString().trim().matches(/^\d{6}$/),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const normalizedEmail = normalizeEmail(req.body.email);
+    const codeHash = hashSecret(req.body.code);
 
     try {
       const user = await prisma.user.findUnique({ where: { email: normalizedEmail } });
 
-      if (!user) {
-        return res.status(400).json({ msg: 'Invalid email. User not found' });
+      if (user?.emailVerified) {
+        return res.status(400).json({ msg: 'This email is already verified. Please sign in.' });
+      }
+      if (!user || !user.verificationCode || !user.verificationCodeExpiresAt || new Date(user.verificationCodeExpiresAt) <= new Date()) {
+        return res.status(400).json({ msg: INVALID_VERIFICATION_MSG });
+      }
+
+      // Spend an attempt before comparing so parallel guesses cannot exceed the limit.
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, verificationCode: user.verificationCode, verificationAttempts: { lt: EMAIL_VERIFICATION_MAX_ATTEMPTS } },
+        data: { verificationAttempts: { increment: 1 } },
+      });
+      if (count === 0) {
+        return res.status(429).json({ msg: 'Too many incorrect attempts. Please request a new code.' });
+      }
+
+      if (codeHash !== user.verificationCode) {
+        const attemptsRemaining = Math.max(0, EMAIL_VERIFICATION_MAX_ATTEMPTS - user.verificationAttempts - 1);
+        return res.status(400).json({ msg: 'Incorrect verification code.', attemptsRemaining });
       }
 
-      const salt = await bcrypt.genSalt(10);
-      const hashed = await bcrypt.hash(password, salt);
       await prisma.user.update({
-        where: { email: normalizedEmail },
-        data: { password: hashed },
+        where: { id: user.id },
+        data: {
+          emailVerified: true,
+          verifiedAt: new Date(),
+          verificationCode: null,
+          verificationCodeExpiresAt: null,
+          verificationAttempts: 0,
+        },
       });
 
-      res.json({ msg: 'Password successfully reset' });
+      const payload = tokenPayload(user);
+      jwt.sign(payload, JWT_SECRET, { expiresIn: '48h' }, (err, token) => {
+        if (err) throw err;
+        res.json({ token });
+      });
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server error');
@@ -157,16 +331,18 @@ router.post(
   }
 );
 
-router.get('/users', authMiddleware, async (_req, res) => {
+router.get('/users', authMiddleware, requireRole('admin'), async (_req, res) => {
   try {
     const users = await prisma.user.findMany({
       select: {
         id: true,
         name: true,
         email: true,
+        role: true,
         emailVerified: true,
         createdAt: true,
         verifiedAt: true,
+        taxExempt: true,
       },
       orderBy: { createdAt: 'desc' },
     });
@@ -178,4 +354,33 @@ router.get('/users', authMiddleware, async (_req, res) => {
   }
 });
 
+// Exempt customers (resellers, charities) are charged no tax at checkout; orders already placed keep their tax.
+router.patch(
+  '/users/:id/tax-exempt',
+  authMiddleware,
+  requireRole('admin'),
+  [check('id', 'Invalid user id').isInt({ min: 1 }), check('taxExempt', 'taxExempt must be true or false').isBoolean().toBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await prisma.user.update({
+        where: { id: Number(req.params.id) },
+        data: { taxExempt: req.body.taxExempt },
+        select: { id: true, name: true, email: true, role: true, taxExempt: true },
+      });
+      res.json(user);
+    } catch (err) {
+      if (err?.code === 'P2025') {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+      console.error(err.message);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 module.exports = router;
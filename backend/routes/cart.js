@@ -0,0 +1,316 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const {
+  MAX_CART_ITEM_QUANTITY,
+  CartError,
+  findCart,
+  reloadCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart,
+  serializeCart,
+} = require('../services/cart');
+
+// Mounted at /api/cart. Signed-in shoppers get the cart of their account; guests send the token
+// of their cart in `x-cart-token`, and get a new one back from the first item they add.
+const router = express.Router();
+
+const CART_ERROR_STATUS = {
+  PRODUCT_NOT_FOUND: 404,
+  ITEM_NOT_FOUND: 404,
+  INSUFFICIENT_STOCK: 409,
+};
+
+const quantityValidator = () => check('quantity', `Quantity must be a whole number from 1 to ${MAX_CART_ITEM_QUANTITY}`).isInt({ min: 1, max: MAX_CART_ITEM_QUANTITY }).toInt();
+const productIdValidator = check('productId', 'Invalid product id').isInt({ min: 1 }).toInt();
+
+const cartOwner = req => {
+  const userId = Number(req.user?.id);
+  return Number.isInteger(userId) && userId > 0 ? { userId } : { token: req.header('x-cart-token') };
+};
+
+const sendCartError = (res, err) => {
+  const body = { message: err.message, reason: err.reason };
+  if (err.available !== undefined) body.available = err.available;
+  return res.status(CART_ERROR_STATUS[err.reason] || 400).json(body);
+};
+
+// Runs `change` on the shopper's cart in one transaction and responds with the cart as it is afterwards.
+const changeCart = (req, res, { create = false, status = 200 }, change) =>
+  prisma
+    .$transaction(async tx => {
+      const cart = await findCart(tx, cartOwner(req), { create });
+      if (!cart) throw new CartError('ITEM_NOT_FOUND');
+      await change(tx, cart);
+      return reloadCart(tx, cart);
+    })
+    .then(cart => res.status(status).json(serializeCart(cart)))
+    .catch(err => {
+      if (err instanceof CartError) return sendCartError(res, err);
+      console.error('Error updating cart:', err);
+      return res.status(500).json({ message: 'Server error' });
+    });
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ errors: errors.array() });
+  return true;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           nullable: true
+ *           description: Guest carts only. Send it back in `x-cart-token` to keep using this cart, and to `POST /api/cart/merge` after signing in.
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *               product:
+ *                 $ref: '#/components/schemas/Product'
+ *         itemCount:
+ *           type: integer
+ *           description: Total quantity across all items.
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         subtotal:
+ *           type: number
+ *         money:
+ *           type: object
+ *           properties:
+ *             subtotal:
+ *               $ref: '#/components/schemas/Money'
+ *   parameters:
+ *     CartToken:
+ *       in: header
+ *       name: x-cart-token
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: Token of a guest cart. Ignored when the request is signed in.
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get the current cart
+ *     description: A guest without a cart yet gets an empty one; nothing is stored until the first item is added.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(prisma, cartOwner(req));
+    res.json(serializeCart(cart));
+  } catch (err) {
+    console.error('Error loading cart:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add a product to the cart
+ *     description: Adding a product that is already in the cart adds to its quantity. Creates the cart when there is none yet.
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId]
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Not enough stock; `available` says how many are left
+ */
+router.post('/items', optionalAuth, [productIdValidator, quantityValidator().optional()], (req, res) => {
+  if (rejectInvalid(req, res)) return undefined;
+  const { productId, quantity = 1 } = req.body;
+  return changeCart(req, res, { create: true, status: 201 }, (tx, cart) => addCartItem(tx, cart, { productId, quantity }));
+});
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   patch:
+ *     summary: Change the quantity of a product in the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: The product is not in the cart
+ *       409:
+ *         description: Not enough stock; `available` says how many are left
+ *   delete:
+ *     summary: Remove a product from the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: The product is not in the cart
+ */
+router.patch('/items/:productId', optionalAuth, [productIdValidator, quantityValidator()], (req, res) => {
+  if (rejectInvalid(req, res)) return undefined;
+  const { productId } = req.params;
+  return changeCart(req, res, {}, (tx, cart) => setCartItemQuantity(tx, cart, { productId, quantity: req.body.quantity }));
+});
+
+router.delete('/items/:productId', optionalAuth, [productIdValidator], (req, res) => {
+  if (rejectInvalid(req, res)) return undefined;
+  return changeCart(req, res, {}, (tx, cart) => removeCartItem(tx, cart, req.params.productId));
+});
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     summary: Empty the cart
+ *     tags: [Cart]
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: The empty cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(prisma, cartOwner(req));
+    if (cart) await clearCart(prisma, cart);
+    res.json(serializeCart(cart && { ...cart, items: [] }));
+  } catch (err) {
+    console.error('Error clearing cart:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/merge:
+ *   post:
+ *     summary: Move a guest cart into your cart
+ *     description: Call after signing in with the token of the cart used as a guest. Quantities of products in both carts are added, up to the stock on hand, and the guest cart is deleted. Unknown tokens leave your cart unchanged.
+ *     tags: [Cart]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [cartToken]
+ *             properties:
+ *               cartToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Your cart after the merge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.post('/merge', authMiddleware, [check('cartToken', 'cartToken is required').isString().trim().notEmpty()], async (req, res) => {
+  if (rejectInvalid(req, res)) return undefined;
+  try {
+    const cart = await prisma.$transaction(tx => mergeGuestCart(tx, { userId: Number(req.user.id), token: req.body.cartToken }));
+    return res.json(serializeCart(cart));
+  } catch (err) {
+    console.error('Error merging carts:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
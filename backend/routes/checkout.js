@@ -2,15 +2,132 @@ const express = require('express');
 const { randomInt } = require('crypto');
 const prisma = require('../prismaClient');
 const { ORDER_STATUS_FLOW, ensureInitialStatus } = require('../utils/orderStatus');
+const { OrderNotFoundError, transitionOrderStatus } = require('../services/orderTransitions');
 const optionalAuth = require('../middleware/optionalAuth');
+const { InsufficientStockError, reserveStock } = require('../services/inventory');
+const { readIdempotencyKey, hashRequest, findStoredResponse, storeResponse, isDuplicateKeyError } = require('../services/idempotency');
+const { PromotionError, normalizeCouponCode, recordRedemption } = require('../services/promotions');
+const { loadOrderLines, priceOrder, serializePricing, serializeOrderItem } = require('../services/pricing');
+const { PAYMENT_ACTOR, PaymentError, getPaymentProvider, confirmOrderPayment, markOrderPaymentFailed } = require('../services/payments');
+const { validateAddress, pickAddress, formatAddress, serializeOrderAddress, addToAddressBook } = require('../services/addresses');
+const { ShippingError, normalizeShippingMethod, serializeShippingOption, orderDeliveryFields } = require('../services/shipping');
+const { toDecimalString, fromMinorUnits } = require('../utils/money');
+const { enqueueWebhookEvent, orderEventData } = require('../services/webhooks');
+const { checkoutTransaction } = require('../config/payments');
 
 const router = express.Router();
 
-// Default: skip card validation for demo/dev; set SKIP_CARD_VALIDATION=false to enforce strict checks
-const SKIP_CARD_VALIDATION = process.env.SKIP_CARD_VALIDATION !== 'false';
-
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+const CREATE_ORDER_SCOPE = 'checkout:create-order';
+
+// Card details are entered into the payment provider's form and must never be posted here.
+const RAW_CARD_FIELDS = ['cardNumber', 'expiry', 'cvc'];
+
+const PAYMENT_METHOD_PATTERN = /^pm_[A-Za-z0-9_]+$/;
+
+// Client secrets are never stored, not even in idempotent responses; replays fetch them from the provider again.
+// The stored response is written before the intent exists, so the intent is read from the order.
+const attachClientSecret = async body => {
+  const payment = body?.payment;
+  if (!payment?.provider || payment.status === 'succeeded') return body;
+  const order = await prisma.order.findUnique({
+    where: { orderNumber: body.orderNumber },
+    select: { paymentProvider: true, paymentIntentId: true, paymentStatus: true },
+  });
+  if (!order?.paymentIntentId) return { ...body, payment: { ...payment, status: order?.paymentStatus ?? payment.status } };
+  const current = await getPaymentProvider(order.paymentProvider).retrievePayment(order.paymentIntentId);
+  return { ...body, payment: { ...payment, intentId: order.paymentIntentId, status: current.status, clientSecret: current.clientSecret } };
+};
+
+const replayStoredResponse = async (res, stored) => {
+  const body = await attachClientSecret(stored.body);
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(stored.statusCode).json(body);
+};
+
+// An intent that could not be stored on its order must never be paid. Best effort: its client secret was never handed out.
+const cancelOrphanedPayment = async (provider, payment, orderNumber) => {
+  try {
+    await provider.cancelPayment(payment.id);
+  } catch (error) {
+    console.error(`Failed to cancel payment ${payment.id} of order ${orderNumber}:`, error.message);
+  }
+};
+
+/**
+ * Opens the payment intent for an order that has been committed with its stock reserved and a
+ * pending payment, and stores it on the order. This runs after the checkout transaction so no row
+ * locks are held while the provider answers. When the intent cannot be opened or stored, the order
+ * is expired like a failed payment, which gives back its stock and promo code use, and the error is
+ * rethrown; an order left behind by a crash is expired by the pending payment sweep.
+ */
+async function openOrderPayment(provider, order, { amount, currency, email }) {
+  let payment = null;
+  try {
+    payment = await provider.createPayment({ amount, currency, orderNumber: order.orderNumber, email });
+    const { count } = await prisma.order.updateMany({
+      where: { id: order.id, paymentIntentId: null, paymentStatus: 'pending' },
+      data: { paymentIntentId: payment.id, paymentStatus: payment.status },
+    });
+    if (count === 0) throw new Error(`Order ${order.orderNumber} was no longer waiting for its payment`);
+    return payment;
+  } catch (error) {
+    if (payment) await cancelOrphanedPayment(provider, payment, order.orderNumber);
+    try {
+      await markOrderPaymentFailed(order, { note: 'The payment could not be started' });
+    } catch (expireError) {
+      console.error(`Failed to expire order ${order.orderNumber} without a payment:`, expireError.message);
+    }
+    throw error;
+  }
+}
+
+const getUserId = req => {
+  const userId = Number(req.user?.id);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+};
+
+const couponErrorBody = error => ({ error: error.message, code: 'INVALID_COUPON', reason: error.reason });
+
+const paymentErrorBody = error => ({ error: error.message, code: 'PAYMENT_ERROR', reason: error.reason });
+
+const shippingErrorBody = error => ({ error: error.message, code: 'INVALID_SHIPPING_METHOD', reason: error.reason });
+
+const invalidAddressBody = fields => ({ error: 'Please check the shipping address.', code: 'INVALID_ADDRESS', fields });
+
+/**
+ * Reads where to ship from the body: `shippingAddressId` (a saved address of the signed-in
+ * customer) or a `shippingAddress` object. Returns `{ savedAddressId }`, `{ address }` or
+ * `{ error }` with a 400 body. With `partial`, an incomplete address is fine (quotes only need
+ * the fields that affect pricing).
+ */
+async function readShippingAddress(req, { partial = false } = {}) {
+  const { shippingAddressId, shippingAddress } = req.body;
+  if (shippingAddressId !== undefined && shippingAddressId !== null) {
+    const id = Number(shippingAddressId);
+    if (!Number.isInteger(id) || id <= 0) {
+      return { error: { error: 'shippingAddressId must be the id of a saved address.' } };
+    }
+    return { savedAddressId: id };
+  }
+  if (shippingAddress === undefined || shippingAddress === null) {
+    return { address: null };
+  }
+  if (typeof shippingAddress !== 'object' || Array.isArray(shippingAddress)) {
+    return { error: invalidAddressBody([{ path: 'shippingAddress', msg: 'Shipping address must be an object with fullName, line1, city, postalCode and country' }]) };
+  }
+
+  const errors = await validateAddress(req, { prefix: 'shippingAddress.', partial });
+  if (errors.length) {
+    return { error: invalidAddressBody(errors.map(({ path, msg }) => ({ path, msg }))) };
+  }
+  return { address: pickAddress(shippingAddress) };
+}
+
+// Saved addresses only resolve for their owner; anyone else gets the same answer as for a missing one.
+const findSavedAddress = async (id, userId) => (userId ? prisma.address.findFirst({ where: { id, userId } }) : null);
+
 async function generateOrderNumber() {
   for (let attempt = 0; attempt < 6; attempt += 1) {
     const candidate = `FE-${randomInt(100000, 999999)}`;
@@ -23,14 +140,73 @@ async function generateOrderNumber() {
   return `FE-${Date.now()}`;
 }
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryWindow:
+ *       type: object
+ *       description: First and last day the order is expected to arrive, counted in business days from when it leaves the warehouse.
+ *       properties:
+ *         start:
+ *           type: string
+ *           format: date
+ *           example: '2026-10-22'
+ *         end:
+ *           type: string
+ *           format: date
+ *           example: '2026-10-26'
+ *     ShippingOption:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [standard, express, overnight]
+ *         name:
+ *           type: string
+ *           example: Express
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           example: 14.99
+ *         money:
+ *           type: object
+ *           properties:
+ *             amount:
+ *               $ref: '#/components/schemas/Money'
+ *         deliveryWindow:
+ *           $ref: '#/components/schemas/DeliveryWindow'
+ *     TaxSummary:
+ *       type: object
+ *       description: Where `taxTotal` is owed. Shipping is not taxed.
+ *       properties:
+ *         jurisdiction:
+ *           type: string
+ *           nullable: true
+ *           description: The tax rule that applied, or null when the destination has no tax.
+ *           example: Illinois
+ *         exempt:
+ *           type: boolean
+ *           description: True when the customer's account is tax exempt.
+ */
+
 /**
  * @swagger
  * /api/checkout/create-order:
  *   post:
  *     summary: Create a new order
- *     description: Creates a new order with the provided details such as items, customer information, and payment details.
+ *     description: Creates a new order and a payment intent with the configured payment provider. The order stays at ORDER_PLACED until the payment is confirmed through `/api/checkout/orders/{orderNumber}/confirm-payment`. Card details go to the provider's form and are rejected here. Send an `Idempotency-Key` header to make retries safe; replaying a key returns the original order instead of creating another.
  *     tags:
  *       - Orders
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated unique key for this checkout attempt.
  *     requestBody:
  *       required: true
  *       content:
@@ -56,20 +232,20 @@ async function generateOrderNumber() {
  *                 type: string
  *                 description: Customer's email address.
  *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               shippingAddressId:
+ *                 type: integer
+ *                 description: Ship to one of the signed-in customer's saved addresses instead of sending `shippingAddress`.
+ *               saveAddress:
+ *                 type: boolean
+ *                 description: Also save `shippingAddress` to the signed-in customer's address book.
+ *               shippingMethod:
  *                 type: string
- *                 description: Customer's shipping address.
- *               cardNumber:
- *                 type: string
- *                 description: Customer's card number.
- *               cardName:
- *                 type: string
- *                 description: Name on the customer's card.
- *               expiry:
+ *                 enum: [standard, express, overnight]
+ *                 description: Defaults to standard. The quote lists the methods that ship to the address.
+ *               couponCode:
  *                 type: string
- *                 description: Card expiry date in MM/YY format.
- *               cvc:
- *                 type: string
- *                 description: Card CVC.
+ *                 description: Optional promo code. It is re-validated and claimed when the order is placed.
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -83,9 +259,19 @@ async function generateOrderNumber() {
  *                 orderNumber:
  *                   type: string
  *                   example: FE-482913
+ *                 shippingMethod:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 deliveryWindow:
+ *                   $ref: '#/components/schemas/DeliveryWindow'
  *                 estimatedDelivery:
  *                   type: string
  *                   format: date-time
+ *                   description: The last day of `deliveryWindow`, kept for older clients.
  *                 statusHistory:
  *                   type: array
  *                   items:
@@ -107,11 +293,53 @@ async function generateOrderNumber() {
  *                         type: number
  *                       quantity:
  *                         type: integer
+ *                       tax:
+ *                         type: number
+ *                       taxRate:
+ *                         type: number
+ *                         description: Percentage applied to the discounted line.
+ *                 subtotal:
+ *                   type: number
+ *                 discountTotal:
+ *                   type: number
+ *                 shippingTotal:
+ *                   type: number
+ *                 taxTotal:
+ *                   type: number
+ *                 tax:
+ *                   $ref: '#/components/schemas/TaxSummary'
  *                 total:
  *                   type: number
  *                   format: float
+ *                 currency:
+ *                   type: string
+ *                 money:
+ *                   type: object
+ *                   description: The totals as exact `Money` objects, keyed by field name.
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/Money'
+ *                 couponCode:
+ *                   type: string
+ *                   nullable: true
+ *                 payment:
+ *                   type: object
+ *                   description: Confirm `clientSecret` with the provider's client library (Stripe.js for `stripe`), then call confirm-payment. `status` is already `succeeded` when nothing is due.
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [stripe, mock]
+ *                     intentId:
+ *                       type: string
+ *                       nullable: true
+ *                     clientSecret:
+ *                       type: string
+ *                       nullable: true
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, requires_action, processing, succeeded, failed, canceled]
  *       400:
- *         description: Bad request - Missing or invalid fields
+ *         description: Bad request - Missing or invalid fields, an invalid shipping address (`code` is `INVALID_ADDRESS`, with per-field `fields`), a shipping method that does not ship there (`code` is `INVALID_SHIPPING_METHOD`), card details in the body (`code` is `CARD_DATA_REJECTED`), or a promo code that cannot be applied (`code` is `INVALID_COUPON`)
  *         content:
  *           application/json:
  *             schema:
@@ -120,6 +348,33 @@ async function generateOrderNumber() {
  *                 error:
  *                   type: string
  *                   description: Description of the error.
+ *       422:
+ *         description: The Idempotency-Key was already used with a different payload
+ *       409:
+ *         description: Not enough stock for one or more items. Nothing was reserved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: INSUFFICIENT_STOCK
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       requested:
+ *                         type: integer
+ *                       available:
+ *                         type: integer
  *       500:
  *         description: Internal server error
  *         content:
@@ -133,134 +388,618 @@ async function generateOrderNumber() {
  */
 router.post('/create-order', optionalAuth, async (req, res) => {
   try {
-    const { items, name, email, shippingAddress, cardNumber, cardName, expiry, cvc } = req.body;
+    const { items, name, email, shippingAddress, shippingAddressId } = req.body;
+    const couponCode = normalizeCouponCode(req.body.couponCode) || null;
+    const shippingMethod = normalizeShippingMethod(req.body.shippingMethod) || null;
+
+    if (RAW_CARD_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        error: 'Card details must be entered in the payment form and are never accepted by this server.',
+        code: 'CARD_DATA_REJECTED',
+      });
+    }
 
-    if (!Array.isArray(items) || !items.length || !name || !email || !shippingAddress || !cardNumber || !cardName || !expiry || !cvc) {
+    if (!Array.isArray(items) || !items.length || !name || !email || (!shippingAddress && !shippingAddressId)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
     const trimmedEmail = String(email).trim();
     const trimmedName = String(name).trim();
-    const trimmedAddress = String(shippingAddress).trim();
 
-    if (!trimmedName || !trimmedAddress) {
-      return res.status(400).json({ error: 'Name and shipping address are required.' });
+    const shipping = await readShippingAddress(req);
+    if (shipping.error) {
+      return res.status(400).json(shipping.error);
+    }
+    // Only a newly entered address can be saved; a saved one is already in the book.
+    const saveAddress = req.body.saveAddress === true && Boolean(shipping.address);
+
+    const idempotency = readIdempotencyKey(req);
+    if (idempotency.error) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    const requestHash = hashRequest({
+      items: items.map(item => ({ productId: String(item?.productId ?? item?.id), quantity: item?.quantity ?? 1 })),
+      name: trimmedName,
+      email: trimmedEmail.toLowerCase(),
+      shippingAddress: shipping.address || { savedAddressId: shipping.savedAddressId },
+      userId: req.user?.id ?? null,
+      ...(couponCode && { couponCode }),
+      ...(shippingMethod && { shippingMethod }),
+      ...(saveAddress && { saveAddress }),
+    });
+
+    if (idempotency.key) {
+      const stored = await findStoredResponse(CREATE_ORDER_SCOPE, idempotency.key, requestHash);
+      if (stored?.mismatch) {
+        return res.status(422).json({ error: 'This Idempotency-Key was already used for a different order request.' });
+      }
+      if (stored) {
+        return await replayStoredResponse(res, stored);
+      }
+    }
+
+    if (!trimmedName) {
+      return res.status(400).json({ error: 'Name is required.' });
     }
 
     if (!emailRegex.test(trimmedEmail)) {
       return res.status(400).json({ error: 'Invalid email format' });
     }
 
-    const sanitizedCardNumber = String(cardNumber).replace(/\s+/g, '');
-    const sanitizedExpiry = String(expiry).trim();
-    const sanitizedCvc = String(cvc).trim();
-    const trimmedCardName = String(cardName).trim();
+    const loaded = await loadOrderLines(items);
+    if (loaded.error) {
+      return res.status(400).json({ error: loaded.error });
+    }
+    const orderItems = loaded.lines;
+    const customer = { userId: getUserId(req), email: trimmedEmail.toLowerCase() };
 
-    if (!SKIP_CARD_VALIDATION) {
-      if (!trimmedCardName) {
-        return res.status(400).json({ error: 'Name on card is required.' });
+    let address = shipping.address;
+    if (shipping.savedAddressId) {
+      const saved = await findSavedAddress(shipping.savedAddressId, customer.userId);
+      if (!saved) {
+        return res.status(400).json({ error: 'That saved address could not be found. Please enter the address instead.' });
       }
+      address = pickAddress(saved);
+    }
 
-      if (!/^\d{12,19}$/.test(sanitizedCardNumber)) {
-        return res.status(400).json({ error: 'Invalid card number' });
+    const orderNumber = await generateOrderNumber();
+
+    const orderData = {
+      orderNumber,
+      email: trimmedEmail.toLowerCase(),
+      name: trimmedName,
+      // The order keeps its own copy, so later address book edits never change where it shipped.
+      shippingAddress: formatAddress(address),
+      shipTo: { create: address },
+      statusIndex: 0,
+      statusHistory: {
+        create: ensureInitialStatus({ statusHistory: [], statusIndex: 0 }).statusHistory,
+      },
+    };
+
+    if (customer.userId) {
+      orderData.user = { connect: { id: customer.userId } };
+    }
+
+    const paymentProvider = getPaymentProvider();
+
+    // Stock, the coupon claim, the order and the idempotency record commit together, so either all land or none do.
+    // Orders with something to pay are stored with a pending payment; its intent is opened once they have committed.
+    const createOrder = () => prisma.$transaction(async tx => {
+      await reserveStock(tx, orderItems);
+
+      const pricing = await priceOrder(tx, { lines: orderItems, shippingAddress: address, shippingMethod, couponCode, customer, redeem: true });
+      const { promotion } = pricing;
+      const delivery = orderDeliveryFields(pricing.shipping);
+      const needsPayment = pricing.total > 0;
+
+      const order = await tx.order.create({
+        data: {
+          ...orderData,
+          ...delivery,
+          items: {
+            create: orderItems.map((item, index) => ({
+              productId: Number.isFinite(item.productId) ? item.productId : null,
+              name: item.name,
+              price: toDecimalString(item.unitAmount),
+              quantity: item.quantity,
+              image: item.image,
+              discount: toDecimalString(pricing.lines[index].discount),
+              tax: toDecimalString(pricing.lines[index].tax),
+              taxRate: String(pricing.lines[index].taxRate),
+            })),
+          },
+          currency: pricing.currency,
+          subtotal: toDecimalString(pricing.subtotal),
+          discountTotal: toDecimalString(pricing.discountTotal),
+          shippingTotal: toDecimalString(pricing.shippingTotal),
+          taxTotal: toDecimalString(pricing.taxTotal),
+          taxJurisdiction: pricing.tax.jurisdiction,
+          taxExempt: pricing.tax.exempt,
+          total: toDecimalString(pricing.total),
+          ...(promotion && { couponCode: promotion.code, promotion: { connect: { id: promotion.promotionId } } }),
+          ...(needsPayment ? { paymentProvider: paymentProvider.name, paymentStatus: 'pending' } : { paymentStatus: 'succeeded', paidAt: new Date() }),
+        },
+        include: {
+          items: true,
+          statusHistory: { orderBy: { enteredAt: 'asc' } },
+          shipTo: true,
+        },
+      });
+
+      await enqueueWebhookEvent(tx, 'order.created', orderEventData(order));
+
+      if (promotion) {
+        await recordRedemption(tx, promotion, { orderId: order.id, userId: customer.userId, email: customer.email });
       }
 
-      if (!/^(0[1-9]|1[0-2])\/(?:\d{2}|\d{4})$/.test(sanitizedExpiry)) {
-        return res.status(400).json({ error: 'Invalid expiry date' });
+      if (saveAddress && customer.userId) {
+        await addToAddressBook(tx, customer.userId, address);
       }
 
-      if (!/^\d{3,4}$/.test(sanitizedCvc)) {
-        return res.status(400).json({ error: 'Invalid CVC' });
+      const statusHistory = [...order.statusHistory];
+      if (!needsPayment) {
+        // Fully discounted: there is nothing for a provider to confirm.
+        const { entry } = await transitionOrderStatus(orderNumber, 'PAYMENT_VERIFIED', { actor: PAYMENT_ACTOR, note: 'No payment was due', tx });
+        statusHistory.push(entry);
       }
-    }
 
-    const normalizedItems = [];
-    for (const item of items) {
-      const productId = Number(item?.productId ?? item?.id);
-      const quantity = Number.isInteger(item?.quantity) && item.quantity > 0 ? item.quantity : 1;
+      // Amounts come from the pricing just stored, so the response matches the quote to the cent.
+      const body = {
+        message: 'Order created successfully!',
+        orderNumber,
+        estimatedDelivery: delivery.estimatedDelivery,
+        shippingAddress: serializeOrderAddress(order),
+        statusHistory,
+        statusFlow: ORDER_STATUS_FLOW,
+        items: order.items.map(item => serializeOrderItem(item, pricing.currency)),
+        ...serializePricing(pricing),
+        couponCode: promotion ? promotion.code : null,
+        payment: needsPayment ? { provider: paymentProvider.name, intentId: null, status: 'pending' } : { provider: null, intentId: null, status: 'succeeded' },
+      };
 
-      if (!Number.isInteger(productId) || productId <= 0) {
-        return res.status(400).json({ error: 'Invalid product reference in order payload.' });
+      if (idempotency.key) {
+        await storeResponse(tx, {
+          scope: CREATE_ORDER_SCOPE,
+          key: idempotency.key,
+          requestHash,
+          statusCode: 201,
+          body: JSON.parse(JSON.stringify(body)),
+          orderId: order.id,
+        });
       }
 
-      normalizedItems.push({
-        productId,
-        quantity,
+      return { body, order: { id: order.id, orderNumber }, pricing };
+    }, checkoutTransaction);
+
+    let created;
+    try {
+      created = await createOrder();
+    } catch (error) {
+      if (!idempotency.key || !isDuplicateKeyError(error)) throw error;
+      // A concurrent request with the same key committed first and our transaction rolled back: answer with its order.
+      const stored = await findStoredResponse(CREATE_ORDER_SCOPE, idempotency.key, requestHash);
+      if (stored?.mismatch) {
+        return res.status(422).json({ error: 'This Idempotency-Key was already used for a different order request.' });
+      }
+      if (stored) {
+        return await replayStoredResponse(res, stored);
+      }
+      throw error;
+    }
+
+    const { body, order, pricing } = created;
+    if (pricing.total <= 0) {
+      return res.status(201).json({ ...body, payment: { ...body.payment, clientSecret: null } });
+    }
+
+    const payment = await openOrderPayment(paymentProvider, order, { amount: pricing.total, currency: pricing.currency, email: customer.email });
+    res.status(201).json({ ...body, payment: { ...body.payment, intentId: payment.id, status: payment.status, clientSecret: payment.clientSecret } });
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(400).json(couponErrorBody(error));
+    }
+    if (error instanceof ShippingError) {
+      return res.status(400).json(shippingErrorBody(error));
+    }
+    if (error instanceof PaymentError) {
+      return res.status(409).json(paymentErrorBody(error));
+    }
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({
+        error: 'Some items in your cart do not have enough stock.',
+        code: 'INSUFFICIENT_STOCK',
+        items: error.items,
       });
     }
+    console.error('Error creating order:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checkout/quote:
+ *   post:
+ *     summary: Price a cart before placing the order
+ *     description: Returns the same line-by-line breakdown create-order will charge, using current catalog prices. Nothing is reserved and promo codes are only checked, not claimed.
+ *     tags:
+ *       - Orders
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *                 description: May be incomplete; only the fields given are checked.
+ *               shippingAddressId:
+ *                 type: integer
+ *                 description: A saved address of the signed-in customer.
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [standard, express, overnight]
+ *                 description: Defaults to standard.
+ *               couponCode:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 description: Optional; used to check per-customer promo limits for guests.
+ *     responses:
+ *       200:
+ *         description: Priced breakdown of the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       image:
+ *                         type: string
+ *                       unitPrice:
+ *                         type: number
+ *                       quantity:
+ *                         type: integer
+ *                       subtotal:
+ *                         type: number
+ *                       discount:
+ *                         type: number
+ *                       tax:
+ *                         type: number
+ *                       taxRate:
+ *                         type: number
+ *                         description: Percentage applied to the discounted line.
+ *                       total:
+ *                         type: number
+ *                 subtotal:
+ *                   type: number
+ *                 discountTotal:
+ *                   type: number
+ *                 shippingTotal:
+ *                   type: number
+ *                 taxTotal:
+ *                   type: number
+ *                 tax:
+ *                   $ref: '#/components/schemas/TaxSummary'
+ *                 total:
+ *                   type: number
+ *                 currency:
+ *                   type: string
+ *                   example: USD
+ *                 money:
+ *                   type: object
+ *                   description: The same totals as exact `Money` objects, keyed by field name. Each line carries one too.
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/Money'
+ *                 shippingMethod:
+ *                   type: object
+ *                   description: The method `shippingTotal` was priced with.
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 deliveryWindow:
+ *                   $ref: '#/components/schemas/DeliveryWindow'
+ *                 shippingOptions:
+ *                   type: array
+ *                   description: Every method that ships to the address, cheapest first.
+ *                   items:
+ *                     $ref: '#/components/schemas/ShippingOption'
+ *                 promotion:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                       nullable: true
+ *                     type:
+ *                       type: string
+ *                       enum: [percentage, fixed, free_shipping]
+ *                     freeShipping:
+ *                       type: boolean
+ *       400:
+ *         description: Missing or unknown items, an invalid shipping address (`code` is `INVALID_ADDRESS`), a shipping method that does not ship there (`code` is `INVALID_SHIPPING_METHOD`), or a promo code that cannot be applied (`code` is `INVALID_COUPON`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                 reason:
+ *                   type: string
+ */
+router.post('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { items, email } = req.body;
+    const couponCode = normalizeCouponCode(req.body.couponCode) || null;
 
-    const productIds = [...new Set(normalizedItems.map(item => item.productId))];
-    const products = await prisma.product.findMany({ where: { id: { in: productIds } } });
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: 'At least one item is required.' });
+    }
 
-    if (products.length !== productIds.length) {
-      return res.status(400).json({ error: 'One or more products are no longer available.' });
+    const shipping = await readShippingAddress(req, { partial: true });
+    if (shipping.error) {
+      return res.status(400).json(shipping.error);
     }
 
-    const productMap = new Map(products.map(product => [Number(product.id), product]));
+    const loaded = await loadOrderLines(items);
+    if (loaded.error) {
+      return res.status(400).json({ error: loaded.error });
+    }
 
-    const orderItems = normalizedItems.map(item => {
-      const product = productMap.get(item.productId);
-      return {
-        productId: product.id,
-        name: product.name,
-        price: Number(product.price),
-        quantity: item.quantity,
-        image: product.image,
-      };
+    const trimmedEmail = String(email ?? '').trim().toLowerCase();
+    const customer = { userId: getUserId(req), email: emailRegex.test(trimmedEmail) ? trimmedEmail : null };
+    const saved = shipping.savedAddressId ? await findSavedAddress(shipping.savedAddressId, customer.userId) : null;
+    const pricing = await priceOrder(prisma, {
+      lines: loaded.lines,
+      shippingAddress: saved ? pickAddress(saved) : shipping.address,
+      shippingMethod: normalizeShippingMethod(req.body.shippingMethod) || null,
+      couponCode,
+      customer,
     });
 
-    const orderTotal = orderItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const { promotion } = pricing;
+    res.json({
+      ...serializePricing(pricing),
+      shippingOptions: pricing.shippingOptions.map(option => serializeShippingOption(option, pricing.currency)),
+      promotion: promotion
+        ? { code: promotion.code, description: promotion.description, type: promotion.type, freeShipping: promotion.freeShipping }
+        : null,
+    });
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(400).json(couponErrorBody(error));
+    }
+    if (error instanceof ShippingError) {
+      return res.status(400).json(shippingErrorBody(error));
+    }
+    console.error('Error quoting checkout:', error);
+    res.status(500).json({ error: 'Failed to price your order' });
+  }
+});
 
-    const orderNumber = await generateOrderNumber();
-    const estimatedDelivery = new Date(Date.now() + randomInt(2, 6) * 24 * 60 * 60 * 1000);
+/**
+ * @swagger
+ * /api/checkout/apply-coupon:
+ *   post:
+ *     summary: Preview a promo code against a cart
+ *     description: Validates the code against the current catalog prices and returns the discount it would give. Nothing is reserved; the code is checked again when the order is placed.
+ *     tags:
+ *       - Orders
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [couponCode, items]
+ *             properties:
+ *               couponCode:
+ *                 type: string
+ *                 example: SAVE10
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               email:
+ *                 type: string
+ *                 description: Optional; used to check per-customer limits for guests.
+ *     responses:
+ *       200:
+ *         description: The code applies to this cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 couponCode:
+ *                   type: string
+ *                 description:
+ *                   type: string
+ *                   nullable: true
+ *                 type:
+ *                   type: string
+ *                   enum: [percentage, fixed, free_shipping]
+ *                 subtotal:
+ *                   type: number
+ *                 discount:
+ *                   type: number
+ *                 shippingDiscount:
+ *                   type: number
+ *                 freeShipping:
+ *                   type: boolean
+ *                 total:
+ *                   type: number
+ *       400:
+ *         description: Missing fields or the code cannot be applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: INVALID_COUPON
+ *                 reason:
+ *                   type: string
+ *                   example: EXPIRED
+ */
+router.post('/apply-coupon', optionalAuth, async (req, res) => {
+  try {
+    const { items, email } = req.body;
+    const couponCode = normalizeCouponCode(req.body.couponCode);
 
-    const orderData = {
-      orderNumber,
-      email: trimmedEmail.toLowerCase(),
-      name: trimmedName,
-      shippingAddress: trimmedAddress,
-      total: orderTotal,
-      statusIndex: 0,
-      estimatedDelivery,
-      items: {
-        create: orderItems.map(item => ({
-          productId: Number.isFinite(item.productId) ? item.productId : null,
-          name: item.name,
-          price: item.price,
-          quantity: item.quantity,
-          image: item.image,
-        })),
-      },
-      statusHistory: {
-        create: ensureInitialStatus({ statusHistory: [], statusIndex: 0 }).statusHistory,
-      },
-    };
+    if (!couponCode || !Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: 'A promo code and at least one item are required.' });
+    }
 
-    const userId = Number(req.user?.id);
-    if (Number.isInteger(userId) && userId > 0) {
-      orderData.user = { connect: { id: userId } };
+    const loaded = await loadOrderLines(items);
+    if (loaded.error) {
+      return res.status(400).json({ error: loaded.error });
     }
 
-    const order = await prisma.order.create({
-      data: orderData,
-      include: {
-        items: true,
-        statusHistory: { orderBy: { enteredAt: 'asc' } },
-      },
-    });
+    const trimmedEmail = String(email ?? '').trim().toLowerCase();
+    const customer = { userId: getUserId(req), email: emailRegex.test(trimmedEmail) ? trimmedEmail : null };
 
-    res.status(201).json({
-      message: 'Order created successfully!',
-      orderNumber,
-      estimatedDelivery,
-      statusHistory: order.statusHistory,
-      statusFlow: ORDER_STATUS_FLOW,
-      items: order.items,
-      total: Number(order.total),
+    const { promotion, currency, subtotal, total } = await priceOrder(prisma, { lines: loaded.lines, couponCode, customer });
+
+    res.json({
+      couponCode: promotion.code,
+      description: promotion.description,
+      type: promotion.type,
+      currency,
+      subtotal: fromMinorUnits(subtotal, currency),
+      discount: fromMinorUnits(promotion.discount, currency),
+      shippingDiscount: fromMinorUnits(promotion.shippingDiscount, currency),
+      freeShipping: promotion.freeShipping,
+      total: fromMinorUnits(total, currency),
     });
   } catch (error) {
-    console.error('Error creating order:', error);
-    res.status(500).json({ error: 'Failed to create order' });
+    if (error instanceof PromotionError) {
+      return res.status(400).json(couponErrorBody(error));
+    }
+    if (error instanceof ShippingError) {
+      return res.status(400).json(shippingErrorBody(error));
+    }
+    console.error('Error applying coupon:', error);
+    res.status(500).json({ error: 'Failed to apply promo code' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/checkout/orders/{orderNumber}/confirm-payment:
+ *   post:
+ *     summary: Confirm the payment for a new order
+ *     description: Checks the order's payment with the payment provider and moves the order to PAYMENT_VERIFIED once the provider reports it succeeded. With Stripe, confirm the `clientSecret` with Stripe.js first and send only `paymentIntentId`. `paymentMethod` confirms server-side instead; with the mock provider use `pm_card_visa` to succeed or `pm_card_chargeDeclined` to be declined. Safe to call more than once.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-482913
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentIntentId]
+ *             properties:
+ *               paymentIntentId:
+ *                 type: string
+ *                 description: The `payment.intentId` returned by create-order.
+ *               paymentMethod:
+ *                 type: string
+ *                 example: pm_card_visa
+ *     responses:
+ *       200:
+ *         description: Payment confirmed; the order is PAYMENT_VERIFIED
+ *       202:
+ *         description: The provider is still processing the payment or needs the customer to authenticate
+ *       400:
+ *         description: Missing or malformed fields
+ *       402:
+ *         description: The payment was declined (`code` is `PAYMENT_DECLINED`). The order's items are released, so place a new order to try another card.
+ *       404:
+ *         description: No order with this number and payment
+ *       409:
+ *         description: The payment is incomplete, canceled, or does not match the order
+ */
+router.post('/orders/:orderNumber/confirm-payment', async (req, res) => {
+  const orderNumber = String(req.params.orderNumber).trim().toUpperCase();
+  const { paymentIntentId, paymentMethod } = req.body;
+
+  if (typeof paymentIntentId !== 'string' || !paymentIntentId.trim()) {
+    return res.status(400).json({ error: 'paymentIntentId is required.' });
+  }
+  if (paymentMethod !== undefined && (typeof paymentMethod !== 'string' || !PAYMENT_METHOD_PATTERN.test(paymentMethod))) {
+    return res.status(400).json({ error: 'paymentMethod must be a payment method id such as pm_card_visa.' });
+  }
+
+  try {
+    const { paymentStatus, failureMessage } = await confirmOrderPayment(orderNumber, { paymentIntentId: paymentIntentId.trim(), paymentMethod });
+
+    switch (paymentStatus) {
+      case 'succeeded':
+        return res.json({ message: 'Payment confirmed.', orderNumber, paymentStatus });
+      case 'processing':
+      case 'requires_action':
+        return res.status(202).json({ message: 'Your payment is still being processed.', orderNumber, paymentStatus });
+      case 'failed':
+        return res.status(402).json({ error: failureMessage || 'Your payment was declined.', code: 'PAYMENT_DECLINED', paymentStatus });
+      case 'canceled':
+        return res.status(409).json({ error: 'This payment was canceled.', code: 'PAYMENT_CANCELED', paymentStatus });
+      default:
+        return res.status(409).json({ error: 'The payment has not been completed yet.', code: 'PAYMENT_INCOMPLETE', paymentStatus });
+    }
+  } catch (error) {
+    // A wrong intent id is reported like a missing order so order numbers cannot be probed.
+    if (error instanceof OrderNotFoundError || (error instanceof PaymentError && error.reason === 'MISMATCH')) {
+      return res.status(404).json({ error: 'Order not found.' });
+    }
+    if (error instanceof PaymentError) {
+      return res.status(409).json(paymentErrorBody(error));
+    }
+    console.error('Error confirming payment:', error);
+    res.status(500).json({ error: 'Failed to confirm payment' });
   }
 });
 
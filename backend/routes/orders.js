@@ -1,10 +1,97 @@
 const express = require('express');
+const { check, validationResult } = require('express-validator');
 const prisma = require('../prismaClient');
-const { ORDER_STATUS_FLOW, ensureInitialStatus, advanceStatus } = require('../utils/orderStatus');
+const authMiddleware = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requireRole = require('../middleware/requireRole');
+const { ORDER_STATUS_FLOW, ORDER_CANCELLED, isOrderStatus, getOrderStatusCode, getAllowedTransitions } = require('../utils/orderStatus');
+const { OrderNotFoundError, InvalidStatusTransitionError, PaymentNotConfirmedError, transitionOrderStatus } = require('../services/orderTransitions');
+const { OrderChangeError, issueOrderChangeToken, readOrderChangeToken, isChangeable, cancelOrder, updateOrder } = require('../services/orderChanges');
+const { serializeOrderItem, serializeOrderTotals } = require('../services/pricing');
+const { validateAddress, pickAddress, serializeOrderAddress } = require('../services/addresses');
+const { ShippingError, serializeOrderDelivery } = require('../services/shipping');
+const { REFUND_INCLUDE, RefundError, issueRefund, serializeRefund } = require('../services/refunds');
+const { RETURN_REASONS, RETURN_INCLUDE, ReturnError, returnWindow, returnableQuantities, createReturn, serializeReturn } = require('../services/returns');
+const { issueOrderEventsToken, readOrderEventsToken, orderEventFeed } = require('../services/orderEvents');
 
 const router = express.Router();
 
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Everything buildOrderDetail reads, for the single-order endpoints.
+const ORDER_DETAIL_INCLUDE = {
+  statusHistory: { orderBy: { enteredAt: 'asc' } },
+  items: true,
+  shipTo: true,
+  returns: { include: RETURN_INCLUDE, orderBy: { createdAt: 'asc' } },
+  refunds: { include: REFUND_INCLUDE, orderBy: { createdAt: 'asc' } },
+};
+
+const sortHistory = history => [...history].sort((a, b) => new Date(a.enteredAt) - new Date(b.enteredAt));
+
+// Orders created before status history existed only have a statusIndex (and cancelledAt) to go on.
+// Event entries such as PAYMENT_FAILED stay in the history but are never the current status.
+const resolveCurrentStatus = (order, history) => {
+  const statusEntries = history.filter(entry => isOrderStatus(entry.code));
+  if (statusEntries.length) return statusEntries[statusEntries.length - 1];
+  if (order.cancelledAt) {
+    return { code: ORDER_CANCELLED.code, label: ORDER_CANCELLED.label, description: ORDER_CANCELLED.description, enteredAt: order.cancelledAt };
+  }
+  const meta = ORDER_STATUS_FLOW[order.statusIndex ?? 0] || ORDER_STATUS_FLOW[0];
+  return { code: meta.code, label: meta.label, description: meta.description, enteredAt: order.createdAt };
+};
+
+// Customers see what happened and any note; who did it is only shown to staff.
+const serializeStatusEntry = (entry, { includeActor = false } = {}) => ({
+  id: entry.id,
+  code: entry.code,
+  label: entry.label,
+  description: entry.description,
+  enteredAt: entry.enteredAt,
+  note: entry.note ?? null,
+  ...(includeActor ? { actor: entry.actor, actorUserId: entry.actorUserId ?? null } : {}),
+});
+
+// A cancelled order's journey ends at CANCELLED after the last status it reached.
+const statusFlowFor = order => (order.cancelledAt ? [...ORDER_STATUS_FLOW.slice(0, (order.statusIndex ?? 0) + 1), ORDER_CANCELLED] : ORDER_STATUS_FLOW);
+
+// The shipping address is left out of the public tracking lookup, which only needs an order number and email.
+const buildOrderDetail = (order, statusHistory, { includeActor = false, includeAddress = false } = {}) => {
+  const history = sortHistory(statusHistory).map(entry => serializeStatusEntry(entry, { includeActor }));
+  const changeable = isChangeable(order);
+  const returnable = returnableQuantities(order);
+  const { deliveredAt, endsAt, open } = returnWindow({ statusHistory });
+  return {
+    orderNumber: order.orderNumber,
+    email: order.email,
+    currentStatus: resolveCurrentStatus(order, history),
+    statusHistory: history,
+    statusFlow: statusFlowFor(order),
+    canCancel: changeable,
+    canEdit: changeable,
+    cancelledAt: order.cancelledAt ?? null,
+    cancellationReason: order.cancellationReason ?? null,
+    canReturn: open && !order.cancelledAt && [...returnable.values()].some(quantity => quantity > 0),
+    returnWindow: { deliveredAt, endsAt },
+    returns: (order.returns || []).map(ret => serializeReturn(ret, { order })),
+    refunds: (order.refunds || []).map(refund => serializeRefund(refund, { forStaff: includeActor })),
+    ...serializeOrderTotals(order),
+    couponCode: order.couponCode || null,
+    items: (order.items || []).map(item => ({ ...serializeOrderItem(item, order.currency), returnableQuantity: returnable.get(item.id) ?? 0 })),
+    ...(includeAddress ? { shippingAddress: serializeOrderAddress(order) } : {}),
+    ...serializeOrderDelivery(order),
+    estimatedDelivery: order.estimatedDelivery,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+};
+
+const getUserId = req => {
+  const userId = Number(req.user?.id);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+};
 
 /**
  * @swagger
@@ -59,6 +146,12 @@ const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/OrderStatus'
+ *                 eventsToken:
+ *                   type: string
+ *                   description: Lets this page follow the order on GET /api/orders/{orderNumber}/events for 24 hours
+ *                 orderToken:
+ *                   type: string
+ *                   description: Lets this page cancel, edit or return the order for 24 hours, sent as `orderToken`
  *       404:
  *         description: Order not found
  *       400:
@@ -86,74 +179,820 @@ router.post('/track', async (req, res) => {
 
     const order = await prisma.order.findUnique({
       where: { orderNumber: normalizedOrderNumber },
-      include: {
-        statusHistory: { orderBy: { enteredAt: 'asc' } },
-        items: true,
-      },
+      include: ORDER_DETAIL_INCLUDE,
     });
 
     if (!order || order.email !== normalizedEmail) {
       return res.status(404).json({ error: 'Order not found. Double-check your email and order number.' });
     }
 
-    const orderState = {
-      statusIndex: order.statusIndex ?? 0,
-      statusHistory: [...order.statusHistory],
-    };
+    res.json({
+      ...buildOrderDetail(order, order.statusHistory),
+      eventsToken: issueOrderEventsToken(order.orderNumber),
+      orderToken: issueOrderChangeToken(order.orderNumber),
+    });
+  } catch (error) {
+    console.error('Error tracking order:', error);
+    res.status(500).json({ error: 'Unable to fetch order status right now.' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/mine:
+ *   get:
+ *     summary: List the signed-in user's orders, newest first
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: A page of order summaries with their items and current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       orderNumber:
+ *                         type: string
+ *                       total:
+ *                         type: number
+ *                       itemCount:
+ *                         type: integer
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       currentStatus:
+ *                         $ref: '#/components/schemas/OrderStatus'
+ *                       shippingMethod:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                       deliveryWindow:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/DeliveryWindow'
+ *                         nullable: true
+ *                       estimatedDelivery:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.get('/mine', authMiddleware, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ msg: 'Token is not valid' });
+
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  try {
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where: { userId },
+        include: {
+          items: true,
+          statusHistory: { orderBy: { enteredAt: 'desc' }, take: 1 },
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.order.count({ where: { userId } }),
+    ]);
+
+    res.json({
+      orders: orders.map(order => {
+        const { currency, total, amountRefunded, money } = serializeOrderTotals(order);
+        return {
+          orderNumber: order.orderNumber,
+          currency,
+          total,
+          amountRefunded,
+          money: { total: money.total, amountRefunded: money.amountRefunded },
+          itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+          items: order.items.map(item => serializeOrderItem(item, currency)),
+          currentStatus: resolveCurrentStatus(order, order.statusHistory),
+          ...serializeOrderDelivery(order),
+          estimatedDelivery: order.estimatedDelivery,
+          createdAt: order.createdAt,
+        };
+      }),
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (error) {
+    console.error('Error listing orders:', error);
+    res.status(500).json({ error: 'Unable to load your orders right now.' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/mine/{orderNumber}:
+ *   get:
+ *     summary: Get one of the signed-in user's orders with its full status timeline
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *     responses:
+ *       200:
+ *         description: Same payload as POST /api/orders/track
+ *       401:
+ *         description: Missing or invalid token
+ *       404:
+ *         description: No order with that number belongs to the user
+ */
+router.get('/mine/:orderNumber', authMiddleware, async (req, res) => {
+  const userId = getUserId(req);
+  if (!userId) return res.status(401).json({ msg: 'Token is not valid' });
+
+  try {
+    const order = await prisma.order.findUnique({
+      where: { orderNumber: String(req.params.orderNumber).trim().toUpperCase() },
+      include: ORDER_DETAIL_INCLUDE,
+    });
 
-    const creates = [];
-    if (!orderState.statusHistory.length) {
-      ensureInitialStatus(orderState);
-      creates.push(...orderState.statusHistory);
+    // Someone else's order is reported as missing so order numbers cannot be probed.
+    if (!order || order.userId !== userId) {
+      return res.status(404).json({ error: 'Order not found.' });
     }
 
-    let advanced = false;
-    if (orderState.statusIndex < ORDER_STATUS_FLOW.length - 1) {
-      const shouldAdvance = orderState.statusHistory.length > 1 ? Math.random() < 0.75 : Math.random() < 0.35;
-      if (shouldAdvance) {
-        const { advanced: didAdvance, updates } = advanceStatus(orderState);
-        advanced = didAdvance;
-        creates.push(...updates);
+    res.json(buildOrderDetail(order, order.statusHistory, { includeAddress: true }));
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Unable to load this order right now.' });
+  }
+});
+
+// Browsers retry a dropped stream after this long, sending the id of the last entry they got as Last-Event-ID.
+const ORDER_EVENTS_RETRY_MS = 3000;
+// Comment lines sent this often stop proxies from closing a quiet stream.
+const ORDER_EVENTS_HEARTBEAT_MS = 25000;
+
+/**
+ * @swagger
+ * /api/orders/{orderNumber}/events:
+ *   get:
+ *     summary: Follow an order's status history as Server-Sent Events
+ *     description: |
+ *       Streams each new status history entry as a `history` event whose id is the entry's id and whose data is
+ *       `{ entry, isStatus, statusFlow }`; `isStatus` is false for events such as PAYMENT_REFUNDED that do not change
+ *       the order's status. Entries after `Last-Event-ID` (or the `lastEventId` query parameter) are sent first, so a
+ *       reconnecting client misses nothing; without either the stream starts from the latest entry. Authorize with
+ *       the `eventsToken` returned by POST /api/orders/track in the `token` query parameter (EventSource cannot send
+ *       headers), or with the login token of the customer who placed the order in the x-auth-token header. Login
+ *       tokens are never accepted in the query string, where they would end up in access logs.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: An event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing, invalid or expired token
+ *       404:
+ *         description: Order not found, or the token is not for it
+ */
+router.get('/:orderNumber/events', optionalAuth, async (req, res) => {
+  const tokenOrderNumber = readOrderEventsToken(req.query.token);
+  const userId = getUserId(req);
+  if (!tokenOrderNumber && !userId) {
+    return res.status(401).json({ error: 'Track the order again to follow its updates.' });
+  }
+
+  const orderNumber = String(req.params.orderNumber).trim().toUpperCase();
+  let order;
+  try {
+    order = await prisma.order.findUnique({
+      where: { orderNumber },
+      select: { id: true, userId: true, statusHistory: { select: { id: true }, orderBy: { id: 'desc' }, take: 1 } },
+    });
+  } catch (error) {
+    console.error('Error opening order events:', error);
+    return res.status(500).json({ error: 'Unable to follow this order right now.' });
+  }
+
+  const allowed = order && (tokenOrderNumber === orderNumber || (userId && userId === order.userId));
+  if (!allowed) {
+    return res.status(404).json({ error: 'Order not found.' });
+  }
+
+  const resumeFrom = Number.parseInt(req.header('last-event-id') ?? req.query.lastEventId, 10);
+  const latestId = order.statusHistory[0]?.id ?? 0;
+  const lastId = Number.isInteger(resumeFrom) && resumeFrom >= 0 ? resumeFrom : latestId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${ORDER_EVENTS_RETRY_MS}\n\n`);
+
+  const unsubscribe = orderEventFeed.subscribe(order.id, lastId, entry => {
+    const data = { entry: serializeStatusEntry(entry), isStatus: isOrderStatus(entry.code), statusFlow: statusFlowFor(entry.order) };
+    res.write(`id: ${entry.id}\nevent: history\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), ORDER_EVENTS_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  // A reconnecting client gets what it missed straight away instead of on the next poll.
+  if (lastId < latestId) orderEventFeed.poll();
+});
+
+const ORDER_CHANGE_ERROR_STATUS = {
+  NO_CHANGES: 400,
+  ITEM_NOT_FOUND: 400,
+  QUANTITY_INCREASED: 400,
+  NO_ITEMS_LEFT: 400,
+};
+
+const orderChangeErrorBody = error => ({ error: error.message, code: 'ORDER_NOT_CHANGEABLE', reason: error.reason });
+
+const loadOrderDetail = orderNumber =>
+  prisma.order.findUnique({
+    where: { orderNumber },
+    include: ORDER_DETAIL_INCLUDE,
+  });
+
+// Signed-in customers change their own orders; anyone else sends the `orderToken` /track gave them for this order.
+const ownsOrder = (req, order) => {
+  const userId = getUserId(req);
+  if (userId && order.userId === userId) return true;
+  return readOrderChangeToken(req.body?.orderToken) === order.orderNumber;
+};
+
+// Loads the order named in the path for a cancel, edit or return, answering 404 itself when the caller may not change it.
+const findOwnedOrder = async (req, res) => {
+  const order = await loadOrderDetail(String(req.params.orderNumber).trim().toUpperCase());
+  if (!order || !ownsOrder(req, order)) {
+    res.status(404).json({ error: 'Order not found. Look it up again on the order tracking page and retry.' });
+    return null;
+  }
+  return order;
+};
+
+// The address is only echoed back to the signed-in owner, matching GET /mine/:orderNumber.
+const sendChangedOrder = async (req, res, orderNumber, status = 200) => {
+  const order = await loadOrderDetail(orderNumber);
+  const includeAddress = Boolean(getUserId(req)) && order.userId === getUserId(req);
+  res.status(status).json(buildOrderDetail(order, order.statusHistory, { includeAddress }));
+};
+
+const orderTokenValidator = check('orderToken', 'Look the order up again on the order tracking page').optional().isString();
+
+/**
+ * @swagger
+ * /api/orders/{orderNumber}/cancel:
+ *   post:
+ *     summary: Cancel an order before it is handed to the carrier
+ *     description: |
+ *       Allowed while the order is before HANDOFF_TO_CARRIER (see `canCancel`). Adds a CANCELLED entry to the
+ *       status history, puts the items back in stock and records everything that was paid as `refundDue`.
+ *       A payment that is still open is canceled instead. Signed-in customers can cancel their own orders;
+ *       guests send the `orderToken` from POST /api/orders/track.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderToken:
+ *                 type: string
+ *                 description: The `orderToken` from POST /api/orders/track. Required when not signed in as the customer who placed the order
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: The cancelled order, in the same shape as POST /api/orders/track
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Order not found, or it is not yours
+ *       409:
+ *         description: The order has already been handed to the carrier, was cancelled already, or its payment failed
+ */
+router.post(
+  '/:orderNumber/cancel',
+  optionalAuth,
+  [orderTokenValidator, check('reason', 'Reason must be 500 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await findOwnedOrder(req, res);
+      if (!order) return undefined;
+
+      await cancelOrder(order.orderNumber, { actorUserId: getUserId(req), reason: req.body.reason });
+      return await sendChangedOrder(req, res, order.orderNumber);
+    } catch (error) {
+      if (error instanceof OrderChangeError) {
+        return res.status(409).json(orderChangeErrorBody(error));
+      }
+      if (error instanceof InvalidStatusTransitionError) {
+        return res.status(409).json({
+          error: error.from === ORDER_CANCELLED.code ? 'This order has already been cancelled.' : 'This order has been handed to the carrier and can no longer be cancelled.',
+          code: 'ORDER_NOT_CHANGEABLE',
+          currentStatus: error.from,
+        });
       }
+      console.error('Error cancelling order:', error);
+      return res.status(500).json({ error: 'Unable to cancel the order right now.' });
     }
+  }
+);
 
-    if (creates.length) {
-      await prisma.order.update({
-        where: { id: order.id },
-        data: {
-          statusIndex: orderState.statusIndex,
-          statusHistory: {
-            create: creates.map(entry => ({
-              code: entry.code,
-              label: entry.label,
-              description: entry.description,
-              enteredAt: entry.enteredAt || new Date(),
-            })),
-          },
-        },
+/**
+ * @swagger
+ * /api/orders/{orderNumber}:
+ *   patch:
+ *     summary: Change the shipping address or lower item quantities before the order is handed to the carrier
+ *     description: |
+ *       Allowed while the order is before HANDOFF_TO_CARRIER (see `canEdit`). The order is re-priced at the prices
+ *       it was bought at, with shipping and tax for the new address and its promo code applied to the new
+ *       quantities. The new total may not be higher than the old one, and cannot change while the payment is
+ *       still being processed; on a paid order the difference is added to `refundDue`. Freed units go back
+ *       into stock. Signed-in customers can change their own orders; guests send the `orderToken`
+ *       from POST /api/orders/track.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderToken:
+ *                 type: string
+ *                 description: The `orderToken` from POST /api/orders/track. Required when not signed in as the customer who placed the order
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               items:
+ *                 type: array
+ *                 description: New quantities by order item id. Quantities can only be lowered; 0 removes the item.
+ *                 items:
+ *                   type: object
+ *                   required: [itemId, quantity]
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *     responses:
+ *       200:
+ *         description: The changed order, in the same shape as POST /api/orders/track
+ *       400:
+ *         description: Validation error, an unknown item, a higher quantity, no items left, or a shipping method that does not ship to the new address
+ *       404:
+ *         description: Order not found, or it is not yours
+ *       409:
+ *         description: The order can no longer be changed, or the change would raise the total (`reason` says which)
+ */
+router.patch(
+  '/:orderNumber',
+  optionalAuth,
+  [
+    orderTokenValidator,
+    check('items', 'Items must be a list of { itemId, quantity }').optional().isArray(),
+    check('items.*.itemId', 'Invalid order item id').isInt({ min: 1 }).toInt(),
+    check('items.*.quantity', 'Quantity must be a whole number of 0 or more').isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    const hasAddress = req.body.shippingAddress !== undefined && req.body.shippingAddress !== null;
+    const addressErrors = hasAddress ? await validateAddress(req, { prefix: 'shippingAddress.' }) : [];
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || addressErrors.length) {
+      return res.status(400).json({ errors: errors.isEmpty() ? addressErrors : errors.array() });
+    }
+
+    try {
+      const order = await findOwnedOrder(req, res);
+      if (!order) return undefined;
+
+      await updateOrder(order.orderNumber, {
+        shippingAddress: hasAddress ? pickAddress(req.body.shippingAddress) : null,
+        items: req.body.items || [],
+        actorUserId: getUserId(req),
       });
+      return await sendChangedOrder(req, res, order.orderNumber);
+    } catch (error) {
+      if (error instanceof OrderChangeError) {
+        return res.status(ORDER_CHANGE_ERROR_STATUS[error.reason] || 409).json(orderChangeErrorBody(error));
+      }
+      if (error instanceof ShippingError) {
+        return res.status(400).json({ error: error.message, code: 'INVALID_SHIPPING_METHOD', reason: error.reason });
+      }
+      console.error('Error changing order:', error);
+      return res.status(500).json({ error: 'Unable to change the order right now.' });
     }
+  }
+);
 
-    const latestHistory = [...orderState.statusHistory].sort((a, b) => new Date(a.enteredAt) - new Date(b.enteredAt));
-
-    const responsePayload = {
-      orderNumber: order.orderNumber,
-      email: order.email,
-      currentStatus: latestHistory[latestHistory.length - 1],
-      statusHistory: latestHistory,
-      statusFlow: ORDER_STATUS_FLOW,
-      total: Number(order.total),
-      items: order.items,
-      estimatedDelivery: order.estimatedDelivery,
-      createdAt: order.createdAt,
-      updatedAt: order.updatedAt,
-    };
-
-    res.json(responsePayload);
-  } catch (error) {
-    console.error('Error tracking order:', error);
-    res.status(500).json({ error: 'Unable to fetch order status right now.' });
+const RETURN_ERROR_STATUS = {
+  ITEM_NOT_FOUND: 400,
+  QUANTITY_EXCEEDED: 400,
+};
+
+/**
+ * @swagger
+ * /api/orders/{orderNumber}/returns:
+ *   post:
+ *     summary: Start a return for delivered items
+ *     description: |
+ *       Allowed for the number of days in `config/returns.js` after the DELIVERED entry in the status history
+ *       (see `canReturn`, `returnWindow` and each item's `returnableQuantity`). The return starts as `requested`
+ *       with an RMA number and is reviewed by staff through PATCH /api/returns/{rmaNumber}. Signed-in customers
+ *       can return their own orders; guests send the `orderToken` from POST /api/orders/track.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               orderToken:
+ *                 type: string
+ *                 description: The `orderToken` from POST /api/orders/track. Required when not signed in as the customer who placed the order
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [itemId, quantity, reason]
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *                       enum: [damaged, defective, wrong_item, not_as_described, no_longer_needed, other]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: The order, in the same shape as POST /api/orders/track, with the new return in `returns`
+ *       400:
+ *         description: Validation error, or more units than are left to return
+ *       404:
+ *         description: Order not found, or it is not yours
+ *       409:
+ *         description: The order has not been delivered yet or its return window has closed (`reason` says which)
+ */
+router.post(
+  '/:orderNumber/returns',
+  optionalAuth,
+  [
+    orderTokenValidator,
+    check('items', 'Choose at least one item to return').isArray({ min: 1 }),
+    check('items.*.itemId', 'Invalid order item id').isInt({ min: 1 }).toInt(),
+    check('items.*.quantity', 'Quantity must be a whole number of 1 or more').isInt({ min: 1 }).toInt(),
+    check('items.*.reason', 'Choose a reason for each item').isIn(RETURN_REASONS),
+    check('comment', 'Comment must be 1000 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const order = await findOwnedOrder(req, res);
+      if (!order) return undefined;
+
+      await prisma.$transaction(tx => createReturn(tx, order.orderNumber, { items: req.body.items, comment: req.body.comment }));
+      return await sendChangedOrder(req, res, order.orderNumber, 201);
+    } catch (error) {
+      if (error instanceof ReturnError) {
+        return res.status(RETURN_ERROR_STATUS[error.reason] || 409).json({ error: error.message, code: 'RETURN_NOT_ALLOWED', reason: error.reason });
+      }
+      console.error('Error starting return:', error);
+      return res.status(500).json({ error: 'Unable to start the return right now.' });
+    }
   }
-});
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderNumber}/status:
+ *   post:
+ *     summary: Move an order to its next fulfillment status (admin or fulfillment role)
+ *     description: Only transitions allowed from the order's current status are accepted. The change is recorded in the status history with the acting user and optional note.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: PAYMENT_VERIFIED
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the customer alongside the status update
+ *     responses:
+ *       200:
+ *         description: The order with its updated timeline and the next allowed statuses
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin or fulfillment role
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The transition is not allowed from the current status, or PAYMENT_VERIFIED was requested before the provider confirmed the payment (`code` is `PAYMENT_NOT_CONFIRMED`)
+ */
+router.post(
+  '/:orderNumber/status',
+  authMiddleware,
+  requireRole('admin', 'fulfillment'),
+  [
+    check('status', 'Status must be one of the order status codes').isIn(ORDER_STATUS_FLOW.map(status => status.code)),
+    check('note', 'Note must be 500 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const orderNumber = String(req.params.orderNumber).trim().toUpperCase();
+
+    try {
+      await transitionOrderStatus(orderNumber, req.body.status, {
+        actor: req.user.role,
+        actorUserId: getUserId(req),
+        note: req.body.note,
+      });
+
+      const order = await loadOrderDetail(orderNumber);
+
+      res.json({
+        ...buildOrderDetail(order, order.statusHistory, { includeActor: true, includeAddress: true }),
+        allowedTransitions: getAllowedTransitions(getOrderStatusCode(order)),
+      });
+    } catch (error) {
+      if (error instanceof OrderNotFoundError) {
+        return res.status(404).json({ error: 'Order not found.' });
+      }
+      if (error instanceof PaymentNotConfirmedError) {
+        return res.status(409).json({
+          error: 'Payment for this order has not been confirmed by the payment provider yet.',
+          code: 'PAYMENT_NOT_CONFIRMED',
+          currentStatus: error.from,
+          allowedTransitions: error.allowed,
+        });
+      }
+      if (error instanceof InvalidStatusTransitionError) {
+        return res.status(409).json({
+          error: error.concurrent
+            ? 'This order was updated by someone else. Reload it and try again.'
+            : `An order that is ${error.from} cannot move to ${error.to}.`,
+          currentStatus: error.from,
+          allowedTransitions: error.allowed,
+        });
+      }
+      console.error('Error updating order status:', error);
+      res.status(500).json({ error: 'Unable to update the order status right now.' });
+    }
+  }
+);
+
+const REFUND_ERROR_STATUS = {
+  AMOUNT_REQUIRED: 400,
+  AMOUNT_EXCEEDED: 400,
+  ITEM_NOT_FOUND: 400,
+  QUANTITY_EXCEEDED: 400,
+  PROVIDER_DECLINED: 502,
+};
+
+/**
+ * @swagger
+ * /api/orders/{orderNumber}/refunds:
+ *   post:
+ *     summary: Refund part or all of what was paid for an order (admin only)
+ *     description: |
+ *       Set `full` to refund the whole net paid amount (`netPaid`: captured minus earlier refunds). Otherwise send
+ *       an `amount`, `lines`, or both: lines record which units the money is for and, without an amount, are
+ *       refunded at what the customer paid for them after discounts and with tax. The refund goes through the
+ *       refund provider (REFUND_PROVIDER; the default `local` provider only records it), is added to the order's
+ *       refund history and `amountRefunded`, comes off what cancellations and changes owe (`refundDue`), and the
+ *       customer is emailed.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: FE-123456
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               full:
+ *                 type: boolean
+ *               amount:
+ *                 type: number
+ *                 exclusiveMinimum: 0
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [itemId, quantity]
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the customer in the refund history and email
+ *     responses:
+ *       201:
+ *         description: The order with the new refund in `refunds`, in the staff shape of POST /api/orders/{orderNumber}/status
+ *       400:
+ *         description: Validation error, no amount given, or more than is left to refund (`reason` says which)
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order has no captured payment, is fully refunded, or another refund was issued at the same time
+ *       502:
+ *         description: The refund provider did not accept the refund; nothing was recorded
+ */
+router.post(
+  '/:orderNumber/refunds',
+  authMiddleware,
+  requireRole('admin'),
+  [
+    check('full', 'Full must be true or false').optional().isBoolean().toBoolean(),
+    check('amount', 'Amount must be more than zero').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    check('lines', 'Lines must be a list of { itemId, quantity }').optional().isArray(),
+    check('lines.*.itemId', 'Invalid order item id').isInt({ min: 1 }).toInt(),
+    check('lines.*.quantity', 'Quantity must be a whole number of 1 or more').isInt({ min: 1 }).toInt(),
+    check('reason', 'Reason must be 500 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const orderNumber = String(req.params.orderNumber).trim().toUpperCase();
+
+    try {
+      await issueRefund(orderNumber, {
+        full: req.body.full === true,
+        amount: req.body.amount ?? null,
+        lines: req.body.lines || [],
+        reason: req.body.reason || null,
+        actor: req.user.role,
+        issuedById: getUserId(req),
+      });
+
+      const order = await loadOrderDetail(orderNumber);
+      res.status(201).json(buildOrderDetail(order, order.statusHistory, { includeActor: true, includeAddress: true }));
+    } catch (error) {
+      if (error instanceof OrderNotFoundError) {
+        return res.status(404).json({ error: 'Order not found.' });
+      }
+      if (error instanceof RefundError) {
+        return res.status(REFUND_ERROR_STATUS[error.reason] || 409).json({ error: error.message, code: 'REFUND_NOT_ALLOWED', reason: error.reason });
+      }
+      console.error('Error issuing refund:', error);
+      res.status(500).json({ error: 'Unable to issue the refund right now.' });
+    }
+  }
+);
 
 module.exports = router;
@@ -1,10 +1,16 @@
 require('dotenv').config();
 const express = require('express');
 const router = express.Router();
+const { check, validationResult } = require('express-validator');
 const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { STORE_CURRENCY, toMinorUnits, fromMinorUnits, toMoney } = require('../utils/money');
+const { TAX_CATEGORIES } = require('../config/taxRates');
 
 const { queryById: queryPineconeById, queryByVector: queryPineconeByVector, fetchVectors: fetchPineconeVectors } = require('../pineconeClient');
-const { ensureProductSyncedWithPinecone } = require('../services/pineconeSync');
+const { ensureProductSyncedWithPinecone, removeProductFromPinecone } = require('../services/pineconeSync');
+const { enqueueWebhookEvent, notifyLowStock, productEventData } = require('../services/webhooks');
 
 const toIdString = value => {
   if (value && typeof value.toString === 'function') return value.toString();
@@ -20,19 +26,127 @@ const RANK_SORT = [
   { createdAt: 'desc' },
 ];
 
-const normalizeProduct = product => ({
-  id: product.id,
-  name: product.name,
-  description: product.description,
-  price: Number(product.price),
-  category: product.category,
-  image: product.image,
-  brand: product.brand,
-  stock: product.stock,
-  rating: product.rating,
-  numReviews: product.numReviews,
-  createdAt: product.createdAt,
-});
+const normalizeProduct = product => {
+  const price = toMinorUnits(product.price);
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    price: fromMinorUnits(price),
+    currency: STORE_CURRENCY,
+    money: { price: toMoney(price) },
+    category: product.category,
+    image: product.image,
+    brand: product.brand,
+    stock: product.stock,
+    weightGrams: product.weightGrams,
+    taxCategory: product.taxCategory,
+    rating: product.rating,
+    numReviews: product.numReviews,
+    createdAt: product.createdAt,
+  };
+};
+
+const CATALOG_DEFAULT_LIMIT = 24;
+const CATALOG_MAX_LIMIT = 100;
+
+const CATALOG_SORTS = {
+  featured: [{ id: 'asc' }],
+  price_asc: [{ price: 'asc' }, { id: 'asc' }],
+  price_desc: [{ price: 'desc' }, { id: 'asc' }],
+  rating: [{ rating: 'desc' }, { numReviews: 'desc' }, { id: 'asc' }],
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+};
+
+const parseOptionalNumber = (value, { integer = false, min = 0 } = {}) => {
+  if (value === undefined || value === '') return { value: undefined };
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || (integer && !Number.isInteger(parsed))) {
+    return { error: true };
+  }
+  return { value: parsed };
+};
+
+// Translates GET /api/products query params into a Prisma query. Results are always paged:
+// `limit` defaults to CATALOG_DEFAULT_LIMIT and is capped at CATALOG_MAX_LIMIT.
+const parseCatalogQuery = query => {
+  const sortKey = query.sort || 'featured';
+  if (!CATALOG_SORTS[sortKey]) {
+    return { error: `Invalid sort. Use one of: ${Object.keys(CATALOG_SORTS).join(', ')}` };
+  }
+
+  const limit = parseOptionalNumber(query.limit, { integer: true, min: 1 });
+  const page = parseOptionalNumber(query.page, { integer: true, min: 1 });
+  const cursor = parseOptionalNumber(query.cursor, { integer: true, min: 1 });
+  const minPrice = parseOptionalNumber(query.minPrice);
+  const maxPrice = parseOptionalNumber(query.maxPrice);
+  const minRating = parseOptionalNumber(query.minRating);
+  const ids = query.ids === undefined || query.ids === '' ? undefined : String(query.ids).split(',').map(Number);
+
+  if (limit.error || page.error || cursor.error) return { error: 'page, limit and cursor must be positive integers' };
+  if (minPrice.error || maxPrice.error) return { error: 'minPrice and maxPrice must be non-negative numbers' };
+  if (minRating.error) return { error: 'minRating must be a non-negative number' };
+  if (ids && (ids.length > CATALOG_MAX_LIMIT || !ids.every(id => Number.isInteger(id) && id > 0))) {
+    return { error: `ids must be a comma-separated list of at most ${CATALOG_MAX_LIMIT} product ids` };
+  }
+  if (minPrice.value !== undefined && maxPrice.value !== undefined && minPrice.value > maxPrice.value) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+
+  const where = {};
+  if (ids) where.id = { in: ids };
+  if (query.category && query.category !== 'all') where.category = { equals: String(query.category), mode: 'insensitive' };
+  if (query.brand) where.brand = { equals: String(query.brand), mode: 'insensitive' };
+  if (minPrice.value !== undefined || maxPrice.value !== undefined) {
+    where.price = {};
+    if (minPrice.value !== undefined) where.price.gte = minPrice.value;
+    if (maxPrice.value !== undefined) where.price.lte = maxPrice.value;
+  }
+  if (minRating.value !== undefined) where.rating = { gte: minRating.value };
+  if (query.inStock === 'true') where.stock = { gt: 0 };
+
+  return {
+    where,
+    orderBy: CATALOG_SORTS[sortKey],
+    limit: Math.min(limit.value || CATALOG_DEFAULT_LIMIT, CATALOG_MAX_LIMIT),
+    page: page.value || 1,
+    cursor: cursor.value,
+  };
+};
+
+const PRODUCT_WRITABLE_FIELDS = ['name', 'description', 'price', 'category', 'image', 'brand', 'stock', 'weightGrams', 'taxCategory'];
+
+const productWriteValidators = ({ partial = false } = {}) => {
+  const field = (name, message) => (partial ? check(name, message).optional() : check(name, message));
+  return [
+    field('name', 'Name is required').isString().trim().notEmpty(),
+    field('description', 'Description is required').isString().trim().notEmpty(),
+    field('price', 'Price must be a non-negative number').isFloat({ min: 0 }).toFloat(),
+    field('category', 'Category is required').isString().trim().notEmpty(),
+    field('image', 'Image must be a valid URL').isURL(),
+    check('brand', 'Brand must be a string').optional({ values: 'null' }).isString().trim(),
+    check('stock', 'Stock must be a non-negative integer').optional().isInt({ min: 0 }).toInt(),
+    check('weightGrams', 'Weight must be a non-negative whole number of grams').optional().isInt({ min: 0 }).toInt(),
+    check('taxCategory', `Tax category must be one of: ${TAX_CATEGORIES.join(', ')}`).optional().isIn(TAX_CATEGORIES),
+  ];
+};
+
+const pickProductFields = body => {
+  const data = {};
+  for (const key of PRODUCT_WRITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+};
+
+// Vector sync is best-effort: a Pinecone outage must not fail a catalog write.
+const syncProductVector = async product => {
+  try {
+    await ensureProductSyncedWithPinecone(product);
+  } catch (err) {
+    console.error('Pinecone sync after product write failed:', err.message || err);
+  }
+};
 
 const toNumericIds = ids => Array.from(ids).map(val => Number(val)).filter(Number.isFinite);
 
@@ -379,6 +493,13 @@ const pineconeGroupRecommendations = async (products, limit = 10) => {
  *         stock:
  *           type: number
  *           description: The available stock of the product
+ *         weightGrams:
+ *           type: integer
+ *           description: Shipping weight in grams, used by weight-based shipping rates
+ *         taxCategory:
+ *           type: string
+ *           enum: [standard, reduced, exempt]
+ *           description: Which rate of the destination's tax applies to the product
  *         rating:
  *           type: number
  *           description: The rating of the product
@@ -407,27 +528,225 @@ const pineconeGroupRecommendations = async (products, limit = 10) => {
  * @swagger
  * /api/products:
  *   get:
- *     summary: Returns the list of all products
+ *     summary: Returns a filtered, sorted page of products
+ *     description: Pages hold `limit` products, 24 unless given and at most 100. Use `page` for offset paging or `cursor` (the `nextCursor` of the previous response) for keyset paging.
  *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 24
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: integer
+ *         description: Id of the last product from the previous page
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: Comma-separated product ids to return, at most 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [featured, price_asc, price_desc, rating, newest]
  *     responses:
  *       200:
- *         description: The list of products
+ *         description: A page of products with the total match count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                   nullable: true
+ *                 totalPages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/', async (req, res) => {
+  const query = parseCatalogQuery(req.query);
+  if (query.error) {
+    return res.status(400).json({ message: query.error });
+  }
+
+  try {
+    const findArgs = { where: query.where, orderBy: query.orderBy, take: query.limit };
+    if (query.cursor) {
+      findArgs.cursor = { id: query.cursor };
+      findArgs.skip = 1;
+    } else {
+      findArgs.skip = (query.page - 1) * query.limit;
+    }
+
+    const [products, total] = await Promise.all([prisma.product.findMany(findArgs), prisma.product.count({ where: query.where })]);
+
+    const hasMore = products.length === query.limit;
+    res.json({
+      products: products.map(normalizeProduct),
+      total,
+      page: query.cursor ? null : query.page,
+      limit: query.limit,
+      totalPages: Math.max(1, Math.ceil(total / query.limit)),
+      nextCursor: hasMore ? products[products.length - 1].id : null,
+    });
+  } catch (err) {
+    res.status(500).send('Server error');
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/categories:
+ *   get:
+ *     summary: Lists the catalog's categories with how many products each has
+ *     tags: [Products]
+ *     responses:
+ *       200:
+ *         description: Categories in alphabetical order, each with the image of one of its products
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Product'
+ *                 type: object
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *                   image:
+ *                     type: string
  */
-router.get('/', async (req, res) => {
+router.get('/categories', async (req, res) => {
   try {
-    const products = await prisma.product.findMany();
-    res.json(products.map(normalizeProduct));
+    const [groups, samples] = await Promise.all([
+      prisma.product.groupBy({ by: ['category'], _count: { _all: true }, orderBy: { category: 'asc' } }),
+      prisma.product.findMany({ distinct: ['category'], select: { category: true, image: true }, orderBy: [{ category: 'asc' }, { id: 'asc' }] }),
+    ]);
+    const images = new Map(samples.map(sample => [sample.category, sample.image]));
+    res.json(groups.map(group => ({ category: group.category, count: group._count._all, image: images.get(group.category) ?? null })));
   } catch (err) {
     res.status(500).send('Server error');
   }
 });
 
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a product (admin only)
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, description, price, category, image]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               stock:
+ *                 type: integer
+ *               weightGrams:
+ *                 type: integer
+ *               taxCategory:
+ *                 type: string
+ *                 enum: [standard, reduced, exempt]
+ *     responses:
+ *       201:
+ *         description: The created product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       409:
+ *         description: A product with this name already exists
+ */
+router.post('/', authMiddleware, requireRole('admin'), productWriteValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const product = await prisma.product.create({ data: pickProductFields(req.body) });
+    await syncProductVector(product);
+    res.status(201).json(normalizeProduct(product));
+  } catch (err) {
+    if (err?.code === 'P2002') {
+      return res.status(409).json({ message: 'A product with this name already exists' });
+    }
+    console.error('Error creating product:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/products/{id}/similar:
@@ -608,10 +927,13 @@ router.get('/category/:category', async (req, res) => {
 
 /**
  * @swagger
- * /api/products/{id}/rating:
- *   put:
- *     summary: Update the product rating
+ * /api/products/{id}:
+ *   patch:
+ *     summary: Update selected fields of a product (admin only)
+ *     description: Sends a product.updated webhook, and product.stock_low when the new stock drops to the low-stock threshold.
  *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -626,9 +948,25 @@ router.get('/category/:category', async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               rating:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               price:
  *                 type: number
- *                 description: The new rating for the product
+ *               category:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               stock:
+ *                 type: integer
+ *               weightGrams:
+ *                 type: integer
+ *               taxCategory:
+ *                 type: string
+ *                 enum: [standard, reduced, exempt]
  *     responses:
  *       200:
  *         description: The updated product
@@ -636,38 +974,98 @@ router.get('/category/:category', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Validation error or empty update
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: A product with this name already exists
  */
-router.put('/:id/rating', async (req, res) => {
-  try {
-    const { rating } = req.body;
-    const id = Number(req.params.id);
-    if (Number.isNaN(id)) return res.status(400).json({ message: 'Invalid product id' });
-    if (typeof rating !== 'number' || Number.isNaN(rating)) return res.status(400).json({ message: 'Invalid rating value' });
+router.patch('/:id', authMiddleware, requireRole('admin'), productWriteValidators({ partial: true }), async (req, res) => {
+  const id = Number(req.params.id);
+  if (Number.isNaN(id)) return res.status(400).json({ message: 'Invalid product id' });
 
-    const product = await prisma.product.findUnique({ where: { id } });
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    if (!product) {
-      return res.status(404).send('Product not found');
-    }
+  const data = pickProductFields(req.body);
+  if (!Object.keys(data).length) {
+    return res.status(400).json({ message: 'No updatable fields provided' });
+  }
 
-    // Calculate new average rating
-    const newNumReviews = (product.numReviews || 0) + 1;
-    const newRatingSum = (product.rating || 0) * (product.numReviews || 0) + rating;
-    const newAverageRating = newRatingSum / newNumReviews;
-
-    const updated = await prisma.product.update({
-      where: { id },
-      data: {
-        rating: newAverageRating,
-        numReviews: newNumReviews,
-      },
+  try {
+    // product.updated (and product.stock_low when the new stock crosses the threshold) commits with the change.
+    const product = await prisma.$transaction(async tx => {
+      const before = data.stock === undefined ? null : await tx.product.findUnique({ where: { id }, select: { stock: true } });
+      const updated = await tx.product.update({ where: { id }, data });
+      await enqueueWebhookEvent(tx, 'product.updated', productEventData(updated));
+      if (before) await notifyLowStock(tx, [{ ...updated, previousStock: before.stock }]);
+      return updated;
     });
+    await syncProductVector(product);
+    res.json(normalizeProduct(product));
+  } catch (err) {
+    if (err?.code === 'P2025') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (err?.code === 'P2002') {
+      return res.status(409).json({ message: 'A product with this name already exists' });
+    }
+    console.error('Error updating product:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json(normalizeProduct(updated));
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Delete a product (admin only)
+ *     description: Removes the product from the catalog and its vector from the recommendation index. Past order lines keep their name and price snapshot.
+ *     tags: [Products]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *     responses:
+ *       200:
+ *         description: Product deleted
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Product not found
+ */
+router.delete('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (Number.isNaN(id)) return res.status(400).json({ message: 'Invalid product id' });
+
+  try {
+    const product = await prisma.product.delete({ where: { id } });
+    try {
+      await removeProductFromPinecone(product.pineconeId || product.id);
+    } catch (err) {
+      console.error('Pinecone removal after product delete failed:', err.message || err);
+    }
+    res.json({ message: 'Product deleted', id: product.id });
   } catch (err) {
-    res.status(500).send('Server error');
+    if (err?.code === 'P2025') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    console.error('Error deleting product:', err);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
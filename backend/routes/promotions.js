@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { PROMOTION_TYPES, normalizeCouponCode } = require('../services/promotions');
+
+const PROMOTION_WRITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'minSubtotal',
+  'categories',
+  'brands',
+  'productIds',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'startsAt',
+  'endsAt',
+  'active',
+];
+
+const normalizePromotion = promotion => ({
+  ...promotion,
+  value: Number(promotion.value),
+  minSubtotal: promotion.minSubtotal === null ? null : Number(promotion.minSubtotal),
+});
+
+const promotionWriteValidators = ({ partial = false } = {}) => {
+  const field = (name, message) => (partial ? check(name, message).optional() : check(name, message));
+  const nullable = (name, message) => check(name, message).optional({ values: 'null' });
+  return [
+    field('code', 'Code must be 3-32 letters, digits, dashes or underscores')
+      .isString()
+      .customSanitizer(normalizeCouponCode)
+      .matches(/^[A-Z0-9_-]{3,32}$/),
+    field('type', `Type must be one of: ${PROMOTION_TYPES.join(', ')}`).isIn(PROMOTION_TYPES),
+    check('value', 'Value must be a non-negative number').optional().isFloat({ min: 0 }).toFloat(),
+    check('value', 'Percentage values cannot exceed 100').custom((value, { req }) => value === undefined || req.body.type !== 'percentage' || value <= 100),
+    nullable('description', 'Description must be a string').isString().trim(),
+    nullable('minSubtotal', 'Minimum subtotal must be a non-negative number').isFloat({ min: 0 }).toFloat(),
+    check('categories', 'Categories must be an array of strings').optional().isArray(),
+    check('categories.*').isString().trim().notEmpty(),
+    check('brands', 'Brands must be an array of strings').optional().isArray(),
+    check('brands.*').isString().trim().notEmpty(),
+    check('productIds', 'Product ids must be an array of integers').optional().isArray(),
+    check('productIds.*').isInt({ min: 1 }).toInt(),
+    nullable('maxRedemptions', 'Usage limit must be a positive integer').isInt({ min: 1 }).toInt(),
+    nullable('maxRedemptionsPerUser', 'Per-customer limit must be a positive integer').isInt({ min: 1 }).toInt(),
+    nullable('startsAt', 'Start must be an ISO 8601 date').isISO8601().toDate(),
+    nullable('endsAt', 'End must be an ISO 8601 date').isISO8601().toDate(),
+    check('endsAt', 'End must be after the start').custom((endsAt, { req }) => !endsAt || !req.body.startsAt || endsAt > req.body.startsAt),
+    check('active', 'Active must be a boolean').optional().isBoolean().toBoolean(),
+  ];
+};
+
+const pickPromotionFields = body => {
+  const data = {};
+  for (const key of PROMOTION_WRITABLE_FIELDS) {
+    if (body[key] !== undefined) data[key] = body[key];
+  }
+  return data;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         code:
+ *           type: string
+ *           example: SAVE10
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping]
+ *         value:
+ *           type: number
+ *           description: Percent off for `percentage`, amount off for `fixed`; ignored for `free_shipping`.
+ *         minSubtotal:
+ *           type: number
+ *           nullable: true
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         brands:
+ *           type: array
+ *           items:
+ *             type: string
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         maxRedemptions:
+ *           type: integer
+ *           nullable: true
+ *         maxRedemptionsPerUser:
+ *           type: integer
+ *           nullable: true
+ *         redemptionCount:
+ *           type: integer
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotions (admin only)
+ *     tags: [Promotions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All promotions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const promotions = await prisma.promotion.findMany({ orderBy: { createdAt: 'desc' } });
+    res.json(promotions.map(normalizePromotion));
+  } catch (err) {
+    console.error('Error listing promotions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promotion (admin only)
+ *     description: Empty `categories`, `brands` and `productIds` make the code apply to every product; otherwise a line qualifies when it matches any of them.
+ *     tags: [Promotions]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: The created promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       409:
+ *         description: A promotion with this code already exists
+ */
+router.post('/', authMiddleware, requireRole('admin'), promotionWriteValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const promotion = await prisma.promotion.create({ data: pickPromotionFields(req.body) });
+    res.status(201).json(normalizePromotion(promotion));
+  } catch (err) {
+    if (err?.code === 'P2002') {
+      return res.status(409).json({ message: 'A promotion with this code already exists' });
+    }
+    console.error('Error creating promotion:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   patch:
+ *     summary: Update a promotion (admin only)
+ *     description: Set `active` to false to retire a code. The redemption count is managed by checkout and cannot be edited.
+ *     tags: [Promotions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: The updated promotion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: A promotion with this code already exists
+ */
+router.patch('/:id', authMiddleware, requireRole('admin'), promotionWriteValidators({ partial: true }), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ message: 'Invalid promotion id' });
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const data = pickPromotionFields(req.body);
+  if (!Object.keys(data).length) {
+    return res.status(400).json({ message: 'No updatable fields provided' });
+  }
+
+  try {
+    const promotion = await prisma.promotion.update({ where: { id }, data });
+    res.json(normalizePromotion(promotion));
+  } catch (err) {
+    if (err?.code === 'P2025') {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+    if (err?.code === 'P2002') {
+      return res.status(409).json({ message: 'A promotion with this code already exists' });
+    }
+    console.error('Error updating promotion:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { RETURN_STATUSES, RETURN_INCLUDE, ReturnError, InvalidReturnTransitionError, reviewReturn, refundReturn, serializeReturn } = require('../services/returns');
+const { RefundError } = require('../services/refunds');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const RETURN_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  LABEL_REQUIRED: 400,
+  NOTE_REQUIRED: 400,
+  REFUND_EXCEEDED: 400,
+};
+
+// Refund failures when a return is marked refunded; the rest (nothing paid, a concurrent refund) are conflicts.
+const REFUND_ERROR_STATUS = {
+  AMOUNT_EXCEEDED: 400,
+  QUANTITY_EXCEEDED: 400,
+  PROVIDER_DECLINED: 502,
+};
+
+const STAFF_RETURN_INCLUDE = { ...RETURN_INCLUDE, order: true };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         rmaNumber:
+ *           type: string
+ *           example: RMA-482913
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, label_issued, received, refunded, rejected]
+ *         comment:
+ *           type: string
+ *           nullable: true
+ *         labelUrl:
+ *           type: string
+ *           nullable: true
+ *         trackingNumber:
+ *           type: string
+ *           nullable: true
+ *         reviewNote:
+ *           type: string
+ *           nullable: true
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItemId:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               reasonLabel:
+ *                 type: string
+ *         value:
+ *           type: number
+ *           description: What the customer paid for the returned units, after discounts and with tax
+ *         refundAmount:
+ *           type: number
+ *           nullable: true
+ *         orderNumber:
+ *           type: string
+ *         email:
+ *           type: string
+ *         restocked:
+ *           type: boolean
+ *         allowedTransitions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: List return requests, oldest first (admin or fulfillment role)
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, label_issued, received, refunded, rejected]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of return requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnRequest'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin or fulfillment role
+ */
+router.get('/', authMiddleware, requireRole('admin', 'fulfillment'), async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !RETURN_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `Status must be one of: ${RETURN_STATUSES.join(', ')}` });
+  }
+
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+  const where = status ? { status } : {};
+
+  try {
+    const [returns, total] = await Promise.all([
+      prisma.returnRequest.findMany({
+        where,
+        include: STAFF_RETURN_INCLUDE,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.returnRequest.count({ where }),
+    ]);
+
+    res.json({
+      returns: returns.map(ret => serializeReturn(ret, { forStaff: true })),
+      total,
+      page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+    });
+  } catch (err) {
+    console.error('Error listing returns:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{rmaNumber}:
+ *   patch:
+ *     summary: Review a return request (admin or fulfillment role)
+ *     description: |
+ *       Moves the return along requested → approved → label_issued → received → refunded. It can be rejected
+ *       at any point before it is refunded. `label_issued` needs `labelUrl`, and `rejected` needs a `note`,
+ *       which is shown to the customer. `received` puts the items back in stock unless `restock` is false.
+ *       `refunded` refunds `refundAmount` (by default what the items cost after discounts, with tax) through the
+ *       refund provider, as POST /api/orders/{orderNumber}/refunds does for the returned items, and emails the
+ *       customer. It cannot take more than was paid net of earlier refunds and the order's `refundDue`.
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rmaNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: RMA-482913
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, label_issued, received, refunded, rejected]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *               labelUrl:
+ *                 type: string
+ *                 format: uri
+ *               trackingNumber:
+ *                 type: string
+ *               refundAmount:
+ *                 type: number
+ *                 minimum: 0
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: The updated return
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Validation error, a missing label URL or note, or a refund larger than what is left on the order
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin or fulfillment role
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: The return cannot move to that status from its current one, or the order has nothing to refund
+ *       502:
+ *         description: The refund provider did not accept the refund
+ */
+router.patch(
+  '/:rmaNumber',
+  authMiddleware,
+  requireRole('admin', 'fulfillment'),
+  [
+    check('status', `Status must be one of: ${RETURN_STATUSES.join(', ')}`).isIn(RETURN_STATUSES),
+    check('note', 'Note must be 500 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+    check('labelUrl', 'Label URL must be a valid URL').optional({ nullable: true }).isURL(),
+    check('trackingNumber', 'Tracking number must be 64 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 64 }),
+    check('refundAmount', 'Refund amount must be a non-negative number').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    check('restock', 'Restock must be true or false').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, note, labelUrl, trackingNumber, refundAmount, restock } = req.body;
+    const rmaNumber = String(req.params.rmaNumber).trim().toUpperCase();
+    const reviewerId = Number(req.user.id) || null;
+    try {
+      const ret =
+        status === 'refunded'
+          ? await refundReturn(rmaNumber, { note: note || null, refundAmount: refundAmount ?? null, reviewerId, actor: req.user.role })
+          : await prisma.$transaction(tx =>
+              reviewReturn(tx, rmaNumber, {
+                status,
+                note: note || null,
+                labelUrl: labelUrl || null,
+                trackingNumber: trackingNumber || null,
+                restockItems: restock !== false,
+                reviewerId,
+              })
+            );
+      res.json(serializeReturn(ret, { forStaff: true }));
+    } catch (err) {
+      if (err instanceof InvalidReturnTransitionError) {
+        return res.status(409).json({ message: err.message, currentStatus: err.from, allowedTransitions: err.allowed });
+      }
+      if (err instanceof ReturnError) {
+        return res.status(RETURN_ERROR_STATUS[err.reason] || 409).json({ message: err.message, reason: err.reason });
+      }
+      if (err instanceof RefundError) {
+        return res.status(REFUND_ERROR_STATUS[err.reason] || 409).json({ message: err.message, reason: err.reason });
+      }
+      console.error('Error reviewing return:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,412 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Mounted at /api/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_PAGE_SIZE = 5;
+const MAX_PAGE_SIZE = 50;
+
+const reviewValidators = ({ partial = false } = {}) => {
+  const field = (name, message) => (partial ? check(name, message).optional() : check(name, message));
+  return [
+    field('rating', 'Rating must be a whole number from 1 to 5').isInt({ min: 1, max: 5 }).toInt(),
+    field('title', 'Title is required (max 120 characters)').isString().trim().isLength({ min: 1, max: 120 }),
+    field('body', 'Review text is required (max 2000 characters)').isString().trim().isLength({ min: 1, max: 2000 }),
+  ];
+};
+
+const serializeReview = review => ({
+  id: review.id,
+  productId: review.productId,
+  userId: review.userId,
+  author: review.user?.name || 'Customer',
+  rating: review.rating,
+  title: review.title,
+  body: review.body,
+  verifiedPurchase: review.verifiedPurchase,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt,
+});
+
+const parseProductId = req => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const getUserId = req => {
+  const userId = Number(req.user?.id);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+};
+
+// Only orders that were paid for and not cancelled count as a purchase.
+const hasPurchased = async (userId, productId) => {
+  const item = await prisma.orderItem.findFirst({
+    where: { productId, order: { userId, paidAt: { not: null }, cancelledAt: null } },
+    select: { id: true },
+  });
+  return Boolean(item);
+};
+
+// Product.rating / numReviews are a cache of the stored reviews, rebuilt after every write. Products
+// keep the rating they had before reviews were stored until their first review is written.
+const recomputeProductRating = async (tx, productId) => {
+  const { _avg, _count } = await tx.review.aggregate({
+    where: { productId },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+  return tx.product.update({
+    where: { id: productId },
+    data: { rating: _avg.rating || 0, numReviews: _count._all },
+  });
+};
+
+const loadOwnedReview = async (req, res) => {
+  const productId = parseProductId(req);
+  const reviewId = Number(req.params.reviewId);
+  if (!productId || !Number.isInteger(reviewId)) {
+    res.status(400).json({ message: 'Invalid product or review id' });
+    return null;
+  }
+
+  const review = await prisma.review.findUnique({ where: { id: reviewId } });
+  if (!review || review.productId !== productId) {
+    res.status(404).json({ message: 'Review not found' });
+    return null;
+  }
+  if (review.userId !== getUserId(req)) {
+    res.status(403).json({ message: 'You can only change your own review' });
+    return null;
+  }
+  return review;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         productId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         author:
+ *           type: string
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         verifiedPurchase:
+ *           type: boolean
+ *           description: True when the author has an order containing this product
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: List reviews for a product, newest first
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: A page of reviews. `viewerReview` is the signed-in caller's own review, if any.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 viewerReview:
+ *                   $ref: '#/components/schemas/Review'
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  const productId = parseProductId(req);
+  if (!productId) return res.status(400).json({ message: 'Invalid product id' });
+
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+  const userId = getUserId(req);
+
+  try {
+    const [reviews, total, viewerReview] = await Promise.all([
+      prisma.review.findMany({
+        where: { productId },
+        include: { user: { select: { name: true } } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.review.count({ where: { productId } }),
+      userId
+        ? prisma.review.findUnique({
+            where: { productId_userId: { productId, userId } },
+            include: { user: { select: { name: true } } },
+          })
+        : null,
+    ]);
+
+    res.json({
+      reviews: reviews.map(serializeReview),
+      total,
+      page,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      viewerReview: viewerReview ? serializeReview(viewerReview) : null,
+    });
+  } catch (err) {
+    console.error('Error listing reviews:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   post:
+ *     summary: Review a product (one review per user per product)
+ *     tags: [Reviews]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating, title, body]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The created review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The user already reviewed this product
+ */
+router.post('/', authMiddleware, reviewValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const productId = parseProductId(req);
+  const userId = getUserId(req);
+  if (!productId) return res.status(400).json({ message: 'Invalid product id' });
+  if (!userId) return res.status(401).json({ msg: 'Token is not valid' });
+
+  try {
+    const product = await prisma.product.findUnique({ where: { id: productId }, select: { id: true } });
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const verifiedPurchase = await hasPurchased(userId, productId);
+    const review = await prisma.$transaction(async tx => {
+      const created = await tx.review.create({
+        data: {
+          productId,
+          userId,
+          rating: req.body.rating,
+          title: req.body.title,
+          body: req.body.body,
+          verifiedPurchase,
+        },
+        include: { user: { select: { name: true } } },
+      });
+      await recomputeProductRating(tx, productId);
+      return created;
+    });
+
+    res.status(201).json(serializeReview(review));
+  } catch (err) {
+    if (err?.code === 'P2002') {
+      return res.status(409).json({ message: 'You have already reviewed this product. Edit your existing review instead.' });
+    }
+    console.error('Error creating review:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}:
+ *   patch:
+ *     summary: Edit your review
+ *     tags: [Reviews]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       403:
+ *         description: The review belongs to another user
+ *       404:
+ *         description: Review not found
+ */
+router.patch('/:reviewId', authMiddleware, reviewValidators({ partial: true }), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const existing = await loadOwnedReview(req, res);
+    if (!existing) return undefined;
+
+    const data = {};
+    for (const key of ['rating', 'title', 'body']) {
+      if (req.body[key] !== undefined) data[key] = req.body[key];
+    }
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ message: 'No updatable fields provided' });
+    }
+    data.verifiedPurchase = await hasPurchased(existing.userId, existing.productId);
+
+    const review = await prisma.$transaction(async tx => {
+      const updated = await tx.review.update({
+        where: { id: existing.id },
+        data,
+        include: { user: { select: { name: true } } },
+      });
+      await recomputeProductRating(tx, existing.productId);
+      return updated;
+    });
+
+    res.json(serializeReview(review));
+  } catch (err) {
+    console.error('Error updating review:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete your review
+ *     tags: [Reviews]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       403:
+ *         description: The review belongs to another user
+ *       404:
+ *         description: Review not found
+ */
+router.delete('/:reviewId', authMiddleware, async (req, res) => {
+  try {
+    const existing = await loadOwnedReview(req, res);
+    if (!existing) return undefined;
+
+    await prisma.$transaction(async tx => {
+      await tx.review.delete({ where: { id: existing.id } });
+      await recomputeProductRating(tx, existing.productId);
+    });
+
+    res.json({ message: 'Review deleted', id: existing.id });
+  } catch (err) {
+    console.error('Error deleting review:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
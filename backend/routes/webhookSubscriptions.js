@@ -0,0 +1,494 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const prisma = require('../prismaClient');
+const authMiddleware = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const { WEBHOOK_EVENTS, generateWebhookSecret, serializeSubscription, serializeDelivery } = require('../services/webhooks');
+const { ReplayError, replayDelivery } = require('../services/webhooks/worker');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+// Shared by create and update; on update every field is optional.
+const subscriptionValidators = ({ partial = false } = {}) => {
+  const url = check('url', 'URL must be an http(s) URL').isURL(URL_OPTIONS);
+  return [
+    partial ? url.optional() : url,
+    check('secret', 'Secret must be 16 to 200 characters').optional().isString().isLength({ min: 16, max: 200 }),
+    check('events', 'Events must be a list of event types').optional().isArray(),
+    check('events.*', `Events must be among: ${WEBHOOK_EVENTS.join(', ')}`).isIn(WEBHOOK_EVENTS),
+    check('active', 'Active must be true or false').optional().isBoolean().toBoolean(),
+    check('description', 'Description must be 200 characters or fewer').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+  ];
+};
+
+const pickSubscriptionFields = body => {
+  const data = {};
+  if (body.url !== undefined) data.url = body.url;
+  if (body.secret !== undefined) data.secret = body.secret;
+  if (body.events !== undefined) data.events = [...new Set(body.events)];
+  if (body.active !== undefined) data.active = body.active;
+  if (body.description !== undefined) data.description = body.description || null;
+  return data;
+};
+
+const parseId = value => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           example: https://erp.example.com/hooks/tekado
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [order.created, order.status_changed, product.updated, product.stock_low]
+ *         allEvents:
+ *           type: boolean
+ *           description: True when the subscription was created without an event filter and gets every event, including ones added later
+ *         active:
+ *           type: boolean
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         secret:
+ *           type: string
+ *           description: The signing secret. Only returned when the subscription is created.
+ *         secretHint:
+ *           type: string
+ *           example: …9f3a
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         subscriptionId:
+ *           type: integer
+ *         eventId:
+ *           type: string
+ *           description: Same for every subscription and retry of an event; receivers can deduplicate on it
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The JSON body that is POSTed, `{ id, type, createdAt, data }`
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *         responseBody:
+ *           type: string
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/webhook-subscriptions:
+ *   get:
+ *     summary: List webhook subscriptions (admin only)
+ *     tags: [Webhook subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All subscriptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ */
+router.get('/', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const subscriptions = await prisma.webhookSubscription.findMany({ orderBy: { createdAt: 'desc' } });
+    res.json(subscriptions.map(subscription => serializeSubscription(subscription)));
+  } catch (err) {
+    console.error('Error listing webhook subscriptions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhook-subscriptions:
+ *   post:
+ *     summary: Subscribe a URL to webhook events (admin only)
+ *     description: |
+ *       Events are POSTed as JSON with `X-Webhook-Id`, `X-Webhook-Event` and `X-Webhook-Signature` headers. The signature is
+ *       `t=<unix seconds>,v1=<hex>`, where v1 is the HMAC-SHA256 of `<t>.<raw body>` keyed with the subscription's secret.
+ *       Leave out `events` to receive every event. A secret is generated when none is given; it is only shown in this response.
+ *     tags: [Webhook subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [order.created, order.status_changed, product.updated, product.stock_low]
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The subscription, with its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ */
+router.post('/', authMiddleware, requireRole('admin'), subscriptionValidators(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const subscription = await prisma.webhookSubscription.create({
+      data: { events: [], secret: generateWebhookSecret(), ...pickSubscriptionFields(req.body) },
+    });
+    res.status(201).json(serializeSubscription(subscription, { withSecret: true }));
+  } catch (err) {
+    console.error('Error creating webhook subscription:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhook-subscriptions/{id}:
+ *   patch:
+ *     summary: Change a webhook subscription's URL, secret, events or status (admin only)
+ *     description: An empty `events` list subscribes to every event. Deliveries queued while a subscription is inactive are sent once it is active again.
+ *     tags: [Webhook subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Validation error or empty update
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Subscription not found
+ */
+router.patch('/:id', authMiddleware, requireRole('admin'), subscriptionValidators({ partial: true }), async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Invalid subscription id' });
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const data = pickSubscriptionFields(req.body);
+  if (!Object.keys(data).length) {
+    return res.status(400).json({ message: 'No updatable fields provided' });
+  }
+
+  try {
+    const subscription = await prisma.webhookSubscription.update({ where: { id }, data });
+    res.json(serializeSubscription(subscription));
+  } catch (err) {
+    if (err?.code === 'P2025') {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    console.error('Error updating webhook subscription:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhook-subscriptions/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log (admin only)
+ *     tags: [Webhook subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Subscription not found
+ */
+router.delete('/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ message: 'Invalid subscription id' });
+
+  try {
+    await prisma.webhookSubscription.delete({ where: { id } });
+    res.json({ message: 'Subscription deleted', id });
+  } catch (err) {
+    if (err?.code === 'P2025') {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    console.error('Error deleting webhook subscription:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhook-subscriptions/{id}/deliveries:
+ *   get:
+ *     summary: List a subscription's deliveries with the receiver's last response, newest first (admin only)
+ *     tags: [Webhook subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ */
+router.get(
+  '/:id/deliveries',
+  authMiddleware,
+  requireRole('admin'),
+  [query('status', `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`).optional().isIn(DELIVERY_STATUSES)],
+  async (req, res) => {
+    const subscriptionId = parseId(req.params.id);
+    if (!subscriptionId) return res.status(400).json({ message: 'Invalid subscription id' });
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const where = { subscriptionId, ...(req.query.status && { status: req.query.status }) };
+
+    try {
+      const [deliveries, total] = await Promise.all([
+        prisma.webhookDelivery.findMany({ where, orderBy: [{ createdAt: 'desc' }, { id: 'desc' }], skip: (page - 1) * limit, take: limit }),
+        prisma.webhookDelivery.count({ where }),
+      ]);
+
+      res.json({
+        deliveries: deliveries.map(serializeDelivery),
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+      });
+    } catch (err) {
+      console.error('Error listing webhook deliveries:', err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/webhook-subscriptions/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery again now (admin only)
+ *     description: |
+ *       Sends the stored payload again, signed afresh, and answers with the outcome. Failed deliveries get a new round
+ *       of retries if this attempt fails too. Succeeded deliveries can be replayed as well; the event id is unchanged.
+ *       Pending deliveries are still being sent by the worker and cannot be replayed until they succeed or fail.
+ *     tags: [Webhook subscriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The delivery after the attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Delivery not found for this subscription
+ *       409:
+ *         description: The delivery is still pending
+ */
+router.post('/:id/deliveries/:deliveryId/replay', authMiddleware, requireRole('admin'), async (req, res) => {
+  const subscriptionId = parseId(req.params.id);
+  const deliveryId = parseId(req.params.deliveryId);
+  if (!subscriptionId || !deliveryId) return res.status(404).json({ message: 'Delivery not found' });
+
+  try {
+    const existing = await prisma.webhookDelivery.findUnique({ where: { id: deliveryId }, select: { subscriptionId: true } });
+    if (!existing || existing.subscriptionId !== subscriptionId) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const delivery = await replayDelivery(deliveryId);
+    res.json(serializeDelivery(delivery));
+  } catch (err) {
+    if (err instanceof ReplayError) {
+      return res.status(409).json({ message: err.message, reason: err.reason });
+    }
+    console.error('Error replaying webhook delivery:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
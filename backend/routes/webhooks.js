@@ -0,0 +1,56 @@
+const express = require('express');
+const { PaymentError, getPaymentProvider, handlePaymentEvent } = require('../services/payments');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/webhooks/payments:
+ *   post:
+ *     summary: Receive payment events from the payment provider
+ *     description: Verifies the provider's signature (`Stripe-Signature` with STRIPE_WEBHOOK_SECRET, or `X-Mock-Signature` with MOCK_WEBHOOK_SECRET for the mock provider) and applies `payment_intent.succeeded`, `payment_intent.payment_failed`, `payment_intent.canceled` and `charge.refunded` events to the order that owns the payment. Succeeded payments verify the order, failed payments release its stock and promo code use and email the customer, canceled payments release them too, and refunds are added to its history. Every event is handled once; redeliveries are acknowledged without changes. Run `npm run replay-webhook` to send a signed fixture locally.
+ *     tags:
+ *       - Webhooks
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: A Stripe event object
+ *     responses:
+ *       200:
+ *         description: Event received. `outcome` is `applied`, `unchanged`, `duplicate` or `ignored`.
+ *       400:
+ *         description: Missing or invalid signature, or a body that is not an event
+ */
+router.post('/payments', express.raw({ type: 'application/json' }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+  let provider;
+  let event;
+
+  try {
+    provider = getPaymentProvider();
+    event = provider.parseWebhookEvent(rawBody, req.headers);
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_SIGNATURE' });
+    }
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: 'The webhook body is not valid JSON.' });
+    }
+    console.error('Error verifying payment webhook:', error);
+    return res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+
+  try {
+    const { outcome, orderNumber } = await handlePaymentEvent(provider, event);
+    res.json({ received: true, outcome, orderNumber });
+  } catch (error) {
+    // A 5xx makes the provider redeliver the event later.
+    console.error(`Error handling payment webhook ${event.id}:`, error);
+    res.status(500).json({ error: 'Failed to handle webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+// Bootstraps the first admin: `npm run promote-admin -- someone@example.com`.
+// Once an admin exists the script refuses to run unless `--force` is passed, so it
+// cannot be used to quietly add admins to a running store.
+const prisma = require('../prismaClient');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const email = args.find(arg => !arg.startsWith('--'));
+
+  if (!email) {
+    throw new Error('Usage: node scripts/promote-admin.js <email> [--force]');
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const user = await prisma.user.findUnique({ where: { email: normalizedEmail } });
+  if (!user) {
+    throw new Error(`No user registered with ${normalizedEmail}`);
+  }
+  if (user.role === 'admin') {
+    console.log(`ℹ️  ${normalizedEmail} is already an admin`);
+    return;
+  }
+
+  const existingAdmins = await prisma.user.count({ where: { role: 'admin' } });
+  if (existingAdmins > 0 && !force) {
+    throw new Error(`${existingAdmins} admin account(s) already exist. Re-run with --force to promote another.`);
+  }
+
+  await prisma.user.update({ where: { id: user.id }, data: { role: 'admin' } });
+  console.log(`🎉 ${normalizedEmail} is now an admin. They need to sign in again to pick up the role.`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Admin promotion failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
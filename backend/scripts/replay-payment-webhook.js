@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/* eslint-disable no-console */
+// Signs a payment webhook fixture and POSTs it to a running backend, as the provider would:
+//   npm run replay-webhook -- payment_intent.succeeded --payment pi_mock_123 --amount 2599
+// Fixtures live in __tests__/fixtures/payment-webhooks. Each run gets a fresh event id unless
+// `--event-id` is passed, so sending the same id twice shows the duplicate handling.
+// Options: --payment, --amount, --amount-refunded (charge.refunded only), --event-id,
+// --provider mock|stripe (defaults like the server) and --url.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const { randomBytes } = require('crypto');
+const axios = require('axios');
+const Stripe = require('stripe');
+const { signWebhookPayload } = require('../services/payments/events');
+const { MOCK_SIGNATURE_HEADER } = require('../services/payments/mockProvider');
+
+const FIXTURE_DIR = path.join(__dirname, '..', '__tests__', 'fixtures', 'payment-webhooks');
+
+const parseArgs = argv => {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      options._.push(argv[i]);
+    }
+  }
+  return options;
+};
+
+const signatureHeader = (provider, payload) => {
+  if (provider === 'stripe') {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) throw new Error('STRIPE_WEBHOOK_SECRET must be set to sign Stripe events');
+    return { 'Stripe-Signature': Stripe.webhooks.generateTestHeaderString({ payload, secret }) };
+  }
+  return { [MOCK_SIGNATURE_HEADER]: signWebhookPayload(payload, process.env.MOCK_WEBHOOK_SECRET || 'whsec_mock') };
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [name] = options._;
+  if (!name) {
+    const fixtures = fs.readdirSync(FIXTURE_DIR).map(file => path.basename(file, '.json'));
+    throw new Error(`Usage: node scripts/replay-payment-webhook.js <fixture> [--payment pi_...] [--amount n]\nFixtures: ${fixtures.join(', ')}`);
+  }
+
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name.replace(/\.json$/, '')}.json`), 'utf8'));
+  const object = event.data.object;
+  event.id = options['event-id'] || `evt_replay_${randomBytes(8).toString('hex')}`;
+  if (options.payment) {
+    object[object.object === 'charge' ? 'payment_intent' : 'id'] = options.payment;
+  }
+  if (options.amount) object.amount = Number(options.amount);
+  if (options['amount-refunded']) object.amount_refunded = Number(options['amount-refunded']);
+
+  const provider = String(options.provider || process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'mock')).toLowerCase();
+  const url = options.url || `http://localhost:${process.env.PORT || 8000}/api/webhooks/payments`;
+  const payload = JSON.stringify(event);
+
+  const response = await axios.post(url, payload, {
+    headers: { 'Content-Type': 'application/json', ...signatureHeader(provider, payload) },
+    validateStatus: () => true,
+  });
+  console.log(`${event.type} ${event.id} → ${response.status}`, response.data);
+  if (response.status >= 400) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('❌ Webhook replay failed:', err.message);
+  process.exitCode = 1;
+});
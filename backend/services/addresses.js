@@ -0,0 +1,108 @@
+const { check, validationResult } = require('express-validator');
+
+const ADDRESS_FIELDS = ['fullName', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone'];
+
+// Most addresses a customer can keep in their address book.
+const MAX_SAVED_ADDRESSES = 20;
+
+/**
+ * express-validator chains for an address at `prefix` (for example `shippingAddress.`), sanitizing
+ * in place: text is trimmed and `country` / `postalCode` are upper-cased. `country` is an
+ * ISO 3166-1 alpha-2 code. With `partial`, only the fields present are checked.
+ */
+const addressValidators = ({ prefix = '', partial = false } = {}) => {
+  const field = (name, message) => (partial ? check(`${prefix}${name}`, message).optional() : check(`${prefix}${name}`, message));
+  const nullable = (name, message) => check(`${prefix}${name}`, message).optional({ values: 'falsy' });
+  return [
+    field('fullName', 'Full name is required (max 100 characters)').isString().trim().isLength({ min: 1, max: 100 }),
+    field('line1', 'Address line 1 is required (max 200 characters)').isString().trim().isLength({ min: 1, max: 200 }),
+    nullable('line2', 'Address line 2 must be at most 200 characters').isString().trim().isLength({ max: 200 }),
+    field('city', 'City is required (max 100 characters)').isString().trim().isLength({ min: 1, max: 100 }),
+    nullable('region', 'State or region must be at most 100 characters').isString().trim().isLength({ max: 100 }),
+    field('postalCode', 'Postal code is required (letters, digits, spaces or dashes)')
+      .isString()
+      .trim()
+      .toUpperCase()
+      .matches(/^[A-Z0-9][A-Z0-9 -]{0,19}$/),
+    field('country', 'Country must be a two-letter ISO 3166-1 code').isString().trim().toUpperCase().matches(/^[A-Z]{2}$/),
+    nullable('phone', 'Phone must be 7-20 digits, spaces, dashes or parentheses, optionally starting with +')
+      .isString()
+      .trim()
+      .matches(/^\+?[0-9 ()-]{7,20}$/),
+  ];
+};
+
+// Runs `addressValidators` outside the middleware chain, for routes that only sometimes take an address.
+async function validateAddress(req, options) {
+  for (const validator of addressValidators(options)) {
+    // eslint-disable-next-line no-await-in-loop
+    await validator.run(req);
+  }
+  return validationResult(req).array();
+}
+
+// The address fields of `source`, with blank optional fields stored as null.
+const pickAddress = (source = {}) => {
+  const address = {};
+  for (const key of ADDRESS_FIELDS) {
+    const value = source[key];
+    address[key] = value === undefined || value === null || value === '' ? null : value;
+  }
+  return address;
+};
+
+// One-line form, kept on the order for emails, packing slips and older clients.
+const formatAddress = address =>
+  [
+    address.fullName,
+    address.line1,
+    address.line2,
+    address.city,
+    [address.region, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+const serializeAddress = address => ({
+  id: address.id,
+  ...pickAddress(address),
+  ...(address.userId ? { isDefault: address.isDefault } : {}),
+});
+
+// An order's destination in API responses. Orders placed before addresses were structured only have the one-line form.
+const serializeOrderAddress = order => ({
+  ...(order.shipTo ? pickAddress(order.shipTo) : {}),
+  formatted: order.shippingAddress || null,
+});
+
+// Keeps exactly one default in a non-empty address book.
+const clearOtherDefaults = (tx, userId, id) => tx.address.updateMany({ where: { userId, isDefault: true, NOT: { id } }, data: { isDefault: false } });
+
+/**
+ * Saves `address` to the user's address book inside the caller's transaction. The first saved
+ * address becomes the default. Returns the new row, or null when the book is full.
+ */
+async function addToAddressBook(tx, userId, address, { isDefault = false } = {}) {
+  const saved = await tx.address.count({ where: { userId } });
+  if (saved >= MAX_SAVED_ADDRESSES) return null;
+
+  const created = await tx.address.create({ data: { ...pickAddress(address), userId, isDefault: saved === 0 || isDefault } });
+  if (created.isDefault) {
+    await clearOtherDefaults(tx, userId, created.id);
+  }
+  return created;
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  MAX_SAVED_ADDRESSES,
+  addressValidators,
+  validateAddress,
+  pickAddress,
+  formatAddress,
+  serializeAddress,
+  serializeOrderAddress,
+  clearOtherDefaults,
+  addToAddressBook,
+};
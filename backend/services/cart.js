@@ -0,0 +1,174 @@
+const { randomBytes } = require('crypto');
+const { STORE_CURRENCY, toMinorUnits, fromMinorUnits, toMoney, sumMinorUnits } = require('../utils/money');
+
+// Most of one product a cart can hold; checkout still checks stock when the order is placed.
+const MAX_CART_ITEM_QUANTITY = 99;
+
+const CART_INCLUDE = {
+  items: {
+    include: { product: true },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+const CART_ERROR_MESSAGES = {
+  PRODUCT_NOT_FOUND: 'Product not found',
+  ITEM_NOT_FOUND: 'That product is not in the cart',
+  INSUFFICIENT_STOCK: 'Not enough stock for that quantity',
+};
+
+class CartError extends Error {
+  constructor(reason, message = CART_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'CartError';
+    this.reason = reason;
+  }
+}
+
+// Guest cart tokens are bearer secrets: anyone holding one can read and change that cart.
+const createCartToken = () => randomBytes(24).toString('base64url');
+
+const normalizeCartToken = token => {
+  const value = String(token ?? '').trim();
+  return /^[A-Za-z0-9_-]{16,64}$/.test(value) ? value : null;
+};
+
+/**
+ * The cart for `owner`: the signed-in user's cart when `userId` is set, else the guest cart with
+ * `token`. Guest tokens never open a user's cart. With `create`, a missing cart is created;
+ * otherwise resolves to null.
+ */
+async function findCart(client, { userId = null, token = null }, { create = false } = {}) {
+  if (userId) {
+    if (!create) return client.cart.findUnique({ where: { userId }, include: CART_INCLUDE });
+    // One statement, so two first requests of a user at once end up sharing a cart instead of one failing on userId.
+    return client.cart.upsert({ where: { userId }, create: { userId, token: createCartToken() }, update: {}, include: CART_INCLUDE });
+  }
+
+  const normalized = normalizeCartToken(token);
+  if (normalized) {
+    const cart = await client.cart.findUnique({ where: { token: normalized }, include: CART_INCLUDE });
+    if (cart && !cart.userId) return cart;
+  }
+  return create ? client.cart.create({ data: { token: createCartToken() }, include: CART_INCLUDE }) : null;
+}
+
+// The same cart read back after a change, with its items and their products.
+const reloadCart = (client, cart) => client.cart.findUnique({ where: { id: cart.id }, include: CART_INCLUDE });
+
+// Quantities above what is on hand are refused up front so the cart never promises stock that is not there.
+const assertInStock = (product, quantity) => {
+  if (quantity > product.stock) {
+    const error = new CartError('INSUFFICIENT_STOCK', product.stock > 0 ? `Only ${product.stock} left in stock` : 'This product is out of stock');
+    error.available = product.stock;
+    throw error;
+  }
+};
+
+async function loadProduct(client, productId) {
+  const product = await client.product.findUnique({ where: { id: productId } });
+  if (!product) throw new CartError('PRODUCT_NOT_FOUND');
+  return product;
+}
+
+// Adding a product already in the cart adds to its quantity.
+async function addCartItem(client, cart, { productId, quantity }) {
+  const product = await loadProduct(client, productId);
+  const existing = cart.items.find(item => item.productId === productId);
+  const nextQuantity = Math.min((existing ? existing.quantity : 0) + quantity, MAX_CART_ITEM_QUANTITY);
+  assertInStock(product, nextQuantity);
+
+  await client.cartItem.upsert({
+    where: { cartId_productId: { cartId: cart.id, productId } },
+    create: { cartId: cart.id, productId, quantity: nextQuantity },
+    update: { quantity: nextQuantity },
+  });
+}
+
+async function setCartItemQuantity(client, cart, { productId, quantity }) {
+  if (!cart.items.some(item => item.productId === productId)) throw new CartError('ITEM_NOT_FOUND');
+  assertInStock(await loadProduct(client, productId), quantity);
+  await client.cartItem.update({ where: { cartId_productId: { cartId: cart.id, productId } }, data: { quantity } });
+}
+
+async function removeCartItem(client, cart, productId) {
+  const { count } = await client.cartItem.deleteMany({ where: { cartId: cart.id, productId } });
+  if (!count) throw new CartError('ITEM_NOT_FOUND');
+}
+
+async function clearCart(client, cart) {
+  await client.cartItem.deleteMany({ where: { cartId: cart.id } });
+}
+
+/**
+ * Moves the guest cart with `token` into `userId`'s cart and deletes it. Quantities of products in
+ * both carts are added, capped at `MAX_CART_ITEM_QUANTITY` and at the stock on hand. Unknown or
+ * already merged tokens leave the user's cart as it was.
+ */
+async function mergeGuestCart(client, { userId, token }) {
+  const guestCart = await findCart(client, { token });
+  const userCart = await findCart(client, { userId }, { create: true });
+  if (!guestCart) return userCart;
+
+  for (const guestItem of guestCart.items) {
+    const existing = userCart.items.find(item => item.productId === guestItem.productId);
+    const quantity = Math.min((existing ? existing.quantity : 0) + guestItem.quantity, MAX_CART_ITEM_QUANTITY, guestItem.product.stock);
+    if (quantity > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await client.cartItem.upsert({
+        where: { cartId_productId: { cartId: userCart.id, productId: guestItem.productId } },
+        create: { cartId: userCart.id, productId: guestItem.productId, quantity },
+        update: { quantity },
+      });
+    }
+  }
+  await client.cart.delete({ where: { id: guestCart.id } });
+  return reloadCart(client, userCart);
+}
+
+const serializeCartItem = (item, currency) => {
+  const unitPrice = toMinorUnits(item.product.price, currency);
+  return {
+    productId: item.productId,
+    quantity: item.quantity,
+    product: {
+      id: item.product.id,
+      name: item.product.name,
+      price: fromMinorUnits(unitPrice, currency),
+      currency,
+      money: { price: toMoney(unitPrice, currency) },
+      category: item.product.category,
+      image: item.product.image,
+      brand: item.product.brand,
+      stock: item.product.stock,
+    },
+  };
+};
+
+// Only guests get their token back; a signed-in user's cart is found through their account.
+const serializeCart = (cart, currency = STORE_CURRENCY) => {
+  const items = cart ? cart.items.map(item => serializeCartItem(item, currency)) : [];
+  const subtotal = sumMinorUnits(cart ? cart.items.map(item => toMinorUnits(item.product.price, currency) * item.quantity) : []);
+  return {
+    token: cart && !cart.userId ? cart.token : null,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    currency,
+    subtotal: fromMinorUnits(subtotal, currency),
+    money: { subtotal: toMoney(subtotal, currency) },
+  };
+};
+
+module.exports = {
+  MAX_CART_ITEM_QUANTITY,
+  CartError,
+  normalizeCartToken,
+  findCart,
+  reloadCart,
+  addCartItem,
+  setCartItemQuantity,
+  removeCartItem,
+  clearCart,
+  mergeGuestCart,
+  serializeCart,
+};
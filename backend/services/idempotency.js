@@ -0,0 +1,52 @@
+const { createHash } = require('crypto');
+const prisma = require('../prismaClient');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+const readIdempotencyKey = req => {
+  const raw = req.get(IDEMPOTENCY_HEADER);
+  if (raw === undefined) return { key: null };
+  const key = String(raw).trim();
+  if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+    return { error: `${IDEMPOTENCY_HEADER} must be 1-${MAX_KEY_LENGTH} printable characters without spaces.` };
+  }
+  return { key };
+};
+
+const hashRequest = payload => createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+/**
+ * Looks up a stored response for `key` within `scope`. Returns null when the key is new,
+ * `{ mismatch: true }` when it was used for a different payload, otherwise the stored response.
+ */
+async function findStoredResponse(scope, key, requestHash) {
+  const record = await prisma.idempotencyKey.findUnique({ where: { scope_key: { scope, key } } });
+  if (!record) return null;
+  if (record.requestHash !== requestHash) return { mismatch: true };
+  return { statusCode: record.statusCode, body: record.response };
+}
+
+// Written inside the caller's transaction so the key and the side effect commit together.
+async function storeResponse(tx, { scope, key, requestHash, statusCode, body, orderId = null }) {
+  return tx.idempotencyKey.create({
+    data: { scope, key, requestHash, statusCode, response: body, orderId },
+  });
+}
+
+const isDuplicateKeyError = err => {
+  if (err?.code !== 'P2002') return false;
+  // Prisma reports either the column list or the constraint name, depending on the engine.
+  const target = err.meta?.target;
+  if (Array.isArray(target)) return target.includes('key');
+  return String(target || '').startsWith('IdempotencyKey');
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  readIdempotencyKey,
+  hashRequest,
+  findStoredResponse,
+  storeResponse,
+  isDuplicateKeyError,
+};
@@ -0,0 +1,104 @@
+const prisma = require('../prismaClient');
+const webhookConfig = require('../config/webhooks');
+const { notifyLowStock } = require('./webhooks');
+
+class InsufficientStockError extends Error {
+  constructor(items) {
+    super('Insufficient stock for one or more items');
+    this.name = 'InsufficientStockError';
+    this.items = items;
+  }
+}
+
+const aggregateQuantities = lines => {
+  const byProduct = new Map();
+  for (const line of lines) {
+    const existing = byProduct.get(line.productId);
+    if (existing) {
+      existing.quantity += line.quantity;
+    } else {
+      byProduct.set(line.productId, { productId: line.productId, name: line.name, quantity: line.quantity });
+    }
+  }
+  return Array.from(byProduct.values());
+};
+
+/**
+ * Decrements stock for every line inside the caller's transaction. Each decrement is a
+ * conditional update (`stock >= quantity`), so concurrent checkouts cannot oversell.
+ * All shortfalls are collected before throwing so the client can fix the whole cart at once;
+ * throwing rolls back the decrements that did succeed. Products the reservation takes down to the
+ * low-stock threshold get a product.stock_low webhook.
+ */
+async function reserveStock(tx, lines) {
+  const shortfalls = [];
+
+  for (const line of aggregateQuantities(lines)) {
+    // eslint-disable-next-line no-await-in-loop
+    const { count } = await tx.product.updateMany({
+      where: { id: line.productId, stock: { gte: line.quantity } },
+      data: { stock: { decrement: line.quantity } },
+    });
+
+    if (count === 0) {
+      // eslint-disable-next-line no-await-in-loop
+      const current = await tx.product.findUnique({ where: { id: line.productId }, select: { stock: true } });
+      shortfalls.push({
+        productId: line.productId,
+        name: line.name,
+        requested: line.quantity,
+        available: Math.max(0, current?.stock ?? 0),
+      });
+    }
+  }
+
+  if (shortfalls.length) {
+    throw new InsufficientStockError(shortfalls);
+  }
+
+  const reserved = new Map(aggregateQuantities(lines).map(line => [line.productId, line.quantity]));
+  const low = await tx.product.findMany({
+    where: { id: { in: [...reserved.keys()] }, stock: { lte: webhookConfig.lowStockThreshold } },
+    select: { id: true, name: true, stock: true },
+  });
+  await notifyLowStock(tx, low.map(product => ({ ...product, previousStock: product.stock + (reserved.get(product.id) ?? 0) })));
+}
+
+/**
+ * Returns an order's reserved units to the catalog. Safe to call more than once: the
+ * `stockReleasedAt` marker is claimed atomically, so only the first caller restocks.
+ * Cancellation and failed-payment flows call this; pass `tx` to join their transaction.
+ */
+async function releaseOrderStock(orderId, tx) {
+  if (!tx) {
+    return prisma.$transaction(client => releaseOrderStock(orderId, client));
+  }
+
+  const { count } = await tx.order.updateMany({
+    where: { id: orderId, stockReleasedAt: null },
+    data: { stockReleasedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  const items = await tx.orderItem.findMany({ where: { orderId }, select: { productId: true, quantity: true, name: true } });
+  await restock(tx, items);
+  return true;
+}
+
+// Puts `{ productId, quantity }` units back on the shelf. Lines whose product was deleted are skipped.
+async function restock(tx, lines) {
+  for (const line of aggregateQuantities(lines.filter(item => item.productId !== null))) {
+    // eslint-disable-next-line no-await-in-loop
+    await tx.product.updateMany({
+      where: { id: line.productId },
+      data: { stock: { increment: line.quantity } },
+    });
+  }
+}
+
+module.exports = {
+  InsufficientStockError,
+  reserveStock,
+  releaseOrderStock,
+  restock,
+};
@@ -25,7 +25,7 @@ function buildTransporter() {
   });
 }
 
-async function sendVerificationEmail(to, code) {
+async function sendVerificationEmail(to, code, expiresInMinutes) {
   if (!isEmailConfigured()) {
     return { sent: false, skipped: true, reason: 'Email not configured' };
   }
@@ -36,8 +36,8 @@ async function sendVerificationEmail(to, code) {
       from: EMAIL_FROM,
       to,
       subject: 'Your Tekado verification code',
-      text: `Your verification code is: ${code}`,
-      html: `<p>Your verification code is:</p><h2>${code}</h2><p>This code will expire soon. If you did not request it, please ignore this email.</p>`,
+      text: `Your verification code is: ${code}\n\nThe code expires in ${expiresInMinutes} minutes. If you did not request it, please ignore this email.`,
+      html: `<p>Your verification code is:</p><h2>${code}</h2><p>This code expires in ${expiresInMinutes} minutes. If you did not request it, please ignore this email.</p>`,
     });
 
     return { sent: true, messageId: info?.messageId };
@@ -47,7 +47,79 @@ async function sendVerificationEmail(to, code) {
   }
 }
 
+async function sendPasswordResetEmail(to, resetUrl, expiresInMinutes) {
+  if (!isEmailConfigured()) {
+    return { sent: false, skipped: true, reason: 'Email not configured' };
+  }
+
+  try {
+    const transporter = buildTransporter();
+    const info = await transporter.sendMail({
+      from: EMAIL_FROM,
+      to,
+      subject: 'Reset your Tekado password',
+      text: `Use this link to reset your password: ${resetUrl}\n\nThe link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+      html: `<p>We received a request to reset your Tekado password.</p><p><a href="${resetUrl}">Reset your password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`,
+    });
+
+    return { sent: true, messageId: info?.messageId };
+  } catch (err) {
+    console.error('Failed to send password reset email:', err.message);
+    return { sent: false, error: err.message };
+  }
+}
+
+async function sendPaymentFailedEmail(to, { orderNumber, reason }) {
+  if (!isEmailConfigured()) {
+    return { sent: false, skipped: true, reason: 'Email not configured' };
+  }
+
+  const detail = reason ? ` The payment provider said: ${reason}` : '';
+  try {
+    const transporter = buildTransporter();
+    const info = await transporter.sendMail({
+      from: EMAIL_FROM,
+      to,
+      subject: `Payment for Tekado order ${orderNumber} did not go through`,
+      text: `We could not take payment for order ${orderNumber}, so you have not been charged and the items were released.${detail}\n\nYou can place the order again with another card.`,
+      html: `<p>We could not take payment for order <strong>${orderNumber}</strong>, so you have not been charged and the items were released.${detail}</p><p>You can place the order again with another card.</p>`,
+    });
+
+    return { sent: true, messageId: info?.messageId };
+  } catch (err) {
+    console.error('Failed to send payment failed email:', err.message);
+    return { sent: false, error: err.message };
+  }
+}
+
+// `amount` and `netPaid` are display strings such as "$29.99".
+async function sendRefundIssuedEmail(to, { orderNumber, amount, netPaid, reason }) {
+  if (!isEmailConfigured()) {
+    return { sent: false, skipped: true, reason: 'Email not configured' };
+  }
+
+  const detail = reason ? ` Reason: ${reason}.` : '';
+  try {
+    const transporter = buildTransporter();
+    const info = await transporter.sendMail({
+      from: EMAIL_FROM,
+      to,
+      subject: `Refund of ${amount} for Tekado order ${orderNumber}`,
+      text: `We have refunded ${amount} for order ${orderNumber} to your original payment method.${detail}\n\nIt can take 5-10 business days to show on your statement. You have now paid ${netPaid} for this order.`,
+      html: `<p>We have refunded <strong>${amount}</strong> for order <strong>${orderNumber}</strong> to your original payment method.${detail}</p><p>It can take 5-10 business days to show on your statement. You have now paid ${netPaid} for this order.</p>`,
+    });
+
+    return { sent: true, messageId: info?.messageId };
+  } catch (err) {
+    console.error('Failed to send refund email:', err.message);
+    return { sent: false, error: err.message };
+  }
+}
+
 module.exports = {
   sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPaymentFailedEmail,
+  sendRefundIssuedEmail,
   isEmailConfigured,
 };
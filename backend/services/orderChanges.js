@@ -0,0 +1,229 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../prismaClient');
+const { ORDER_CANCELLED, canChangeOrder } = require('../utils/orderStatus');
+const { OrderNotFoundError, transitionOrderStatus, recordOrderEvent } = require('./orderTransitions');
+const { releaseOrderStock, restock } = require('./inventory');
+const { OPEN_PAYMENT_STATUSES, getPaymentProvider } = require('./payments');
+const { PromotionError, releaseRedemption } = require('./promotions');
+const { orderLinesFromItems, priceOrder } = require('./pricing');
+const { pickAddress, formatAddress } = require('./addresses');
+const { toMinorUnits, toDecimalString, formatMoney } = require('../utils/money');
+
+const ORDER_CHANGE_ERROR_MESSAGES = {
+  LOCKED: 'This order has been handed to the carrier and can no longer be changed.',
+  CANCELLED: 'This order has been cancelled.',
+  PAYMENT_FAILED: 'The payment for this order did not go through, so there is nothing to change.',
+  PAYMENT_PENDING: 'The payment for this order is still being processed. Changes that alter the total can be made once it has gone through.',
+  NO_CHANGES: 'Send a new shipping address or item quantities to change.',
+  ITEM_NOT_FOUND: 'One or more items are not part of this order.',
+  QUANTITY_INCREASED: 'Quantities can only be lowered. Place a new order for more items.',
+  NO_ITEMS_LEFT: 'An order needs at least one item. Cancel the order instead.',
+  TOTAL_INCREASED: 'These changes would cost more than the order total. Place a new order instead.',
+  COUPON_CONDITIONS: 'These changes take the order below what its promo code requires.',
+  CONFLICT: 'This order was updated at the same time. Reload it and try again.',
+};
+
+class OrderChangeError extends Error {
+  constructor(reason, message = ORDER_CHANGE_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'OrderChangeError';
+    this.reason = reason;
+  }
+}
+
+// Payments that took the customer's money; refunds afterwards do not change what was taken.
+const CAPTURED_PAYMENT_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+const ENDED_PAYMENT_STATUSES = ['failed', 'canceled'];
+
+const CUSTOMER_ACTOR = 'customer';
+
+// How long the token handed out by /track lets a guest cancel, edit or return the order.
+const ORDER_CHANGE_TOKEN_TTL = '24h';
+// Sets these tokens apart from login tokens and order events tokens, which share the secret.
+const ORDER_CHANGE_TOKEN_AUDIENCE = 'order-changes';
+
+/**
+ * Guests prove an order is theirs by its email on POST /track, which hands back this token. Cancels,
+ * edits and returns by guests need the token rather than the email, which is easy to find out, and it
+ * only grants changing that one order. Null when no JWT_SECRET is set, which leaves guests read-only.
+ */
+const issueOrderChangeToken = orderNumber =>
+  process.env.JWT_SECRET ? jwt.sign({ orderChanges: { orderNumber } }, process.env.JWT_SECRET, { expiresIn: ORDER_CHANGE_TOKEN_TTL, audience: ORDER_CHANGE_TOKEN_AUDIENCE }) : null;
+
+// The order number an order change token was issued for, or null when it is not valid.
+const readOrderChangeToken = token => {
+  if (typeof token !== 'string' || !token || !process.env.JWT_SECRET) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: ORDER_CHANGE_TOKEN_AUDIENCE }).orderChanges?.orderNumber || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Whether the customer may still cancel or edit `order`, which needs its status and payment fields.
+const isChangeable = order => canChangeOrder(order) && !ENDED_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+// Edits of a paid order only ever lower its total and add the difference to refundDue, so
+// the two together are what the customer paid.
+const capturedAmount = order => toMinorUnits(order.total, order.currency) + toMinorUnits(order.refundDue, order.currency);
+
+/**
+ * Cancels an order that has not been handed to the carrier yet: adds the CANCELLED entry to its
+ * history, returns its stock and promo code use, and records everything the customer paid as
+ * `refundDue`. An open payment is marked canceled in the same transaction (the CANCELLED update
+ * holds the order row, so a confirmation racing it finds the payment closed) and its intent is
+ * canceled afterwards.
+ * Throws `InvalidStatusTransitionError` when the status table no longer allows cancelling.
+ */
+async function cancelOrder(orderNumber, { actor = CUSTOMER_ACTOR, actorUserId = null, reason = null } = {}) {
+  const order = await prisma.$transaction(async tx => {
+    const { orderId } = await transitionOrderStatus(orderNumber, ORDER_CANCELLED.code, { actor, actorUserId, note: reason, tx });
+    const current = await tx.order.findUnique({ where: { id: orderId } });
+    if (ENDED_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+      throw new OrderChangeError('PAYMENT_FAILED');
+    }
+
+    await releaseOrderStock(orderId, tx);
+    await releaseRedemption(tx, orderId);
+
+    const data = { cancellationReason: reason || null };
+    if (CAPTURED_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+      data.refundDue = toDecimalString(capturedAmount(current), current.currency);
+    } else if (OPEN_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+      data.paymentStatus = 'canceled';
+    }
+    await tx.order.update({ where: { id: orderId }, data });
+    return current;
+  });
+
+  if (OPEN_PAYMENT_STATUSES.includes(order.paymentStatus) && order.paymentIntentId) {
+    try {
+      await getPaymentProvider(order.paymentProvider).cancelPayment(order.paymentIntentId);
+    } catch (error) {
+      // Most likely the payment went through just before the cancellation; staff need to refund it.
+      console.error(`Failed to cancel payment ${order.paymentIntentId} for cancelled order ${order.orderNumber}:`, error.message);
+    }
+  }
+  return order;
+}
+
+// Note for the ORDER_UPDATED history entry, e.g. "Shipping address changed. Cable: 2 → 1."
+const describeChanges = ({ addressChanged, changedItems, refund, currency }) =>
+  [
+    addressChanged && 'Shipping address changed.',
+    ...changedItems.map(({ item, quantity }) => `${item.name}: ${item.quantity} → ${quantity}.`),
+    refund > 0 && `${formatMoney(refund, currency)} will be refunded.`,
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Changes the shipping address and/or lowers item quantities of an order that has not been
+ * handed to the carrier. `items` are `{ itemId, quantity }` with OrderItem ids; a quantity of 0
+ * removes the item. The order is re-priced at the prices it was bought at (shipping and tax for
+ * the new address, the promo code it redeemed for the new quantities). The new total may not be
+ * higher than the old one, and while the payment is still open it may not change at all; on a
+ * paid order the difference is added to `refundDue`. Freed units go back into stock.
+ */
+async function updateOrder(orderNumber, { shippingAddress = null, items = [], actor = CUSTOMER_ACTOR, actorUserId = null } = {}) {
+  if (!shippingAddress && !items.length) {
+    throw new OrderChangeError('NO_CHANGES');
+  }
+
+  return prisma.$transaction(async tx => {
+    const order = await tx.order.findUnique({ where: { orderNumber }, include: { items: { include: { product: true } }, shipTo: true } });
+    if (!order) throw new OrderNotFoundError(orderNumber);
+    if (order.cancelledAt) throw new OrderChangeError('CANCELLED');
+    if (!canChangeOrder(order)) throw new OrderChangeError('LOCKED');
+    if (ENDED_PAYMENT_STATUSES.includes(order.paymentStatus)) throw new OrderChangeError('PAYMENT_FAILED');
+
+    const quantities = new Map(order.items.map(item => [item.id, item.quantity]));
+    for (const { itemId, quantity } of items) {
+      if (!quantities.has(itemId)) throw new OrderChangeError('ITEM_NOT_FOUND');
+      if (quantity > quantities.get(itemId)) throw new OrderChangeError('QUANTITY_INCREASED');
+      quantities.set(itemId, quantity);
+    }
+    const changedItems = order.items.filter(item => quantities.get(item.id) !== item.quantity).map(item => ({ item, quantity: quantities.get(item.id) }));
+    const keptItems = order.items.filter(item => quantities.get(item.id) > 0).map(item => ({ ...item, quantity: quantities.get(item.id) }));
+    if (!keptItems.length) throw new OrderChangeError('NO_ITEMS_LEFT');
+
+    const address = shippingAddress || (order.shipTo ? pickAddress(order.shipTo) : null);
+    let pricing;
+    try {
+      pricing = await priceOrder(tx, {
+        lines: orderLinesFromItems(keptItems, order.currency),
+        shippingAddress: address,
+        shippingMethod: order.shippingMethod,
+        redeemedPromotionId: order.promotionId,
+        customer: { userId: order.userId, email: order.email },
+      });
+    } catch (error) {
+      if (error instanceof PromotionError) throw new OrderChangeError('COUPON_CONDITIONS');
+      throw error;
+    }
+
+    const previousTotal = toMinorUnits(order.total, order.currency);
+    const paid = CAPTURED_PAYMENT_STATUSES.includes(order.paymentStatus);
+    if (pricing.total > previousTotal) throw new OrderChangeError('TOTAL_INCREASED');
+    if (pricing.total !== previousTotal && !paid) throw new OrderChangeError('PAYMENT_PENDING');
+    const refund = paid ? previousTotal - pricing.total : 0;
+
+    // Conditional on the row as it was read, so a status change or another edit in between wins.
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, statusIndex: order.statusIndex, cancelledAt: null, updatedAt: order.updatedAt },
+      data: {
+        subtotal: toDecimalString(pricing.subtotal),
+        discountTotal: toDecimalString(pricing.discountTotal),
+        shippingTotal: toDecimalString(pricing.shippingTotal),
+        taxTotal: toDecimalString(pricing.taxTotal),
+        taxJurisdiction: pricing.tax.jurisdiction,
+        taxExempt: pricing.tax.exempt,
+        total: toDecimalString(pricing.total),
+        ...(refund > 0 && { refundDue: toDecimalString(toMinorUnits(order.refundDue, order.currency) + refund, order.currency) }),
+        ...(shippingAddress && { shippingAddress: formatAddress(shippingAddress) }),
+      },
+    });
+    if (count === 0) throw new OrderChangeError('CONFLICT');
+
+    if (shippingAddress) {
+      await (order.shipToId
+        ? tx.address.update({ where: { id: order.shipToId }, data: shippingAddress })
+        : tx.order.update({ where: { id: order.id }, data: { shipTo: { create: shippingAddress } } }));
+    }
+
+    for (const { item } of changedItems.filter(({ quantity }) => quantity === 0)) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.orderItem.delete({ where: { id: item.id } });
+    }
+    for (const [index, item] of keptItems.entries()) {
+      // eslint-disable-next-line no-await-in-loop
+      await tx.orderItem.update({
+        where: { id: item.id },
+        data: {
+          quantity: item.quantity,
+          discount: toDecimalString(pricing.lines[index].discount),
+          tax: toDecimalString(pricing.lines[index].tax),
+          taxRate: String(pricing.lines[index].taxRate),
+        },
+      });
+    }
+    await restock(
+      tx,
+      changedItems.map(({ item, quantity }) => ({ productId: item.productId, quantity: item.quantity - quantity }))
+    );
+
+    const note = describeChanges({ addressChanged: Boolean(shippingAddress), changedItems, refund, currency: order.currency });
+    await recordOrderEvent(tx, order.id, 'ORDER_UPDATED', { actor, actorUserId, note });
+    return { orderId: order.id, refund };
+  });
+}
+
+module.exports = {
+  OrderChangeError,
+  issueOrderChangeToken,
+  readOrderChangeToken,
+  isChangeable,
+  cancelOrder,
+  updateOrder,
+};
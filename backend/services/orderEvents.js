@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../prismaClient');
+
+// How long the token handed out by /track lets a guest follow the order's events.
+const ORDER_EVENTS_TOKEN_TTL = '24h';
+// Sets these tokens apart from login tokens and order change tokens, which share the secret.
+const ORDER_EVENTS_TOKEN_AUDIENCE = 'order-events';
+
+/**
+ * Guests prove an order is theirs by its email on POST /track. EventSource cannot send headers and
+ * stream URLs end up in access logs, so instead of the email the stream takes this token, which
+ * only grants reading that one order's events. Null when no JWT_SECRET is set, so tracking still
+ * works without live updates.
+ */
+const issueOrderEventsToken = orderNumber =>
+  process.env.JWT_SECRET ? jwt.sign({ orderEvents: { orderNumber } }, process.env.JWT_SECRET, { expiresIn: ORDER_EVENTS_TOKEN_TTL, audience: ORDER_EVENTS_TOKEN_AUDIENCE }) : null;
+
+// The order number an order events token was issued for, or null when it is not valid. Login tokens are not accepted.
+const readOrderEventsToken = token => {
+  if (typeof token !== 'string' || !token || !process.env.JWT_SECRET) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: ORDER_EVENTS_TOKEN_AUDIENCE }).orderEvents?.orderNumber || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Polls OrderStatusHistory for entries newer than what each subscriber has seen and hands them over
+ * in id order. Polling the table picks up entries from every process writing to it (fulfillment
+ * updates, payment webhooks, the demo ticker) once their transaction has committed. One query per
+ * tick covers every subscribed order, and the timer only runs while someone is subscribed.
+ * Entries come with `order: { statusIndex, cancelledAt }` as it is at the time of the poll.
+ */
+function createOrderEventFeed({ intervalMs = 2000 } = {}) {
+  const subscribers = new Set();
+  let timer = null;
+  let running = false;
+
+  const poll = async () => {
+    if (running || !subscribers.size) return;
+    running = true;
+    try {
+      const cursors = new Map();
+      for (const { orderId, lastId } of subscribers) {
+        cursors.set(orderId, Math.min(cursors.get(orderId) ?? Infinity, lastId));
+      }
+
+      const entries = await prisma.orderStatusHistory.findMany({
+        where: { OR: [...cursors].map(([orderId, lastId]) => ({ orderId, id: { gt: lastId } })) },
+        include: { order: { select: { statusIndex: true, cancelledAt: true } } },
+        orderBy: { id: 'asc' },
+      });
+
+      for (const entry of entries) {
+        for (const subscriber of subscribers) {
+          if (subscriber.orderId !== entry.orderId || entry.id <= subscriber.lastId) continue;
+          subscriber.lastId = entry.id;
+          try {
+            subscriber.listener(entry);
+          } catch (err) {
+            console.error('Order event listener failed:', err.message);
+          }
+        }
+      }
+    } catch (err) {
+      console.error('Order event poll failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Calls `listener` with each entry of order `orderId` after `lastId`. Returns the unsubscribe function.
+  const subscribe = (orderId, lastId, listener) => {
+    const subscriber = { orderId, lastId, listener };
+    subscribers.add(subscriber);
+    if (!timer) {
+      timer = setInterval(poll, intervalMs);
+      if (typeof timer.unref === 'function') timer.unref();
+    }
+
+    return () => {
+      subscribers.delete(subscriber);
+      if (!subscribers.size && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    };
+  };
+
+  return { subscribe, poll };
+}
+
+const orderEventFeed = createOrderEventFeed({ intervalMs: Number(process.env.ORDER_EVENTS_POLL_MS || 2000) });
+
+module.exports = {
+  issueOrderEventsToken,
+  readOrderEventsToken,
+  createOrderEventFeed,
+  orderEventFeed,
+};
@@ -0,0 +1,57 @@
+const prisma = require('../prismaClient');
+const { ORDER_STATUS_FLOW, getStatusCode, getAllowedTransitions } = require('../utils/orderStatus');
+const { InvalidStatusTransitionError, transitionOrderStatus } = require('./orderTransitions');
+
+const DEMO_ACTOR = 'demo';
+
+/**
+ * Demo mode: periodically nudges open orders one step along the flow so a storefront
+ * without a fulfillment team still shows moving orders. Opt-in via ORDER_STATUS_DEMO=true;
+ * it goes through the same transition rules and history as a real fulfillment update.
+ * Orders still waiting on payment are left alone; only the payment provider can verify them.
+ */
+function startOrderStatusDemo({ intervalMs = 60000, batchSize = 20, advanceProbability = 0.5, random = Math.random } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const orders = await prisma.order.findMany({
+        where: { statusIndex: { lt: ORDER_STATUS_FLOW.length - 1 }, paymentStatus: 'succeeded', cancelledAt: null },
+        select: { orderNumber: true, statusIndex: true },
+        orderBy: { updatedAt: 'asc' },
+        take: batchSize,
+      });
+
+      for (const order of orders) {
+        const [next] = getAllowedTransitions(getStatusCode(order.statusIndex));
+        if (!next || random() >= advanceProbability) continue;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await transitionOrderStatus(order.orderNumber, next, { actor: DEMO_ACTOR, note: 'Simulated update (demo mode)' });
+        } catch (err) {
+          // Someone else moved the order since it was read; pick it up next tick.
+          if (!(err instanceof InvalidStatusTransitionError)) throw err;
+        }
+      }
+    } catch (err) {
+      console.error('Order status demo tick failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  return {
+    tick,
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = {
+  DEMO_ACTOR,
+  startOrderStatusDemo,
+};
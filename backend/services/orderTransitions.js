@@ -0,0 +1,111 @@
+const prisma = require('../prismaClient');
+const { ORDER_STATUS_FLOW, ORDER_EVENTS, ORDER_CANCELLED, getStatusIndex, getOrderStatusCode, getAllowedTransitions, canTransition } = require('../utils/orderStatus');
+const { enqueueWebhookEvent } = require('./webhooks');
+
+class OrderNotFoundError extends Error {
+  constructor(orderNumber) {
+    super(`Order ${orderNumber} not found`);
+    this.name = 'OrderNotFoundError';
+    this.orderNumber = orderNumber;
+  }
+}
+
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to, { concurrent = false } = {}) {
+    super(concurrent ? `Order status changed from ${from} while the update was in progress` : `Cannot move an order from ${from} to ${to}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = getAllowedTransitions(from);
+    this.concurrent = concurrent;
+  }
+}
+
+// Moving an order past ORDER_PLACED means its money was taken, so only a confirmed payment allows it.
+class PaymentNotConfirmedError extends InvalidStatusTransitionError {
+  constructor(from, to) {
+    super(from, to);
+    this.name = 'PaymentNotConfirmedError';
+    this.message = `Payment has not been confirmed, so the order cannot move to ${to}`;
+  }
+}
+
+const PAYMENT_VERIFIED = 'PAYMENT_VERIFIED';
+
+/**
+ * Moves an order to `toCode` if the status table allows it from the order's current status,
+ * and records who did it in OrderStatusHistory. The update is conditional on the status the
+ * check was made against, so two people advancing the same order cannot both succeed.
+ * PAYMENT_VERIFIED additionally requires the provider to have confirmed the payment.
+ * CANCELLED only sets `cancelledAt`; stock and money are settled by `cancelOrder` in ./orderChanges.
+ * An order.status_changed webhook is queued with the history entry.
+ * Pass `tx` to join the caller's transaction.
+ */
+async function transitionOrderStatus(orderNumber, toCode, { actor = 'system', actorUserId = null, note = null, tx } = {}) {
+  if (!tx) {
+    return prisma.$transaction(client => transitionOrderStatus(orderNumber, toCode, { actor, actorUserId, note, tx: client }));
+  }
+
+  const order = await tx.order.findUnique({ where: { orderNumber }, select: { id: true, statusIndex: true, cancelledAt: true, paymentStatus: true } });
+  if (!order) {
+    throw new OrderNotFoundError(orderNumber);
+  }
+
+  const fromCode = getOrderStatusCode(order);
+  if (!canTransition(fromCode, toCode)) {
+    throw new InvalidStatusTransitionError(fromCode, toCode);
+  }
+  if (toCode === PAYMENT_VERIFIED && order.paymentStatus !== 'succeeded') {
+    throw new PaymentNotConfirmedError(fromCode, toCode);
+  }
+
+  const cancelling = toCode === ORDER_CANCELLED.code;
+  const toIndex = getStatusIndex(toCode);
+  const { count } = await tx.order.updateMany({
+    where: { id: order.id, statusIndex: order.statusIndex, cancelledAt: null },
+    data: cancelling ? { cancelledAt: new Date() } : { statusIndex: toIndex },
+  });
+  if (count === 0) {
+    throw new InvalidStatusTransitionError(fromCode, toCode, { concurrent: true });
+  }
+
+  const meta = cancelling ? ORDER_CANCELLED : ORDER_STATUS_FLOW[toIndex];
+  const entry = await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      code: meta.code,
+      label: meta.label,
+      description: meta.description,
+      actor,
+      actorUserId,
+      note: note || null,
+    },
+  });
+  await enqueueWebhookEvent(tx, 'order.status_changed', {
+    orderNumber,
+    from: fromCode,
+    to: entry.code,
+    label: entry.label,
+    actor,
+    note: entry.note,
+    changedAt: entry.enteredAt,
+  });
+
+  return { orderId: order.id, from: fromCode, entry };
+}
+
+// Adds an ORDER_EVENTS entry to the order's history inside the caller's transaction; the status is unchanged.
+const recordOrderEvent = (tx, orderId, code, { actor = 'system', actorUserId = null, note = null } = {}) => {
+  const meta = ORDER_EVENTS[code];
+  return tx.orderStatusHistory.create({
+    data: { orderId, code: meta.code, label: meta.label, description: meta.description, actor, actorUserId, note: note || null },
+  });
+};
+
+module.exports = {
+  OrderNotFoundError,
+  InvalidStatusTransitionError,
+  PaymentNotConfirmedError,
+  transitionOrderStatus,
+  recordOrderEvent,
+};
@@ -0,0 +1,18 @@
+const PAYMENT_ERROR_MESSAGES = {
+  NOT_FOUND: 'The payment for this order could not be found.',
+  MISMATCH: 'This payment does not belong to the order.',
+  AMOUNT_MISMATCH: 'The confirmed payment does not match the order total.',
+  INVALID_SIGNATURE: 'The webhook signature could not be verified.',
+};
+
+class PaymentError extends Error {
+  constructor(reason, message = PAYMENT_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'PaymentError';
+    this.reason = reason;
+  }
+}
+
+module.exports = {
+  PaymentError,
+};
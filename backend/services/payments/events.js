@@ -0,0 +1,87 @@
+const { createHmac, timingSafeEqual } = require('crypto');
+const { PaymentError } = require('./errors');
+
+// How old a signed webhook may be before it is treated as a replay, matching Stripe's default.
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const PAYMENT_INTENT_EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.canceled': 'payment.canceled',
+};
+
+/**
+ * Maps a Stripe-shaped event (the mock provider sends the same shape) onto
+ * `{ id, type, paymentId, amount, currency, failureMessage, amountRefunded }`, where `type` is
+ * `payment.succeeded`, `payment.failed`, `payment.canceled`, `payment.refunded` or null for events we do not handle.
+ * Amounts are in minor units; `amountRefunded` is the running total for the payment.
+ */
+function toPaymentEvent(event) {
+  const object = event?.data?.object || {};
+  const base = { id: event?.id, type: null, paymentId: null, amount: null, currency: null, failureMessage: null, amountRefunded: null };
+
+  switch (event?.type) {
+    case 'payment_intent.succeeded':
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return {
+        ...base,
+        type: PAYMENT_INTENT_EVENT_TYPES[event.type],
+        paymentId: object.id,
+        amount: object.amount,
+        currency: String(object.currency).toUpperCase(),
+        failureMessage: object.last_payment_error?.message || null,
+      };
+    case 'charge.refunded':
+      return {
+        ...base,
+        type: 'payment.refunded',
+        paymentId: object.payment_intent,
+        amount: object.amount,
+        currency: String(object.currency).toUpperCase(),
+        amountRefunded: object.amount_refunded,
+      };
+    default:
+      return base;
+  }
+}
+
+const computeSignature = (secret, timestamp, payload) => createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+
+/**
+ * Builds a `t=<unix seconds>,v1=<hex HMAC-SHA256>` header value for `payload`, the same
+ * scheme Stripe uses. The mock provider verifies it, the replay script uses it to sign
+ * fixture payloads, and outbound webhooks (../webhooks) are signed with it too.
+ */
+function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, payload)}`;
+}
+
+function verifyWebhookSignature(payload, header, secret, { now = Date.now(), tolerance = WEBHOOK_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map(part => part.trim().split('='))
+      .filter(pair => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new PaymentError('INVALID_SIGNATURE');
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, payload), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    throw new PaymentError('INVALID_SIGNATURE');
+  }
+  if (Math.abs(now / 1000 - timestamp) > tolerance) {
+    throw new PaymentError('INVALID_SIGNATURE', 'The webhook signature has expired.');
+  }
+}
+
+module.exports = {
+  WEBHOOK_TOLERANCE_SECONDS,
+  toPaymentEvent,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,76 @@
+const prisma = require('../../prismaClient');
+const { pendingPaymentTtlMs } = require('../../config/payments');
+const { PaymentError } = require('./errors');
+const { getPaymentProvider, markOrderPaymentFailed } = require('./index');
+
+// Payments still waiting on the customer. `processing` ones are left to the provider, which settles them either way.
+const EXPIRABLE_PAYMENT_STATUSES = ['pending', 'requires_action'];
+
+const EXPIRED_NOTE = 'Payment was not completed in time';
+
+// Whether the order's intent can no longer be paid. Intents the provider will not cancel (they succeeded meanwhile,
+// or it is unreachable) are left for the webhook or the next tick. Orders whose intent was never opened have none.
+const cancelIntent = async order => {
+  if (!order.paymentIntentId) return true;
+  try {
+    const payment = await getPaymentProvider(order.paymentProvider).cancelPayment(order.paymentIntentId);
+    return payment.status === 'canceled';
+  } catch (err) {
+    // The mock provider forgets its payments on restart; one it no longer knows can never be paid.
+    if (err instanceof PaymentError && err.reason === 'NOT_FOUND') return true;
+    console.error(`Failed to cancel expired payment ${order.paymentIntentId} for order ${order.orderNumber}:`, err.message);
+    return false;
+  }
+};
+
+/**
+ * Expires orders whose payment was not completed within `ttlMs` of placing them, so the stock and
+ * promo code use they hold go back. Each intent is cancelled at the provider first; only then is
+ * the order ended like a failed payment, with a `canceled` payment status. Orders committed without
+ * an intent (checkout stopped before it was opened) are expired the same way.
+ */
+function startPendingPaymentExpiry({ intervalMs = 60000, ttlMs = pendingPaymentTtlMs, batchSize = 20, now = () => new Date() } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const orders = await prisma.order.findMany({
+        where: {
+          paymentStatus: { in: EXPIRABLE_PAYMENT_STATUSES },
+          cancelledAt: null,
+          createdAt: { lt: new Date(now().getTime() - ttlMs) },
+        },
+        select: { id: true, orderNumber: true, paymentProvider: true, paymentIntentId: true },
+        orderBy: { createdAt: 'asc' },
+        take: batchSize,
+      });
+
+      for (const order of orders) {
+        // eslint-disable-next-line no-await-in-loop
+        if (await cancelIntent(order)) {
+          // eslint-disable-next-line no-await-in-loop
+          await markOrderPaymentFailed(order, { note: EXPIRED_NOTE, paymentStatus: 'canceled' });
+        }
+      }
+    } catch (err) {
+      console.error('Pending payment expiry tick failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  return {
+    tick,
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = {
+  EXPIRABLE_PAYMENT_STATUSES,
+  startPendingPaymentExpiry,
+};
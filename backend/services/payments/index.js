@@ -0,0 +1,293 @@
+const prisma = require('../../prismaClient');
+const { toMinorUnits, toDecimalString, formatMoney } = require('../../utils/money');
+const { OrderNotFoundError, transitionOrderStatus, recordOrderEvent } = require('../orderTransitions');
+const { releaseOrderStock } = require('../inventory');
+const { releaseRedemption } = require('../promotions');
+const { sendPaymentFailedEmail, sendRefundIssuedEmail } = require('../mailer');
+const { PaymentError } = require('./errors');
+const { createMockProvider } = require('./mockProvider');
+const { createStripeProvider } = require('./stripeProvider');
+
+/**
+ * A payment provider takes amounts in minor units and reports payments as
+ * `{ id, clientSecret, status, amount, currency, failureMessage }`, where `status` is one of
+ * PAYMENT_STATUSES:
+ *   createPayment({ amount, currency, orderNumber, email })
+ *   retrievePayment(id)
+ *   confirmPayment(id, { paymentMethod })
+ *   cancelPayment(id)
+ *   parseWebhookEvent(rawBody, headers), which verifies the signature and returns the event
+ *     described in ./events
+ */
+const PAYMENT_STATUSES = ['pending', 'requires_action', 'processing', 'succeeded', 'failed', 'canceled', 'partially_refunded', 'refunded'];
+
+// Payments that can still succeed or fail. Everything else is final, apart from further refunds.
+const OPEN_PAYMENT_STATUSES = ['pending', 'requires_action', 'processing'];
+
+const ORDER_PAYMENT_SELECT = {
+  id: true,
+  orderNumber: true,
+  email: true,
+  total: true,
+  currency: true,
+  paymentProvider: true,
+  paymentIntentId: true,
+  paymentStatus: true,
+  amountPaid: true,
+  amountRefunded: true,
+};
+
+const PAYMENT_ACTOR = 'payment';
+
+const PROVIDER_FACTORIES = {
+  stripe: createStripeProvider,
+  mock: createMockProvider,
+};
+
+const providers = new Map();
+
+// PAYMENT_PROVIDER picks the provider; without it, Stripe is used whenever a secret key is set.
+const defaultProviderName = () =>
+  String(process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'mock'))
+    .trim()
+    .toLowerCase();
+
+// Orders are always confirmed through the provider they were created with, so pass the stored name when there is one.
+function getPaymentProvider(name = defaultProviderName()) {
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider accepts test cards only and cannot be used in production');
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+// What the payment captured. Orders paid before amountPaid was recorded fall back to their total.
+const paidAmountOf = order => toMinorUnits(order.amountPaid, order.currency) || toMinorUnits(order.total, order.currency);
+
+// History note for a refund of `amount` that brings the order's refunds to `amountRefunded`.
+const refundNote = (order, amount, amountRefunded) =>
+  `${formatMoney(amount, order.currency)} refunded (${formatMoney(amountRefunded, order.currency)} of ${formatMoney(paidAmountOf(order), order.currency)} in total)`;
+
+const matchesOrderTotal = (order, payment) => payment.amount === toMinorUnits(order.total, order.currency) && payment.currency === order.currency;
+
+/**
+ * Records a provider-confirmed payment and moves the order to PAYMENT_VERIFIED. Returns false
+ * when the payment had already been recorded (or the order's payment had already failed), so
+ * confirmations arriving twice (client and webhook) only advance the order once.
+ * Pass `tx` to join the caller's transaction.
+ */
+async function markOrderPaid(order, { note = null, tx } = {}) {
+  if (!tx) {
+    return prisma.$transaction(client => markOrderPaid(order, { note, tx: client }));
+  }
+
+  const { count } = await tx.order.updateMany({
+    where: { id: order.id, paymentStatus: { in: OPEN_PAYMENT_STATUSES } },
+    data: { paymentStatus: 'succeeded', paidAt: new Date(), amountPaid: toDecimalString(toMinorUnits(order.total, order.currency), order.currency) },
+  });
+  if (count === 0) return false;
+
+  await transitionOrderStatus(order.orderNumber, 'PAYMENT_VERIFIED', { actor: PAYMENT_ACTOR, note, tx });
+  return true;
+}
+
+/**
+ * Ends an order whose payment failed: marks the payment failed, returns the reserved stock and
+ * promo code use, and adds a PAYMENT_FAILED entry to its history. Returns false when the payment
+ * was no longer open. Pass `paymentStatus: 'canceled'` for intents that were cancelled instead.
+ * Callers follow up with `notifyPaymentFailed` once the transaction has committed.
+ */
+async function markOrderPaymentFailed(order, { note = null, paymentStatus = 'failed', tx } = {}) {
+  if (!tx) {
+    return prisma.$transaction(client => markOrderPaymentFailed(order, { note, paymentStatus, tx: client }));
+  }
+
+  const { count } = await tx.order.updateMany({
+    where: { id: order.id, paymentStatus: { in: OPEN_PAYMENT_STATUSES } },
+    data: { paymentStatus },
+  });
+  if (count === 0) return false;
+
+  await releaseOrderStock(order.id, tx);
+  await releaseRedemption(tx, order.id);
+  await recordOrderEvent(tx, order.id, 'PAYMENT_FAILED', { actor: PAYMENT_ACTOR, note });
+  return true;
+}
+
+/**
+ * Cancels the failed intent so it can no longer be paid (the stock behind it is gone) and tells
+ * the customer. Both are best effort: the order is already settled as failed.
+ */
+async function notifyPaymentFailed(provider, order, failureMessage) {
+  try {
+    await provider.cancelPayment(order.paymentIntentId);
+  } catch (error) {
+    console.error(`Failed to cancel payment ${order.paymentIntentId} for order ${order.orderNumber}:`, error.message);
+  }
+  await sendPaymentFailedEmail(order.email, { orderNumber: order.orderNumber, reason: failureMessage });
+}
+
+/**
+ * Stores the provider's running refund total for a paid order, adds the difference to the refund
+ * ledger and a PAYMENT_REFUNDED entry to the history. Only a larger total than the one stored is
+ * applied, so redelivered or out-of-order refund events are no-ops. Refunds do not restock;
+ * returned goods come back through their own flow.
+ */
+async function recordOrderRefund(order, amountRefunded, { provider, reference = null, tx }) {
+  const paid = paidAmountOf(order);
+  const previous = toMinorUnits(order.amountRefunded, order.currency);
+  const { count } = await tx.order.updateMany({
+    where: {
+      id: order.id,
+      paymentStatus: { in: ['succeeded', 'partially_refunded'] },
+      amountRefunded: { lt: toDecimalString(amountRefunded, order.currency) },
+    },
+    data: {
+      amountRefunded: toDecimalString(amountRefunded, order.currency),
+      paymentStatus: amountRefunded >= paid ? 'refunded' : 'partially_refunded',
+    },
+  });
+  if (count === 0) return false;
+
+  await tx.refund.create({
+    data: {
+      orderId: order.id,
+      amount: toDecimalString(amountRefunded - previous, order.currency),
+      currency: order.currency,
+      reason: `Refunded at ${provider}`,
+      provider,
+      providerReference: reference,
+    },
+  });
+  await recordOrderEvent(tx, order.id, 'PAYMENT_REFUNDED', { actor: PAYMENT_ACTOR, note: refundNote(order, amountRefunded - previous, amountRefunded) });
+  return true;
+}
+
+// Emails the customer about a refund of `amount` that brought the order's refunds to `amountRefunded`.
+async function notifyRefundIssued(order, amount, amountRefunded, reason = null) {
+  await sendRefundIssuedEmail(order.email, {
+    orderNumber: order.orderNumber,
+    amount: formatMoney(amount, order.currency),
+    netPaid: formatMoney(Math.max(0, paidAmountOf(order) - amountRefunded), order.currency),
+    reason,
+  });
+}
+
+/**
+ * Asks the order's provider for the state of its payment (confirming it first when a
+ * `paymentMethod` is given) and stores the result. The order only moves on when the provider
+ * reports success for exactly the order total; a failure ends the order the same way a
+ * `payment.failed` webhook does. Returns `{ paymentStatus, failureMessage }`.
+ */
+async function confirmOrderPayment(orderNumber, { paymentIntentId, paymentMethod } = {}) {
+  const order = await prisma.order.findUnique({ where: { orderNumber }, select: ORDER_PAYMENT_SELECT });
+  if (!order) {
+    throw new OrderNotFoundError(orderNumber);
+  }
+  // Only the customer who placed the order was given the intent id, so it doubles as proof they may pay for it.
+  if (!order.paymentIntentId || order.paymentIntentId !== paymentIntentId) {
+    throw new PaymentError('MISMATCH');
+  }
+  if (!OPEN_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return { paymentStatus: order.paymentStatus, failureMessage: null };
+  }
+
+  const provider = getPaymentProvider(order.paymentProvider);
+  const payment = await provider.confirmPayment(order.paymentIntentId, { paymentMethod });
+
+  if (payment.status === 'succeeded') {
+    if (!matchesOrderTotal(order, payment)) {
+      throw new PaymentError('AMOUNT_MISMATCH');
+    }
+    await markOrderPaid(order, { note: `Payment ${payment.id} confirmed by ${provider.name}` });
+  } else if (payment.status === 'failed') {
+    if (await markOrderPaymentFailed(order, { note: payment.failureMessage })) {
+      await notifyPaymentFailed(provider, order, payment.failureMessage);
+    }
+  } else {
+    await prisma.order.updateMany({
+      where: { id: order.id, paymentStatus: { in: OPEN_PAYMENT_STATUSES } },
+      data: { paymentStatus: payment.status },
+    });
+  }
+
+  return { paymentStatus: payment.status, failureMessage: payment.failureMessage };
+}
+
+/**
+ * Applies a verified webhook event from `provider` to its order. Each event is recorded in
+ * PaymentEvent in the same transaction as its effects, so a redelivered event changes nothing.
+ * Resolves to `{ outcome, orderNumber }` where `outcome` is `applied`, `unchanged` (the order
+ * was already in that state), `duplicate` or `ignored` (not an event we act on, or not our order).
+ */
+async function handlePaymentEvent(provider, event) {
+  if (!event.type || !event.paymentId) {
+    return { outcome: 'ignored', orderNumber: null };
+  }
+  const order = await prisma.order.findUnique({ where: { paymentIntentId: event.paymentId }, select: ORDER_PAYMENT_SELECT });
+  if (!order || order.paymentProvider !== provider.name) {
+    return { outcome: 'ignored', orderNumber: null };
+  }
+
+  let changed;
+  try {
+    changed = await prisma.$transaction(async tx => {
+      await tx.paymentEvent.create({ data: { provider: provider.name, eventId: event.id, type: event.type, orderId: order.id } });
+
+      switch (event.type) {
+        case 'payment.succeeded':
+          if (!matchesOrderTotal(order, event)) {
+            console.error(`Payment ${event.paymentId} for order ${order.orderNumber} does not match the order total; not marking it paid`);
+            return false;
+          }
+          if (order.paymentStatus === 'failed') {
+            // The intent was canceled when the payment failed, so this should not happen; staff need to refund it.
+            console.error(`Payment ${event.paymentId} succeeded after order ${order.orderNumber} had failed`);
+          }
+          return markOrderPaid(order, { note: `Payment ${event.paymentId} confirmed by ${provider.name} webhook`, tx });
+        case 'payment.failed':
+          return markOrderPaymentFailed(order, { note: event.failureMessage, tx });
+        case 'payment.canceled':
+          return markOrderPaymentFailed(order, { note: `Payment ${event.paymentId} canceled at ${provider.name}`, paymentStatus: 'canceled', tx });
+        case 'payment.refunded':
+          return recordOrderRefund(order, event.amountRefunded, { provider: provider.name, reference: event.id, tx });
+        default:
+          return false;
+      }
+    });
+  } catch (error) {
+    if (error?.code === 'P2002') {
+      return { outcome: 'duplicate', orderNumber: order.orderNumber };
+    }
+    throw error;
+  }
+
+  if (changed && event.type === 'payment.failed') {
+    await notifyPaymentFailed(provider, order, event.failureMessage);
+  }
+  if (changed && event.type === 'payment.refunded') {
+    await notifyRefundIssued(order, event.amountRefunded - toMinorUnits(order.amountRefunded, order.currency), event.amountRefunded);
+  }
+  return { outcome: changed ? 'applied' : 'unchanged', orderNumber: order.orderNumber };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  OPEN_PAYMENT_STATUSES,
+  PAYMENT_ACTOR,
+  PaymentError,
+  getPaymentProvider,
+  markOrderPaid,
+  markOrderPaymentFailed,
+  paidAmountOf,
+  refundNote,
+  notifyRefundIssued,
+  confirmOrderPayment,
+  handlePaymentEvent,
+};
@@ -0,0 +1,77 @@
+const { randomBytes } = require('crypto');
+const { PaymentError } = require('./errors');
+const { toPaymentEvent, verifyWebhookSignature } = require('./events');
+
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+// Stripe's test payment method ids, so the same values work against either provider.
+// A message marks the method as declined.
+const MOCK_PAYMENT_METHODS = {
+  pm_card_visa: null,
+  pm_card_mastercard: null,
+  pm_card_amex: null,
+  pm_card_chargeDeclined: 'Your card was declined.',
+  pm_card_chargeDeclinedInsufficientFunds: 'Your card has insufficient funds.',
+};
+
+/**
+ * Local stand-in for a card processor, for development and tests. Payments live in memory
+ * and the outcome depends only on the payment method used to confirm, so runs are repeatable.
+ * Never charges anything; `getPaymentProvider` refuses it in production.
+ */
+function createMockProvider({ payments = new Map(), webhookSecret = process.env.MOCK_WEBHOOK_SECRET || 'whsec_mock' } = {}) {
+  const find = id => {
+    const payment = payments.get(id);
+    if (!payment) throw new PaymentError('NOT_FOUND');
+    return payment;
+  };
+
+  return {
+    name: 'mock',
+
+    async createPayment({ amount, currency }) {
+      const id = `pi_mock_${randomBytes(12).toString('hex')}`;
+      const payment = { id, clientSecret: `${id}_secret_${randomBytes(12).toString('hex')}`, status: 'pending', amount, currency, failureMessage: null };
+      payments.set(id, payment);
+      return { ...payment };
+    },
+
+    async retrievePayment(id) {
+      return { ...find(id) };
+    },
+
+    async confirmPayment(id, { paymentMethod } = {}) {
+      const payment = find(id);
+      if (!paymentMethod || ['succeeded', 'canceled'].includes(payment.status)) {
+        return { ...payment };
+      }
+
+      const declineMessage = Object.prototype.hasOwnProperty.call(MOCK_PAYMENT_METHODS, paymentMethod)
+        ? MOCK_PAYMENT_METHODS[paymentMethod]
+        : 'Unknown test payment method.';
+      Object.assign(payment, declineMessage ? { status: 'failed', failureMessage: declineMessage } : { status: 'succeeded', failureMessage: null });
+      return { ...payment };
+    },
+
+    async cancelPayment(id) {
+      const payment = find(id);
+      if (payment.status !== 'succeeded') {
+        payment.status = 'canceled';
+      }
+      return { ...payment };
+    },
+
+    // Events use Stripe's JSON shape, signed with MOCK_WEBHOOK_SECRET in the `x-mock-signature` header.
+    parseWebhookEvent(rawBody, headers = {}) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      verifyWebhookSignature(payload, headers[MOCK_SIGNATURE_HEADER], webhookSecret);
+      return toPaymentEvent(JSON.parse(payload));
+    },
+  };
+}
+
+module.exports = {
+  MOCK_PAYMENT_METHODS,
+  MOCK_SIGNATURE_HEADER,
+  createMockProvider,
+};
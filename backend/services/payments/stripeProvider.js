@@ -0,0 +1,98 @@
+const Stripe = require('stripe');
+const { PaymentError } = require('./errors');
+const { toPaymentEvent } = require('./events');
+
+// Maps a PaymentIntent status onto ours. `requires_payment_method` after an attempt means the card was declined.
+const toPaymentStatus = intent => {
+  switch (intent.status) {
+    case 'succeeded':
+      return 'succeeded';
+    case 'processing':
+    case 'requires_capture':
+      return 'processing';
+    case 'requires_action':
+      return 'requires_action';
+    case 'canceled':
+      return 'canceled';
+    default:
+      return intent.last_payment_error ? 'failed' : 'pending';
+  }
+};
+
+const toPayment = intent => ({
+  id: intent.id,
+  clientSecret: intent.client_secret,
+  status: toPaymentStatus(intent),
+  amount: intent.amount,
+  currency: String(intent.currency).toUpperCase(),
+  failureMessage: intent.last_payment_error?.message || null,
+});
+
+/**
+ * Card payments through Stripe PaymentIntents. The intent is created with the order and the
+ * browser confirms it with Stripe.js, so card numbers go straight to Stripe. `confirmPayment`
+ * re-reads the intent, or confirms it server-side when given a saved payment method id.
+ * Webhooks are verified against STRIPE_WEBHOOK_SECRET.
+ */
+function createStripeProvider({ secretKey = process.env.STRIPE_SECRET_KEY, webhookSecret = process.env.STRIPE_WEBHOOK_SECRET, client } = {}) {
+  if (!client && !secretKey) {
+    throw new Error('STRIPE_SECRET_KEY must be set to take payments with Stripe');
+  }
+  const stripe = client || Stripe(secretKey);
+
+  const retrievePayment = async id => toPayment(await stripe.paymentIntents.retrieve(id));
+
+  return {
+    name: 'stripe',
+
+    async createPayment({ amount, currency, orderNumber, email }) {
+      const intent = await stripe.paymentIntents.create({
+        amount,
+        currency: currency.toLowerCase(),
+        payment_method_types: ['card'],
+        receipt_email: email,
+        metadata: { orderNumber },
+      });
+      return toPayment(intent);
+    },
+
+    retrievePayment,
+
+    async confirmPayment(id, { paymentMethod } = {}) {
+      if (!paymentMethod) return retrievePayment(id);
+      try {
+        return toPayment(await stripe.paymentIntents.confirm(id, { payment_method: paymentMethod }));
+      } catch (error) {
+        // Declines come back as errors that still carry the updated intent.
+        if (error?.type === 'StripeCardError' && error.payment_intent) {
+          return toPayment(error.payment_intent);
+        }
+        throw error;
+      }
+    },
+
+    async cancelPayment(id) {
+      return toPayment(await stripe.paymentIntents.cancel(id));
+    },
+
+    parseWebhookEvent(rawBody, headers = {}) {
+      if (!webhookSecret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET must be set to receive Stripe webhooks');
+      }
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], webhookSecret);
+      } catch (error) {
+        if (error?.type === 'StripeSignatureVerificationError') {
+          throw new PaymentError('INVALID_SIGNATURE');
+        }
+        throw error;
+      }
+      return toPaymentEvent(event);
+    },
+  };
+}
+
+module.exports = {
+  createStripeProvider,
+};
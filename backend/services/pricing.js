@@ -0,0 +1,246 @@
+const prisma = require('../prismaClient');
+const { previewPromotion, redeemPromotion, reapplyPromotion } = require('./promotions');
+const { listShippingOptions, chooseShippingOption } = require('./shipping');
+const { isTaxExempt, calculateOrderTax } = require('./tax');
+const { STORE_CURRENCY, toMinorUnits, fromMinorUnits, toMoney, sumMinorUnits } = require('../utils/money');
+
+/**
+ * Resolves the client's `{ productId, quantity }` entries against the catalog so prices
+ * always come from the database. Returns `{ lines }` or `{ error }` with a 400 message.
+ */
+async function loadOrderLines(items) {
+  const normalizedItems = [];
+  for (const item of items) {
+    const productId = Number(item?.productId ?? item?.id);
+    const quantity = Number.isInteger(item?.quantity) && item.quantity > 0 ? item.quantity : 1;
+
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: 'Invalid product reference in order payload.' };
+    }
+
+    normalizedItems.push({
+      productId,
+      quantity,
+    });
+  }
+
+  const productIds = [...new Set(normalizedItems.map(item => item.productId))];
+  const products = await prisma.product.findMany({ where: { id: { in: productIds } } });
+
+  if (products.length !== productIds.length) {
+    return { error: 'One or more products are no longer available.' };
+  }
+
+  const productMap = new Map(products.map(product => [Number(product.id), product]));
+
+  const lines = normalizedItems.map(item => {
+    const product = productMap.get(item.productId);
+    return {
+      productId: product.id,
+      name: product.name,
+      unitAmount: toMinorUnits(product.price),
+      quantity: item.quantity,
+      image: product.image,
+      category: product.category,
+      brand: product.brand,
+      weightGrams: product.weightGrams,
+      taxCategory: product.taxCategory,
+    };
+  });
+
+  return { lines };
+}
+
+/**
+ * Lines of a stored order in the shape `loadOrderLines` gives, for re-pricing it after an edit.
+ * Items keep the unit price they were bought at; `items` need their `product` included for the
+ * attributes shipping, tax and promotions look at.
+ */
+const orderLinesFromItems = (items, currency = STORE_CURRENCY) =>
+  items.map(item => ({
+    productId: item.productId,
+    name: item.name,
+    unitAmount: toMinorUnits(item.price, currency),
+    quantity: item.quantity,
+    image: item.image,
+    category: item.product?.category ?? null,
+    brand: item.product?.brand ?? null,
+    weightGrams: item.product?.weightGrams ?? null,
+    taxCategory: item.product?.taxCategory ?? 'standard',
+  }));
+
+/**
+ * Prices loaded lines in minor units of the store currency. Quotes and order creation both
+ * go through here so the customer is shown exactly what create-order will charge. With
+ * `redeem`, `client` must be the checkout transaction and the coupon use is claimed;
+ * otherwise the coupon is only checked. Orders being edited pass the promotion they already
+ * redeemed as `redeemedPromotionId` instead of a code. `shippingMethod` defaults to the configured method and
+ * delivery windows are counted from `now`. Throws `PromotionError` when `couponCode` cannot be
+ * applied and `ShippingError` when the method does not ship to `shippingAddress`. Tax comes from
+ * the configured tax calculator, on each line after its discount, unless the customer is exempt.
+ */
+async function priceOrder(
+  client,
+  { lines, shippingAddress = null, shippingMethod = null, couponCode = null, redeemedPromotionId = null, customer = {}, redeem = false, now = new Date() }
+) {
+  const subtotal = sumMinorUnits(lines.map(line => line.unitAmount * line.quantity));
+  const shippingOptions = listShippingOptions({ lines, subtotal, shippingAddress, now });
+  const shipping = chooseShippingOption(shippingOptions, shippingMethod);
+  const shippingTotal = shipping.amount;
+  const cart = { lines, subtotal, shippingTotal };
+
+  let promotion = null;
+  if (redeemedPromotionId) {
+    promotion = await reapplyPromotion(client, redeemedPromotionId, cart);
+  } else if (couponCode) {
+    promotion = redeem ? await redeemPromotion(client, couponCode, cart, customer) : await previewPromotion(couponCode, cart, customer);
+  }
+
+  const discounts = lines.map((_line, index) => (promotion ? promotion.lineDiscounts[index] : 0));
+  const tax = await calculateOrderTax({
+    lines: lines.map((line, index) => ({
+      productId: line.productId,
+      taxCategory: line.taxCategory,
+      amount: line.unitAmount * line.quantity - discounts[index],
+    })),
+    shippingAddress,
+    currency: STORE_CURRENCY,
+    taxExempt: await isTaxExempt(client, customer.userId),
+  });
+
+  const pricedLines = lines.map((line, index) => {
+    const lineSubtotal = line.unitAmount * line.quantity;
+    const discount = discounts[index];
+    const { rate: taxRate, tax: lineTax } = tax.lines[index];
+    return {
+      productId: line.productId,
+      name: line.name,
+      image: line.image,
+      unitPrice: line.unitAmount,
+      quantity: line.quantity,
+      subtotal: lineSubtotal,
+      discount,
+      taxRate,
+      tax: lineTax,
+      total: lineSubtotal - discount + lineTax,
+    };
+  });
+
+  const lineDiscountTotal = sumMinorUnits(pricedLines.map(line => line.discount));
+  const shippingDiscount = promotion ? Math.min(promotion.shippingDiscount, shippingTotal) : 0;
+  const taxTotal = sumMinorUnits(pricedLines.map(line => line.tax));
+
+  return {
+    currency: STORE_CURRENCY,
+    lines: pricedLines,
+    subtotal,
+    discountTotal: lineDiscountTotal + shippingDiscount,
+    shippingTotal,
+    taxTotal,
+    total: subtotal - lineDiscountTotal + shippingTotal - shippingDiscount + taxTotal,
+    promotion,
+    shipping,
+    shippingOptions,
+    tax: { jurisdiction: tax.jurisdiction, exempt: tax.exempt },
+  };
+}
+
+const LINE_AMOUNT_FIELDS = ['unitPrice', 'subtotal', 'discount', 'tax', 'total'];
+const ORDER_AMOUNT_FIELDS = ['subtotal', 'discountTotal', 'shippingTotal', 'taxTotal', 'total'];
+
+// Keeps the major-unit numbers existing clients read and adds `money` objects alongside them.
+const serializeAmounts = (source, fields, currency) => {
+  const numbers = {};
+  const money = {};
+  for (const field of fields) {
+    numbers[field] = fromMinorUnits(source[field], currency);
+    money[field] = toMoney(source[field], currency);
+  }
+  return { ...numbers, money };
+};
+
+// JSON shape of `priceOrder` results, shared by the quote and create-order responses.
+const serializePricing = ({ currency, lines, shipping, ...totals }) => ({
+  currency,
+  lines: lines.map(line => ({
+    productId: line.productId,
+    name: line.name,
+    image: line.image,
+    quantity: line.quantity,
+    taxRate: line.taxRate,
+    ...serializeAmounts(line, LINE_AMOUNT_FIELDS, currency),
+  })),
+  ...serializeAmounts(totals, ORDER_AMOUNT_FIELDS, currency),
+  tax: totals.tax,
+  shippingMethod: { code: shipping.code, name: shipping.name },
+  deliveryWindow: shipping.deliveryWindow,
+});
+
+// Stored order items keep their unit price and tax as `Decimal`s in the order's currency.
+const serializeOrderItem = (item, currency = STORE_CURRENCY) => {
+  const unitPrice = toMinorUnits(item.price, currency);
+  const tax = toMinorUnits(item.tax ?? 0, currency);
+  return {
+    id: item.id,
+    productId: item.productId,
+    name: item.name,
+    price: fromMinorUnits(unitPrice, currency),
+    quantity: item.quantity,
+    image: item.image,
+    tax: fromMinorUnits(tax, currency),
+    taxRate: Number(item.taxRate ?? 0),
+    money: { price: toMoney(unitPrice, currency), total: toMoney(unitPrice * item.quantity, currency), tax: toMoney(tax, currency) },
+  };
+};
+
+/**
+ * What the customer paid for `lines` (`{ orderItem, quantity }`) of a stored order, in minor
+ * units: the units' price less their share of the line's discount, plus their share of the
+ * line's tax. Shipping discounts and discounts on other lines do not lower it. Returns and
+ * line refunds are valued this way.
+ */
+const paidValueOf = (order, lines) => {
+  const currency = order.currency || STORE_CURRENCY;
+  return sumMinorUnits(
+    lines.map(({ orderItem, quantity }) => {
+      const price = toMinorUnits(orderItem.price, currency) * quantity;
+      const share = amount => Math.round((toMinorUnits(amount ?? 0, currency) * quantity) / orderItem.quantity);
+      return price - share(orderItem.discount) + share(orderItem.tax);
+    })
+  );
+};
+
+// What cancellations, edits and returns owe the customer, what was captured, and how much of it has been paid back.
+const REFUND_AMOUNT_FIELDS = ['refundDue', 'amountPaid', 'amountRefunded'];
+
+// Captured minus refunded, never below zero.
+const netPaidOf = order => {
+  const currency = order.currency || STORE_CURRENCY;
+  return Math.max(0, toMinorUnits(order.amountPaid, currency) - toMinorUnits(order.amountRefunded, currency));
+};
+
+// Totals of a stored order, in the same shape `serializePricing` gives a fresh quote, plus its refund amounts and net paid.
+const serializeOrderTotals = order => {
+  const currency = order.currency || STORE_CURRENCY;
+  const fields = [...ORDER_AMOUNT_FIELDS, ...REFUND_AMOUNT_FIELDS];
+  const totals = { netPaid: netPaidOf(order) };
+  for (const field of fields) {
+    totals[field] = toMinorUnits(order[field], currency);
+  }
+  return {
+    currency,
+    ...serializeAmounts(totals, [...fields, 'netPaid'], currency),
+    tax: { jurisdiction: order.taxJurisdiction ?? null, exempt: Boolean(order.taxExempt) },
+  };
+};
+
+module.exports = {
+  loadOrderLines,
+  orderLinesFromItems,
+  priceOrder,
+  serializePricing,
+  serializeOrderItem,
+  paidValueOf,
+  netPaidOf,
+  serializeOrderTotals,
+};
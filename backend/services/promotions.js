@@ -0,0 +1,176 @@
+const prisma = require('../prismaClient');
+const { toMinorUnits, formatMoney, percentOf, allocate, sumMinorUnits } = require('../utils/money');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const PROMOTION_ERROR_MESSAGES = {
+  NOT_FOUND: 'That promo code is not valid.',
+  INACTIVE: 'That promo code is no longer active.',
+  NOT_STARTED: 'That promo code is not active yet.',
+  EXPIRED: 'That promo code has expired.',
+  EXHAUSTED: 'That promo code has reached its usage limit.',
+  USER_LIMIT: 'You have already used this promo code the maximum number of times.',
+  MIN_SUBTOTAL: 'Your order does not meet the minimum subtotal for this promo code.',
+  NOT_APPLICABLE: 'That promo code does not apply to any items in your order.',
+};
+
+class PromotionError extends Error {
+  constructor(reason, message = PROMOTION_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'PromotionError';
+    this.reason = reason;
+  }
+}
+
+const normalizeCouponCode = code => String(code ?? '').trim().toUpperCase();
+
+const normalizeTag = value => String(value ?? '').trim().toLowerCase();
+
+const isTargeted = promotion =>
+  Boolean(promotion.categories?.length || promotion.brands?.length || promotion.productIds?.length);
+
+// A line qualifies when it matches any of the product, category or brand targets.
+const lineMatches = (promotion, line) => {
+  if (!isTargeted(promotion)) return true;
+  if ((promotion.productIds || []).map(Number).includes(Number(line.productId))) return true;
+  if ((promotion.categories || []).map(normalizeTag).includes(normalizeTag(line.category))) return true;
+  return Boolean(line.brand) && (promotion.brands || []).map(normalizeTag).includes(normalizeTag(line.brand));
+};
+
+/**
+ * Checks a promotion against a priced cart and works out its discount. Pure: usage counts
+ * come from the promotion row and per-user limits are checked by the callers below.
+ * `lines` are `{ productId, category, brand, unitAmount, quantity }`; all amounts are minor units.
+ */
+function evaluatePromotion(promotion, { lines, subtotal, shippingTotal = 0, now = new Date() }) {
+  if (!promotion) throw new PromotionError('NOT_FOUND');
+  if (!promotion.active) throw new PromotionError('INACTIVE');
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) throw new PromotionError('NOT_STARTED');
+  if (promotion.endsAt && new Date(promotion.endsAt) <= now) throw new PromotionError('EXPIRED');
+  if (promotion.maxRedemptions !== null && promotion.maxRedemptions !== undefined && promotion.redemptionCount >= promotion.maxRedemptions) {
+    throw new PromotionError('EXHAUSTED');
+  }
+  if (promotion.minSubtotal !== null && promotion.minSubtotal !== undefined) {
+    const minSubtotal = toMinorUnits(promotion.minSubtotal);
+    if (subtotal < minSubtotal) {
+      throw new PromotionError('MIN_SUBTOTAL', `Spend at least ${formatMoney(minSubtotal)} to use this promo code.`);
+    }
+  }
+
+  const eligibleAmounts = lines.map(line => (lineMatches(promotion, line) ? line.unitAmount * line.quantity : 0));
+  const eligibleSubtotal = sumMinorUnits(eligibleAmounts);
+  if (eligibleSubtotal <= 0) throw new PromotionError('NOT_APPLICABLE');
+
+  let discount = 0;
+  let shippingDiscount = 0;
+  if (promotion.type === 'percentage') {
+    const percent = Math.min(Math.max(Number(promotion.value), 0), 100);
+    discount = percentOf(eligibleSubtotal, percent);
+  } else if (promotion.type === 'fixed') {
+    discount = Math.min(Math.max(toMinorUnits(promotion.value), 0), eligibleSubtotal);
+  } else if (promotion.type === 'free_shipping') {
+    shippingDiscount = shippingTotal;
+  }
+
+  return {
+    promotionId: promotion.id,
+    code: promotion.code,
+    type: promotion.type,
+    description: promotion.description || null,
+    eligibleSubtotal,
+    discount,
+    // Aligned with `lines`
+    lineDiscounts: allocate(discount, eligibleAmounts),
+    shippingDiscount,
+    freeShipping: promotion.type === 'free_shipping',
+  };
+}
+
+const findPromotion = (client, code) => client.promotion.findUnique({ where: { code: normalizeCouponCode(code) } });
+
+async function assertWithinUserLimit(client, promotion, { userId, email }) {
+  if (!promotion.maxRedemptionsPerUser) return;
+  const owners = [];
+  if (userId) owners.push({ userId });
+  if (email) owners.push({ email: String(email).toLowerCase() });
+  if (!owners.length) return;
+
+  const used = await client.promotionRedemption.count({ where: { promotionId: promotion.id, OR: owners } });
+  if (used >= promotion.maxRedemptionsPerUser) throw new PromotionError('USER_LIMIT');
+}
+
+// Read-only check used to show the discount before the order is placed.
+async function previewPromotion(code, cart, customer = {}) {
+  const promotion = await findPromotion(prisma, code);
+  const applied = evaluatePromotion(promotion, cart);
+  await assertWithinUserLimit(prisma, promotion, customer);
+  return applied;
+}
+
+/**
+ * Claims one use of the promotion inside the checkout transaction. The counter is bumped
+ * with a conditional update, so the per-code limit holds under concurrent checkouts, and
+ * the row lock it takes serialises this customer's other orders before the per-user count.
+ * Call `recordRedemption` in the same transaction once the order exists.
+ */
+async function redeemPromotion(tx, code, cart, customer = {}) {
+  const promotion = await findPromotion(tx, code);
+  const applied = evaluatePromotion(promotion, cart);
+
+  const where = { id: promotion.id, active: true };
+  if (promotion.maxRedemptions !== null && promotion.maxRedemptions !== undefined) {
+    where.redemptionCount = { lt: promotion.maxRedemptions };
+  }
+  const { count } = await tx.promotion.updateMany({ where, data: { redemptionCount: { increment: 1 } } });
+  if (count === 0) throw new PromotionError('EXHAUSTED');
+
+  await assertWithinUserLimit(tx, promotion, customer);
+  return applied;
+}
+
+/**
+ * Works out the discount of a promotion an order already redeemed, for its edited cart. Its dates
+ * and usage limits were checked when the order was placed, so only the cart conditions (minimum
+ * subtotal, eligible items) apply. Throws `PromotionError` when the edited cart no longer qualifies.
+ */
+async function reapplyPromotion(client, promotionId, cart) {
+  const promotion = await client.promotion.findUnique({ where: { id: promotionId } });
+  return evaluatePromotion(promotion && { ...promotion, active: true, startsAt: null, endsAt: null, maxRedemptions: null }, cart);
+}
+
+const recordRedemption = (tx, applied, { orderId, userId = null, email }) =>
+  tx.promotionRedemption.create({
+    data: { promotionId: applied.promotionId, orderId, userId, email: String(email).toLowerCase() },
+  });
+
+/**
+ * Gives back the use an order took of its promotion, for orders that end without being paid for
+ * (failed payment, cancellation). Deleting the redemption is the claim, so releasing twice only
+ * frees the use once. Returns whether a use was released. Call inside the transaction that ends
+ * the order.
+ */
+async function releaseRedemption(tx, orderId) {
+  const redemption = await tx.promotionRedemption.findUnique({ where: { orderId }, select: { id: true, promotionId: true } });
+  if (!redemption) return false;
+
+  const { count } = await tx.promotionRedemption.deleteMany({ where: { id: redemption.id } });
+  if (count === 0) return false;
+
+  await tx.promotion.updateMany({
+    where: { id: redemption.promotionId, redemptionCount: { gt: 0 } },
+    data: { redemptionCount: { decrement: 1 } },
+  });
+  return true;
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  PromotionError,
+  normalizeCouponCode,
+  evaluatePromotion,
+  previewPromotion,
+  redeemPromotion,
+  reapplyPromotion,
+  recordRedemption,
+  releaseRedemption,
+};
@@ -0,0 +1,193 @@
+const prisma = require('../../prismaClient');
+const { toMinorUnits, fromMinorUnits, toDecimalString, toMoney, sumMinorUnits, allocate } = require('../../utils/money');
+const { OrderNotFoundError, recordOrderEvent } = require('../orderTransitions');
+const { paidAmountOf, refundNote, notifyRefundIssued } = require('../payments');
+const { paidValueOf } = require('../pricing');
+const { createLocalRefundProvider } = require('./localProvider');
+
+/**
+ * A refund provider sends money back for a paid order:
+ *   refund({ order: { orderNumber, paymentProvider, paymentIntentId }, amount, currency, reason })
+ * with `amount` in minor units, resolving to `{ reference }` (the provider's id for the refund,
+ * or null) and throwing when the refund is declined. Ledger entries are only kept for refunds
+ * the provider accepted.
+ */
+const REFUND_PROVIDER_FACTORIES = {
+  local: createLocalRefundProvider,
+};
+
+const providers = new Map();
+
+function getRefundProvider(name = String(process.env.REFUND_PROVIDER || 'local').trim().toLowerCase()) {
+  if (!providers.has(name)) {
+    const factory = REFUND_PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown refund provider "${name}"`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+// Payments that have money left on them to give back.
+const REFUNDABLE_PAYMENT_STATUSES = ['succeeded', 'partially_refunded'];
+
+const REFUND_ERROR_MESSAGES = {
+  NOT_PAID: 'This order has no captured payment to refund.',
+  NOTHING_TO_REFUND: 'Everything paid for this order has already been refunded.',
+  AMOUNT_REQUIRED: 'Give an amount, the items to refund, or ask for a full refund.',
+  AMOUNT_EXCEEDED: 'That is more than the customer has paid net of earlier refunds.',
+  ITEM_NOT_FOUND: 'One or more items are not part of this order.',
+  QUANTITY_EXCEEDED: 'That is more units of an item than are left to refund.',
+  PROVIDER_DECLINED: 'The refund provider did not accept the refund.',
+  CONFLICT: 'Another refund for this order was issued at the same time. Reload the order and try again.',
+};
+
+class RefundError extends Error {
+  constructor(reason, message = REFUND_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'RefundError';
+    this.reason = reason;
+  }
+}
+
+// What a refund needs loaded to be serialized.
+const REFUND_INCLUDE = { lines: { include: { orderItem: true } } };
+
+// Each line's units and paid value; `amount` spreads over the lines when it is less than they are worth.
+function priceRefundLines(order, lines, amount) {
+  const itemsById = new Map(order.items.map(item => [item.id, item]));
+  const refunded = new Map();
+  for (const refund of order.refunds || []) {
+    for (const line of refund.lines) {
+      refunded.set(line.orderItemId, (refunded.get(line.orderItemId) ?? 0) + line.quantity);
+    }
+  }
+
+  const priced = lines.map(({ itemId, quantity }) => {
+    const orderItem = itemsById.get(itemId);
+    if (!orderItem) throw new RefundError('ITEM_NOT_FOUND');
+    refunded.set(itemId, (refunded.get(itemId) ?? 0) + quantity);
+    if (refunded.get(itemId) > orderItem.quantity) throw new RefundError('QUANTITY_EXCEEDED');
+    return { orderItemId: itemId, quantity, amount: paidValueOf(order, [{ orderItem, quantity }]) };
+  });
+
+  const value = sumMinorUnits(priced.map(line => line.amount));
+  if (amount === null || amount >= value) return priced;
+  const shares = allocate(amount, priced.map(line => line.amount));
+  return priced.map((line, index) => ({ ...line, amount: shares[index] }));
+}
+
+/**
+ * Refunds part or all of what was paid for an order. `full` refunds the whole net paid amount;
+ * otherwise `amount` (in the order's currency) or, without one, the paid value of `lines`
+ * (`{ itemId, quantity }` of OrderItems) is refunded. Lines record which units the money was
+ * for and cannot cover more units than were bought. What is paid out comes off the order's
+ * refundDue, which cancellations and edits add to; with `settleRefundDue` false (a refund for
+ * something else, such as a return) refundDue is left alone and stays reserved, so the refund
+ * can only take what is left after it. `claim(tx)` lets the caller record what the refund was
+ * for in the same transaction. The provider is called inside the transaction that claims the
+ * amount, after `claim`, so a declined refund leaves no ledger entry, and the claim is
+ * conditional on the refunded total and refundDue it was checked against. The customer is
+ * emailed once it has committed. Resolves to the Refund with its lines.
+ */
+async function issueRefund(
+  orderNumber,
+  { amount = null, full = false, lines = [], reason = null, actor = 'admin', issuedById = null, settleRefundDue = true, claim = null, provider = getRefundProvider() } = {}
+) {
+  const order = await prisma.order.findUnique({
+    where: { orderNumber },
+    include: { items: true, refunds: { include: { lines: true } } },
+  });
+  if (!order) throw new OrderNotFoundError(orderNumber);
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) throw new RefundError('NOT_PAID');
+
+  const { currency } = order;
+  const paid = paidAmountOf(order);
+  const previous = toMinorUnits(order.amountRefunded, currency);
+  const netPaid = paid - previous;
+  if (netPaid <= 0) throw new RefundError('NOTHING_TO_REFUND');
+  const refundDue = toMinorUnits(order.refundDue ?? 0, currency);
+  const refundable = settleRefundDue ? netPaid : netPaid - refundDue;
+  if (!full && amount === null && !lines.length) throw new RefundError('AMOUNT_REQUIRED');
+
+  const requested = full ? netPaid : amount === null ? null : toMinorUnits(amount, currency);
+  const refundLines = priceRefundLines(order, lines, requested);
+  const refundAmount = requested ?? sumMinorUnits(refundLines.map(line => line.amount));
+  if (refundAmount <= 0) throw new RefundError('AMOUNT_REQUIRED');
+  if (refundAmount > refundable) throw new RefundError('AMOUNT_EXCEEDED');
+
+  const amountRefunded = previous + refundAmount;
+  const refund = await prisma.$transaction(async tx => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, paymentStatus: { in: REFUNDABLE_PAYMENT_STATUSES }, amountRefunded: order.amountRefunded, refundDue: order.refundDue },
+      data: {
+        amountRefunded: toDecimalString(amountRefunded, currency),
+        paymentStatus: amountRefunded >= paid ? 'refunded' : 'partially_refunded',
+        ...(settleRefundDue && refundDue > 0 && { refundDue: toDecimalString(Math.max(0, refundDue - refundAmount), currency) }),
+      },
+    });
+    if (count === 0) throw new RefundError('CONFLICT');
+    if (claim) await claim(tx);
+
+    let reference;
+    try {
+      ({ reference = null } = await provider.refund({
+        order: { orderNumber: order.orderNumber, paymentProvider: order.paymentProvider, paymentIntentId: order.paymentIntentId },
+        amount: refundAmount,
+        currency,
+        reason,
+      }));
+    } catch (error) {
+      throw new RefundError('PROVIDER_DECLINED', `${provider.name} did not accept the refund: ${error.message}`);
+    }
+
+    const created = await tx.refund.create({
+      data: {
+        orderId: order.id,
+        amount: toDecimalString(refundAmount, currency),
+        currency,
+        reason: reason || null,
+        provider: provider.name,
+        providerReference: reference,
+        issuedById,
+        lines: { create: refundLines.map(line => ({ ...line, amount: toDecimalString(line.amount, currency) })) },
+      },
+      include: REFUND_INCLUDE,
+    });
+    const note = [refundNote(order, refundAmount, amountRefunded), reason].filter(Boolean).join(': ');
+    await recordOrderEvent(tx, order.id, 'PAYMENT_REFUNDED', { actor, actorUserId: issuedById, note });
+    return created;
+  });
+
+  await notifyRefundIssued(order, refundAmount, amountRefunded, reason);
+  return refund;
+}
+
+// Customers see what was refunded and why; `forStaff` adds the provider reference and who issued it.
+const serializeRefund = (refund, { forStaff = false } = {}) => {
+  const { currency } = refund;
+  const amount = toMinorUnits(refund.amount, currency);
+  return {
+    id: refund.id,
+    amount: fromMinorUnits(amount, currency),
+    money: { amount: toMoney(amount, currency) },
+    reason: refund.reason ?? null,
+    lines: (refund.lines || []).map(line => ({
+      orderItemId: line.orderItemId,
+      name: line.orderItem?.name ?? null,
+      quantity: line.quantity,
+      amount: fromMinorUnits(toMinorUnits(line.amount, currency), currency),
+    })),
+    createdAt: refund.createdAt,
+    ...(forStaff ? { provider: refund.provider, providerReference: refund.providerReference ?? null, issuedById: refund.issuedById ?? null } : {}),
+  };
+};
+
+module.exports = {
+  REFUND_INCLUDE,
+  RefundError,
+  getRefundProvider,
+  issueRefund,
+  serializeRefund,
+};
@@ -0,0 +1,261 @@
+const { randomInt } = require('crypto');
+const prisma = require('../prismaClient');
+const returnPolicy = require('../config/returns');
+const { OrderNotFoundError } = require('./orderTransitions');
+const { restock } = require('./inventory');
+const { paidValueOf } = require('./pricing');
+const { issueRefund } = require('./refunds');
+const { STORE_CURRENCY, toMinorUnits, fromMinorUnits, toDecimalString, toMoney } = require('../utils/money');
+
+const RETURN_REASONS = Object.keys(returnPolicy.reasons);
+
+// Allowed moves between return statuses. Staff can reject a return up to the point its refund is issued.
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['label_issued', 'rejected'],
+  label_issued: ['received', 'rejected'],
+  received: ['refunded', 'rejected'],
+  refunded: [],
+  rejected: [],
+};
+
+const RETURN_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS);
+
+const DELIVERED = 'DELIVERED';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETURN_ERROR_MESSAGES = {
+  NOT_DELIVERED: 'A return can be started once the order has been delivered.',
+  WINDOW_CLOSED: `Returns are accepted for ${returnPolicy.windowDays} days after delivery, and that window has closed for this order.`,
+  ITEM_NOT_FOUND: 'One or more items are not part of this order.',
+  QUANTITY_EXCEEDED: 'That is more of an item than is left to return.',
+  NOT_FOUND: 'Return not found.',
+  LABEL_REQUIRED: 'A label URL is needed to issue the return label.',
+  NOTE_REQUIRED: 'Add a note telling the customer why the return was rejected.',
+  REFUND_EXCEEDED: 'That is more than is left to refund on this order.',
+};
+
+class ReturnError extends Error {
+  constructor(reason, message = RETURN_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'ReturnError';
+    this.reason = reason;
+  }
+}
+
+class InvalidReturnTransitionError extends ReturnError {
+  constructor(from, to, { concurrent = false } = {}) {
+    super('INVALID_TRANSITION', concurrent ? 'This return was updated by someone else. Reload it and try again.' : `A return that is ${from} cannot move to ${to}.`);
+    this.from = from;
+    this.to = to;
+    this.allowed = RETURN_STATUS_TRANSITIONS[from] || [];
+  }
+}
+
+// What a return needs loaded to be serialized and priced.
+const RETURN_INCLUDE = { items: { include: { orderItem: true } } };
+
+// When the order was delivered, from its status history, and until when it can be returned.
+const returnWindow = (order, now = new Date()) => {
+  const delivered = (order.statusHistory || []).find(entry => entry.code === DELIVERED);
+  if (!delivered) return { deliveredAt: null, endsAt: null, open: false };
+  const endsAt = new Date(new Date(delivered.enteredAt).getTime() + returnPolicy.windowDays * DAY_MS);
+  return { deliveredAt: delivered.enteredAt, endsAt, open: now < endsAt };
+};
+
+// Units of each order item not yet claimed by a return, by item id. Rejected returns free their items again.
+const returnableQuantities = order => {
+  const quantities = new Map((order.items || []).map(item => [item.id, item.quantity]));
+  for (const ret of order.returns || []) {
+    if (ret.status === 'rejected') continue;
+    for (const item of ret.items) {
+      quantities.set(item.orderItemId, Math.max(0, (quantities.get(item.orderItemId) ?? 0) - item.quantity));
+    }
+  }
+  return quantities;
+};
+
+// What the customer paid for the returned units, in minor units.
+const returnValue = (ret, order) => paidValueOf(order, ret.items);
+
+const generateRmaNumber = async client => {
+  for (let attempt = 0; attempt < 6; attempt += 1) {
+    const candidate = `RMA-${randomInt(100000, 999999)}`;
+    // eslint-disable-next-line no-await-in-loop
+    const exists = await client.returnRequest.findUnique({ where: { rmaNumber: candidate } });
+    if (!exists) return candidate;
+  }
+  return `RMA-${Date.now()}`;
+};
+
+/**
+ * Starts a return for delivered items of an order within the return window. `items` are
+ * `{ itemId, quantity, reason }` with OrderItem ids and RETURN_REASONS codes; each quantity must
+ * be within what is left to return of that item. Run it in a transaction: it locks the order row
+ * first so two requests for the same order cannot both claim the same units.
+ */
+async function createReturn(tx, orderNumber, { items, comment = null, now = new Date() }) {
+  const { count } = await tx.order.updateMany({ where: { orderNumber }, data: { updatedAt: now } });
+  if (count === 0) throw new OrderNotFoundError(orderNumber);
+
+  const order = await tx.order.findUnique({
+    where: { orderNumber },
+    include: { items: true, statusHistory: { where: { code: DELIVERED } }, returns: { include: { items: true } } },
+  });
+
+  const window = returnWindow(order, now);
+  if (!window.deliveredAt) throw new ReturnError('NOT_DELIVERED');
+  if (!window.open) throw new ReturnError('WINDOW_CLOSED');
+
+  const returnable = returnableQuantities(order);
+  const requested = new Map();
+  for (const { itemId, quantity } of items) {
+    if (!returnable.has(itemId)) throw new ReturnError('ITEM_NOT_FOUND');
+    requested.set(itemId, (requested.get(itemId) ?? 0) + quantity);
+    if (requested.get(itemId) > returnable.get(itemId)) throw new ReturnError('QUANTITY_EXCEEDED');
+  }
+
+  return tx.returnRequest.create({
+    data: {
+      rmaNumber: await generateRmaNumber(tx),
+      orderId: order.id,
+      comment: comment || null,
+      items: { create: items.map(({ itemId, quantity, reason }) => ({ orderItemId: itemId, quantity, reason })) },
+    },
+    include: RETURN_INCLUDE,
+  });
+}
+
+/**
+ * Moves a return to `status` if RETURN_STATUS_TRANSITIONS allows it, recording the reviewer and
+ * note. `label_issued` needs a `labelUrl`; `rejected` needs a `note`. `received` puts the units
+ * back in stock unless `restockItems` is false (for example when they arrived damaged).
+ * Returns are refunded with `refundReturn` instead. Run it in a transaction.
+ */
+async function reviewReturn(tx, rmaNumber, { status, note = null, labelUrl = null, trackingNumber = null, restockItems = true, reviewerId = null }) {
+  const ret = await tx.returnRequest.findUnique({ where: { rmaNumber }, include: { ...RETURN_INCLUDE, order: true } });
+  if (!ret) throw new ReturnError('NOT_FOUND');
+  if (!(RETURN_STATUS_TRANSITIONS[ret.status] || []).includes(status)) {
+    throw new InvalidReturnTransitionError(ret.status, status);
+  }
+
+  const data = { status, reviewedById: reviewerId, ...(note && { reviewNote: note }) };
+  if (status === 'label_issued') {
+    if (!labelUrl) throw new ReturnError('LABEL_REQUIRED');
+    Object.assign(data, { labelUrl, trackingNumber: trackingNumber || null });
+  }
+  if (status === 'rejected' && !note) throw new ReturnError('NOTE_REQUIRED');
+
+  const { count } = await tx.returnRequest.updateMany({ where: { id: ret.id, status: ret.status }, data });
+  if (count === 0) throw new InvalidReturnTransitionError(ret.status, status, { concurrent: true });
+
+  if (status === 'received' && restockItems) {
+    await restock(
+      tx,
+      ret.items.map(({ orderItem, quantity }) => ({ productId: orderItem.productId, quantity }))
+    );
+    await tx.returnRequest.update({ where: { id: ret.id }, data: { restocked: true } });
+  }
+
+  return tx.returnRequest.findUnique({ where: { id: ret.id }, include: { ...RETURN_INCLUDE, order: true } });
+}
+
+/**
+ * Moves a received return to `refunded` and pays `refundAmount` (in the order's currency; defaults
+ * to what the returned items cost) back through `issueRefund` for its items, so the refund ledger,
+ * the refund provider, the customer's email and the order's amountRefunded all follow. It cannot
+ * take more than was captured less what has been refunded and what cancellations and edits still
+ * owe (refundDue). The return is claimed in the refund's transaction, before the provider is called.
+ * Throws `RefundError` when the refund itself is refused.
+ */
+async function refundReturn(rmaNumber, { note = null, refundAmount = null, reviewerId = null, actor = 'admin' }) {
+  const ret = await prisma.returnRequest.findUnique({ where: { rmaNumber }, include: { ...RETURN_INCLUDE, order: true } });
+  if (!ret) throw new ReturnError('NOT_FOUND');
+  if (!(RETURN_STATUS_TRANSITIONS[ret.status] || []).includes('refunded')) {
+    throw new InvalidReturnTransitionError(ret.status, 'refunded');
+  }
+
+  const { order } = ret;
+  const currency = order.currency || STORE_CURRENCY;
+  const amount = refundAmount === null ? returnValue(ret, order) : toMinorUnits(refundAmount, currency);
+  const refundable = toMinorUnits(order.amountPaid ?? 0, currency) - toMinorUnits(order.amountRefunded ?? 0, currency) - toMinorUnits(order.refundDue ?? 0, currency);
+  if (amount > refundable) throw new ReturnError('REFUND_EXCEEDED');
+
+  const claimReturn = async tx => {
+    const { count } = await tx.returnRequest.updateMany({
+      where: { id: ret.id, status: ret.status },
+      data: { status: 'refunded', reviewedById: reviewerId, refundAmount: toDecimalString(amount, currency), ...(note && { reviewNote: note }) },
+    });
+    if (count === 0) throw new InvalidReturnTransitionError(ret.status, 'refunded', { concurrent: true });
+  };
+
+  if (amount > 0) {
+    await issueRefund(order.orderNumber, {
+      amount: fromMinorUnits(amount, currency),
+      lines: ret.items.map(({ orderItemId, quantity }) => ({ itemId: orderItemId, quantity })),
+      reason: `Return ${ret.rmaNumber}`,
+      actor,
+      issuedById: reviewerId,
+      settleRefundDue: false,
+      claim: claimReturn,
+    });
+  } else {
+    // Nothing was paid for these items (a 100% promo code, say), so there is no money to send back.
+    await prisma.$transaction(claimReturn);
+  }
+
+  return prisma.returnRequest.findUnique({ where: { id: ret.id }, include: { ...RETURN_INCLUDE, order: true } });
+}
+
+// JSON shape of a return with `RETURN_INCLUDE` loaded, for `order` (defaults to `ret.order`). Customers
+// see the staff note but not who reviewed; `forStaff` adds the order reference and the next statuses.
+const serializeReturn = (ret, { order = ret.order, forStaff = false } = {}) => {
+  const currency = order.currency || STORE_CURRENCY;
+  const refundAmount = ret.refundAmount === null || ret.refundAmount === undefined ? null : toMinorUnits(ret.refundAmount, currency);
+  const value = returnValue(ret, order);
+  return {
+    rmaNumber: ret.rmaNumber,
+    status: ret.status,
+    comment: ret.comment ?? null,
+    labelUrl: ret.labelUrl ?? null,
+    trackingNumber: ret.trackingNumber ?? null,
+    reviewNote: ret.reviewNote ?? null,
+    items: ret.items.map(({ orderItemId, orderItem, quantity, reason }) => ({
+      orderItemId,
+      name: orderItem.name,
+      quantity,
+      reason,
+      reasonLabel: returnPolicy.reasons[reason] || reason,
+    })),
+    value: fromMinorUnits(value, currency),
+    refundAmount: refundAmount === null ? null : fromMinorUnits(refundAmount, currency),
+    money: { value: toMoney(value, currency), refundAmount: refundAmount === null ? null : toMoney(refundAmount, currency) },
+    createdAt: ret.createdAt,
+    updatedAt: ret.updatedAt,
+    ...(forStaff
+      ? {
+          orderNumber: order.orderNumber,
+          email: order.email,
+          reviewedById: ret.reviewedById ?? null,
+          restocked: Boolean(ret.restocked),
+          allowedTransitions: RETURN_STATUS_TRANSITIONS[ret.status] || [],
+        }
+      : {}),
+  };
+};
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_STATUSES,
+  RETURN_STATUS_TRANSITIONS,
+  RETURN_INCLUDE,
+  ReturnError,
+  InvalidReturnTransitionError,
+  returnWindow,
+  returnableQuantities,
+  createReturn,
+  reviewReturn,
+  refundReturn,
+  serializeReturn,
+};
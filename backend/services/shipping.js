@@ -0,0 +1,168 @@
+const shippingConfig = require('../config/shipping');
+const { fromMinorUnits, toMoney } = require('../utils/money');
+
+const SHIPPING_ERROR_MESSAGES = {
+  UNKNOWN_METHOD: 'That shipping method does not exist.',
+  UNAVAILABLE: 'That shipping method is not available for this address.',
+  NO_METHODS: 'We do not ship to this address yet.',
+};
+
+class ShippingError extends Error {
+  constructor(reason, message = SHIPPING_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'ShippingError';
+    this.reason = reason;
+  }
+}
+
+const normalizeShippingMethod = code => String(code ?? '').trim().toLowerCase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar dates are handled as YYYY-MM-DD strings so the server's own time zone never shifts them.
+const dateToUtc = date => new Date(`${date}T00:00:00Z`);
+const utcToDate = value => value.toISOString().slice(0, 10);
+const addDays = (date, days) => utcToDate(new Date(dateToUtc(date).getTime() + days * DAY_MS));
+
+// The calendar date and minutes past midnight of `now` on the warehouse clock.
+const localClock = (now, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(now)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+const parseTime = time => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const isBusinessDay = (date, config = shippingConfig) =>
+  config.businessDays.includes(dateToUtc(date).getUTCDay()) && !config.holidays.includes(date);
+
+const nextBusinessDay = (date, config = shippingConfig) => {
+  let next = addDays(date, 1);
+  while (!isBusinessDay(next, config)) next = addDays(next, 1);
+  return next;
+};
+
+const addBusinessDays = (date, days, config = shippingConfig) => {
+  let result = date;
+  for (let i = 0; i < days; i += 1) result = nextBusinessDay(result, config);
+  return result;
+};
+
+// The day an order placed at `now` leaves the warehouse.
+const shipDateFor = (now, config = shippingConfig) => {
+  const { date, minutes } = localClock(now, config.timeZone);
+  return isBusinessDay(date, config) && minutes < parseTime(config.cutoffTime) ? date : nextBusinessDay(date, config);
+};
+
+const deliveryWindowFor = (transitDays, now, config = shippingConfig) => {
+  const shipDate = shipDateFor(now, config);
+  const [minDays, maxDays] = transitDays;
+  return { start: addBusinessDays(shipDate, minDays, config), end: addBusinessDays(shipDate, maxDays, config) };
+};
+
+const resolveZone = (country, config = shippingConfig) => {
+  if (!country) return config.zones[0].code;
+  const code = String(country).toUpperCase();
+  const zone = config.zones.find(candidate => candidate.countries === '*' || candidate.countries.includes(code));
+  return zone ? zone.code : null;
+};
+
+// Products without a weight count as weightless rather than blocking checkout.
+const cartWeight = lines => lines.reduce((sum, line) => sum + (Number(line.weightGrams) || 0) * line.quantity, 0);
+
+const rateFor = (table, { subtotal, weightGrams }) => {
+  const value = table.basis === 'weight' ? weightGrams : subtotal;
+  const band = table.rates.find(rate => rate.upTo === null || value <= rate.upTo);
+  return band ? band.amount : null;
+};
+
+/**
+ * Every method that ships to `shippingAddress`, cheapest first, with its price in minor units and
+ * the delivery window for an order placed at `now`. Subtotal-based rates use the merchandise
+ * subtotal before discounts, since promotions are worked out after shipping.
+ */
+function listShippingOptions({ lines, subtotal, shippingAddress = null, now = new Date(), config = shippingConfig }) {
+  const zone = resolveZone(shippingAddress?.country, config);
+  if (!zone) return [];
+  const weightGrams = cartWeight(lines);
+
+  return config.methods
+    .filter(method => method.zones[zone])
+    .map(method => {
+      const table = method.zones[zone];
+      return {
+        code: method.code,
+        name: method.name,
+        description: method.description,
+        zone,
+        amount: rateFor(table, { subtotal, weightGrams }),
+        deliveryWindow: deliveryWindowFor(table.transitDays, now, config),
+      };
+    })
+    .filter(option => option.amount !== null)
+    .sort((a, b) => a.amount - b.amount);
+}
+
+/**
+ * Picks `code` from `options`, or the default method (else the cheapest) when no code is given.
+ * Throws `ShippingError` when the method does not exist or does not ship to this address.
+ */
+function chooseShippingOption(options, code, config = shippingConfig) {
+  const normalized = normalizeShippingMethod(code);
+  if (!options.length) throw new ShippingError('NO_METHODS');
+  if (!normalized) return options.find(option => option.code === config.defaultMethod) || options[0];
+
+  const option = options.find(candidate => candidate.code === normalized);
+  if (option) return option;
+  throw new ShippingError(config.methods.some(method => method.code === normalized) ? 'UNAVAILABLE' : 'UNKNOWN_METHOD');
+}
+
+const serializeShippingOption = (option, currency) => ({
+  code: option.code,
+  name: option.name,
+  description: option.description,
+  amount: fromMinorUnits(option.amount, currency),
+  money: { amount: toMoney(option.amount, currency) },
+  deliveryWindow: option.deliveryWindow,
+});
+
+// Order columns for the chosen option. `estimatedDelivery` keeps the last day of the window for older clients.
+const orderDeliveryFields = option => ({
+  shippingMethod: option.code,
+  deliveryWindowStart: dateToUtc(option.deliveryWindow.start),
+  deliveryWindowEnd: dateToUtc(option.deliveryWindow.end),
+  estimatedDelivery: dateToUtc(option.deliveryWindow.end),
+});
+
+// Orders placed before shipping methods existed have neither a method nor a window.
+const serializeOrderDelivery = (order, config = shippingConfig) => {
+  const method = order.shippingMethod ? config.methods.find(candidate => candidate.code === order.shippingMethod) : null;
+  return {
+    shippingMethod: order.shippingMethod ? { code: order.shippingMethod, name: method ? method.name : order.shippingMethod } : null,
+    deliveryWindow:
+      order.deliveryWindowStart && order.deliveryWindowEnd
+        ? { start: utcToDate(new Date(order.deliveryWindowStart)), end: utcToDate(new Date(order.deliveryWindowEnd)) }
+        : null,
+  };
+};
+
+module.exports = {
+  ShippingError,
+  normalizeShippingMethod,
+  isBusinessDay,
+  addBusinessDays,
+  shipDateFor,
+  resolveZone,
+  listShippingOptions,
+  chooseShippingOption,
+  serializeShippingOption,
+  orderDeliveryFields,
+  serializeOrderDelivery,
+};
@@ -0,0 +1,50 @@
+const { createTableCalculator } = require('./tableCalculator');
+
+/**
+ * A tax calculator works in minor units on lines that already have their discounts applied:
+ *   calculateTax({ lines: [{ productId, taxCategory, amount }], shippingAddress, currency })
+ * and resolves to `{ jurisdiction, lines: [{ rate, tax }] }` with one entry per input line, in
+ * order, where `rate` is a percentage. `jurisdiction` names where the tax is owed, or is null
+ * when none applies. Shipping is not taxed.
+ */
+const CALCULATOR_FACTORIES = {
+  table: createTableCalculator,
+};
+
+const calculators = new Map();
+
+function getTaxCalculator(name = String(process.env.TAX_CALCULATOR || 'table').trim().toLowerCase()) {
+  if (!calculators.has(name)) {
+    const factory = CALCULATOR_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown tax calculator "${name}"`);
+    }
+    calculators.set(name, factory());
+  }
+  return calculators.get(name);
+}
+
+// Only signed-in customers can be tax exempt; an admin sets the flag on their account.
+async function isTaxExempt(client, userId) {
+  if (!userId) return false;
+  const user = await client.user.findUnique({ where: { id: userId }, select: { taxExempt: true } });
+  return Boolean(user?.taxExempt);
+}
+
+/**
+ * Tax for discounted `lines` shipped to `shippingAddress`, as `{ jurisdiction, exempt, lines }`.
+ * Exempt customers get zero tax on every line without asking the calculator.
+ */
+async function calculateOrderTax({ lines, shippingAddress = null, currency, taxExempt = false, calculator = getTaxCalculator() }) {
+  if (taxExempt) {
+    return { jurisdiction: null, exempt: true, lines: lines.map(() => ({ rate: 0, tax: 0 })) };
+  }
+  const result = await calculator.calculateTax({ lines, shippingAddress, currency });
+  return { jurisdiction: result.jurisdiction ?? null, exempt: false, lines: result.lines };
+}
+
+module.exports = {
+  getTaxCalculator,
+  isTaxExempt,
+  calculateOrderTax,
+};
@@ -0,0 +1,51 @@
+const taxRates = require('../../config/taxRates');
+const { percentOf } = require('../../utils/money');
+
+const normalize = value => String(value ?? '').trim().toUpperCase();
+const compactPostalCode = value => normalize(value).replace(/[\s-]/g, '');
+
+// Longer postal prefixes beat shorter ones, any prefix beats a region and a region beats the country.
+const specificity = rule => (rule.postalPrefix ? 2 + rule.postalPrefix.length : rule.region ? 1 : 0);
+
+const findRule = (rules, address) => {
+  const country = normalize(address?.country);
+  if (!country) return null;
+  const region = normalize(address.region);
+  const postalCode = compactPostalCode(address.postalCode);
+
+  const matches = rules.filter(
+    rule =>
+      rule.country === country &&
+      (!rule.region || rule.region === region) &&
+      (!rule.postalPrefix || postalCode.startsWith(compactPostalCode(rule.postalPrefix)))
+  );
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+const rateFor = (rule, taxCategory) => {
+  if (!rule || taxCategory === 'exempt') return 0;
+  return rule.rates[taxCategory] ?? rule.rates.standard ?? 0;
+};
+
+/**
+ * Built-in calculator that looks rates up in config/taxRates.js by country, region and postal
+ * code prefix. Each line is taxed on its discounted amount and rounded to the minor unit.
+ */
+function createTableCalculator({ rules = taxRates.rules } = {}) {
+  return {
+    name: 'table',
+
+    async calculateTax({ lines, shippingAddress }) {
+      const rule = findRule(rules, shippingAddress);
+      return {
+        jurisdiction: rule ? rule.name : null,
+        lines: lines.map(line => {
+          const rate = rateFor(rule, line.taxCategory || 'standard');
+          return { rate, tax: percentOf(line.amount, rate) };
+        }),
+      };
+    },
+  };
+}
+
+module.exports = { createTableCalculator };
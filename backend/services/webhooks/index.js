@@ -0,0 +1,131 @@
+const { randomBytes, randomUUID } = require('crypto');
+const webhookConfig = require('../../config/webhooks');
+const { STORE_CURRENCY, toMinorUnits, fromMinorUnits } = require('../../utils/money');
+const { signWebhookPayload } = require('../payments/events');
+
+/**
+ * Events sent to webhook subscriptions. Each delivery POSTs
+ *   { id, type, createdAt, data }
+ * as JSON, signed like our inbound payment webhooks: `X-Webhook-Signature: t=<unix seconds>,v1=<hex>`
+ * where v1 is the HMAC-SHA256 of `<t>.<raw body>` with the subscription's secret. `id` is the same
+ * for every subscription and every retry of an event, so receivers can deduplicate on it.
+ */
+const WEBHOOK_EVENTS = ['order.created', 'order.status_changed', 'product.updated', 'product.stock_low'];
+
+const generateWebhookSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+const amountOf = (value, currency) => fromMinorUnits(toMinorUnits(value, currency), currency);
+
+// What order events say about an order. Items are included when they were loaded.
+const orderEventData = order => {
+  const currency = order.currency || STORE_CURRENCY;
+  return {
+    orderNumber: order.orderNumber,
+    email: order.email,
+    currency,
+    total: amountOf(order.total, currency),
+    paymentStatus: order.paymentStatus,
+    ...(order.items && {
+      items: order.items.map(item => ({ productId: item.productId, name: item.name, quantity: item.quantity, price: amountOf(item.price, currency) })),
+    }),
+    createdAt: order.createdAt,
+  };
+};
+
+const productEventData = product => ({
+  id: product.id,
+  name: product.name,
+  category: product.category,
+  brand: product.brand ?? null,
+  price: amountOf(product.price, STORE_CURRENCY),
+  stock: product.stock,
+});
+
+/**
+ * Queues `type` with `data` for every active subscription that wants it, through `client` (pass the
+ * transaction that made the change, so the event is only sent if it commits). The delivery worker
+ * picks the rows up. Resolves to the number of deliveries queued.
+ */
+async function enqueueWebhookEvent(client, type, data, { now = new Date() } = {}) {
+  const subscriptions = await client.webhookSubscription.findMany({
+    where: { active: true, OR: [{ events: { has: type } }, { events: { isEmpty: true } }] },
+    select: { id: true },
+  });
+  if (!subscriptions.length) return 0;
+
+  const eventId = `evt_${randomUUID()}`;
+  const payload = { id: eventId, type, createdAt: now.toISOString(), data };
+  const { count } = await client.webhookDelivery.createMany({
+    data: subscriptions.map(subscription => ({ subscriptionId: subscription.id, eventId, event: type, payload, nextAttemptAt: now })),
+  });
+  return count;
+}
+
+/**
+ * Sends product.stock_low for the `{ id, name, stock, previousStock, ... }` products whose stock just
+ * went from above the threshold to at or below it. Products that were already low stay quiet.
+ */
+async function notifyLowStock(client, products, { threshold = webhookConfig.lowStockThreshold } = {}) {
+  for (const product of products) {
+    if (!(product.previousStock > threshold && product.stock <= threshold)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    await enqueueWebhookEvent(client, 'product.stock_low', { id: product.id, name: product.name, stock: product.stock, threshold });
+  }
+}
+
+// The request a delivery is sent as. The body is the stored payload; the signature is made at send time.
+const buildWebhookRequest = (delivery, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const body = JSON.stringify(delivery.payload);
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Tekado-Webhooks/1.0',
+      'X-Webhook-Id': delivery.eventId,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Signature': signWebhookPayload(body, secret, timestamp),
+    },
+  };
+};
+
+// The secret is only returned when the subscription is created; afterwards staff see its last characters.
+const serializeSubscription = (subscription, { withSecret = false } = {}) => ({
+  id: subscription.id,
+  url: subscription.url,
+  events: subscription.events.length ? subscription.events : [...WEBHOOK_EVENTS],
+  allEvents: subscription.events.length === 0,
+  active: subscription.active,
+  description: subscription.description ?? null,
+  ...(withSecret ? { secret: subscription.secret } : { secretHint: `…${subscription.secret.slice(-4)}` }),
+  createdAt: subscription.createdAt,
+  updatedAt: subscription.updatedAt,
+});
+
+const serializeDelivery = delivery => ({
+  id: delivery.id,
+  subscriptionId: delivery.subscriptionId,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  payload: delivery.payload,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  lastAttemptAt: delivery.lastAttemptAt ?? null,
+  responseStatus: delivery.responseStatus ?? null,
+  responseBody: delivery.responseBody ?? null,
+  error: delivery.error ?? null,
+  deliveredAt: delivery.deliveredAt ?? null,
+  createdAt: delivery.createdAt,
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  orderEventData,
+  productEventData,
+  enqueueWebhookEvent,
+  notifyLowStock,
+  buildWebhookRequest,
+  serializeSubscription,
+  serializeDelivery,
+};
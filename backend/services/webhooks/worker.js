@@ -0,0 +1,130 @@
+const prisma = require('../../prismaClient');
+const webhookConfig = require('../../config/webhooks');
+const { buildWebhookRequest } = require('./index');
+
+// Stored response bodies are cut to this length; they are for debugging, not for replaying.
+const MAX_RESPONSE_BODY = 2000;
+
+// Pending deliveries are still queued or being sent; only finished ones can start over.
+const REPLAYABLE_STATUSES = ['succeeded', 'failed'];
+
+const REPLAY_ERROR_MESSAGES = {
+  IN_PROGRESS: 'This delivery is still being sent. Replay it once it has succeeded or failed.',
+};
+
+class ReplayError extends Error {
+  constructor(reason, message = REPLAY_ERROR_MESSAGES[reason]) {
+    super(message);
+    this.name = 'ReplayError';
+    this.reason = reason;
+  }
+}
+
+// The wait before attempt `attempts + 1`: backoffMs, doubling per failure, capped at maxBackoffMs.
+const backoffDelay = (attempts, { backoffMs = webhookConfig.backoffMs, maxBackoffMs = webhookConfig.maxBackoffMs } = {}) =>
+  Math.min(maxBackoffMs, backoffMs * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Makes one attempt at `delivery` (loaded with its subscription). The attempt is claimed first with a
+ * conditional update on the attempt count, so two workers never send the same attempt, and the claim
+ * pushes `nextAttemptAt` past the timeout so a worker that dies mid-request leaves it to be retried.
+ * A 2xx answer marks it succeeded; anything else schedules a retry with backoff until maxAttempts,
+ * then marks it failed. Resolves to the updated delivery, or null when another worker claimed it.
+ */
+async function attemptDelivery(delivery, { now = new Date(), fetchImpl = fetch, timeoutMs = webhookConfig.timeoutMs, maxAttempts = webhookConfig.maxAttempts } = {}) {
+  const attempts = delivery.attempts + 1;
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: delivery.id, status: 'pending', attempts: delivery.attempts },
+    data: { attempts, lastAttemptAt: now, nextAttemptAt: new Date(now.getTime() + timeoutMs + backoffDelay(1)) },
+  });
+  if (count === 0) return null;
+
+  const { body, headers } = buildWebhookRequest(delivery, delivery.subscription.secret, Math.floor(now.getTime() / 1000));
+  let result;
+  try {
+    const response = await fetchImpl(delivery.subscription.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    const text = await response.text().catch(() => '');
+    result = { ok: response.ok, responseStatus: response.status, responseBody: text.slice(0, MAX_RESPONSE_BODY) || null, error: response.ok ? null : `Receiver answered ${response.status}` };
+  } catch (error) {
+    result = { ok: false, responseStatus: null, responseBody: null, error: error.name === 'TimeoutError' ? `No answer within ${timeoutMs}ms` : error.message };
+  }
+
+  const { ok, ...response } = result;
+  let outcome;
+  if (ok) {
+    outcome = { status: 'succeeded', deliveredAt: new Date() };
+  } else if (attempts >= maxAttempts) {
+    outcome = { status: 'failed' };
+  } else {
+    outcome = { nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts)) };
+  }
+  return prisma.webhookDelivery.update({ where: { id: delivery.id }, data: { ...response, ...outcome } });
+}
+
+/**
+ * Puts a succeeded or failed delivery back in the queue with a fresh set of attempts and tries it
+ * straight away; receivers deduplicate on the event id. The reset is a conditional update on the
+ * status, so a delivery the worker is still sending, or that another replay just reset, is left alone
+ * and a ReplayError is thrown. Resolves to the delivery after the attempt, or null when there is no
+ * such delivery.
+ */
+async function replayDelivery(id, options = {}) {
+  const now = options.now || new Date();
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id }, include: { subscription: true } });
+  if (!delivery) return null;
+
+  const reset = { status: 'pending', attempts: 0, nextAttemptAt: now, deliveredAt: null };
+  const { count } = await prisma.webhookDelivery.updateMany({ where: { id, status: { in: REPLAYABLE_STATUSES } }, data: reset });
+  if (count === 0) throw new ReplayError('IN_PROGRESS');
+
+  const attempted = await attemptDelivery({ ...delivery, ...reset }, { ...options, now });
+  return attempted || prisma.webhookDelivery.findUnique({ where: { id } });
+}
+
+/**
+ * Sends queued deliveries whose time has come, oldest first, on an interval. Deliveries for a
+ * deactivated subscription wait until it is switched back on. Like the order status demo it returns
+ * `{ tick, stop }`, skips a tick while the last one is still running and does not keep the process alive.
+ */
+function startWebhookWorker({ intervalMs = 5000, batchSize = 20, fetchImpl = fetch } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = new Date();
+      const due = await prisma.webhookDelivery.findMany({
+        where: { status: 'pending', nextAttemptAt: { lte: now }, subscription: { active: true } },
+        include: { subscription: true },
+        orderBy: [{ nextAttemptAt: 'asc' }, { id: 'asc' }],
+        take: batchSize,
+      });
+
+      for (const delivery of due) {
+        // eslint-disable-next-line no-await-in-loop
+        await attemptDelivery(delivery, { now, fetchImpl });
+      }
+    } catch (err) {
+      console.error('Webhook delivery tick failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+
+  return {
+    tick,
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = {
+  ReplayError,
+  backoffDelay,
+  attemptDelivery,
+  replayDelivery,
+  startWebhookWorker,
+};
@@ -0,0 +1,116 @@
+// Money is handled as integer minor units (cents for USD) with an explicit ISO 4217 currency.
+// Prisma hands us `Decimal`s; convert them with `toMinorUnits` before doing any arithmetic.
+
+const STORE_CURRENCY = String(process.env.STORE_CURRENCY || 'USD').toUpperCase();
+
+// Currencies whose minor unit is not 1/100 of the major unit.
+const CURRENCY_EXPONENTS = {
+  BHD: 3,
+  CLP: 0,
+  ISK: 0,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  OMR: 3,
+  VND: 0,
+};
+
+const currencyExponent = (currency = STORE_CURRENCY) => CURRENCY_EXPONENTS[currency] ?? 2;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Converts a major-unit amount (`Decimal`, numeric string or number) to integer minor units,
+ * rounding half away from zero. Strings and `Decimal`s are parsed digit by digit, so
+ * "19.995" becomes 2000 rather than whatever its float approximation rounds to.
+ */
+function toMinorUnits(value, currency = STORE_CURRENCY) {
+  if (value === null || value === undefined || value === '') return 0;
+  const exponent = currencyExponent(currency);
+
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new TypeError(`Cannot convert ${value} to a money amount`);
+    // A few extra digits strip binary noise (1.005 is stored as 1.00499…) before rounding.
+    text = value.toFixed(exponent + 6);
+  } else if (typeof value === 'object' && typeof value.toFixed === 'function') {
+    text = value.toFixed();
+  } else {
+    text = String(value).trim();
+  }
+
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) throw new TypeError(`Cannot convert "${text}" to a money amount`);
+
+  const [, sign, whole = '', fraction = ''] = match;
+  const digits = `${whole || '0'}${fraction.padEnd(exponent + 1, '0').slice(0, exponent)}`;
+  let minor = Number(digits);
+  if (Number(fraction.charAt(exponent) || 0) >= 5) minor += 1;
+  if (!Number.isSafeInteger(minor)) throw new RangeError(`Money amount "${text}" is too large`);
+  return sign === '-' && minor !== 0 ? -minor : minor;
+}
+
+// Major-unit number for JSON fields that predate the money objects.
+const fromMinorUnits = (minor, currency = STORE_CURRENCY) => minor / 10 ** currencyExponent(currency);
+
+// Exact string for Prisma `Decimal` columns.
+function toDecimalString(minor, currency = STORE_CURRENCY) {
+  const exponent = currencyExponent(currency);
+  const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+  const whole = digits.slice(0, digits.length - exponent);
+  const fraction = exponent ? `.${digits.slice(-exponent)}` : '';
+  return `${minor < 0 ? '-' : ''}${whole}${fraction}`;
+}
+
+const formatters = new Map();
+function formatMoney(minor, currency = STORE_CURRENCY) {
+  if (!formatters.has(currency)) {
+    const exponent = currencyExponent(currency);
+    formatters.set(
+      currency,
+      new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: exponent, maximumFractionDigits: exponent })
+    );
+  }
+  return formatters.get(currency).format(fromMinorUnits(minor, currency));
+}
+
+// API representation: `amount` is in minor units.
+const toMoney = (minor, currency = STORE_CURRENCY) => ({ amount: minor, currency, formatted: formatMoney(minor, currency) });
+
+const sumMinorUnits = amounts => amounts.reduce((sum, amount) => sum + amount, 0);
+
+const percentOf = (minor, percent) => Math.round((minor * percent) / 100);
+
+/**
+ * Splits `minor` across `weights` proportionally. Leftover units go to the largest weights
+ * first, so the shares always add up to exactly `minor`.
+ */
+function allocate(minor, weights) {
+  const weightSum = sumMinorUnits(weights);
+  if (!minor || !weightSum) return weights.map(() => 0);
+
+  const shares = weights.map(weight => Math.floor((minor * weight) / weightSum));
+  const byWeight = weights
+    .map((_weight, index) => index)
+    .filter(index => weights[index] > 0)
+    .sort((a, b) => weights[b] - weights[a]);
+  let remainder = minor - sumMinorUnits(shares);
+  for (let k = 0; remainder > 0; k = (k + 1) % byWeight.length) {
+    shares[byWeight[k]] += 1;
+    remainder -= 1;
+  }
+  return shares;
+}
+
+module.exports = {
+  STORE_CURRENCY,
+  currencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  toDecimalString,
+  formatMoney,
+  toMoney,
+  sumMinorUnits,
+  percentOf,
+  allocate,
+};
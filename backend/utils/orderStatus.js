@@ -56,6 +56,35 @@ const ORDER_STATUS_FLOW = [
   },
 ];
 
+// Entries that record something happening to an order without moving it along the flow.
+const ORDER_EVENTS = {
+  PAYMENT_FAILED: {
+    code: 'PAYMENT_FAILED',
+    label: 'Payment failed',
+    description: 'Your payment did not go through, so nothing was charged and the items were released.',
+  },
+  PAYMENT_REFUNDED: {
+    code: 'PAYMENT_REFUNDED',
+    label: 'Refund issued',
+    description: 'A refund was sent to your original payment method.',
+  },
+  ORDER_UPDATED: {
+    code: 'ORDER_UPDATED',
+    label: 'Order changed',
+    description: 'Changes to the shipping address or quantities were saved before the order shipped.',
+  },
+};
+
+// Terminal status outside the flow. Cancelled orders keep the statusIndex they were cancelled at.
+const ORDER_CANCELLED = {
+  code: 'CANCELLED',
+  label: 'Cancelled',
+  description: 'The order was cancelled before it shipped and its items went back on the shelf.',
+};
+
+// Customers can cancel or change an order up to, but not including, this status.
+const CHANGES_CLOSE_AT = 'HANDOFF_TO_CARRIER';
+
 const ensureInitialStatus = order => {
   if (!order.statusHistory || !order.statusHistory.length) {
     const initial = ORDER_STATUS_FLOW[0];
@@ -72,38 +101,48 @@ const ensureInitialStatus = order => {
   return order;
 };
 
-const advanceStatus = order => {
-  if (order.statusIndex >= ORDER_STATUS_FLOW.length - 1) {
-    return { advanced: false, updates: [] };
-  }
+const getStatusIndex = code => ORDER_STATUS_FLOW.findIndex(status => status.code === code);
 
-  const remaining = ORDER_STATUS_FLOW.length - 1 - order.statusIndex;
-  const maxJump = Math.min(2, remaining);
-  const jump = Math.max(1, Math.floor(Math.random() * (maxJump + 1)));
-  const targetIndex = Math.min(order.statusIndex + jump, ORDER_STATUS_FLOW.length - 1);
+const CHANGES_CLOSE_AT_INDEX = getStatusIndex(CHANGES_CLOSE_AT);
 
-  const updates = [];
-  for (let i = order.statusIndex + 1; i <= targetIndex; i += 1) {
-    const meta = ORDER_STATUS_FLOW[i];
-    updates.push({
-      code: meta.code,
-      label: meta.label,
-      description: meta.description,
-      enteredAt: new Date(),
-    });
-  }
+// Allowed moves per status. Orders only move forward one step at a time, and can branch off to
+// CANCELLED until they reach CHANGES_CLOSE_AT, so every caller validates against the same table.
+const ORDER_STATUS_TRANSITIONS = ORDER_STATUS_FLOW.reduce(
+  (transitions, status, index) => {
+    const next = ORDER_STATUS_FLOW[index + 1];
+    transitions[status.code] = next ? [next.code] : [];
+    if (index < CHANGES_CLOSE_AT_INDEX) transitions[status.code].push(ORDER_CANCELLED.code);
+    return transitions;
+  },
+  { [ORDER_CANCELLED.code]: [] }
+);
 
-  if (updates.length) {
-    order.statusHistory = [...(order.statusHistory || []), ...updates];
-    order.statusIndex = targetIndex;
-    return { advanced: true, updates };
-  }
+const getStatusCode = statusIndex => (ORDER_STATUS_FLOW[statusIndex] || ORDER_STATUS_FLOW[0]).code;
 
-  return { advanced: false, updates: [] };
-};
+// Current status code of a stored order, which needs `statusIndex` and `cancelledAt`.
+const getOrderStatusCode = order => (order.cancelledAt ? ORDER_CANCELLED.code : getStatusCode(order.statusIndex));
+
+// True for codes an order can be in, as opposed to ORDER_EVENTS entries.
+const isOrderStatus = code => code === ORDER_CANCELLED.code || getStatusIndex(code) !== -1;
+
+const canChangeOrder = order => !order.cancelledAt && (order.statusIndex ?? 0) < CHANGES_CLOSE_AT_INDEX;
+
+const getAllowedTransitions = fromCode => ORDER_STATUS_TRANSITIONS[fromCode] || [];
+
+const canTransition = (fromCode, toCode) => getAllowedTransitions(fromCode).includes(toCode);
 
 module.exports = {
   ORDER_STATUS_FLOW,
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_EVENTS,
+  ORDER_CANCELLED,
+  CHANGES_CLOSE_AT,
   ensureInitialStatus,
-  advanceStatus,
+  getStatusIndex,
+  getStatusCode,
+  getOrderStatusCode,
+  isOrderStatus,
+  canChangeOrder,
+  getAllowedTransitions,
+  canTransition,
 };
@@ -16,6 +16,7 @@ import ResetPassword from './pages/ResetPassword';
 import VerifyEmail from './pages/VerifyEmail';
 import NotFoundPage from './pages/NotFoundPage';
 import Accounts from './pages/Accounts';
+import AccountOrders from './pages/AccountOrders';
 import Footer from './components/Footer';
 import About from './pages/About';
 import Support from './pages/Support';
@@ -25,7 +26,10 @@ import ShippingReturns from './pages/ShippingReturns';
 import OrderTracking from './pages/OrderTracking';
 import ScrollToTop from './components/ScrollToTop';
 import { apiClient, withRetry } from './services/apiClient';
+import { addCartItem, clearCartToken, fetchCart, fromServerCart, getCartToken, mergeGuestCart, syncCartChanges } from './services/cartApi';
 import { useNotifier } from './context/NotificationProvider';
+import { TOKEN_STORAGE_KEY } from './utils/auth';
+import { cartUnitCount, maxCartQuantity } from './utils/products';
 
 const theme = createTheme({
   palette: {
@@ -97,11 +101,21 @@ const theme = createTheme({
 });
 
 function App() {
-  const [products, setProducts] = React.useState([]);
   const [cart, setCart] = React.useState([]);
-  const [loading, setLoading] = React.useState(true);
-  const [error, setError] = React.useState(null);
+  const [authToken, setAuthToken] = React.useState(() => localStorage.getItem(TOKEN_STORAGE_KEY));
   const { notify } = useNotifier();
+  // What the server cart is known to hold, or null while it is unknown and changes stay on this device.
+  const serverCartRef = React.useRef(null);
+  const syncQueueRef = React.useRef(Promise.resolve());
+  const cartRef = React.useRef(cart);
+  cartRef.current = cart;
+
+  // Login and logout happen on other pages, so the token is polled like the navigation bar does.
+  React.useEffect(() => {
+    const checkToken = () => setAuthToken(localStorage.getItem(TOKEN_STORAGE_KEY));
+    const interval = setInterval(checkToken, 2000);
+    return () => clearInterval(interval);
+  }, []);
 
   React.useEffect(() => {
     try {
@@ -118,81 +132,154 @@ function App() {
     localStorage.setItem('fusionCart', JSON.stringify(cart));
   }, [cart]);
 
+  const loadServerCart = React.useCallback(async () => {
+    const data = await fetchCart();
+    const items = fromServerCart(data);
+    serverCartRef.current = items;
+    setCart(items);
+  }, []);
+
+  // Signed in, the account cart is the source of truth. Signing in after shopping as a guest merges
+  // the guest cart into it, plus anything that only made it into this device's copy.
+  const previousAuthTokenRef = React.useRef(undefined);
   React.useEffect(() => {
+    const previousAuthToken = previousAuthTokenRef.current;
+    previousAuthTokenRef.current = authToken;
     let active = true;
 
-    const fetchProducts = async () => {
-      setError(null);
-      try {
-        const { data } = await withRetry(() => apiClient.get('products'));
-        if (!Array.isArray(data)) {
-          throw new Error('Unexpected products response.');
-        }
-        const normalized = data.map(product => {
-          const canonicalId = product?._id || product?.id;
-          return {
-            ...product,
-            _id: canonicalId,
-            id: canonicalId,
-          };
-        });
-        if (active) {
-          setProducts(normalized);
-
-          let removedCount = 0;
-          setCart(prevCart => {
-            if (!Array.isArray(prevCart) || !prevCart.length) return prevCart;
-            const validIds = new Set(normalized.map(item => String(item.id)));
-            const sanitized = prevCart.filter(item => {
-              const itemId = item?._id || item?.id;
-              return itemId && validIds.has(String(itemId));
-            });
-            removedCount = prevCart.length - sanitized.length;
-            return sanitized;
-          });
-
-          if (removedCount > 0) {
-            notify({ severity: 'info', message: 'We refreshed your cart to remove items that are no longer available.' });
+    if (!authToken) {
+      if (previousAuthToken) {
+        // Signed out: the account cart stays on the server and off this device.
+        serverCartRef.current = [];
+        setCart([]);
+        return undefined;
+      }
+      // Guests keep their cart on this device and mirror it to a guest cart on the server. Once the
+      // server copy is known, re-setting the cart pushes whatever differs.
+      fetchCart()
+        .then(data => {
+          if (!active) return;
+          serverCartRef.current = fromServerCart(data);
+          setCart(current => [...current]);
+        })
+        .catch(err => console.warn('Unable to load the saved cart; keeping it on this device', err));
+      return () => {
+        active = false;
+      };
+    }
+
+    const signingIn = previousAuthToken === null;
+    const cartToken = getCartToken();
+    const syncAccountCart = async () => {
+      serverCartRef.current = null;
+      let data = cartToken ? await mergeGuestCart(cartToken) : await fetchCart();
+      clearCartToken();
+      if (signingIn) {
+        const saved = new Set(fromServerCart(data).map(item => String(item.id)));
+        for (const item of cartRef.current.filter(entry => !saved.has(String(entry._id || entry.id)))) {
+          try {
+            // eslint-disable-next-line no-await-in-loop
+            data = await addCartItem(item._id || item.id, item.quantity || 1);
+          } catch (err) {
+            console.warn(`Unable to move ${item.name} into your saved cart`, err);
           }
         }
-      } catch (err) {
-        if (!active) return;
-        console.error('Error fetching products:', err);
-        setProducts([]);
-        setError(err);
-        notify({ severity: 'error', message: 'Unable to load products. Please try again shortly.' });
-      } finally {
-        if (active) {
-          setLoading(false);
-        }
       }
+      if (!active) return;
+      const items = fromServerCart(data);
+      serverCartRef.current = items;
+      setCart(items);
     };
-
-    fetchProducts();
-
+    syncAccountCart().catch(err => console.warn('Unable to load your saved cart; keeping it on this device', err));
     return () => {
       active = false;
     };
-  }, [notify]);
+  }, [authToken]);
+
+  // Mirrors every cart change to the server, one change set at a time.
+  React.useEffect(() => {
+    const previous = serverCartRef.current;
+    if (!previous) return;
+    serverCartRef.current = cart;
+    syncQueueRef.current = syncQueueRef.current
+      .then(() => syncCartChanges(previous, cart))
+      .catch(err => {
+        const message = err?.response?.data?.message;
+        if (!localStorage.getItem(TOKEN_STORAGE_KEY)) {
+          console.warn('Unable to save the cart; keeping it on this device', err);
+          serverCartRef.current = null;
+          return undefined;
+        }
+        notify({ severity: 'warning', message: message || 'We could not update your saved cart. Showing what is saved.' });
+        return loadServerCart().catch(loadError => console.warn('Unable to reload your saved cart', loadError));
+      });
+  }, [cart, loadServerCart, notify]);
 
+  // Once per visit, drops cart items that left the catalog and refreshes the stock of the rest, so
+  // quantity limits follow the catalog. Only the products in the cart are fetched.
+  const cartCheckedRef = React.useRef(false);
+  React.useEffect(() => {
+    if (cartCheckedRef.current || !cart.length) return;
+    cartCheckedRef.current = true;
+    const ids = cart.map(item => item._id || item.id).filter(Boolean).map(String);
+
+    withRetry(() => apiClient.get('products', { params: { ids: ids.join(','), limit: ids.length } }))
+      .then(({ data }) => {
+        if (!Array.isArray(data?.products)) {
+          throw new Error('Unexpected products response.');
+        }
+        const byId = new Map(data.products.map(product => [String(product.id), product]));
+        const isGone = item => ids.includes(String(item._id || item.id)) && !byId.has(String(item._id || item.id));
+        const removedCount = cartRef.current.filter(isGone).length;
+        setCart(prevCart =>
+          prevCart.filter(item => !isGone(item)).map(item => {
+            const product = byId.get(String(item._id || item.id));
+            return !product || item.stock === product.stock ? item : { ...item, stock: product.stock };
+          })
+        );
+
+        if (removedCount > 0) {
+          notify({ severity: 'info', message: 'We refreshed your cart to remove items that are no longer available.' });
+        }
+      })
+      .catch(err => console.warn('Unable to check your cart against the catalog', err));
+  }, [cart, notify]);
+
+  // Adding a product already in the cart adds to its quantity, up to what is in stock.
   const addToCart = React.useCallback(
-    product => {
+    (product, quantity = 1) => {
       if (!product) return;
       const canonicalId = product._id || product.id;
       if (!canonicalId) {
         notify({ severity: 'error', message: 'Unable to add this product right now.' });
         return;
       }
-      setCart(prevCart => {
-        const alreadyInCart = prevCart.some(item => item.id === canonicalId || item._id === canonicalId);
-        if (alreadyInCart) {
-          notify({ severity: 'info', message: 'Item is already in your cart.' });
-          return prevCart;
-        }
-        notify({ severity: 'success', message: 'Added to cart!' });
-        const normalized = { ...product, id: canonicalId, _id: canonicalId };
-        return [...prevCart, normalized];
-      });
+      const limit = maxCartQuantity(product);
+      if (limit === 0) {
+        notify({ severity: 'warning', message: 'This product is out of stock.' });
+        return;
+      }
+
+      // Product pages use string ids and listings numeric ones, so ids are compared as strings.
+      const isSameProduct = item => String(item._id || item.id) === String(canonicalId);
+      const existing = cartRef.current.find(isSameProduct);
+      const currentQuantity = existing ? existing.quantity || 1 : 0;
+      const nextQuantity = Math.min(currentQuantity + quantity, limit);
+      if (nextQuantity === currentQuantity) {
+        notify({ severity: 'info', message: `You already have all ${limit} available in your cart.` });
+        return;
+      }
+
+      setCart(prevCart =>
+        existing
+          ? prevCart.map(item => (isSameProduct(item) ? { ...item, quantity: nextQuantity } : item))
+          : [...prevCart, { ...product, id: canonicalId, _id: canonicalId, quantity: nextQuantity }]
+      );
+      if (nextQuantity < currentQuantity + quantity) {
+        notify({ severity: 'info', message: `Only ${limit} available, so your cart now has ${nextQuantity}.` });
+      } else {
+        notify({ severity: 'success', message: existing ? `Added to cart (${nextQuantity} in cart).` : 'Added to cart!' });
+      }
     },
     [notify]
   );
@@ -207,13 +294,13 @@ function App() {
       <CssBaseline />
       <BrowserRouter>
         <ScrollToTop />
-        <NavigationBar cartItemCount={cart.length} />
+        <NavigationBar cartItemCount={cartUnitCount(cart)} />
         <Box component="main" sx={{ minHeight: 'calc(100vh - 200px)' }}>
           <Container maxWidth="xl" sx={{ pb: 8 }}>
             <Routes>
-              <Route path="/" element={<Home products={products} loading={loading} error={error} addToCart={addToCart} />} />
+              <Route path="/" element={<Home addToCart={addToCart} />} />
 
-              <Route path="/shop" element={<Shop products={products} addToCart={addToCart} loading={loading} error={error} />} />
+              <Route path="/shop" element={<Shop addToCart={addToCart} />} />
 
               <Route path="/about" element={<About />} />
 
@@ -243,6 +330,10 @@ function App() {
 
               <Route path="/accounts" element={<Accounts />} />
 
+              <Route path="/account/orders" element={<AccountOrders />} />
+
+              <Route path="/account/orders/:orderNumber" element={<AccountOrders />} />
+
               <Route path="/forgot-password" element={<ForgotPassword />} />
 
               <Route path="/reset-password" element={<ResetPassword />} />
@@ -0,0 +1,84 @@
+import React from 'react';
+import { TextField, Grid } from '@mui/material';
+
+// Countries we ship to, by ISO 3166-1 alpha-2 code (the form the API stores).
+export const COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'NZ', name: 'New Zealand' },
+];
+
+export const EMPTY_ADDRESS = {
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postalCode: '',
+  country: 'US',
+  phone: '',
+};
+
+// One-line form of a saved address, for pickers and summaries.
+export const formatAddressLine = address =>
+  [address.fullName, address.line1, address.line2, address.city, [address.region, address.postalCode].filter(Boolean).join(' '), address.country]
+    .filter(Boolean)
+    .join(', ');
+
+function AddressFields({ value, onChange, onBlur, errors = {}, disabled = false }) {
+  const handleChange = e => {
+    const { name, value: fieldValue } = e.target;
+    onChange({ ...value, [name]: fieldValue });
+  };
+
+  const fieldProps = name => ({
+    id: `shipping-${name}`,
+    name,
+    value: value[name],
+    onChange: handleChange,
+    onBlur,
+    fullWidth: true,
+    variant: 'standard',
+    disabled,
+    error: !!errors[name],
+    helperText: errors[name],
+  });
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12}>
+        <TextField required label="Address line 1" autoComplete="address-line1" {...fieldProps('line1')} />
+      </Grid>
+      <Grid item xs={12}>
+        <TextField label="Address line 2" autoComplete="address-line2" {...fieldProps('line2')} />
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField required label="City" autoComplete="address-level2" {...fieldProps('city')} />
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField label="State / Region" autoComplete="address-level1" {...fieldProps('region')} />
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField required label="Postal code" autoComplete="postal-code" {...fieldProps('postalCode')} />
+      </Grid>
+      <Grid item xs={12} sm={6}>
+        <TextField required select label="Country" autoComplete="country" SelectProps={{ native: true }} {...fieldProps('country')}>
+          {COUNTRIES.map(country => (
+            <option key={country.code} value={country.code}>
+              {country.name}
+            </option>
+          ))}
+        </TextField>
+      </Grid>
+      <Grid item xs={12}>
+        <TextField label="Phone" type="tel" autoComplete="tel" {...fieldProps('phone')} />
+      </Grid>
+    </Grid>
+  );
+}
+
+export default AddressFields;
@@ -1,206 +1,129 @@
-import React, { useState } from 'react';
-import { TextField, Button, Typography, Grid, CircularProgress, Box } from '@mui/material';
-import Cards from 'react-credit-cards-2';
-import 'react-credit-cards-2/dist/es/styles-compiled.css';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  TextField,
+  Button,
+  Typography,
+  Grid,
+  CircularProgress,
+  Stack,
+  Alert,
+  Checkbox,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+} from '@mui/material';
 import { useNotifier } from '../context/NotificationProvider';
+import { displayMoney } from '../utils/money';
+import { formatDeliveryWindow } from '../utils/delivery';
+import AddressFields, { EMPTY_ADDRESS, formatAddressLine } from './AddressFields';
+import PaymentDetails from './PaymentDetails';
 
-const MIN_CARD_LENGTH = 12;
-const MAX_CARD_LENGTH = 19;
-const SKIP_CARD_VALIDATION = process.env.REACT_APP_SKIP_CARD_VALIDATION !== 'false';
+const NEW_ADDRESS = 'new';
 
-// Luhn algorithm for credit card validation
-const luhnCheck = cardNumber => {
-  const digits = cardNumber.replace(/\D/g, '');
-  let sum = 0;
-  let isEven = false;
-
-  for (let i = digits.length - 1; i >= 0; i--) {
-    let digit = parseInt(digits[i], 10);
-
-    if (isEven) {
-      digit *= 2;
-      if (digit > 9) digit -= 9;
-    }
-
-    sum += digit;
-    isEven = !isEven;
-  }
-
-  return sum % 10 === 0;
-};
-
-// Detect card type
-const getCardType = cardNumber => {
-  const number = cardNumber.replace(/\D/g, '');
-
-  if (/^4/.test(number)) return 'Visa';
-  if (/^5[1-5]/.test(number)) return 'Mastercard';
-  if (/^3[47]/.test(number)) return 'American Express';
-  if (/^6(?:011|5)/.test(number)) return 'Discover';
-  if (/^3(?:0[0-5]|[68])/.test(number)) return 'Diners Club';
-  if (/^(?:2131|1800|35)/.test(number)) return 'JCB';
-
-  return 'Unknown';
-};
-
-// Get expected card length
-const getCardLength = cardType => {
-  if (cardType === 'American Express') return 15;
-  if (cardType === 'Diners Club') return 14;
-  if (['Visa', 'Mastercard', 'Discover', 'JCB'].includes(cardType)) return 16;
-  return null; // unknown/other cards may vary (12-19)
+const describeCoupon = coupon => {
+  if (coupon.freeShipping) return 'Free shipping';
+  return `-${displayMoney(coupon.money, coupon.discount, coupon.currency)}`;
 };
 
-const formatCardNumber = (cardNumber, cardType) => {
-  const digits = cardNumber.replace(/\D/g, '').slice(0, MAX_CARD_LENGTH);
-  if (!digits) return '';
-
-  let groupSizes;
-  switch (cardType) {
-    case 'American Express':
-      groupSizes = [4, 6, 5];
-      break;
-    case 'Diners Club':
-      groupSizes = [4, 6, 4];
-      break;
-    default:
-      groupSizes = [4, 4, 4, 4, 3]; // supports up to 19 digits
-      break;
-  }
-
-  const groups = [];
-  let index = 0;
-  for (const size of groupSizes) {
-    if (index >= digits.length) break;
-    groups.push(digits.slice(index, index + size));
-    index += size;
-  }
-
-  return groups.join(' ').trim();
-};
-
-// Validate expiry date
-const normalizeExpiryInput = value => {
-  const digitsOnly = value.replace(/\D/g, '');
-  if (!digitsOnly) return '';
-
-  const month = digitsOnly.slice(0, 2);
-  let year = digitsOnly.slice(2, 6);
-
-  let formattedMonth = month;
-  if (month.length === 1) {
-    if (parseInt(month, 10) > 1) {
-      formattedMonth = `0${month}`;
-    }
-  } else if (month.length === 2) {
-    const monthValue = parseInt(month, 10);
-    if (Number.isNaN(monthValue) || monthValue < 1) {
-      formattedMonth = '01';
-    } else if (monthValue > 12) {
-      formattedMonth = '12';
-    }
-  }
-
-  if (formattedMonth.length === 2 && digitsOnly.length > 2) {
-    if (year.length > 4) {
-      year = year.slice(0, 4);
-    }
-    return `${formattedMonth}/${year}`;
-  }
-
-  return formattedMonth;
-};
-
-const validateExpiry = expiry => {
-  const cleaned = expiry.replace(/\D/g, '');
-  if (cleaned.length < 4) return { valid: false, message: 'Incomplete expiry date' };
-
-  const month = parseInt(cleaned.substring(0, 2), 10);
-  const yearDigits = cleaned.substring(2);
-  const year = yearDigits.length === 2 ? 2000 + parseInt(yearDigits, 10) : parseInt(yearDigits, 10);
-
-  if (month < 1 || month > 12) return { valid: false, message: 'Invalid month' };
-
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth() + 1;
-
-  if (year < currentYear || (year === currentYear && month < currentMonth)) {
-    return { valid: false, message: 'Card has expired' };
-  }
-
-  return { valid: true, message: '' };
+// Only the parts of an address that change the price, so quotes can update before the form is complete.
+const pricingDestination = address => {
+  const destination = {};
+  ['country', 'region', 'postalCode'].forEach(field => {
+    const value = address[field].trim();
+    if (value) destination[field] = value;
+  });
+  return { shippingAddress: destination };
 };
 
-function CheckoutForm({ onSubmit, submitting = false }) {
+function CheckoutForm({
+  onSubmit,
+  submitting = false,
+  onApplyCoupon,
+  onRemoveCoupon,
+  onShippingAddressChange,
+  appliedCoupon = null,
+  savedAddresses = [],
+  canSaveAddress = false,
+  addressErrors = {},
+  shippingOptions = [],
+  shippingMethod = null,
+  onShippingMethodChange,
+}) {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
-    shippingAddress: '',
-    cardNumber: '',
-    cardName: '',
-    expiry: '',
-    cvc: '',
   });
-  const [cardFocused, setCardFocused] = useState('');
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [addressChoice, setAddressChoice] = useState(null);
+  const [saveAddress, setSaveAddress] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [validationErrors, setValidationErrors] = useState({
-    cardNumber: '',
-    expiry: '',
-    cvc: '',
     email: '',
   });
+  const paymentRef = useRef(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponError, setCouponError] = useState('');
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
   const { notify } = useNotifier();
 
+  // Saved addresses load after the form mounts, so until the customer picks one the default is used.
+  const defaultAddress = savedAddresses.find(saved => saved.isDefault) || savedAddresses[0];
+  const selectedAddressId = addressChoice ?? (defaultAddress ? String(defaultAddress.id) : NEW_ADDRESS);
+  const usingSavedAddress = selectedAddressId !== NEW_ADDRESS;
+
+  // The entered address is reported on blur instead, so typing does not re-price on every key;
+  // switching between addresses reads the latest one from here.
+  const addressRef = useRef(address);
+  addressRef.current = address;
+
+  useEffect(() => {
+    if (usingSavedAddress) {
+      onShippingAddressChange?.({ shippingAddressId: Number(selectedAddressId) });
+    } else {
+      onShippingAddressChange?.(pricingDestination(addressRef.current));
+    }
+  }, [selectedAddressId, usingSavedAddress, onShippingAddressChange]);
+
+  const buildShippingPayload = () => {
+    if (usingSavedAddress) {
+      return { shippingAddressId: Number(selectedAddressId) };
+    }
+    const shippingAddress = { fullName: formData.name.trim() };
+    Object.keys(EMPTY_ADDRESS).forEach(field => {
+      shippingAddress[field] = address[field].trim();
+    });
+    return { shippingAddress, ...(canSaveAddress && saveAddress && { saveAddress: true }) };
+  };
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim();
+    if (!code || !onApplyCoupon) return;
+
+    setApplyingCoupon(true);
+    setCouponError('');
+    try {
+      await onApplyCoupon(code, formData.email.trim());
+      setCouponInput('');
+    } catch (error) {
+      setCouponError(error?.response?.data?.error || 'We could not apply that promo code.');
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const handleCouponKeyDown = event => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handleApplyCoupon();
+    }
+  };
+
   const handleInputChange = e => {
     const { name, value } = e.target;
-    let sanitizedValue = value;
     const newValidationErrors = { ...validationErrors };
 
     switch (name) {
-      case 'cardNumber': {
-        const digitsOnly = value.replace(/\D/g, '').slice(0, MAX_CARD_LENGTH);
-        const numberCardType = getCardType(digitsOnly);
-        const expectedLength = getCardLength(numberCardType);
-        const withinRange = digitsOnly.length >= MIN_CARD_LENGTH && digitsOnly.length <= MAX_CARD_LENGTH;
-        const meetsKnownLength = expectedLength ? digitsOnly.length === expectedLength : withinRange;
-
-        if (digitsOnly.length >= MIN_CARD_LENGTH && meetsKnownLength) {
-          newValidationErrors.cardNumber = luhnCheck(digitsOnly) ? '' : 'Invalid card number';
-        } else {
-          newValidationErrors.cardNumber = '';
-        }
-
-        sanitizedValue = formatCardNumber(digitsOnly, numberCardType);
-        break;
-      }
-      case 'expiry':
-        sanitizedValue = normalizeExpiryInput(value);
-        if (sanitizedValue.length > 7) sanitizedValue = sanitizedValue.slice(0, 7);
-
-        if (sanitizedValue.length >= 4) {
-          const expiryValidation = validateExpiry(sanitizedValue);
-          newValidationErrors.expiry = expiryValidation.valid ? '' : expiryValidation.message;
-        } else {
-          newValidationErrors.expiry = '';
-        }
-        break;
-      case 'cvc': {
-        sanitizedValue = value.replace(/\D/g, '');
-        if (sanitizedValue.length > 4) sanitizedValue = sanitizedValue.slice(0, 4);
-
-        const cardDigits = formData.cardNumber.replace(/\D/g, '');
-        const cardTypeForCvc = getCardType(cardDigits);
-        const requiredCvcLength = cardTypeForCvc === 'American Express' ? 4 : 3;
-
-        if (sanitizedValue.length > 0 && sanitizedValue.length < requiredCvcLength) {
-          newValidationErrors.cvc = `CVC must be ${requiredCvcLength} digits`;
-        } else {
-          newValidationErrors.cvc = '';
-        }
-        break;
-      }
       case 'email':
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (value && !emailRegex.test(value)) {
@@ -214,11 +137,7 @@ function CheckoutForm({ onSubmit, submitting = false }) {
     }
 
     setValidationErrors(newValidationErrors);
-    setFormData({ ...formData, [name]: sanitizedValue });
-  };
-
-  const handleInputFocus = e => {
-    setCardFocused(e.target.name);
+    setFormData({ ...formData, [name]: value });
   };
 
   const handleSubmit = async event => {
@@ -228,46 +147,17 @@ function CheckoutForm({ onSubmit, submitting = false }) {
     // Validate all fields before submission
     const errors = {};
 
-    const digitsOnlyCardNumber = formData.cardNumber.replace(/\D/g, '');
-    const submissionCardType = getCardType(digitsOnlyCardNumber);
-    const expectedLength = getCardLength(submissionCardType);
-
-    if (!SKIP_CARD_VALIDATION) {
-      // Card number validation
-      const lengthIsValid = expectedLength
-        ? digitsOnlyCardNumber.length === expectedLength
-        : digitsOnlyCardNumber.length >= MIN_CARD_LENGTH && digitsOnlyCardNumber.length <= MAX_CARD_LENGTH;
-
-      if (!lengthIsValid) {
-        errors.cardNumber = expectedLength
-          ? `Card number must be ${expectedLength} digits`
-          : `Card number must be between ${MIN_CARD_LENGTH} and ${MAX_CARD_LENGTH} digits`;
-      } else if (!luhnCheck(digitsOnlyCardNumber)) {
-        errors.cardNumber = 'Invalid card number';
-      }
-
-      // Expiry validation
-      const expiryValidation = validateExpiry(formData.expiry);
-      if (!expiryValidation.valid) {
-        errors.expiry = expiryValidation.message;
-      }
-
-      // CVC validation
-      const requiredCvcLength = submissionCardType === 'American Express' ? 4 : 3;
-      if (formData.cvc.length !== requiredCvcLength) {
-        errors.cvc = `CVC must be ${requiredCvcLength} digits`;
-      }
-    }
-
     // Email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(formData.email)) {
       errors.email = 'Invalid email address';
     }
 
-    if (Object.keys(errors).length > 0) {
+    const paymentError = paymentRef.current?.validate() || '';
+
+    if (Object.keys(errors).length > 0 || paymentError) {
       setValidationErrors(errors);
-      setErrorMessage('Please fix the highlighted fields and try again.');
+      setErrorMessage(paymentError || 'Please fix the highlighted fields and try again.');
       notify({ severity: 'error', message: 'Please fix validation errors before submitting' });
       return;
     }
@@ -276,10 +166,15 @@ function CheckoutForm({ onSubmit, submitting = false }) {
     setErrorMessage('');
 
     try {
-      await onSubmit({
-        ...formData,
-        cardNumber: digitsOnlyCardNumber,
-      });
+      const billingDetails = { name: formData.name.trim(), email: formData.email.trim() };
+      await onSubmit(
+        {
+          ...formData,
+          ...buildShippingPayload(),
+          ...(appliedCoupon?.couponCode && { couponCode: appliedCoupon.couponCode }),
+        },
+        payment => paymentRef.current.confirm(payment, billingDetails)
+      );
       setLoading(false);
     } catch (error) {
       setLoading(false);
@@ -319,91 +214,105 @@ function CheckoutForm({ onSubmit, submitting = false }) {
         Shipping Information
       </Typography>
 
-      <Grid container spacing={3}>
-        <Grid item xs={12}>
-          <TextField
-            required
-            id="shippingAddress"
-            name="shippingAddress"
-            label="Shipping Address"
-            fullWidth
-            variant="standard"
-            value={formData.shippingAddress}
-            onChange={handleInputChange}
+      {savedAddresses.length > 0 && (
+        <RadioGroup name="savedAddress" value={selectedAddressId} onChange={e => setAddressChoice(e.target.value)} sx={{ mb: 2 }}>
+          {savedAddresses.map(saved => (
+            <FormControlLabel
+              key={saved.id}
+              value={String(saved.id)}
+              control={<Radio />}
+              label={`${formatAddressLine(saved)}${saved.isDefault ? ' (default)' : ''}`}
+            />
+          ))}
+          <FormControlLabel value={NEW_ADDRESS} control={<Radio />} label="Ship to a new address" />
+        </RadioGroup>
+      )}
+
+      {!usingSavedAddress && (
+        <>
+          <AddressFields
+            value={address}
+            onChange={setAddress}
+            onBlur={() => onShippingAddressChange?.(pricingDestination(address))}
+            errors={addressErrors}
+            disabled={loading || submitting}
           />
-        </Grid>
-      </Grid>
+          {canSaveAddress && (
+            <FormControlLabel
+              sx={{ mt: 2 }}
+              control={<Checkbox checked={saveAddress} onChange={e => setSaveAddress(e.target.checked)} />}
+              label="Save this address to my account"
+            />
+          )}
+        </>
+      )}
+
+      {shippingOptions.length > 0 && (
+        <>
+          <Typography variant="h6" gutterBottom sx={{ mt: 3 }}>
+            Delivery
+          </Typography>
+          <RadioGroup name="shippingMethod" value={shippingMethod || ''} onChange={e => onShippingMethodChange?.(e.target.value)}>
+            {shippingOptions.map(option => (
+              <FormControlLabel
+                key={option.code}
+                value={option.code}
+                disabled={loading || submitting}
+                control={<Radio />}
+                label={`${option.name}: ${option.amount > 0 ? displayMoney(option.money?.amount, option.amount) : 'Free'}, arrives ${formatDeliveryWindow(
+                  option.deliveryWindow
+                )}`}
+              />
+            ))}
+          </RadioGroup>
+        </>
+      )}
 
       <Typography variant="h4" gutterBottom sx={{ mt: 4 }}>
         Payment Details
       </Typography>
 
-      <Box sx={{ mb: 2 }}>
-        <Cards number={formData.cardNumber} name={formData.cardName} expiry={formData.expiry} cvc={formData.cvc} focused={cardFocused} />
-      </Box>
-
-      <Grid container spacing={3}>
-        <Grid item xs={12} md={6}>
-          <TextField
-            required
-            id="cardNumber"
-            name="cardNumber"
-            label={`Card Number${formData.cardNumber ? ` (${getCardType(formData.cardNumber)})` : ''}`}
-            fullWidth
-            variant="standard"
-            value={formData.cardNumber}
-            onChange={handleInputChange}
-            onFocus={handleInputFocus}
-            error={!!validationErrors.cardNumber}
-            helperText={validationErrors.cardNumber}
-          />
-        </Grid>
-        <Grid item xs={12} md={6}>
-          <TextField
-            required
-            id="cardName"
-            name="cardName"
-            label="Name on Card"
-            fullWidth
-            variant="standard"
-            value={formData.cardName}
-            onChange={handleInputChange}
-            onFocus={handleInputFocus}
-          />
-        </Grid>
-        <Grid item xs={6}>
-          <TextField
-            required
-            id="expiry"
-            name="expiry"
-            label="Expiry Date"
-            fullWidth
-            variant="standard"
-            placeholder="MM/YY or MM/YYYY"
-            value={formData.expiry}
-            onChange={handleInputChange}
-            onFocus={handleInputFocus}
-            error={!!validationErrors.expiry}
-            helperText={validationErrors.expiry}
-          />
-        </Grid>
-        <Grid item xs={6}>
-          <TextField
-            required
-            id="cvc"
-            name="cvc"
-            label="CVC"
-            fullWidth
-            variant="standard"
-            value={formData.cvc}
-            placeholder="3 or 4 digits"
-            onChange={handleInputChange}
-            onFocus={handleInputFocus}
-            error={!!validationErrors.cvc}
-            helperText={validationErrors.cvc}
-          />
-        </Grid>
-      </Grid>
+      <PaymentDetails ref={paymentRef} />
+
+      {onApplyCoupon && (
+        <>
+          <Typography variant="h4" gutterBottom sx={{ mt: 4 }}>
+            Promo Code
+          </Typography>
+
+          {appliedCoupon ? (
+            <Alert
+              severity="success"
+              action={
+                <Button color="inherit" size="small" onClick={onRemoveCoupon} disabled={loading || submitting}>
+                  Remove
+                </Button>
+              }
+            >
+              <strong>{appliedCoupon.couponCode}</strong> applied: {describeCoupon(appliedCoupon)}
+              {appliedCoupon.description ? ` (${appliedCoupon.description})` : ''}
+            </Alert>
+          ) : (
+            <Stack direction="row" spacing={2} alignItems="flex-start">
+              <TextField
+                id="couponCode"
+                name="couponCode"
+                label="Promo code"
+                variant="standard"
+                fullWidth
+                value={couponInput}
+                onChange={e => setCouponInput(e.target.value.toUpperCase())}
+                onKeyDown={handleCouponKeyDown}
+                error={!!couponError}
+                helperText={couponError}
+              />
+              <Button variant="outlined" onClick={handleApplyCoupon} disabled={!couponInput.trim() || applyingCoupon} sx={{ mt: 1.5, flexShrink: 0 }}>
+                {applyingCoupon ? <CircularProgress size={20} /> : 'Apply'}
+              </Button>
+            </Stack>
+          )}
+        </>
+      )}
 
       {(loading || submitting) && <CircularProgress sx={{ mt: 2 }} />}
       {errorMessage && (
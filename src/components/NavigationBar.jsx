@@ -32,12 +32,14 @@ import LogoutIcon from '@mui/icons-material/Logout';
 import LoginIcon from '@mui/icons-material/Login';
 import PersonAddAltIcon from '@mui/icons-material/PersonAddAlt';
 import ManageAccountsIcon from '@mui/icons-material/ManageAccounts';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
 import CloseIcon from '@mui/icons-material/Close';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { debounce } from 'lodash';
 import SearchResults from './SearchResults';
 import { apiClient } from '../services/apiClient';
 import { useNotifier } from '../context/NotificationProvider';
+import { isStoredUserAdmin } from '../utils/auth';
 
 const navLinks = [
   { label: 'Home', to: '/', icon: <HomeRoundedIcon fontSize="small" /> },
@@ -52,6 +54,7 @@ function NavigationBar({ cartItemCount }) {
   const [searchResults, setSearchResults] = React.useState([]);
   const [loading, setLoading] = React.useState(false);
   const [isLoggedIn, setIsLoggedIn] = React.useState(false);
+  const [isAdmin, setIsAdmin] = React.useState(false);
   const searchBarRef = React.useRef(null);
   const searchResultsRef = React.useRef(null);
   const mobileSearchFieldRef = React.useRef(null);
@@ -66,6 +69,7 @@ function NavigationBar({ cartItemCount }) {
     const checkToken = () => {
       const token = localStorage.getItem('MERNEcommerceToken');
       setIsLoggedIn(Boolean(token));
+      setIsAdmin(isStoredUserAdmin());
     };
     checkToken();
     const interval = setInterval(checkToken, 2000);
@@ -89,6 +93,7 @@ function NavigationBar({ cartItemCount }) {
   const handleLogout = () => {
     localStorage.removeItem('MERNEcommerceToken');
     setIsLoggedIn(false);
+    setIsAdmin(false);
     notify({ severity: 'success', message: 'Signed out successfully.' });
     navigate('/');
   };
@@ -256,6 +261,16 @@ function NavigationBar({ cartItemCount }) {
                 </Badge>
               </MenuItem>
               {isLoggedIn && (
+                <MenuItem
+                  onClick={() => {
+                    handleClose();
+                    navigate('/account/orders');
+                  }}
+                >
+                  My orders
+                </MenuItem>
+              )}
+              {isAdmin && (
                 <MenuItem
                   onClick={() => {
                     handleClose();
@@ -347,11 +362,18 @@ function NavigationBar({ cartItemCount }) {
 
               {isLoggedIn ? (
                 <>
-                  <Tooltip title="Accounts" arrow>
-                    <IconButton component={Link} to="/accounts" color="inherit" size="small">
-                      <ManageAccountsIcon fontSize="small" />
+                  <Tooltip title="My orders" arrow>
+                    <IconButton component={Link} to="/account/orders" color="inherit" size="small">
+                      <ReceiptLongIcon fontSize="small" />
                     </IconButton>
                   </Tooltip>
+                  {isAdmin && (
+                    <Tooltip title="Accounts" arrow>
+                      <IconButton component={Link} to="/accounts" color="inherit" size="small">
+                        <ManageAccountsIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
                   <Tooltip title="Sign out" arrow>
                     <IconButton color="inherit" size="small" onClick={handleLogout} style={{ color: 'red' }}>
                       <LogoutIcon fontSize="small" />
@@ -0,0 +1,209 @@
+import React from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useNotifier } from '../context/NotificationProvider';
+import { apiClient } from '../services/apiClient';
+import AddressFields, { EMPTY_ADDRESS } from './AddressFields';
+import QuantityStepper from './QuantityStepper';
+
+// First message of a failed change: the API's own error, or the first validation message.
+const changeErrorMessage = (error, fallback) => error?.response?.data?.error || error?.response?.data?.errors?.[0]?.msg || fallback;
+
+// Validation errors for `shippingAddress.*` keyed by field, the shape AddressFields takes.
+const addressFieldErrors = error =>
+  (error?.response?.data?.errors || []).reduce((fields, { path, msg }) => {
+    if (String(path).startsWith('shippingAddress.')) fields[path.slice('shippingAddress.'.length)] = msg;
+    return fields;
+  }, {});
+
+/**
+ * Cancel and change actions for an order that has not been handed to the carrier yet. Guests send the
+ * `orderToken` they got when tracking the order; `onChanged` gets the updated order.
+ */
+function OrderChanges({ order, orderToken, onChanged }) {
+  const { notify } = useNotifier();
+  const [dialog, setDialog] = React.useState(null);
+  const [submitting, setSubmitting] = React.useState(false);
+  const [reason, setReason] = React.useState('');
+  const [quantities, setQuantities] = React.useState({});
+  const [changeAddress, setChangeAddress] = React.useState(false);
+  const [fullName, setFullName] = React.useState('');
+  const [address, setAddress] = React.useState(EMPTY_ADDRESS);
+  const [addressErrors, setAddressErrors] = React.useState({});
+
+  const items = Array.isArray(order.items) ? order.items : [];
+
+  const openEdit = () => {
+    setQuantities(Object.fromEntries(items.map(item => [item.id, item.quantity])));
+    setChangeAddress(false);
+    setFullName(order.shippingAddress?.fullName || '');
+    setAddress(Object.fromEntries(Object.keys(EMPTY_ADDRESS).map(field => [field, order.shippingAddress?.[field] || EMPTY_ADDRESS[field]])));
+    setAddressErrors({});
+    setDialog('edit');
+  };
+
+  const openCancel = () => {
+    setReason('');
+    setDialog('cancel');
+  };
+
+  const close = () => {
+    if (!submitting) setDialog(null);
+  };
+
+  const submit = async (request, successMessage, fallbackError) => {
+    setSubmitting(true);
+    try {
+      const { data } = await request();
+      onChanged(data);
+      notify({ severity: 'success', message: successMessage });
+      setDialog(null);
+    } catch (error) {
+      console.error('Error changing order:', error);
+      setAddressErrors(addressFieldErrors(error));
+      notify({ severity: 'error', message: changeErrorMessage(error, fallbackError) });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = () =>
+    submit(
+      () => apiClient.post(`orders/${order.orderNumber}/cancel`, { orderToken, reason: reason.trim() || undefined }),
+      'Your order has been cancelled.',
+      'We could not cancel this order. Please try again.'
+    );
+
+  const changedItems = items.filter(item => quantities[item.id] !== item.quantity).map(item => ({ itemId: item.id, quantity: quantities[item.id] }));
+  const hasChanges = changeAddress || changedItems.length > 0;
+
+  const handleSave = () =>
+    submit(
+      () =>
+        apiClient.patch(`orders/${order.orderNumber}`, {
+          orderToken,
+          ...(changedItems.length && { items: changedItems }),
+          ...(changeAddress && { shippingAddress: { ...address, fullName } }),
+        }),
+      'Your changes have been saved.',
+      'We could not save your changes. Please try again.'
+    );
+
+  if (!order.canCancel && !order.canEdit) return null;
+
+  return (
+    <>
+      <Stack direction="row" spacing={1} justifyContent="flex-end">
+        {order.canEdit && (
+          <Button variant="outlined" onClick={openEdit}>
+            Change order
+          </Button>
+        )}
+        {order.canCancel && (
+          <Button variant="outlined" color="error" onClick={openCancel}>
+            Cancel order
+          </Button>
+        )}
+      </Stack>
+
+      <Dialog open={dialog === 'cancel'} onClose={close} fullWidth maxWidth="sm">
+        <DialogTitle>Cancel order {order.orderNumber}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Your items go back on the shelf and anything you have paid is refunded to your original payment method. This cannot be undone.
+          </DialogContentText>
+          <TextField
+            label="Reason (optional)"
+            value={reason}
+            onChange={event => setReason(event.target.value)}
+            inputProps={{ maxLength: 500 }}
+            fullWidth
+            multiline
+            minRows={2}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close} disabled={submitting}>
+            Keep order
+          </Button>
+          <Button color="error" variant="contained" onClick={handleCancel} disabled={submitting}>
+            {submitting ? 'Cancelling…' : 'Cancel order'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={dialog === 'edit'} onClose={close} fullWidth maxWidth="sm">
+        <DialogTitle>Change order {order.orderNumber}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>Quantities can be lowered or set to zero to remove an item. Anything you have already paid for the difference is refunded.</DialogContentText>
+          <List dense>
+            {items.map(item => (
+              <ListItem
+                key={item.id}
+                disableGutters
+                secondaryAction={
+                  <QuantityStepper
+                    value={quantities[item.id] ?? item.quantity}
+                    onChange={quantity => setQuantities(prev => ({ ...prev, [item.id]: quantity }))}
+                    min={0}
+                    max={item.quantity}
+                    disabled={submitting}
+                    label={`Quantity of ${item.name}`}
+                  />
+                }
+              >
+                <ListItemText primary={item.name} secondary={quantities[item.id] === 0 ? 'Will be removed' : null} />
+              </ListItem>
+            ))}
+          </List>
+          <Divider sx={{ my: 2 }} />
+          <FormControlLabel control={<Switch checked={changeAddress} onChange={event => setChangeAddress(event.target.checked)} disabled={submitting} />} label="Ship to a different address" />
+          {changeAddress && (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              <TextField
+                required
+                label="Full name"
+                value={fullName}
+                onChange={event => setFullName(event.target.value)}
+                variant="standard"
+                fullWidth
+                disabled={submitting}
+                error={!!addressErrors.fullName}
+                helperText={addressErrors.fullName}
+              />
+              <AddressFields value={address} onChange={setAddress} errors={addressErrors} disabled={submitting} />
+              <Typography variant="caption" color="text.secondary">
+                Shipping and tax are worked out again for the new address. Addresses that would cost more cannot be used for this order.
+              </Typography>
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close} disabled={submitting}>
+            Discard
+          </Button>
+          <Button variant="contained" onClick={handleSave} disabled={submitting || !hasChanges}>
+            {submitting ? 'Saving…' : 'Save changes'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default OrderChanges;
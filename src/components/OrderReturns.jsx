@@ -0,0 +1,229 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Link,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useNotifier } from '../context/NotificationProvider';
+import { apiClient } from '../services/apiClient';
+import { displayMoney } from '../utils/money';
+import { formatTimestamp } from './OrderStatusTimeline';
+import QuantityStepper from './QuantityStepper';
+
+// Mirrors backend/config/returns.js.
+const RETURN_REASONS = [
+  { value: 'damaged', label: 'Arrived damaged' },
+  { value: 'defective', label: 'Stopped working or faulty' },
+  { value: 'wrong_item', label: 'Wrong item received' },
+  { value: 'not_as_described', label: 'Not as described' },
+  { value: 'no_longer_needed', label: 'No longer needed' },
+  { value: 'other', label: 'Other' },
+];
+
+const RETURN_STATUS_CHIPS = {
+  requested: { label: 'Requested', color: 'default' },
+  approved: { label: 'Approved', color: 'info' },
+  label_issued: { label: 'Label ready', color: 'info' },
+  received: { label: 'Received', color: 'primary' },
+  refunded: { label: 'Refunded', color: 'success' },
+  rejected: { label: 'Rejected', color: 'error' },
+};
+
+const returnErrorMessage = error =>
+  error?.response?.data?.error || error?.response?.data?.errors?.[0]?.msg || 'We could not start your return. Please try again.';
+
+// What the customer can see of one return: its items, where it stands and what to do next.
+function ReturnSummary({ ret, currency }) {
+  const chip = RETURN_STATUS_CHIPS[ret.status] || { label: ret.status, color: 'default' };
+  const details = [
+    ret.items.map(item => `${item.name} × ${item.quantity} (${item.reasonLabel})`).join(', '),
+    ret.trackingNumber && `Tracking: ${ret.trackingNumber}`,
+    ret.refundAmount !== null && ret.refundAmount !== undefined && `${displayMoney(ret.money?.refundAmount, ret.refundAmount, currency)} refunded`,
+    ret.reviewNote,
+  ].filter(Boolean);
+
+  return (
+    <ListItem disableGutters alignItems="flex-start">
+      <ListItemText
+        primary={
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Typography variant="subtitle2">{ret.rmaNumber}</Typography>
+            <Chip size="small" label={chip.label} color={chip.color} variant="outlined" />
+          </Stack>
+        }
+        secondary={
+          <>
+            {details.join(' • ')}
+            {ret.status === 'label_issued' && ret.labelUrl && (
+              <Box component="span" sx={{ display: 'block', mt: 0.5 }}>
+                <Link href={ret.labelUrl} target="_blank" rel="noopener noreferrer">
+                  Print your return label
+                </Link>
+              </Box>
+            )}
+          </>
+        }
+      />
+    </ListItem>
+  );
+}
+
+/**
+ * Return requests for a delivered order and the dialog to start a new one. Guests send the
+ * `orderToken` they got when tracking the order; `onChanged` gets the updated order.
+ */
+function OrderReturns({ order, orderToken, onChanged }) {
+  const { notify } = useNotifier();
+  const [open, setOpen] = React.useState(false);
+  const [submitting, setSubmitting] = React.useState(false);
+  const [selection, setSelection] = React.useState({});
+  const [comment, setComment] = React.useState('');
+
+  const returns = Array.isArray(order.returns) ? order.returns : [];
+  const returnableItems = (Array.isArray(order.items) ? order.items : []).filter(item => item.returnableQuantity > 0);
+
+  const openDialog = () => {
+    setSelection(Object.fromEntries(returnableItems.map(item => [item.id, { quantity: 0, reason: '' }])));
+    setComment('');
+    setOpen(true);
+  };
+
+  const close = () => {
+    if (!submitting) setOpen(false);
+  };
+
+  const updateSelection = (itemId, change) => setSelection(prev => ({ ...prev, [itemId]: { ...prev[itemId], ...change } }));
+
+  const chosenItems = returnableItems
+    .filter(item => selection[item.id]?.quantity > 0)
+    .map(item => ({ itemId: item.id, quantity: selection[item.id].quantity, reason: selection[item.id].reason }));
+  const canSubmit = chosenItems.length > 0 && chosenItems.every(item => item.reason);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const { data } = await apiClient.post(`orders/${order.orderNumber}/returns`, {
+        orderToken,
+        items: chosenItems,
+        comment: comment.trim() || undefined,
+      });
+      onChanged(data);
+      notify({ severity: 'success', message: 'Your return has been requested. We will email you once it is reviewed.' });
+      setOpen(false);
+    } catch (error) {
+      console.error('Error starting return:', error);
+      notify({ severity: 'error', message: returnErrorMessage(error) });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!returns.length && !order.canReturn) return null;
+
+  return (
+    <>
+      {returns.length > 0 && (
+        <>
+          <Typography variant="subtitle1" fontWeight={600} sx={{ mt: 2 }}>
+            Returns
+          </Typography>
+          <List dense>
+            {returns.map(ret => (
+              <ReturnSummary key={ret.rmaNumber} ret={ret} currency={order.currency} />
+            ))}
+          </List>
+        </>
+      )}
+
+      {order.canReturn && (
+        <Stack direction="row" spacing={2} alignItems="center" justifyContent="flex-end" sx={{ mt: 1 }}>
+          {order.returnWindow?.endsAt && (
+            <Typography variant="caption" color="text.secondary">
+              Returns accepted until {formatTimestamp(order.returnWindow.endsAt)}
+            </Typography>
+          )}
+          <Button variant="outlined" onClick={openDialog}>
+            Start a return
+          </Button>
+        </Stack>
+      )}
+
+      <Dialog open={open} onClose={close} fullWidth maxWidth="sm">
+        <DialogTitle>Return items from order {order.orderNumber}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>Choose how many of each item you are sending back and why. We review every request and email you a prepaid label.</DialogContentText>
+          <List dense>
+            {returnableItems.map(item => {
+              const { quantity = 0, reason = '' } = selection[item.id] || {};
+              return (
+                <ListItem key={item.id} disableGutters sx={{ flexWrap: 'wrap', gap: 1 }}>
+                  <ListItemText primary={item.name} secondary={`Up to ${item.returnableQuantity} can be returned`} />
+                  <QuantityStepper
+                    value={quantity}
+                    onChange={next => updateSelection(item.id, { quantity: next })}
+                    min={0}
+                    max={item.returnableQuantity}
+                    disabled={submitting}
+                    label={`Quantity of ${item.name} to return`}
+                  />
+                  {quantity > 0 && (
+                    <TextField
+                      select
+                      required
+                      label={`Reason for returning ${item.name}`}
+                      value={reason}
+                      onChange={event => updateSelection(item.id, { reason: event.target.value })}
+                      size="small"
+                      fullWidth
+                      disabled={submitting}
+                    >
+                      {RETURN_REASONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>
+                          {option.label}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  )}
+                </ListItem>
+              );
+            })}
+          </List>
+          <TextField
+            label="Anything else we should know? (optional)"
+            value={comment}
+            onChange={event => setComment(event.target.value)}
+            inputProps={{ maxLength: 1000 }}
+            fullWidth
+            multiline
+            minRows={2}
+            sx={{ mt: 1 }}
+            disabled={submitting}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={close} disabled={submitting}>
+            Not now
+          </Button>
+          <Button variant="contained" onClick={handleSubmit} disabled={submitting || !canSubmit}>
+            {submitting ? 'Sending…' : 'Request return'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default OrderReturns;
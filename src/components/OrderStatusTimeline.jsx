@@ -0,0 +1,197 @@
+import * as React from 'react';
+import { keyframes } from '@emotion/react';
+import { Box, Stack, Step, StepLabel, Stepper, Typography } from '@mui/material';
+import QueryBuilderIcon from '@mui/icons-material/QueryBuilder';
+import InventoryIcon from '@mui/icons-material/Inventory';
+import LocalShippingIcon from '@mui/icons-material/LocalShipping';
+import HomeIcon from '@mui/icons-material/Home';
+import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
+import WarehouseIcon from '@mui/icons-material/Warehouse';
+import DeliveryDiningIcon from '@mui/icons-material/DeliveryDining';
+import HandshakeIcon from '@mui/icons-material/Handshake';
+import CancelOutlinedIcon from '@mui/icons-material/CancelOutlined';
+
+const fallbackFlow = [
+  {
+    code: 'ORDER_PLACED',
+    label: 'Order placed',
+    description: 'We received your order and secured the inventory.',
+  },
+  {
+    code: 'PAYMENT_VERIFIED',
+    label: 'Payment verified',
+    description: 'Payment cleared securely and your order is locked in.',
+  },
+  {
+    code: 'PICKING_ITEMS',
+    label: 'Picking items',
+    description: 'Fulfillment specialists are pulling your products from the shelves.',
+  },
+  {
+    code: 'PACKED_FOR_SHIPMENT',
+    label: 'Packed for shipment',
+    description: 'Everything is sealed with tamper protection and ready for carrier pickup.',
+  },
+  {
+    code: 'HANDOFF_TO_CARRIER',
+    label: 'Handed to carrier',
+    description: 'Carrier has scanned the parcel and left our facility.',
+  },
+  {
+    code: 'IN_TRANSIT',
+    label: 'In transit',
+    description: 'The shipment is moving through regional hubs on the way to you.',
+  },
+  {
+    code: 'AT_LOCAL_DEPOT',
+    label: 'Arrived locally',
+    description: 'Package is at your local distribution center awaiting final sort.',
+  },
+  {
+    code: 'OUT_FOR_DELIVERY',
+    label: 'Out for delivery',
+    description: 'A courier is heading your way with the package on board.',
+  },
+  {
+    code: 'DELIVERED',
+    label: 'Delivered',
+    description: 'The courier marked the parcel as delivered. Enjoy your new gear!',
+  },
+  {
+    code: 'DELIVERY_CONFIRMED',
+    label: 'Delivery verified',
+    description: 'Delivery confirmation logged with proof for your records.',
+  },
+];
+
+const iconBase = { fontSize: 24, color: 'primary.main' };
+const successIconBase = { ...iconBase, color: 'success.main' };
+
+const statusIcons = {
+  ORDER_PLACED: <InventoryIcon sx={iconBase} />,
+  PAYMENT_VERIFIED: <HandshakeIcon sx={iconBase} />,
+  PICKING_ITEMS: <WarehouseIcon sx={iconBase} />,
+  QUALITY_CHECK: <QueryBuilderIcon sx={iconBase} />,
+  PACKED_FOR_SHIPMENT: <InventoryIcon sx={iconBase} />,
+  HANDOFF_TO_CARRIER: <DeliveryDiningIcon sx={iconBase} />,
+  IN_TRANSIT: <LocalShippingIcon sx={iconBase} />,
+  AT_LOCAL_DEPOT: <WarehouseIcon sx={iconBase} />,
+  OUT_FOR_DELIVERY: <HomeIcon sx={iconBase} />,
+  DELIVERED: <CheckCircleOutlineIcon sx={successIconBase} />,
+  DELIVERY_CONFIRMED: <CheckCircleOutlineIcon sx={successIconBase} />,
+  CANCELLED: <CancelOutlinedIcon sx={{ ...iconBase, color: 'error.main' }} />,
+};
+
+const defaultIcon = <QueryBuilderIcon sx={iconBase} />;
+
+const getStatusIcon = (code, size = 24) => {
+  const baseIcon = statusIcons[code] || defaultIcon;
+  return React.cloneElement(baseIcon, {
+    sx: { ...(baseIcon.props.sx || {}), fontSize: size },
+  });
+};
+
+export function formatTimestamp(dateString) {
+  if (!dateString) return '';
+  try {
+    const date = new Date(dateString);
+    if (Number.isNaN(date.getTime())) return '';
+    return new Intl.DateTimeFormat('en-LB', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    }).format(date);
+  } catch (error) {
+    return '';
+  }
+}
+
+// Rings the step an order has just moved to while the page was open.
+const arrivedPulse = keyframes`
+  0% { box-shadow: 0 0 0 0 rgba(40, 116, 240, 0.45); }
+  100% { box-shadow: 0 0 0 14px rgba(40, 116, 240, 0); }
+`;
+
+function renderStatusAvatar(code, isActive, justArrived = false) {
+  const iconElement = getStatusIcon(code, 22);
+  return (
+    <Box
+      sx={{
+        width: 40,
+        height: 40,
+        borderRadius: '50%',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        bgcolor: isActive ? 'rgba(40, 116, 240, 0.12)' : 'rgba(148, 163, 184, 0.18)',
+        flexShrink: 0,
+        alignSelf: 'center',
+        ...(justArrived && { animation: `${arrivedPulse} 1.2s ease-out 3` }),
+      }}
+    >
+      {iconElement}
+    </Box>
+  );
+}
+
+// Vertical journey for an order payload from `orders/track` or `orders/mine/:orderNumber`.
+// When `currentStatus` changes after the first render (a live update), the new step is highlighted.
+function OrderStatusTimeline({ statusFlow, statusHistory = [], currentStatus }) {
+  const activeFlow = Array.isArray(statusFlow) && statusFlow.length ? statusFlow : fallbackFlow;
+  const currentCode = currentStatus?.code;
+  const previousCode = React.useRef(currentCode);
+  const [arrivedCode, setArrivedCode] = React.useState(null);
+
+  React.useEffect(() => {
+    if (previousCode.current && currentCode && currentCode !== previousCode.current) {
+      setArrivedCode(currentCode);
+    }
+    previousCode.current = currentCode;
+  }, [currentCode]);
+
+  const historyMap = React.useMemo(() => {
+    const entries = new Map();
+    statusHistory.forEach(status => {
+      entries.set(status.code, status);
+    });
+    return entries;
+  }, [statusHistory]);
+
+  const activeIndex = activeFlow.findIndex(step => step.code === currentStatus?.code);
+  const resolvedActiveIndex = activeIndex >= 0 ? activeIndex : Math.max(statusHistory.length - 1, 0);
+
+  return (
+    <Stepper orientation="vertical" activeStep={resolvedActiveIndex} sx={{ mt: 2 }}>
+      {activeFlow.map((step, index) => {
+        const statusEntry = historyMap.get(step.code);
+        const isActive = index === resolvedActiveIndex;
+        const completed = index < resolvedActiveIndex;
+        return (
+          <Step key={step.code || step.label} completed={completed}>
+            <StepLabel SlotProps={{ iconContainer: { sx: { display: 'none' } } }}>
+              <Stack direction="row" spacing={1.5} alignItems="flex-start">
+                {renderStatusAvatar(step.code, isActive || completed, isActive && step.code === arrivedCode)}
+                <Box>
+                  <Typography variant="subtitle1" fontWeight={700} color={isActive ? 'primary.main' : 'text.primary'}>
+                    {step.label}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {step.description}
+                  </Typography>
+                  {statusEntry?.enteredAt && (
+                    <Typography variant="caption" color="text.secondary">
+                      Updated {formatTimestamp(statusEntry.enteredAt)}
+                    </Typography>
+                  )}
+                </Box>
+              </Stack>
+            </StepLabel>
+          </Step>
+        );
+      })}
+    </Stepper>
+  );
+}
+
+export default OrderStatusTimeline;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Stack, Typography } from '@mui/material';
+import { displayMoney } from '../utils/money';
+
+export function TotalsRow({ label, value, color, bold = false }) {
+  return (
+    <Stack direction="row" justifyContent="space-between">
+      <Typography variant="body2" color={color} fontWeight={bold ? 700 : 400}>
+        {label}
+      </Typography>
+      <Typography variant="body2" color={color} fontWeight={bold ? 700 : 400}>
+        {value}
+      </Typography>
+    </Stack>
+  );
+}
+
+// Names where the tax is owed, e.g. "Tax (Illinois)", so a zero amount is never a surprise.
+export const taxLabel = tax => {
+  if (tax?.exempt) return 'Tax (exempt)';
+  return tax?.jurisdiction ? `Tax (${tax.jurisdiction})` : 'Tax';
+};
+
+// Per-line tax as shown under an item, e.g. "Tax $6.25 (6.25%)"; empty when the line is untaxed.
+export const lineTaxText = (line, currency) => {
+  if (!(line?.tax > 0)) return '';
+  const amount = displayMoney(line.money?.tax, line.tax, currency);
+  return line.taxRate ? `Tax ${amount} (${line.taxRate}%)` : `Tax ${amount}`;
+};
+
+/**
+ * Subtotal, discount, shipping, tax and total rows for a checkout quote or a placed order. Both
+ * come from the API in the same shape: decimal amounts, exact `money` objects, and `tax`.
+ */
+function OrderTotals({ totals }) {
+  const show = field => displayMoney(totals.money?.[field], totals[field], totals.currency);
+  const promotionCode = totals.promotion?.code || totals.couponCode;
+  return (
+    <Stack spacing={0.5}>
+      {typeof totals.subtotal === 'number' && <TotalsRow label="Subtotal" value={show('subtotal')} />}
+      {totals.discountTotal > 0 && <TotalsRow label={`Discount${promotionCode ? ` (${promotionCode})` : ''}`} value={`−${show('discountTotal')}`} color="success.main" />}
+      {typeof totals.shippingTotal === 'number' && (
+        <TotalsRow
+          label={totals.shippingMethod ? `Shipping (${totals.shippingMethod.name})` : 'Shipping'}
+          value={totals.shippingTotal > 0 ? show('shippingTotal') : 'Free'}
+        />
+      )}
+      {typeof totals.taxTotal === 'number' && <TotalsRow label={taxLabel(totals.tax)} value={show('taxTotal')} />}
+      <TotalsRow label="Total" value={show('total')} bold />
+    </Stack>
+  );
+}
+
+export default OrderTotals;
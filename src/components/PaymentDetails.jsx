@@ -0,0 +1,114 @@
+import React, { forwardRef, useImperativeHandle, useState } from 'react';
+import { Alert, Box, MenuItem, TextField, Typography } from '@mui/material';
+import { loadStripe } from '@stripe/stripe-js';
+import { CardElement, Elements, useElements, useStripe } from '@stripe/react-stripe-js';
+
+const STRIPE_PUBLISHABLE_KEY = process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY || '';
+
+// Without a publishable key the backend runs its mock provider, so checkout offers test cards instead.
+const stripePromise = STRIPE_PUBLISHABLE_KEY ? loadStripe(STRIPE_PUBLISHABLE_KEY) : null;
+
+// Stripe's test payment method ids, which the mock provider understands.
+export const MOCK_TEST_CARDS = [
+  { paymentMethod: 'pm_card_visa', label: 'Visa ending 4242 (approved)' },
+  { paymentMethod: 'pm_card_mastercard', label: 'Mastercard ending 4444 (approved)' },
+  { paymentMethod: 'pm_card_chargeDeclined', label: 'Visa ending 0002 (declined)' },
+  { paymentMethod: 'pm_card_chargeDeclinedInsufficientFunds', label: 'Visa ending 9995 (insufficient funds)' },
+];
+
+const StripeCardFields = forwardRef(function StripeCardFields(_props, ref) {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [cardState, setCardState] = useState({ complete: false, error: '' });
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      validate: () => {
+        if (!stripe || !elements) return 'The payment form is still loading. Please try again in a moment.';
+        if (cardState.error) return cardState.error;
+        return cardState.complete ? '' : 'Please enter your card details.';
+      },
+      // Card details go from Stripe's iframe straight to Stripe; our server only ever sees the intent id.
+      confirm: async (payment, billingDetails) => {
+        const result = await stripe.confirmCardPayment(payment.clientSecret, {
+          payment_method: { card: elements.getElement(CardElement), billing_details: billingDetails },
+        });
+        // A retry after a dropped response finds the intent already paid, which is fine.
+        if (result.error && result.error.payment_intent?.status !== 'succeeded') {
+          throw new Error(result.error.message || 'Your card could not be charged.');
+        }
+        return {};
+      },
+    }),
+    [stripe, elements, cardState]
+  );
+
+  return (
+    <Box sx={{ py: 1.5, borderBottom: 1, borderColor: cardState.error ? 'error.main' : 'divider' }}>
+      <CardElement
+        options={{ hidePostalCode: true }}
+        onChange={event => setCardState({ complete: event.complete, error: event.error?.message || '' })}
+      />
+      {cardState.error && (
+        <Typography variant="caption" color="error">
+          {cardState.error}
+        </Typography>
+      )}
+    </Box>
+  );
+});
+
+const MockCardFields = forwardRef(function MockCardFields(_props, ref) {
+  const [paymentMethod, setPaymentMethod] = useState(MOCK_TEST_CARDS[0].paymentMethod);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      validate: () => '',
+      confirm: async () => ({ paymentMethod }),
+    }),
+    [paymentMethod]
+  );
+
+  return (
+    <>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Test mode: no card is charged. Choose a test card to approve or decline the payment.
+      </Alert>
+      <TextField
+        select
+        id="testCard"
+        label="Test card"
+        fullWidth
+        variant="standard"
+        value={paymentMethod}
+        onChange={event => setPaymentMethod(event.target.value)}
+      >
+        {MOCK_TEST_CARDS.map(card => (
+          <MenuItem key={card.paymentMethod} value={card.paymentMethod}>
+            {card.label}
+          </MenuItem>
+        ))}
+      </TextField>
+    </>
+  );
+});
+
+/**
+ * Card entry for checkout. The ref exposes `validate()`, which returns an error message or '',
+ * and `confirm(payment, billingDetails)`, which completes the payment intent from create-order
+ * and resolves to the extra fields confirm-payment needs.
+ */
+const PaymentDetails = forwardRef(function PaymentDetails(_props, ref) {
+  if (!stripePromise) {
+    return <MockCardFields ref={ref} />;
+  }
+  return (
+    <Elements stripe={stripePromise}>
+      <StripeCardFields ref={ref} />
+    </Elements>
+  );
+});
+
+export default PaymentDetails;
@@ -11,6 +11,7 @@ import Rating from '@mui/material/Rating';
 import Box from '@mui/material/Box';
 import Tooltip from '@mui/material/Tooltip';
 import { useNavigate } from 'react-router-dom';
+import { formatProductPrice } from '../utils/money';
 
 export default function ProductCard({ product, addToCart }) {
   const navigate = useNavigate();
@@ -94,7 +95,7 @@ export default function ProductCard({ product, addToCart }) {
         </Typography>
         <Stack direction="row" spacing={1} alignItems="center" sx={{ mt: 1.5 }}>
           <Typography variant="h6" color="primary" sx={{ fontWeight: 700 }}>
-            ${product.price.toFixed(2)}
+            {formatProductPrice(product)}
           </Typography>
           {ratingValue !== null && (
             <Stack direction="row" spacing={0.5} alignItems="center">
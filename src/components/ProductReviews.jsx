@@ -0,0 +1,235 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Alert, Box, Button, Chip, CircularProgress, Divider, Pagination, Paper, Rating, Stack, TextField, Typography } from '@mui/material';
+import VerifiedIcon from '@mui/icons-material/Verified';
+import { apiClient, withRetry } from '../services/apiClient';
+import { useNotifier } from '../context/NotificationProvider';
+
+const PAGE_SIZE = 5;
+const emptyDraft = { rating: 0, title: '', body: '' };
+
+function ReviewForm({ initial, submitting, onSubmit, onCancel }) {
+  const [draft, setDraft] = useState(initial || emptyDraft);
+
+  useEffect(() => {
+    setDraft(initial || emptyDraft);
+  }, [initial]);
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    onSubmit(draft);
+  };
+
+  const canSubmit = draft.rating > 0 && draft.title.trim() && draft.body.trim();
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} noValidate>
+      <Stack spacing={2}>
+        <Rating name="review-rating" value={draft.rating} onChange={(_e, value) => setDraft(prev => ({ ...prev, rating: value || 0 }))} />
+        <TextField
+          label="Title"
+          size="small"
+          value={draft.title}
+          inputProps={{ maxLength: 120 }}
+          onChange={event => setDraft(prev => ({ ...prev, title: event.target.value }))}
+        />
+        <TextField
+          label="Your review"
+          multiline
+          minRows={3}
+          value={draft.body}
+          inputProps={{ maxLength: 2000 }}
+          onChange={event => setDraft(prev => ({ ...prev, body: event.target.value }))}
+        />
+        <Stack direction="row" spacing={1}>
+          <Button type="submit" variant="contained" disabled={!canSubmit || submitting}>
+            {submitting ? 'Saving...' : initial ? 'Update review' : 'Post review'}
+          </Button>
+          {onCancel && (
+            <Button variant="text" onClick={onCancel} disabled={submitting}>
+              Cancel
+            </Button>
+          )}
+        </Stack>
+      </Stack>
+    </Box>
+  );
+}
+
+function ReviewItem({ review }) {
+  return (
+    <Box sx={{ py: 2 }}>
+      <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+        <Rating value={review.rating} readOnly size="small" />
+        <Typography variant="subtitle1" fontWeight={700}>
+          {review.title}
+        </Typography>
+        {review.verifiedPurchase && <Chip icon={<VerifiedIcon />} label="Verified purchase" size="small" color="success" variant="outlined" />}
+      </Stack>
+      <Typography variant="caption" color="text.secondary">
+        {review.author} · {new Date(review.createdAt).toLocaleDateString()}
+      </Typography>
+      <Typography variant="body2" sx={{ mt: 1, whiteSpace: 'pre-line' }}>
+        {review.body}
+      </Typography>
+    </Box>
+  );
+}
+
+function ProductReviews({ productId, onReviewsChanged }) {
+  const navigate = useNavigate();
+  const { notify } = useNotifier();
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ reviews: [], total: 0, totalPages: 1, viewerReview: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const signedIn = typeof window !== 'undefined' && Boolean(localStorage.getItem('MERNEcommerceToken'));
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data: payload } = await withRetry(() => apiClient.get(`products/${productId}/reviews`, { params: { page, limit: PAGE_SIZE } }));
+      setData(payload);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+      setError('We could not load reviews right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, productId]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleSubmit = async draft => {
+    setSubmitting(true);
+    try {
+      if (data.viewerReview) {
+        await apiClient.patch(`products/${productId}/reviews/${data.viewerReview.id}`, draft);
+        notify({ severity: 'success', message: 'Your review was updated.' });
+      } else {
+        await apiClient.post(`products/${productId}/reviews`, draft);
+        notify({ severity: 'success', message: 'Thanks for the review!' });
+      }
+      setEditing(false);
+      await fetchReviews();
+      onReviewsChanged?.();
+    } catch (err) {
+      const message = err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Could not save your review right now.';
+      notify({ severity: 'error', message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!data.viewerReview) return;
+    setSubmitting(true);
+    try {
+      await apiClient.delete(`products/${productId}/reviews/${data.viewerReview.id}`);
+      notify({ severity: 'success', message: 'Your review was removed.' });
+      setEditing(false);
+      await fetchReviews();
+      onReviewsChanged?.();
+    } catch (err) {
+      notify({ severity: 'error', message: err.response?.data?.message || 'Could not delete your review right now.' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderViewerSection = () => {
+    if (!signedIn) {
+      return (
+        <Alert
+          severity="info"
+          action={
+            <Button color="inherit" size="small" onClick={() => navigate('/login')}>
+              Sign in
+            </Button>
+          }
+        >
+          Sign in to share your experience with this product.
+        </Alert>
+      );
+    }
+
+    if (data.viewerReview && !editing) {
+      return (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="overline" color="text.secondary">
+            Your review
+          </Typography>
+          <ReviewItem review={data.viewerReview} />
+          <Stack direction="row" spacing={1}>
+            <Button size="small" variant="outlined" onClick={() => setEditing(true)} disabled={submitting}>
+              Edit
+            </Button>
+            <Button size="small" color="error" onClick={handleDelete} disabled={submitting}>
+              Delete
+            </Button>
+          </Stack>
+        </Paper>
+      );
+    }
+
+    const initial = data.viewerReview ? { rating: data.viewerReview.rating, title: data.viewerReview.title, body: data.viewerReview.body } : null;
+    return (
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Typography variant="subtitle1" fontWeight={700} gutterBottom>
+          {data.viewerReview ? 'Edit your review' : 'Write a review'}
+        </Typography>
+        <ReviewForm initial={initial} submitting={submitting} onSubmit={handleSubmit} onCancel={data.viewerReview ? () => setEditing(false) : undefined} />
+      </Paper>
+    );
+  };
+
+  return (
+    <Box sx={{ mt: 5 }}>
+      <Typography variant="h5" gutterBottom>
+        Customer reviews ({data.total})
+      </Typography>
+
+      {renderViewerSection()}
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <CircularProgress size={32} />
+        </Box>
+      ) : data.reviews.length === 0 ? (
+        !error && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            No reviews yet. Be the first to review this product.
+          </Typography>
+        )
+      ) : (
+        <Box sx={{ mt: 2 }}>
+          {data.reviews.map((review, index) => (
+            <React.Fragment key={review.id}>
+              {index > 0 && <Divider />}
+              <ReviewItem review={review} />
+            </React.Fragment>
+          ))}
+        </Box>
+      )}
+
+      {data.totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Pagination count={data.totalPages} page={page} onChange={(_e, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ProductReviews;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { IconButton, Stack, Typography } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import RemoveIcon from '@mui/icons-material/Remove';
+
+// Minus / count / plus control. Buttons disable themselves at `min` and `max` rather than clamping silently.
+function QuantityStepper({ value, onChange, min = 1, max = Infinity, disabled = false, label = 'Quantity' }) {
+  return (
+    <Stack direction="row" alignItems="center" spacing={0.5} role="group" aria-label={label}>
+      <IconButton size="small" aria-label="Decrease quantity" onClick={() => onChange(value - 1)} disabled={disabled || value <= min}>
+        <RemoveIcon fontSize="small" />
+      </IconButton>
+      <Typography variant="body2" aria-live="polite" sx={{ minWidth: 24, textAlign: 'center' }}>
+        {value}
+      </Typography>
+      <IconButton size="small" aria-label="Increase quantity" onClick={() => onChange(value + 1)} disabled={disabled || value >= max}>
+        <AddIcon fontSize="small" />
+      </IconButton>
+    </Stack>
+  );
+}
+
+export default QuantityStepper;
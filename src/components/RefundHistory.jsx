@@ -0,0 +1,35 @@
+import React from 'react';
+import { Box, List, ListItem, ListItemText, Typography } from '@mui/material';
+import { displayMoney } from '../utils/money';
+import { formatTimestamp } from './OrderStatusTimeline';
+import { TotalsRow } from './OrderTotals';
+
+// Refunds made for an order, oldest first, and what the customer has paid once they are taken off.
+function RefundHistory({ order }) {
+  const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+  if (!refunds.length) return null;
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle1" fontWeight={600}>
+        Refunds
+      </Typography>
+      <List dense>
+        {refunds.map(refund => (
+          <ListItem key={refund.id} disableGutters>
+            <ListItemText
+              primary={refund.reason || 'Refund'}
+              secondary={[formatTimestamp(refund.createdAt), (refund.lines || []).map(line => `${line.name} × ${line.quantity}`).join(', ')].filter(Boolean).join(' • ')}
+            />
+            <Typography variant="body2" color="success.main">
+              −{displayMoney(refund.money?.amount, refund.amount, order.currency)}
+            </Typography>
+          </ListItem>
+        ))}
+      </List>
+      <TotalsRow label="Net paid" value={displayMoney(order.money?.netPaid, order.netPaid, order.currency)} bold />
+    </Box>
+  );
+}
+
+export default RefundHistory;
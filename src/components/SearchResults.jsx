@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { List, ListItem, ListItemText, ListItemAvatar, Avatar, Typography, Paper } from '@mui/material';
+import { formatProductPrice } from '../utils/money';
 
 function SearchResults({ results, onResultClick, setSearchResults, variant = 'popover' }) {
   const handleItemClick = () => {
@@ -50,7 +51,7 @@ function SearchResults({ results, onResultClick, setSearchResults, variant = 'po
                   secondary={
                     <React.Fragment>
                       <Typography sx={{ display: 'inline' }} component="span" variant="body2" color="text.primary">
-                        ${product.price}
+                        {formatProductPrice(product)}
                       </Typography>
                       {' - ' + product.description.slice(0, 50) + '...'}
                     </React.Fragment>
@@ -2,6 +2,7 @@ import * as React from 'react';
 import { List, ListItem, ListItemText, ListItemAvatar, Avatar, Button, Typography, Divider, Box } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import { useNavigate } from 'react-router-dom';
+import { formatMoney, formatProductPrice, sumCartItems } from '../utils/money';
 
 function ShoppingCart({ cart, setCart }) {
   const navigate = useNavigate();
@@ -10,9 +11,6 @@ function ShoppingCart({ cart, setCart }) {
     setCart(cart.filter(item => item.id !== productId));
   };
 
-  const calculateTotal = () => {
-    return cart.reduce((total, item) => total + item.price, 0);
-  };
 
   const handleCheckout = () => {
     navigate('/checkout');
@@ -41,14 +39,14 @@ function ShoppingCart({ cart, setCart }) {
                   <ListItemAvatar>
                     <Avatar src={item.image} alt={item.name} />
                   </ListItemAvatar>
-                  <ListItemText primary={item.name} secondary={`$${item.price.toFixed(2)}`} />
+                  <ListItemText primary={item.name} secondary={formatProductPrice(item)} />
                 </ListItem>
                 <Divider variant="inset" component="li" />
               </React.Fragment>
             ))}
           </List>
           <Typography variant="h6" sx={{ mt: 2 }}>
-            Total: ${calculateTotal().toFixed(2)}
+            Total: {formatMoney(sumCartItems(cart), cart[0]?.currency)}
           </Typography>
           <Button variant="contained" onClick={handleCheckout} sx={{ mt: 2 }}>
             Proceed to Checkout
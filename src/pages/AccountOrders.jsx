@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Container,
+  Divider,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Pagination,
+  Paper,
+  Stack,
+  Typography,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { useNavigate, useParams } from 'react-router-dom';
+import { apiClient, withRetry } from '../services/apiClient';
+import OrderStatusTimeline, { formatTimestamp } from '../components/OrderStatusTimeline';
+import { displayMoney } from '../utils/money';
+import { formatDeliveryWindow } from '../utils/delivery';
+import RefundHistory from '../components/RefundHistory';
+
+const PAGE_SIZE = 10;
+
+function SignInPrompt({ onSignIn }) {
+  return (
+    <Container maxWidth="md" sx={{ mt: 8 }}>
+      <Paper sx={{ p: 4, borderRadius: 3 }}>
+        <Typography variant="h5" fontWeight={700} gutterBottom>
+          Sign in required
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Sign in to see the orders placed with your account. Guest orders can still be found on the order tracking page.
+        </Typography>
+        <Button variant="contained" onClick={onSignIn}>
+          Go to login
+        </Button>
+      </Paper>
+    </Container>
+  );
+}
+
+function OrderList({ onSelect }) {
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ orders: [], total: 0, totalPages: 1 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchOrders = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data: payload } = await withRetry(() => apiClient.get('orders/mine', { params: { page, limit: PAGE_SIZE } }));
+        if (!cancelled) setData(payload);
+      } catch (err) {
+        console.error('Error fetching orders:', err);
+        if (!cancelled) setError(err.response?.data?.error || 'We could not load your orders right now.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchOrders();
+    return () => {
+      cancelled = true;
+    };
+  }, [page]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress size={32} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!data.orders.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        You have not placed any orders with this account yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <>
+      <List disablePadding>
+        {data.orders.map((order, index) => (
+          <React.Fragment key={order.orderNumber}>
+            {index > 0 && <Divider component="li" />}
+            <ListItem disablePadding>
+              <ListItemButton onClick={() => onSelect(order.orderNumber)}>
+                <ListItemText
+                  primary={`${order.orderNumber} · ${displayMoney(order.money?.total, order.total, order.currency)}${
+                    order.amountRefunded > 0 ? ` (${displayMoney(order.money?.amountRefunded, order.amountRefunded, order.currency)} refunded)` : ''
+                  }`}
+                  secondary={`Placed ${formatTimestamp(order.createdAt)} • ${order.itemCount} item${order.itemCount !== 1 ? 's' : ''}: ${order.items
+                    .map(item => item.name)
+                    .join(', ')}`}
+                />
+                {order.currentStatus?.label && <Chip label={order.currentStatus.label} size="small" color="primary" variant="outlined" sx={{ ml: 2 }} />}
+              </ListItemButton>
+            </ListItem>
+          </React.Fragment>
+        ))}
+      </List>
+      {data.totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+          <Pagination count={data.totalPages} page={page} onChange={(_e, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+    </>
+  );
+}
+
+function OrderDetail({ orderNumber, onBack }) {
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchOrder = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await withRetry(() => apiClient.get(`orders/mine/${encodeURIComponent(orderNumber)}`));
+      setOrder(data);
+    } catch (err) {
+      console.error('Error fetching order:', err);
+      setError(err.response?.data?.error || 'We could not load this order right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [orderNumber]);
+
+  useEffect(() => {
+    fetchOrder();
+  }, [fetchOrder]);
+
+  return (
+    <Stack spacing={2}>
+      <Box>
+        <Button startIcon={<ArrowBackIcon />} onClick={onBack}>
+          All orders
+        </Button>
+      </Box>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress size={32} />
+        </Box>
+      )}
+
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {order && !loading && (
+        <>
+          <Stack direction="row" spacing={1} alignItems="center" justifyContent="space-between" flexWrap="wrap" useFlexGap>
+            <Typography variant="h6" fontWeight={700}>
+              Order {order.orderNumber}
+            </Typography>
+            {order.currentStatus?.label && <Chip label={order.currentStatus.label} color="primary" variant="outlined" />}
+          </Stack>
+          <Typography variant="body2" color="text.secondary">
+            Placed {formatTimestamp(order.createdAt)} • Total {displayMoney(order.money?.total, order.total, order.currency)}
+            {order.deliveryWindow || order.estimatedDelivery
+              ? ` • Estimated delivery ${formatDeliveryWindow(order.deliveryWindow) || formatTimestamp(order.estimatedDelivery)}`
+              : ''}
+          </Typography>
+
+          <List dense>
+            {(order.items || []).map(item => (
+              <ListItem key={item.id || item.name} disableGutters>
+                <ListItemText primary={item.name} secondary={`Qty ${item.quantity} • ${displayMoney(item.money?.price, item.price, order.currency)}`} />
+              </ListItem>
+            ))}
+          </List>
+          <RefundHistory order={order} />
+
+          <Divider />
+          <OrderStatusTimeline statusFlow={order.statusFlow} statusHistory={order.statusHistory || []} currentStatus={order.currentStatus} />
+        </>
+      )}
+    </Stack>
+  );
+}
+
+function AccountOrders() {
+  const navigate = useNavigate();
+  const { orderNumber } = useParams();
+  const token = typeof window !== 'undefined' ? localStorage.getItem('MERNEcommerceToken') : null;
+
+  if (!token) {
+    return <SignInPrompt onSignIn={() => navigate('/login')} />;
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 6, mb: 8 }}>
+      <Paper sx={{ p: { xs: 3, md: 4 }, borderRadius: 3 }}>
+        <Typography variant="h5" fontWeight={700} gutterBottom>
+          My orders
+        </Typography>
+        {orderNumber ? (
+          <OrderDetail orderNumber={orderNumber} onBack={() => navigate('/account/orders')} />
+        ) : (
+          <OrderList onSelect={selected => navigate(`/account/orders/${selected}`)} />
+        )}
+      </Paper>
+    </Container>
+  );
+}
+
+export default AccountOrders;
@@ -16,6 +16,7 @@ import {
 import { useNavigate } from 'react-router-dom';
 import { apiClient } from '../services/apiClient';
 import { useNotifier } from '../context/NotificationProvider';
+import { isStoredUserAdmin } from '../utils/auth';
 
 function Accounts() {
   const [users, setUsers] = useState([]);
@@ -24,9 +25,10 @@ function Accounts() {
   const navigate = useNavigate();
   const { notify } = useNotifier();
   const token = typeof window !== 'undefined' ? localStorage.getItem('MERNEcommerceToken') : null;
+  const isAdmin = isStoredUserAdmin();
 
   useEffect(() => {
-    if (!token) return;
+    if (!token || !isAdmin) return;
     const fetchUsers = async () => {
       setLoading(true);
       setError(null);
@@ -44,7 +46,7 @@ function Accounts() {
       }
     };
     fetchUsers();
-  }, [token, notify]);
+  }, [token, isAdmin, notify]);
 
   if (!token) {
     return (
@@ -64,6 +66,24 @@ function Accounts() {
     );
   }
 
+  if (!isAdmin) {
+    return (
+      <Container maxWidth="md" sx={{ mt: 8 }}>
+        <Paper sx={{ p: 4, borderRadius: 3 }}>
+          <Typography variant="h5" fontWeight={700} gutterBottom>
+            Admins only
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            The account list is only available to store administrators.
+          </Typography>
+          <Button variant="contained" onClick={() => navigate('/')}>
+            Back to home
+          </Button>
+        </Paper>
+      </Container>
+    );
+  }
+
   return (
     <Container maxWidth="md" sx={{ mt: 6, mb: 8 }}>
       <Paper sx={{ p: 3, borderRadius: 3 }}>
@@ -87,6 +107,7 @@ function Accounts() {
                 <TableCell>ID</TableCell>
                 <TableCell>Name</TableCell>
                 <TableCell>Email</TableCell>
+                <TableCell>Role</TableCell>
                 <TableCell>Verified</TableCell>
                 <TableCell>Created</TableCell>
               </TableRow>
@@ -97,13 +118,14 @@ function Accounts() {
                   <TableCell>{user.id}</TableCell>
                   <TableCell>{user.name}</TableCell>
                   <TableCell>{user.email}</TableCell>
+                  <TableCell>{user.role}</TableCell>
                   <TableCell>{user.emailVerified ? 'Yes' : 'No'}</TableCell>
                   <TableCell>{user.createdAt ? new Date(user.createdAt).toLocaleString() : '-'}</TableCell>
                 </TableRow>
               ))}
               {!users.length && !loading && (
                 <TableRow>
-                  <TableCell colSpan={5}>
+                  <TableCell colSpan={6}>
                     <Typography variant="body2" color="text.secondary">
                       No accounts found.
                     </Typography>
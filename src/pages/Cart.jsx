@@ -5,6 +5,9 @@ import ShoppingBagIcon from '@mui/icons-material/ShoppingBag';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import { useNavigate } from 'react-router-dom';
 import { useNotifier } from '../context/NotificationProvider';
+import QuantityStepper from '../components/QuantityStepper';
+import { cartItemTotal, formatMoney, formatProductPrice, sumCartItems } from '../utils/money';
+import { cartUnitCount, maxCartQuantity } from '../utils/products';
 
 function Cart({ cart, setCart }) {
   const navigate = useNavigate();
@@ -15,11 +18,12 @@ function Cart({ cart, setCart }) {
     notify({ severity: 'info', message: 'Removed from cart.' });
   };
 
-  const calculateTotal = () =>
-    cart.reduce((total, item) => {
-      const price = typeof item.price === 'number' ? item.price : 0;
-      return total + price;
-    }, 0);
+  const changeQuantity = (productId, quantity) => {
+    setCart(cart.map(item => (item.id === productId ? { ...item, quantity } : item)));
+  };
+
+  const currency = cart[0]?.currency;
+  const itemCount = cartUnitCount(cart);
 
   const handleCheckout = () => {
     if (!cart.length) {
@@ -39,7 +43,7 @@ function Cart({ cart, setCart }) {
           <Button variant="text" startIcon={<ArrowBackIcon />} onClick={() => navigate('/shop')}>
             Continue shopping
           </Button>
-          <Chip icon={<ShoppingBagIcon />} label={`${cart.length} items`} color="primary" variant="outlined" />
+          <Chip icon={<ShoppingBagIcon />} label={`${itemCount} ${itemCount === 1 ? 'item' : 'items'}`} color="primary" variant="outlined" />
         </Stack>
       </Stack>
 
@@ -60,17 +64,25 @@ function Cart({ cart, setCart }) {
           <List>
             {cart.map(item => (
               <React.Fragment key={item.id}>
-                <ListItem
-                  secondaryAction={
-                    <Button onClick={() => removeFromCart(item.id)} startIcon={<DeleteIcon />} color="error">
-                      Remove
-                    </Button>
-                  }
-                >
+                <ListItem sx={{ flexWrap: { xs: 'wrap', sm: 'nowrap' }, gap: 1 }}>
                   <ListItemAvatar>
                     <Avatar src={item.image} alt={item.name} variant="rounded" />
                   </ListItemAvatar>
-                  <ListItemText primary={item.name} secondary={`$${typeof item.price === 'number' ? item.price.toFixed(2) : 'Price not available'}`} />
+                  <ListItemText primary={item.name} secondary={typeof item.price === 'number' ? formatProductPrice(item) : 'Price not available'} />
+                  <Stack direction="row" spacing={2} alignItems="center">
+                    <QuantityStepper
+                      value={item.quantity || 1}
+                      max={Math.max(maxCartQuantity(item), item.quantity || 1)}
+                      onChange={quantity => changeQuantity(item.id, quantity)}
+                      label={`Quantity of ${item.name}`}
+                    />
+                    <Typography variant="body2" fontWeight={600} sx={{ minWidth: 80, textAlign: 'right' }}>
+                      {formatMoney(cartItemTotal(item), item.currency || currency)}
+                    </Typography>
+                    <Button onClick={() => removeFromCart(item.id)} startIcon={<DeleteIcon />} color="error">
+                      Remove
+                    </Button>
+                  </Stack>
                 </ListItem>
                 <Divider variant="inset" component="li" />
               </React.Fragment>
@@ -78,7 +90,7 @@ function Cart({ cart, setCart }) {
           </List>
 
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 4, flexWrap: 'wrap', gap: 2 }}>
-            <Typography variant="h6">Total: ${calculateTotal().toFixed(2)}</Typography>
+            <Typography variant="h6">Total: {formatMoney(sumCartItems(cart), currency)}</Typography>
             <Stack direction="row" spacing={2}>
               <Button variant="outlined" onClick={() => navigate('/shop')}>
                 Continue shopping
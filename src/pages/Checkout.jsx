@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import CheckoutForm from '../components/CheckoutForm';
 import {
@@ -18,13 +18,55 @@ import {
   ListItemText,
   Checkbox,
   Tooltip,
+  Alert,
 } from '@mui/material';
 import ShoppingCartCheckoutIcon from '@mui/icons-material/ShoppingCartCheckout';
 import LockIcon from '@mui/icons-material/Lock';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import ShoppingBagIcon from '@mui/icons-material/ShoppingBag';
 import { useNotifier } from '../context/NotificationProvider';
-import { apiClient, withRetry } from '../services/apiClient';
+import { apiClient, createIdempotencyKey, withRetry } from '../services/apiClient';
+import { cartItemTotal, displayMoney, formatMoney, formatProductPrice, sumCartItems } from '../utils/money';
+import { TOKEN_STORAGE_KEY } from '../utils/auth';
+import { formatDeliveryWindow } from '../utils/delivery';
+import OrderTotals, { lineTaxText } from '../components/OrderTotals';
+
+function QuoteSummary({ quote }) {
+  const show = (source, field) => displayMoney(source.money?.[field], source[field], quote.currency);
+  return (
+    <Paper variant="outlined" sx={{ mb: 4, borderRadius: 3, p: 2 }}>
+      <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+        Order summary
+      </Typography>
+      <List dense disablePadding>
+        {quote.lines.map(line => (
+          <ListItem key={line.productId} disableGutters>
+            <ListItemText
+              primary={`${line.name} × ${line.quantity}`}
+              secondary={[line.discount > 0 ? `${show(line, 'subtotal')} − ${show(line, 'discount')} discount` : `${show(line, 'unitPrice')} each`, lineTaxText(line, quote.currency)]
+                .filter(Boolean)
+                .join(' • ')}
+            />
+            <Typography variant="body2">{show(line, 'total')}</Typography>
+          </ListItem>
+        ))}
+      </List>
+      <Divider sx={{ my: 1 }} />
+      <OrderTotals totals={quote} />
+      {quote.deliveryWindow && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          Estimated delivery {formatDeliveryWindow(quote.deliveryWindow)}
+        </Typography>
+      )}
+    </Paper>
+  );
+}
+
+const fetchQuote = async request => {
+  const { data } = await withRetry(() => apiClient.post('checkout/quote', request));
+  // Only treat well-formed responses as a quote; anything else falls back to the cart estimate.
+  return Array.isArray(data?.lines) ? data : null;
+};
 
 function Checkout({ cartItems = [], onOrderComplete }) {
   const navigate = useNavigate();
@@ -38,14 +80,121 @@ function Checkout({ cartItems = [], onOrderComplete }) {
     const defaults = cartItems.map(item => item._id || item.id).filter(Boolean);
     return new Set(defaults);
   });
+  const [couponCode, setCouponCode] = useState(null);
+  // `{ shippingAddressId }` for a saved address, or `{ shippingAddress }` with what is known of a new one.
+  const [destination, setDestination] = useState(null);
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [addressErrors, setAddressErrors] = useState({});
+  // Null until the customer picks one, so the server's default method applies.
+  const [shippingMethod, setShippingMethod] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  // An order whose stock is reserved but whose payment has not gone through; retries pay for it instead of placing another.
+  const [pendingOrder, setPendingOrder] = useState(null);
+  const couponEmailRef = useRef('');
+  const lastQuoteKeyRef = useRef(null);
+  const token = typeof window !== 'undefined' ? localStorage.getItem(TOKEN_STORAGE_KEY) : null;
 
-  const handleSubmit = async formData => {
-    const itemsToPurchase = cartItems.filter(item => {
+  useEffect(() => {
+    if (!token) return undefined;
+    let cancelled = false;
+    apiClient
+      .get('account/addresses')
+      .then(res => {
+        if (!cancelled && Array.isArray(res.data)) setSavedAddresses(res.data);
+      })
+      .catch(error => {
+        // Without the address book the customer can still type an address.
+        console.warn('Unable to load saved addresses', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const buildOrderItems = items =>
+    items
+      .map(item => ({
+        productId: item._id || item.id,
+        quantity: item.quantity || 1,
+      }))
+      .filter(item => item.productId);
+
+  const getSelectedCartItems = () =>
+    cartItems.filter(item => {
       const id = item._id || item.id;
       return id && selectedItems.has(id);
     });
 
-    if (!selectedItems.size || !itemsToPurchase.length) {
+  const quoteItems = buildOrderItems(getSelectedCartItems());
+  const buildQuoteRequest = code => ({
+    items: quoteItems,
+    ...destination,
+    shippingMethod: shippingMethod || undefined,
+    couponCode: code || undefined,
+    email: couponEmailRef.current || undefined,
+  });
+
+  const handleApplyCoupon = async (code, email) => {
+    couponEmailRef.current = email;
+    const request = buildQuoteRequest(code);
+    const data = await fetchQuote(request);
+    const appliedCode = data?.promotion?.code || code.toUpperCase();
+    lastQuoteKeyRef.current = JSON.stringify({ ...request, couponCode: appliedCode });
+    setQuote(data);
+    setQuoteError('');
+    setCouponCode(appliedCode);
+    notify({ severity: 'success', message: `Promo code ${appliedCode} applied.` });
+  };
+
+  const quoteKey = JSON.stringify(buildQuoteRequest(couponCode));
+
+  // Re-price whenever the selection, address or promo code changes so the summary always matches what create-order will charge.
+  // Everything the effect needs is read back from the key, so it runs exactly when the request changes.
+  useEffect(() => {
+    const request = JSON.parse(quoteKey);
+    if (!request.items.length) {
+      lastQuoteKeyRef.current = null;
+      setQuote(null);
+      return undefined;
+    }
+    if (lastQuoteKeyRef.current === quoteKey) return undefined;
+    lastQuoteKeyRef.current = quoteKey;
+
+    let cancelled = false;
+    fetchQuote(request)
+      .then(data => {
+        if (cancelled) return;
+        setQuote(data);
+        setQuoteError('');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        const responseData = error?.response?.data;
+        if (responseData?.code === 'INVALID_COUPON' && request.couponCode) {
+          setCouponCode(null);
+          notify({ severity: 'warning', message: responseData.error || `Promo code ${request.couponCode} was removed.` });
+          return;
+        }
+        // A method chosen for one address may not ship to the next; fall back to the default.
+        if (responseData?.code === 'INVALID_SHIPPING_METHOD' && request.shippingMethod) {
+          setShippingMethod(null);
+          notify({ severity: 'warning', message: responseData.error || 'That shipping method is not available for this address.' });
+          return;
+        }
+        lastQuoteKeyRef.current = null;
+        setQuote(null);
+        setQuoteError(responseData?.error || 'We could not price your order right now. Totals below are estimates.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteKey, notify]);
+
+  const handleSubmit = async (formData, confirmPayment) => {
+    const itemsToPurchase = getSelectedCartItems();
+
+    if (!pendingOrder && (!selectedItems.size || !itemsToPurchase.length)) {
       const message = !selectedItems.size
         ? 'Select at least one item before checking out.'
         : 'Selected items are unavailable. Please refresh your cart.';
@@ -56,25 +205,48 @@ function Checkout({ cartItems = [], onOrderComplete }) {
 
     setLoading(true);
     setErrorMessage('');
+    setAddressErrors({});
 
     try {
-      const orderPayload = {
-        ...formData,
-        items: itemsToPurchase
-          .map(item => ({
-            productId: item._id || item.id,
-            quantity: item.quantity || 1,
-          }))
-          .filter(item => item.productId),
-      };
-
-      if (!orderPayload.items.length) {
-        setLoading(false);
-        notify({ severity: 'error', message: 'Unable to place order: missing product information.' });
-        return;
+      let data = pendingOrder;
+      if (!data) {
+        const orderPayload = {
+          ...formData,
+          ...(shippingMethod && { shippingMethod }),
+          items: buildOrderItems(itemsToPurchase),
+        };
+
+        if (!orderPayload.items.length) {
+          setLoading(false);
+          notify({ severity: 'error', message: 'Unable to place order: missing product information.' });
+          return;
+        }
+
+        // Retries below share this key, so a timeout after the server committed cannot create a second order.
+        const idempotencyKey = createIdempotencyKey();
+        ({ data } = await withRetry(() => apiClient.post('checkout/create-order', orderPayload, { headers: { 'Idempotency-Key': idempotencyKey } })));
       }
 
-      const { data } = await withRetry(() => apiClient.post('checkout/create-order', orderPayload));
+      const payment = data?.payment;
+      if (payment && payment.status !== 'succeeded') {
+        setPendingOrder(data);
+        let confirmation = {};
+        let cardError = null;
+        try {
+          confirmation = confirmPayment ? await confirmPayment(payment) : {};
+        } catch (error) {
+          cardError = error;
+        }
+        // The server checks the payment even after a card error, so a decline releases the order there as well.
+        try {
+          await withRetry(() =>
+            apiClient.post(`checkout/orders/${data.orderNumber}/confirm-payment`, { paymentIntentId: payment.intentId, ...confirmation })
+          );
+        } catch (error) {
+          throw cardError && error?.response?.data?.code === 'PAYMENT_INCOMPLETE' ? cardError : error;
+        }
+        setPendingOrder(null);
+      }
 
       const normalizedEmail = formData.email?.trim() || '';
 
@@ -97,16 +269,48 @@ function Checkout({ cartItems = [], onOrderComplete }) {
           orderNumber: data?.orderNumber,
           email: normalizedEmail,
           estimatedDelivery: data?.estimatedDelivery,
+          deliveryWindow: data?.deliveryWindow,
+          shippingMethod: data?.shippingMethod,
           items: data?.items,
+          subtotal: data?.subtotal,
+          discountTotal: data?.discountTotal,
+          shippingTotal: data?.shippingTotal,
+          taxTotal: data?.taxTotal,
           total: data?.total,
+          tax: data?.tax,
+          couponCode: data?.couponCode,
+          currency: data?.currency,
+          money: data?.money,
         },
       });
     } catch (error) {
       console.error('Error creating order:', error);
       setLoading(false);
       const apiBase = apiClient?.defaults?.baseURL;
+      const responseData = error?.response?.data;
+      if (responseData?.code === 'INVALID_COUPON') {
+        setCouponCode(null);
+      }
+      if (responseData?.code === 'INVALID_SHIPPING_METHOD') {
+        setShippingMethod(null);
+      }
+      if (responseData?.code === 'INVALID_ADDRESS' && Array.isArray(responseData.fields)) {
+        setAddressErrors(Object.fromEntries(responseData.fields.map(field => [field.path.replace(/^shippingAddress\./, ''), field.msg])));
+      }
+      // A declined order has been released, so the next attempt places a new one.
+      if (responseData?.code === 'PAYMENT_DECLINED') {
+        setPendingOrder(null);
+      }
+      const stockDetails =
+        responseData?.code === 'INSUFFICIENT_STOCK' && Array.isArray(responseData.items)
+          ? responseData.items.map(item => `${item.name}: ${item.available} left, ${item.requested} requested`).join('; ')
+          : '';
+      // Errors that are not API responses come from the card form (for example a Stripe decline).
+      const paymentMessage = !error?.isAxiosError && error?.message;
       const message =
-        error?.response?.data?.error ||
+        (stockDetails && `${responseData.error} ${stockDetails}.`) ||
+        responseData?.error ||
+        paymentMessage ||
         (error?.code === 'ERR_NETWORK' && apiBase ? `Cannot reach API at ${apiBase}` : 'Something went wrong while placing your order.');
       setErrorMessage(message);
       notify({ severity: 'error', message });
@@ -114,11 +318,19 @@ function Checkout({ cartItems = [], onOrderComplete }) {
   };
 
   const selectedIds = Array.from(selectedItems);
-  const itemsToShow = cartItems.filter(item => {
-    const id = item._id || item.id;
-    return id && selectedItems.has(id);
-  });
-  const total = itemsToShow.reduce((sum, item) => sum + (item.price || 0), 0);
+  const itemsToShow = getSelectedCartItems();
+  const totalDue = quote ? displayMoney(quote.money?.total, quote.total, quote.currency) : formatMoney(sumCartItems(itemsToShow), itemsToShow[0]?.currency);
+  const appliedCoupon =
+    couponCode && quote?.promotion
+      ? {
+          couponCode: quote.promotion.code,
+          description: quote.promotion.description,
+          discount: quote.discountTotal,
+          money: quote.money?.discountTotal,
+          currency: quote.currency,
+          freeShipping: quote.promotion.freeShipping,
+        }
+      : null;
   const allSelected = cartItems.every(item => selectedItems.has(item._id || item.id));
 
   const toggleItem = id => {
@@ -153,8 +365,9 @@ function Checkout({ cartItems = [], onOrderComplete }) {
               Checkout
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              You have {itemsToShow.length} item{itemsToShow.length !== 1 ? 's' : ''} selected. Total due ${total.toFixed(2)}.
+              You have {itemsToShow.length} item{itemsToShow.length !== 1 ? 's' : ''} selected. Total due {totalDue}.
             </Typography>
+
           </Box>
         </Stack>
 
@@ -196,7 +409,10 @@ function Checkout({ cartItems = [], onOrderComplete }) {
                       <ListItemAvatar>
                         <Avatar src={item.image} alt={item.name} variant="rounded" />
                       </ListItemAvatar>
-                      <ListItemText primary={item.name} secondary={`$${(item.price || 0).toFixed(2)}`} />
+                      <ListItemText
+                        primary={item.name}
+                        secondary={`${formatProductPrice(item)} × ${item.quantity || 1} = ${formatMoney(cartItemTotal(item), item.currency)}`}
+                      />
                     </ListItem>
                   );
                 })}
@@ -210,6 +426,13 @@ function Checkout({ cartItems = [], onOrderComplete }) {
           </Paper>
         )}
 
+        {quote && <QuoteSummary quote={quote} />}
+        {quoteError && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+            {quoteError}
+          </Typography>
+        )}
+
         {orderCreated ? (
           <Typography variant="h5" gutterBottom>
             Thank you for your order! You will be redirected shortly.
@@ -222,7 +445,25 @@ function Checkout({ cartItems = [], onOrderComplete }) {
                 {errorMessage}
               </Typography>
             )}
-            <CheckoutForm onSubmit={handleSubmit} submitting={loading} />
+            {pendingOrder && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Order {pendingOrder.orderNumber} is reserved but not paid yet. Submit again to retry the payment.
+              </Alert>
+            )}
+            <CheckoutForm
+              onSubmit={handleSubmit}
+              submitting={loading}
+              onApplyCoupon={handleApplyCoupon}
+              onRemoveCoupon={() => setCouponCode(null)}
+              onShippingAddressChange={setDestination}
+              appliedCoupon={appliedCoupon}
+              savedAddresses={savedAddresses}
+              canSaveAddress={!!token}
+              addressErrors={addressErrors}
+              shippingOptions={quote?.shippingOptions || []}
+              shippingMethod={quote?.shippingMethod?.code || shippingMethod}
+              onShippingMethodChange={setShippingMethod}
+            />
             <Stack direction="row" spacing={1} alignItems="center" sx={{ mt: 2, color: 'text.secondary' }}>
               <LockIcon fontSize="small" />
               <Typography variant="caption">Payments processed securely. We never store your card details.</Typography>
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Box, Container, TextField, Typography, Button, CircularProgress, Paper, Stack } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { Alert, Box, Container, TextField, Typography, Button, CircularProgress, Paper, Stack } from '@mui/material';
 import { apiClient } from '../services/apiClient';
 import { useNotifier } from '../context/NotificationProvider';
 
@@ -8,7 +8,7 @@ function ForgotPassword() {
   const [email, setEmail] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const navigate = useNavigate();
+  const [sentMessage, setSentMessage] = useState('');
   const { notify } = useNotifier();
 
   const handleSubmit = async e => {
@@ -17,12 +17,12 @@ function ForgotPassword() {
     setError(null);
 
     try {
-      // Verify email
-      await apiClient.post('auth/verify-email', { email });
-      notify({ severity: 'success', message: 'Email verified! Please set your new password.' });
-      setTimeout(() => navigate('/reset-password'), 400);
+      const { data } = await apiClient.post('auth/password-reset/request', { email });
+      const message = data?.msg || 'If an account exists for that email, we sent a link to reset the password.';
+      setSentMessage(message);
+      notify({ severity: 'success', message: 'Check your inbox for a reset link.' });
     } catch (err) {
-      const message = err.response?.data?.msg || 'Failed to verify email';
+      const message = err.response?.data?.errors?.[0]?.msg || err.response?.data?.msg || 'Failed to request a password reset';
       setError(message);
       notify({ severity: 'error', message });
     } finally {
@@ -48,28 +48,37 @@ function ForgotPassword() {
           </Typography>
         )}
 
-        <form onSubmit={handleSubmit}>
-          <TextField
-            label="Email"
-            variant="outlined"
-            fullWidth
-            margin="normal"
-            value={email}
-            type={'email'}
-            onChange={e => setEmail(e.target.value)}
-            required
-          />
+        {sentMessage ? (
+          <Stack spacing={2}>
+            <Alert severity="success">{sentMessage} The link expires soon and can be used once.</Alert>
+            <Button component={RouterLink} to="/login" variant="outlined" fullWidth>
+              Back to sign in
+            </Button>
+          </Stack>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <TextField
+              label="Email"
+              variant="outlined"
+              fullWidth
+              margin="normal"
+              value={email}
+              type={'email'}
+              onChange={e => setEmail(e.target.value)}
+              required
+            />
 
-          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
-            {loading ? (
-              <CircularProgress />
-            ) : (
-              <Button type="submit" variant="contained" size="large" fullWidth>
-                Verify Email
-              </Button>
-            )}
-          </Box>
-        </form>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+              {loading ? (
+                <CircularProgress />
+              ) : (
+                <Button type="submit" variant="contained" size="large" fullWidth>
+                  Send Reset Link
+                </Button>
+              )}
+            </Box>
+          </form>
+        )}
       </Paper>
     </Container>
   );
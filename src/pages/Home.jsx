@@ -206,37 +206,71 @@ function RecommendedEmpty({ onExplore }) {
 
 /* --------------------------------------------------- */
 
-function Home({ products, addToCart, error, loading }) {
-  const featuredProducts = React.useMemo(() => products.slice(0, 3).map(normalizeProduct), [products]);
-  const newArrivals = React.useMemo(() => {
-    if (!Array.isArray(products)) return [];
-    return [...products]
-      .filter(Boolean)
-      .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
-      .slice(0, 6)
-      .map(normalizeProduct);
-  }, [products]);
-  const topRated = React.useMemo(() => {
-    if (!Array.isArray(products)) return [];
-    const rated = products.filter(p => typeof p?.rating === 'number' && p.rating >= 4.2);
-    const base = rated.length ? rated : products;
-    return base.slice(0, 6).map(normalizeProduct);
-  }, [products]);
+// Each storefront section asks the catalog for just the products it shows.
+const FEATURED_PARAMS = { limit: 3, sort: 'featured' };
+const NEW_ARRIVALS_PARAMS = { limit: 6, sort: 'newest' };
+
+function Home({ addToCart }) {
+  const [storefront, setStorefront] = React.useState({ featured: [], newArrivals: [], categories: [] });
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    let active = true;
+
+    const fetchStorefront = async () => {
+      setError(null);
+      try {
+        const [featured, newArrivals, categories] = await Promise.all([
+          withRetry(() => apiClient.get('products', { params: FEATURED_PARAMS })),
+          withRetry(() => apiClient.get('products', { params: NEW_ARRIVALS_PARAMS })),
+          withRetry(() => apiClient.get('products/categories')),
+        ]);
+        if (!Array.isArray(featured.data?.products) || !Array.isArray(newArrivals.data?.products)) {
+          throw new Error('Unexpected products response.');
+        }
+        if (active) {
+          setStorefront({
+            featured: featured.data.products,
+            newArrivals: newArrivals.data.products,
+            categories: Array.isArray(categories.data) ? categories.data : [],
+          });
+        }
+      } catch (err) {
+        if (!active) return;
+        console.error('Error fetching products:', err);
+        setError(err);
+      } finally {
+        if (active) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchStorefront();
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const featuredProducts = React.useMemo(() => storefront.featured.map(normalizeProduct), [storefront.featured]);
+  const newArrivals = React.useMemo(() => storefront.newArrivals.map(normalizeProduct), [storefront.newArrivals]);
   const categories = React.useMemo(() => {
     const unique = new Map();
-    products.forEach(product => {
-      if (!product?.category) return;
-      const key = product.category.toLowerCase();
+    storefront.categories.forEach(({ category, image }) => {
+      if (!category) return;
+      const key = category.toLowerCase();
       if (!unique.has(key)) {
         unique.set(key, {
           key,
-          label: product.category.charAt(0).toUpperCase() + product.category.slice(1),
-          thumbnail: product.image,
+          label: category.charAt(0).toUpperCase() + category.slice(1),
+          thumbnail: image,
         });
       }
     });
     return Array.from(unique.values()).slice(0, 6);
-  }, [products]);
+  }, [storefront.categories]);
 
   const [animatedCards, setAnimatedCards] = React.useState([]);
   const [recs, setRecs] = React.useState([]);
@@ -29,7 +29,11 @@ function Login() {
       }, 400);
     } catch (err) {
       const responseData = err.response?.data;
-      if (responseData?.errors) {
+      if (responseData?.code === 'EMAIL_NOT_VERIFIED') {
+        localStorage.setItem('pendingEmailVerification', responseData.email || email);
+        notify({ severity: 'info', message: responseData.msg });
+        navigate('/verify-email', { state: { email: responseData.email || email } });
+      } else if (responseData?.errors) {
         const errorMessages = responseData.errors.map(error => error.msg).join(', ');
         setError(errorMessages);
         notify({ severity: 'error', message: errorMessages });
@@ -4,6 +4,9 @@ import { Typography, Box, Paper, Button, Stack, Divider, Chip, List, ListItem, L
 import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
 import LocalShippingIcon from '@mui/icons-material/LocalShipping';
+import { displayMoney } from '../utils/money';
+import { formatDeliveryWindow } from '../utils/delivery';
+import OrderTotals, { lineTaxText } from '../components/OrderTotals';
 
 function formatDate(dateString) {
   if (!dateString) return null;
@@ -40,8 +43,10 @@ function OrderSuccess() {
   const estimatedDelivery = stateMeta.estimatedDelivery;
   const items = Array.isArray(stateMeta.items) ? stateMeta.items : [];
   const total = typeof stateMeta.total === 'number' ? stateMeta.total : null;
+  const { money, currency, shippingMethod } = stateMeta;
 
-  const formattedETA = formatDate(estimatedDelivery);
+  // Orders placed before delivery windows existed only carry a single estimated date.
+  const formattedETA = formatDeliveryWindow(stateMeta.deliveryWindow) || formatDate(estimatedDelivery);
 
   const handleTrackOrder = () => {
     if (!orderNumber || !email) {
@@ -76,6 +81,7 @@ function OrderSuccess() {
                 <LocalShippingIcon fontSize="small" color="primary" />
                 <Typography variant="caption" color="text.secondary">
                   Estimated delivery: {formattedETA}
+                  {shippingMethod?.name ? ` (${shippingMethod.name})` : ''}
                 </Typography>
               </Stack>
             )}
@@ -90,16 +96,22 @@ function OrderSuccess() {
             <List dense>
               {items.map(item => (
                 <ListItem key={`${item.productId}-${item.name}`} disableGutters sx={{ py: 0.5 }}>
-                  <ListItemText primary={item.name} secondary={`Qty ${item.quantity} • $${Number(item.price || 0).toFixed(2)}`} />
+                  <ListItemText
+                    primary={item.name}
+                    secondary={[`Qty ${item.quantity}`, displayMoney(item.money?.price, item.price, currency), lineTaxText(item, currency)].filter(Boolean).join(' • ')}
+                  />
                 </ListItem>
               ))}
             </List>
             {typeof total === 'number' && <Divider sx={{ my: 2 }} />}
-            {typeof total === 'number' && (
-              <Typography variant="subtitle2" fontWeight={600}>
-                Order total: ${total.toFixed(2)}
-              </Typography>
-            )}
+            {typeof total === 'number' &&
+              (typeof stateMeta.taxTotal === 'number' ? (
+                <OrderTotals totals={stateMeta} />
+              ) : (
+                <Typography variant="subtitle2" fontWeight={600}>
+                  Order total: {displayMoney(money?.total, total, currency)}
+                </Typography>
+              ))}
           </Box>
         )}
 
@@ -1,9 +1,12 @@
 import * as React from 'react';
 import {
+  Alert,
   Box,
   Button,
   Chip,
   Container,
+  Divider,
+  Fade,
   Grid,
   IconButton,
   List,
@@ -11,124 +14,37 @@ import {
   ListItemText,
   Paper,
   Stack,
-  Step,
-  StepLabel,
-  Stepper,
   TextField,
   Typography,
   Tooltip,
 } from '@mui/material';
 import ReplayIcon from '@mui/icons-material/Replay';
-import QueryBuilderIcon from '@mui/icons-material/QueryBuilder';
-import InventoryIcon from '@mui/icons-material/Inventory';
-import LocalShippingIcon from '@mui/icons-material/LocalShipping';
-import HomeIcon from '@mui/icons-material/Home';
 import SupportAgentIcon from '@mui/icons-material/SupportAgent';
-import CheckCircleOutlineIcon from '@mui/icons-material/CheckCircleOutline';
-import WarehouseIcon from '@mui/icons-material/Warehouse';
-import DeliveryDiningIcon from '@mui/icons-material/DeliveryDining';
-import HandshakeIcon from '@mui/icons-material/Handshake';
 import { useSearchParams } from 'react-router-dom';
 import { useNotifier } from '../context/NotificationProvider';
 import { apiClient, withRetry } from '../services/apiClient';
+import { followOrderEvents } from '../services/orderEvents';
+import OrderStatusTimeline, { formatTimestamp } from '../components/OrderStatusTimeline';
+import { formatDeliveryWindow } from '../utils/delivery';
+import { displayMoney, formatMoney, toMinorUnits } from '../utils/money';
+import OrderTotals, { lineTaxText } from '../components/OrderTotals';
+import OrderChanges from '../components/OrderChanges';
+import OrderReturns from '../components/OrderReturns';
+import RefundHistory from '../components/RefundHistory';
 
-const fallbackFlow = [
-  {
-    code: 'ORDER_PLACED',
-    label: 'Order placed',
-    description: 'We received your order and secured the inventory.',
-  },
-  {
-    code: 'PAYMENT_VERIFIED',
-    label: 'Payment verified',
-    description: 'Payment cleared securely and your order is locked in.',
-  },
-  {
-    code: 'PICKING_ITEMS',
-    label: 'Picking items',
-    description: 'Fulfillment specialists are pulling your products from the shelves.',
-  },
-  {
-    code: 'PACKED_FOR_SHIPMENT',
-    label: 'Packed for shipment',
-    description: 'Everything is sealed with tamper protection and ready for carrier pickup.',
-  },
-  {
-    code: 'HANDOFF_TO_CARRIER',
-    label: 'Handed to carrier',
-    description: 'Carrier has scanned the parcel and left our facility.',
-  },
-  {
-    code: 'IN_TRANSIT',
-    label: 'In transit',
-    description: 'The shipment is moving through regional hubs on the way to you.',
-  },
-  {
-    code: 'AT_LOCAL_DEPOT',
-    label: 'Arrived locally',
-    description: 'Package is at your local distribution center awaiting final sort.',
-  },
-  {
-    code: 'OUT_FOR_DELIVERY',
-    label: 'Out for delivery',
-    description: 'A courier is heading your way with the package on board.',
-  },
-  {
-    code: 'DELIVERED',
-    label: 'Delivered',
-    description: 'The courier marked the parcel as delivered. Enjoy your new gear!',
-  },
-  {
-    code: 'DELIVERY_CONFIRMED',
-    label: 'Delivery verified',
-    description: 'Delivery confirmation logged with proof for your records.',
-  },
-];
-
-const iconBase = { fontSize: 24, color: 'primary.main' };
-const successIconBase = { ...iconBase, color: 'success.main' };
+const emailPattern = /[^@\s]+@[^@\s]+\.[^@\s]+/;
 
-const statusIcons = {
-  ORDER_PLACED: <InventoryIcon sx={iconBase} />,
-  PAYMENT_VERIFIED: <HandshakeIcon sx={iconBase} />,
-  PICKING_ITEMS: <WarehouseIcon sx={iconBase} />,
-  QUALITY_CHECK: <QueryBuilderIcon sx={iconBase} />,
-  PACKED_FOR_SHIPMENT: <InventoryIcon sx={iconBase} />,
-  HANDOFF_TO_CARRIER: <DeliveryDiningIcon sx={iconBase} />,
-  IN_TRANSIT: <LocalShippingIcon sx={iconBase} />,
-  AT_LOCAL_DEPOT: <WarehouseIcon sx={iconBase} />,
-  OUT_FOR_DELIVERY: <HomeIcon sx={iconBase} />,
-  DELIVERED: <CheckCircleOutlineIcon sx={successIconBase} />,
-  DELIVERY_CONFIRMED: <CheckCircleOutlineIcon sx={successIconBase} />,
+const CONNECTION_CHIPS = {
+  live: { label: 'Live', color: 'success' },
+  reconnecting: { label: 'Reconnecting…', color: 'warning' },
+  offline: { label: 'Updates paused', color: 'default' },
 };
 
-const defaultIcon = <QueryBuilderIcon sx={iconBase} />;
-
-const getStatusIcon = (code, size = 24) => {
-  const baseIcon = statusIcons[code] || defaultIcon;
-  return React.cloneElement(baseIcon, {
-    sx: { ...(baseIcon.props.sx || {}), fontSize: size },
-  });
+const latestEntryId = history => {
+  const ids = history.map(entry => entry.id).filter(Number.isInteger);
+  return ids.length ? Math.max(...ids) : null;
 };
 
-const emailPattern = /[^@\s]+@[^@\s]+\.[^@\s]+/;
-
-function formatTimestamp(dateString) {
-  if (!dateString) return '';
-  try {
-    const date = new Date(dateString);
-    if (Number.isNaN(date.getTime())) return '';
-    return new Intl.DateTimeFormat('en-LB', {
-      month: 'short',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-    }).format(date);
-  } catch (error) {
-    return '';
-  }
-}
-
 function OrderTracking() {
   const { notify } = useNotifier();
   const [searchParams] = useSearchParams();
@@ -154,6 +70,10 @@ function OrderTracking() {
   const [loading, setLoading] = React.useState(false);
   const [trackingData, setTrackingData] = React.useState(null);
   const [errorMessage, setErrorMessage] = React.useState('');
+  const [eventsToken, setEventsToken] = React.useState(null);
+  const [orderToken, setOrderToken] = React.useState(null);
+  const [connection, setConnection] = React.useState(null);
+  const [liveEntryIds, setLiveEntryIds] = React.useState(() => new Set());
 
   const fetchTracking = React.useCallback(
     async (payload, { silent = false } = {}) => {
@@ -186,6 +106,9 @@ function OrderTracking() {
         );
 
         setTrackingData(data);
+        setEventsToken(data.eventsToken || null);
+        setOrderToken(data.orderToken || null);
+        setLiveEntryIds(new Set());
 
         try {
           localStorage.setItem('fusionLastOrder', JSON.stringify({ orderNumber: data.orderNumber, email: data.email }));
@@ -215,6 +138,55 @@ function OrderTracking() {
     }
   }, [fetchTracking, initialForm]);
 
+  const trackingRef = React.useRef(trackingData);
+  trackingRef.current = trackingData;
+
+  // The stream owns the timeline; everything else an update can change (refunds, what can still be cancelled or returned) is re-read.
+  const refreshDetails = React.useCallback(async () => {
+    const current = trackingRef.current;
+    if (!current) return;
+    try {
+      const { data } = await apiClient.post('orders/track', { orderNumber: current.orderNumber, email: current.email });
+      setTrackingData(prev => (prev ? { ...data, statusHistory: prev.statusHistory, currentStatus: prev.currentStatus, statusFlow: prev.statusFlow } : data));
+      setOrderToken(data.orderToken || null);
+    } catch (error) {
+      console.error('Error refreshing order details:', error);
+    }
+  }, []);
+
+  const applyOrderEvent = React.useCallback(
+    ({ entry, isStatus, statusFlow }) => {
+      setTrackingData(prev => {
+        if (!prev || (prev.statusHistory || []).some(existing => existing.id === entry.id)) return prev;
+        return {
+          ...prev,
+          statusHistory: [...(prev.statusHistory || []), entry],
+          statusFlow: statusFlow || prev.statusFlow,
+          ...(isStatus && { currentStatus: entry }),
+        };
+      });
+      setLiveEntryIds(prev => new Set(prev).add(entry.id));
+      if (isStatus) notify({ severity: 'info', message: `Order update: ${entry.label}` });
+      refreshDetails();
+    },
+    [notify, refreshDetails]
+  );
+
+  const followedOrderNumber = trackingData?.orderNumber;
+  React.useEffect(() => {
+    if (!followedOrderNumber || !eventsToken) return undefined;
+    const stop = followOrderEvents(followedOrderNumber, {
+      token: eventsToken,
+      lastEventId: latestEntryId(trackingRef.current?.statusHistory || []),
+      onEntry: applyOrderEvent,
+      onConnectionChange: setConnection,
+    });
+    return () => {
+      stop();
+      setConnection(null);
+    };
+  }, [applyOrderEvent, eventsToken, followedOrderNumber]);
+
   const handleChange = event => {
     const { name, value } = event.target;
     setForm(prev => ({ ...prev, [name]: value }));
@@ -226,52 +198,11 @@ function OrderTracking() {
   };
 
   const hasTracking = Boolean(trackingData);
-
-  const activeFlow = React.useMemo(() => {
-    if (!hasTracking) return [];
-    const provided = trackingData?.statusFlow;
-    if (Array.isArray(provided) && provided.length) {
-      return provided;
-    }
-    return fallbackFlow;
-  }, [hasTracking, trackingData]);
-
+  const estimatedDelivery = formatDeliveryWindow(trackingData?.deliveryWindow) || formatTimestamp(trackingData?.estimatedDelivery);
   const history = hasTracking ? trackingData?.statusHistory || [] : [];
-  const historyMap = React.useMemo(() => {
-    const entries = new Map();
-    history.forEach(status => {
-      entries.set(status.code, status);
-    });
-    return entries;
-  }, [history]);
-  const currentStatus = hasTracking ? trackingData?.currentStatus : null;
-
-  const historyCodes = history.map(status => status.code);
-  const activeCode = currentStatus?.code;
-  const activeIndex = hasTracking ? activeFlow.findIndex(step => step.code === activeCode) : -1;
-  const resolvedActiveIndex = hasTracking ? (activeIndex >= 0 ? activeIndex : Math.max(historyCodes.length - 1, 0)) : -1;
-  const stepperActiveIndex = resolvedActiveIndex >= 0 ? resolvedActiveIndex : 0;
-
-  const renderStatusAvatar = React.useCallback((code, isActive) => {
-    const iconElement = getStatusIcon(code, 22);
-    return (
-      <Box
-        sx={{
-          width: 40,
-          height: 40,
-          borderRadius: '50%',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          bgcolor: isActive ? 'rgba(40, 116, 240, 0.12)' : 'rgba(148, 163, 184, 0.18)',
-          flexShrink: 0,
-          alignSelf: 'center',
-        }}
-      >
-        {iconElement}
-      </Box>
-    );
-  }, []);
+  const orderItems = hasTracking && Array.isArray(trackingData.items) ? trackingData.items : [];
+  // Owed back from cancelling or changes but not refunded yet; refunds already made are listed with the order.
+  const refundPending = hasTracking ? toMinorUnits(trackingData.refundDue || 0, trackingData.currency) : 0;
 
   return (
     <Container maxWidth="md" sx={{ py: { xs: 6, md: 10 } }}>
@@ -336,9 +267,10 @@ function OrderTracking() {
               <Typography variant="body2" color="text.secondary">
                 For delivery holds, reroutes, or signature requests, reach out to our logistics team and we will coordinate directly with the carrier.
               </Typography>
-              {trackingData?.estimatedDelivery && (
+              {estimatedDelivery && (
                 <Typography variant="caption" color="text.secondary">
-                  Estimated delivery: {formatTimestamp(trackingData.estimatedDelivery)}
+                  Estimated delivery: {estimatedDelivery}
+                  {trackingData?.shippingMethod?.name ? ` by ${trackingData.shippingMethod.name} shipping` : ''}
                 </Typography>
               )}
               {errorMessage && (
@@ -356,38 +288,26 @@ function OrderTracking() {
           <Typography variant="h6" fontWeight={700}>
             {hasTracking ? 'Live order journey' : 'What to expect along the way'}
           </Typography>
-          {trackingData?.orderNumber && <Chip label={`Order #: ${trackingData.orderNumber}`} variant="outlined" color="primary" />}
+          <Stack direction="row" spacing={1} alignItems="center">
+            {hasTracking && CONNECTION_CHIPS[connection] && (
+              <Chip size="small" label={CONNECTION_CHIPS[connection].label} color={CONNECTION_CHIPS[connection].color} variant="outlined" />
+            )}
+            {trackingData?.orderNumber && <Chip label={`Order #: ${trackingData.orderNumber}`} variant="outlined" color="primary" />}
+          </Stack>
         </Stack>
+        {trackingData?.cancelledAt && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            This order was cancelled on {formatTimestamp(trackingData.cancelledAt)}.
+            {refundPending > 0 && ` ${formatMoney(refundPending, trackingData.currency)} is being refunded to your original payment method.`}
+          </Alert>
+        )}
+        {!trackingData?.cancelledAt && refundPending > 0 && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            {formatMoney(refundPending, trackingData.currency)} owed back to you is being refunded to your original payment method.
+          </Alert>
+        )}
         {hasTracking ? (
-          <Stepper orientation="vertical" activeStep={stepperActiveIndex} sx={{ mt: 2 }}>
-            {activeFlow.map((step, index) => {
-              const statusEntry = historyMap.get(step.code);
-              const isActive = index === resolvedActiveIndex;
-              const completed = index < resolvedActiveIndex;
-              return (
-                <Step key={step.code || step.label} completed={completed}>
-                  <StepLabel SlotProps={{ iconContainer: { sx: { display: 'none' } } }}>
-                    <Stack direction="row" spacing={1.5} alignItems="flex-start">
-                      {renderStatusAvatar(step.code, isActive || completed)}
-                      <Box>
-                        <Typography variant="subtitle1" fontWeight={700} color={isActive ? 'primary.main' : 'text.primary'}>
-                          {step.label}
-                        </Typography>
-                        <Typography variant="body2" color="text.secondary">
-                          {step.description}
-                        </Typography>
-                        {statusEntry?.enteredAt && (
-                          <Typography variant="caption" color="text.secondary">
-                            Updated {formatTimestamp(statusEntry.enteredAt)}
-                          </Typography>
-                        )}
-                      </Box>
-                    </Stack>
-                  </StepLabel>
-                </Step>
-              );
-            })}
-          </Stepper>
+          <OrderStatusTimeline statusFlow={trackingData.statusFlow} statusHistory={history} currentStatus={trackingData.currentStatus} />
         ) : (
           <Box
             sx={{
@@ -409,6 +329,32 @@ function OrderTracking() {
         )}
       </Paper>
 
+      {orderItems.length > 0 && (
+        <Paper elevation={0} sx={{ mt: 5, p: { xs: 3, md: 5 }, borderRadius: 4 }}>
+          <Typography variant="h6" fontWeight={700} gutterBottom>
+            Order summary
+          </Typography>
+          <List dense>
+            {orderItems.map(item => (
+              <ListItem key={item.id || item.productId} disableGutters>
+                <ListItemText
+                  primary={`${item.name} × ${item.quantity}`}
+                  secondary={[`${displayMoney(item.money?.price, item.price, trackingData.currency)} each`, lineTaxText(item, trackingData.currency)].filter(Boolean).join(' • ')}
+                />
+                <Typography variant="body2">{displayMoney(item.money?.total, item.price * item.quantity, trackingData.currency)}</Typography>
+              </ListItem>
+            ))}
+          </List>
+          <Divider sx={{ my: 1 }} />
+          <OrderTotals totals={trackingData} />
+          <RefundHistory order={trackingData} />
+          <Box sx={{ mt: 2 }}>
+            <OrderChanges order={trackingData} orderToken={orderToken} onChanged={setTrackingData} />
+          </Box>
+          <OrderReturns order={trackingData} orderToken={orderToken} onChanged={setTrackingData} />
+        </Paper>
+      )}
+
       {hasTracking && history.length > 0 && (
         <Paper elevation={0} sx={{ mt: 5, p: { xs: 3, md: 5 }, borderRadius: 4 }}>
           <Typography variant="h6" fontWeight={700} gutterBottom>
@@ -416,9 +362,11 @@ function OrderTracking() {
           </Typography>
           <List dense>
             {[...history].reverse().map(status => (
-              <ListItem key={`${status.code}-${status.enteredAt}`} disableGutters>
-                <ListItemText primary={status.label} secondary={`${formatTimestamp(status.enteredAt)} • ${status.description}`} />
-              </ListItem>
+              <Fade key={status.id ?? `${status.code}-${status.enteredAt}`} in appear={liveEntryIds.has(status.id)} timeout={600}>
+                <ListItem disableGutters>
+                  <ListItemText primary={status.label} secondary={[formatTimestamp(status.enteredAt), status.description, status.note].filter(Boolean).join(' • ')} />
+                </ListItem>
+              </Fade>
             ))}
           </List>
         </Paper>
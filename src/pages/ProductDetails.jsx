@@ -24,8 +24,11 @@ import CloudOffIcon from '@mui/icons-material/CloudOff';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import OpenInNewIcon from '@mui/icons-material/OpenInNew';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ProductReviews from '../components/ProductReviews';
+import QuantityStepper from '../components/QuantityStepper';
 import { apiClient, withRetry } from '../services/apiClient';
-import { useNotifier } from '../context/NotificationProvider';
+import { formatProductPrice } from '../utils/money';
+import { maxCartQuantity } from '../utils/products';
 
 function SimilarProductsError({ onRetry }) {
   const [showDetails, setShowDetails] = React.useState(false);
@@ -98,11 +101,10 @@ function ProductDetails({ addToCart }) {
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [userRating, setUserRating] = useState(0);
   const [recommended, setRecommended] = useState([]);
   const [recLoading, setRecLoading] = useState(true);
   const [similarError, setSimilarError] = useState(false);
-  const { notify } = useNotifier();
+  const [quantity, setQuantity] = useState(1);
 
   const normalizeProduct = useCallback(prod => {
     if (!prod || typeof prod !== 'object') return null;
@@ -181,7 +183,6 @@ function ProductDetails({ addToCart }) {
         throw new Error('Product not found');
       }
       setProduct(normalized);
-      setUserRating(normalized.rating || 0);
       recordVisit(normalized);
       fetchRecommended();
     } catch (err) {
@@ -219,30 +220,26 @@ function ProductDetails({ addToCart }) {
     return value.charAt(0).toUpperCase() + value.slice(1);
   };
 
+  // Start again from one whenever another product is shown.
+  useEffect(() => {
+    setQuantity(1);
+  }, [id]);
+
   const handleAddToCart = useCallback(() => {
     if (product) {
-      addToCart(product);
+      addToCart(product, quantity);
     }
-  }, [addToCart, product]);
+  }, [addToCart, product, quantity]);
 
-  const handleRatingChange = async (_e, newRating) => {
-    setUserRating(newRating);
+  // Reviews recompute the product's rating server-side; pull the fresh aggregates without a full reload.
+  const refreshRatingSummary = useCallback(async () => {
     try {
-      await apiClient.put(`products/${id}/rating`, { rating: newRating });
-      setProduct(prev => {
-        if (!prev) return prev;
-        return {
-          ...prev,
-          rating: newRating,
-          numReviews: (prev.numReviews || 0) + 1,
-        };
-      });
-      notify({ severity: 'success', message: 'Thanks for the feedback!' });
+      const { data } = await apiClient.get(`products/${id}`);
+      setProduct(prev => (prev ? { ...prev, rating: data.rating, numReviews: data.numReviews } : prev));
     } catch (err) {
-      console.error('Error updating rating:', err);
-      notify({ severity: 'error', message: 'Could not update your rating right now.' });
+      console.warn('Unable to refresh rating summary', err);
     }
-  };
+  }, [id]);
 
   if (loading) {
     return (
@@ -275,6 +272,8 @@ function ProductDetails({ addToCart }) {
     );
   }
 
+  const maxQuantity = maxCartQuantity(product);
+
   return (
     <Container maxWidth="md" sx={{ mt: 4, pb: 6 }}>
       <Paper elevation={3} sx={{ p: 3 }}>
@@ -294,7 +293,7 @@ function ProductDetails({ addToCart }) {
               Category: {formatCategory(product.category)}
             </Typography>
             <Typography variant="h6" color="primary" gutterBottom>
-              ${product.price}
+              {formatProductPrice(product)}
             </Typography>
             <Typography variant="body1" gutterBottom>
               {product.description}
@@ -312,19 +311,24 @@ function ProductDetails({ addToCart }) {
             </Box>
 
             <Box sx={{ display: 'flex', alignItems: 'center', mt: 1, mb: 2 }}>
-              <Rating value={userRating} precision={0.5} onChange={handleRatingChange} sx={{ mr: 1 }} />
+              <Rating value={product.rating || 0} precision={0.5} readOnly sx={{ mr: 1 }} />
               <Typography variant="body2" color="text.secondary">
                 ({product.numReviews || 0} Reviews)
               </Typography>
             </Box>
 
-            <Button variant="contained" color="primary" onClick={handleAddToCart} sx={{ mt: 2 }}>
-              Add to Cart
-            </Button>
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 2 }}>
+              <QuantityStepper value={quantity} max={maxQuantity} onChange={setQuantity} disabled={maxQuantity === 0} />
+              <Button variant="contained" color="primary" onClick={handleAddToCart} disabled={maxQuantity === 0}>
+                Add to Cart
+              </Button>
+            </Stack>
           </Grid>
         </Grid>
       </Paper>
 
+      <ProductReviews productId={id} onReviewsChanged={refreshRatingSummary} />
+
       <Box sx={{ mt: 5 }}>
         <Typography variant="h5" gutterBottom>
           Recommended for you
@@ -354,7 +358,7 @@ function ProductDetails({ addToCart }) {
                         {rec.name}
                       </Typography>
                       <Typography variant="h6" color="primary">
-                        ${rec.price}
+                        {formatProductPrice(rec)}
                       </Typography>
                     </CardContent>
                   </CardActionArea>
@@ -34,9 +34,15 @@ function Register() {
       const token = response.data?.token;
       if (token) {
         localStorage.setItem('MERNEcommerceToken', token);
+        notify({ severity: 'success', message: 'Account created! Redirecting you home…' });
+        navigate('/', { replace: true });
+        return;
       }
-      notify({ severity: 'success', message: 'Account created! Redirecting you home…' });
-      navigate('/', { replace: true });
+
+      const pendingEmail = response.data?.email || email;
+      localStorage.setItem('pendingEmailVerification', pendingEmail);
+      notify({ severity: 'success', message: 'Account created! Check your email for a verification code.' });
+      navigate('/verify-email', { state: { email: pendingEmail, devVerificationCode: response.data?.devVerificationCode } });
     } catch (err) {
       if (err.response?.data?.errors) {
         // Format the error messages for display
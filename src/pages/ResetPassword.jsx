@@ -1,12 +1,13 @@
 import React, { useState } from 'react';
-import { Box, Container, TextField, Typography, Button, CircularProgress, Paper, IconButton, InputAdornment, Stack } from '@mui/material';
+import { Alert, Box, Container, TextField, Typography, Button, CircularProgress, Paper, IconButton, InputAdornment, Stack } from '@mui/material';
 import { Visibility, VisibilityOff } from '@mui/icons-material';
 import { apiClient } from '../services/apiClient';
-import { useNavigate } from 'react-router-dom';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
 import { useNotifier } from '../context/NotificationProvider';
 
 function ResetPassword() {
-  const [email, setEmail] = useState('');
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
@@ -31,7 +32,7 @@ function ResetPassword() {
 
     try {
       // Make request to reset password
-      await apiClient.post('auth/reset-password', { email, password });
+      await apiClient.post('auth/password-reset/confirm', { token, password });
       setSuccess('Password successfully reset. Redirecting to login...');
       notify({ severity: 'success', message: 'Password updated! Sign in with your new credentials.' });
       setTimeout(() => navigate('/login'), 1200);
@@ -77,14 +78,27 @@ function ResetPassword() {
           </Typography>
         )}
 
-        {error && (
-          <Typography variant="body2" color="error" sx={{ display: 'none' }}>
+        {!token && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 2 }}
+            action={
+              <Button component={RouterLink} to="/forgot-password" color="inherit" size="small">
+                Request link
+              </Button>
+            }
+          >
+            This page needs the reset link from your email.
+          </Alert>
+        )}
+
+        {error && token && (
+          <Alert severity="error" sx={{ mb: 2 }}>
             {error}
-          </Typography>
+          </Alert>
         )}
 
         <form onSubmit={handleSubmit}>
-          <TextField label="Email" variant="outlined" fullWidth margin="normal" value={email} onChange={e => setEmail(e.target.value)} required />
           <TextField
             label="New Password"
             type={showPassword ? 'text' : 'password'}
@@ -128,7 +142,7 @@ function ResetPassword() {
             {loading ? (
               <CircularProgress />
             ) : (
-              <Button type="submit" variant="contained" size="large" fullWidth>
+              <Button type="submit" variant="contained" size="large" fullWidth disabled={!token}>
                 Reset Password
               </Button>
             )}
@@ -122,8 +122,8 @@ function ShippingReturns() {
               Our return promise
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Returns are simple. Initiate a return within 30 days for a prepaid label. Refunds are issued 2-3 business days after inspection. Exchanges ship
-              immediately subject to inventory availability.
+              Returns are simple. Start a return from your order's tracking page within 30 days of delivery for a prepaid label. Refunds are issued 2-3
+              business days after inspection. Exchanges ship immediately subject to inventory availability.
             </Typography>
             <Typography variant="body2" color="text.secondary">
               For bundles or limited releases, we offer instant store credit so you can pick an alternative without waiting for payment processing.
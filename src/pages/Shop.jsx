@@ -24,28 +24,61 @@ import FilterAltIcon from '@mui/icons-material/FilterAlt';
 import ProductCard from '../components/ProductCard';
 import '../App.css';
 import { useNotifier } from '../context/NotificationProvider';
+import { apiClient, withRetry } from '../services/apiClient';
 
 const itemsPerPage = 6;
 
-function Shop({ products, addToCart, loading, error }) {
+const SORT_PARAMS = {
+  featured: 'featured',
+  priceLow: 'price_asc',
+  priceHigh: 'price_desc',
+  rating: 'rating',
+  newest: 'newest',
+};
+
+const buildCatalogParams = ({ page, categoryFilter, sortOption, viewFilter }) => {
+  const params = { page, limit: itemsPerPage, sort: SORT_PARAMS[sortOption] || 'featured' };
+  if (categoryFilter !== 'all') params.category = categoryFilter;
+  if (viewFilter === 'inStock') params.inStock = true;
+  if (viewFilter === 'featured') params.minRating = 4.5;
+  return params;
+};
+
+function Shop({ addToCart }) {
   const [categoryFilter, setCategoryFilter] = React.useState('all');
   const [viewFilter, setViewFilter] = React.useState('all');
   const [page, setPage] = React.useState(1);
   const [animatedCards, setAnimatedCards] = React.useState([]);
   const [sortOption, setSortOption] = React.useState('featured');
+  const [catalogPage, setCatalogPage] = React.useState({ products: [], totalPages: 1 });
+  const [catalogLoading, setCatalogLoading] = React.useState(false);
+  const [catalogError, setCatalogError] = React.useState(null);
+  const [categories, setCategories] = React.useState([]);
   const { notify } = useNotifier();
 
   const capitalizeCategory = React.useCallback(category => (category ? category.charAt(0).toUpperCase() + category.slice(1) : ''), []);
 
+  React.useEffect(() => {
+    let active = true;
+    withRetry(() => apiClient.get('products/categories'))
+      .then(({ data }) => {
+        if (active && Array.isArray(data)) setCategories(data);
+      })
+      .catch(err => console.warn('Unable to load categories', err));
+    return () => {
+      active = false;
+    };
+  }, []);
+
   const uniqueCategories = React.useMemo(() => {
     const bucket = new Set();
-    products.forEach(product => {
-      if (product?.category) {
-        bucket.add(capitalizeCategory(product.category));
+    categories.forEach(({ category }) => {
+      if (category) {
+        bucket.add(capitalizeCategory(category));
       }
     });
     return Array.from(bucket).sort();
-  }, [products, capitalizeCategory]);
+  }, [categories, capitalizeCategory]);
 
   React.useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -59,37 +92,42 @@ function Shop({ products, addToCart, loading, error }) {
     }
   }, [uniqueCategories, capitalizeCategory]);
 
-  const filteredProducts = React.useMemo(() => {
-    const base = categoryFilter === 'all' ? products : products.filter(product => capitalizeCategory(product.category) === categoryFilter);
-
-    const sorted = [...base].sort((a, b) => {
-      switch (sortOption) {
-        case 'priceLow':
-          return (a.price || 0) - (b.price || 0);
-        case 'priceHigh':
-          return (b.price || 0) - (a.price || 0);
-        case 'rating':
-          return (b.rating || 0) - (a.rating || 0);
-        case 'newest':
-          return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
-        default:
-          return 0;
+  React.useEffect(() => {
+    let active = true;
+
+    const fetchCatalogPage = async () => {
+      setCatalogLoading(true);
+      setCatalogError(null);
+      try {
+        const params = buildCatalogParams({ page, categoryFilter, sortOption, viewFilter });
+        const { data } = await withRetry(() => apiClient.get('products', { params }));
+        if (!Array.isArray(data?.products)) {
+          throw new Error('Unexpected products response.');
+        }
+        if (active) {
+          setCatalogPage({ products: data.products, totalPages: data.totalPages || 1 });
+        }
+      } catch (err) {
+        if (!active) return;
+        console.error('Error fetching catalog page:', err);
+        setCatalogPage({ products: [], totalPages: 1 });
+        setCatalogError(err);
+      } finally {
+        if (active) {
+          setCatalogLoading(false);
+        }
       }
-    });
+    };
 
-    if (viewFilter === 'inStock') {
-      return sorted.filter(product => typeof product.stock === 'number' && product.stock > 0);
-    }
-    if (viewFilter === 'featured') {
-      return sorted.filter(product => product.isFeatured || (product.rating || 0) >= 4.5);
-    }
-    return sorted;
-  }, [products, categoryFilter, sortOption, viewFilter, capitalizeCategory]);
+    fetchCatalogPage();
 
-  const pageCount = Math.max(1, Math.ceil(filteredProducts.length / itemsPerPage));
-  const startIndex = (page - 1) * itemsPerPage;
-  const endIndex = startIndex + itemsPerPage;
-  const productsToShow = filteredProducts.slice(startIndex, endIndex);
+    return () => {
+      active = false;
+    };
+  }, [page, categoryFilter, sortOption, viewFilter]);
+
+  const pageCount = Math.max(1, catalogPage.totalPages);
+  const productsToShow = catalogPage.products;
 
   const handlePageChange = (_event, value) => {
     setPage(value);
@@ -128,27 +166,6 @@ function Shop({ products, addToCart, loading, error }) {
     return () => clearTimeout(timer);
   }, [productsToShow]);
 
-  if (loading) {
-    return (
-      <Box
-        sx={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          width: '100%',
-          height: '100%',
-          backgroundColor: 'rgba(255, 255, 255, 0.8)',
-          display: 'flex',
-          justifyContent: 'center',
-          alignItems: 'center',
-          zIndex: 1000,
-        }}
-      >
-        <CircularProgress />
-      </Box>
-    );
-  }
-
   return (
     <Container maxWidth="xl" sx={{ pb: 8 }}>
       <Paper
@@ -193,9 +210,9 @@ function Shop({ products, addToCart, loading, error }) {
         </Stack>
       </Paper>
 
-      {error && (
+      {catalogError && (
         <Alert severity="error" sx={{ mb: 3 }}>
-          {error.message || 'Unable to load products right now. Please try again shortly.'}
+          {catalogError.message || 'Unable to load products right now. Please try again shortly.'}
         </Alert>
       )}
 
@@ -234,7 +251,13 @@ function Shop({ products, addToCart, loading, error }) {
         ))}
       </Grid>
 
-      {!productsToShow.length && !loading && (
+      {catalogLoading && !productsToShow.length && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {!productsToShow.length && !catalogLoading && (
         <Alert severity="info" sx={{ mt: 4 }}>
           No products matched your filters. Try adjusting categories or sorting options.
         </Alert>
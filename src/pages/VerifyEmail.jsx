@@ -63,7 +63,9 @@ function VerifyEmail() {
         setError(message);
         notify({ severity: 'error', message });
       } else {
-        const message = err.response?.data?.msg || 'Verification failed';
+        const attemptsRemaining = err.response?.data?.attemptsRemaining;
+        const baseMessage = err.response?.data?.msg || 'Verification failed';
+        const message = attemptsRemaining === undefined ? baseMessage : `${baseMessage} ${attemptsRemaining} attempt(s) left.`;
         setError(message);
         notify({ severity: 'error', message });
       }
@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = (process.env.REACT_APP_API_BASE_URL || process.env.REACT_APP_API_URL || 'http://localhost:8000/api').replace(/\/$/, '');
+export const API_BASE_URL = (process.env.REACT_APP_API_BASE_URL || process.env.REACT_APP_API_URL || 'http://localhost:8000/api').replace(/\/$/, '');
 
 export const apiClient = axios.create({
   baseURL: API_BASE_URL,
@@ -22,6 +22,14 @@ apiClient.interceptors.request.use(config => {
   return config;
 });
 
+// One key per logical write: reuse it across retries of that write so the server can deduplicate.
+export function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
 export async function withRetry(request, { retries = 2, delay = 400 } = {}) {
   let lastError;
   for (let attempt = 0; attempt <= retries; attempt += 1) {
@@ -0,0 +1,78 @@
+import { apiClient } from './apiClient';
+
+// Token of the guest cart on the server. Dropped once the cart is merged into an account.
+export const CART_TOKEN_STORAGE_KEY = 'fusionCartToken';
+
+export const getCartToken = () => (typeof window === 'undefined' ? null : localStorage.getItem(CART_TOKEN_STORAGE_KEY));
+
+export const clearCartToken = () => localStorage.removeItem(CART_TOKEN_STORAGE_KEY);
+
+const cartConfig = () => {
+  const token = getCartToken();
+  return token ? { headers: { 'x-cart-token': token } } : {};
+};
+
+// Keeps the token of a newly created guest cart; signed-in responses carry none.
+const remember = ({ data }) => {
+  if (data?.token) localStorage.setItem(CART_TOKEN_STORAGE_KEY, data.token);
+  return data;
+};
+
+const itemId = item => String(item?._id || item?.id);
+const itemQuantity = item => item?.quantity || 1;
+
+// Server cart items as the product objects the rest of the app keeps in its cart.
+export const fromServerCart = data =>
+  (Array.isArray(data?.items) ? data.items : []).map(({ product, quantity }) => ({ ...product, id: product.id, _id: product.id, quantity }));
+
+export const fetchCart = () => apiClient.get('cart', cartConfig()).then(remember);
+
+export const mergeGuestCart = cartToken => apiClient.post('cart/merge', { cartToken }).then(remember);
+
+export const addCartItem = (productId, quantity = 1) => apiClient.post('cart/items', { productId: Number(productId), quantity }, cartConfig()).then(remember);
+
+/**
+ * The cart API calls that turn the server cart from `previous` into `next`, as
+ * `{ type: 'add' | 'update' | 'remove' | 'clear', productId, quantity }` in the order to send them.
+ */
+export const diffCarts = (previous = [], next = []) => {
+  if (!next.length) return previous.length ? [{ type: 'clear' }] : [];
+
+  const before = new Map(previous.map(item => [itemId(item), item]));
+  const after = new Map(next.map(item => [itemId(item), item]));
+  const changes = [];
+  before.forEach((item, id) => {
+    if (!after.has(id)) changes.push({ type: 'remove', productId: id });
+  });
+  after.forEach((item, id) => {
+    const existing = before.get(id);
+    if (!existing) changes.push({ type: 'add', productId: id, quantity: itemQuantity(item) });
+    else if (itemQuantity(existing) !== itemQuantity(item)) changes.push({ type: 'update', productId: id, quantity: itemQuantity(item) });
+  });
+  return changes;
+};
+
+const sendChange = ({ type, productId, quantity }) => {
+  const config = cartConfig();
+  switch (type) {
+    case 'clear':
+      return apiClient.delete('cart', config);
+    case 'add':
+      return addCartItem(productId, quantity);
+    case 'update':
+      return apiClient.patch(`cart/items/${productId}`, { quantity }, config);
+    default:
+      // Already gone, for example when the product was removed from the catalog.
+      return apiClient.delete(`cart/items/${productId}`, config).catch(error => {
+        if (error?.response?.status !== 404) throw error;
+      });
+  }
+};
+
+// Sends the changes one at a time so the server applies them in order.
+export async function syncCartChanges(previous, next) {
+  for (const change of diffCarts(previous, next)) {
+    // eslint-disable-next-line no-await-in-loop
+    await sendChange(change);
+  }
+}
@@ -0,0 +1,66 @@
+import { API_BASE_URL } from './apiClient';
+
+// Waits between reconnects once the browser has given up on a stream; the last one repeats.
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+// After this many failed reconnects in a row (for example once the token has expired) we stop trying.
+const MAX_RECONNECTS = 8;
+
+/**
+ * Follows new status history entries of an order from `orders/:orderNumber/events`. `token` is the
+ * `eventsToken` from `orders/track`. `onEntry` gets each `{ entry, isStatus, statusFlow }`, and
+ * `onConnectionChange` gets 'live', 'reconnecting' or 'offline'. The browser resumes a dropped stream
+ * with Last-Event-ID by itself; when the stream is closed instead, this opens a new one after a pause,
+ * passing the id of the last entry it got. Returns a function that stops following.
+ */
+export function followOrderEvents(orderNumber, { token, lastEventId = null, onEntry, onConnectionChange = () => {} }) {
+  if (typeof window === 'undefined' || typeof window.EventSource === 'undefined' || !token) return () => {};
+
+  let source = null;
+  let timer = null;
+  let failures = 0;
+  let stopped = false;
+  let lastId = lastEventId;
+
+  const connect = () => {
+    if (stopped) return;
+    const params = new URLSearchParams({ token });
+    if (lastId !== null) params.set('lastEventId', String(lastId));
+    source = new window.EventSource(`${API_BASE_URL}/orders/${encodeURIComponent(orderNumber)}/events?${params}`);
+
+    source.onopen = () => {
+      failures = 0;
+      onConnectionChange('live');
+    };
+    source.addEventListener('history', event => {
+      const id = Number.parseInt(event.lastEventId, 10);
+      if (Number.isInteger(id)) lastId = id;
+      try {
+        onEntry(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Unreadable order event:', error);
+      }
+    });
+    source.onerror = () => {
+      if (source.readyState !== window.EventSource.CLOSED) {
+        onConnectionChange('reconnecting');
+        return;
+      }
+      source.close();
+      if (failures >= MAX_RECONNECTS) {
+        onConnectionChange('offline');
+        return;
+      }
+      onConnectionChange('reconnecting');
+      timer = setTimeout(connect, RECONNECT_DELAYS_MS[Math.min(failures, RECONNECT_DELAYS_MS.length - 1)]);
+      failures += 1;
+    };
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (source) source.close();
+  };
+}
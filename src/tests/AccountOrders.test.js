@@ -0,0 +1,95 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import AccountOrders from '../pages/AccountOrders';
+import { apiClient } from '../services/apiClient';
+
+jest.mock('../services/apiClient', () => ({
+  apiClient: { get: jest.fn() },
+  withRetry: fn => fn(),
+}));
+
+const renderAt = path =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/account/orders" element={<AccountOrders />} />
+        <Route path="/account/orders/:orderNumber" element={<AccountOrders />} />
+        <Route path="/login" element={<div>Login page</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('<AccountOrders />', () => {
+  const summary = {
+    orderNumber: 'FE-100200',
+    total: 59.98,
+    itemCount: 2,
+    items: [{ productId: 3, name: 'Cable', price: 29.99, quantity: 2 }],
+    currentStatus: { code: 'PAYMENT_VERIFIED', label: 'Payment verified' },
+    createdAt: '2026-10-01T10:00:00Z',
+  };
+
+  const detail = {
+    ...summary,
+    statusHistory: [{ code: 'PAYMENT_VERIFIED', label: 'Payment verified', description: 'Paid', enteredAt: '2026-10-01T11:00:00Z' }],
+    statusFlow: [
+      { code: 'ORDER_PLACED', label: 'Order placed', description: 'Placed' },
+      { code: 'PAYMENT_VERIFIED', label: 'Payment verified', description: 'Paid' },
+    ],
+  };
+
+  beforeEach(() => {
+    apiClient.get.mockReset();
+    localStorage.clear();
+  });
+
+  it('asks guests to sign in', () => {
+    renderAt('/account/orders');
+    expect(screen.getByText(/sign in required/i)).toBeInTheDocument();
+    expect(apiClient.get).not.toHaveBeenCalled();
+  });
+
+  it('lists past orders and drills down into the status timeline', async () => {
+    localStorage.setItem('MERNEcommerceToken', 'tok');
+    apiClient.get.mockImplementation(url =>
+      Promise.resolve({ data: url === 'orders/mine' ? { orders: [summary], total: 1, totalPages: 1 } : detail })
+    );
+
+    renderAt('/account/orders');
+    fireEvent.click(await screen.findByText(/FE-100200/));
+
+    expect(await screen.findByText('Order FE-100200')).toBeInTheDocument();
+    expect(apiClient.get).toHaveBeenLastCalledWith('orders/mine/FE-100200');
+    expect(screen.getByText('Order placed')).toBeInTheDocument();
+  });
+
+  it('shows refunds and what was paid net of them', async () => {
+    localStorage.setItem('MERNEcommerceToken', 'tok');
+    apiClient.get.mockResolvedValue({
+      data: {
+        ...detail,
+        currency: 'USD',
+        amountRefunded: 28.99,
+        netPaid: 30.99,
+        refunds: [{ id: 1, amount: 28.99, reason: 'Arrived scratched', lines: [{ orderItemId: 1, name: 'Cable', quantity: 1 }], createdAt: '2026-10-05T10:00:00Z' }],
+      },
+    });
+
+    renderAt('/account/orders/FE-100200');
+
+    expect(await screen.findByText('Arrived scratched')).toBeInTheDocument();
+    expect(screen.getByText('−$28.99')).toBeInTheDocument();
+    expect(screen.getByText(/Cable × 1/)).toBeInTheDocument();
+    expect(screen.getByText('Net paid')).toBeInTheDocument();
+    expect(screen.getByText('$30.99')).toBeInTheDocument();
+  });
+
+  it('shows the server error for an unknown order', async () => {
+    localStorage.setItem('MERNEcommerceToken', 'tok');
+    apiClient.get.mockRejectedValue({ response: { data: { error: 'Order not found.' } } });
+
+    renderAt('/account/orders/FE-999999');
+    expect(await screen.findByText('Order not found.')).toBeInTheDocument();
+  });
+});
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import Cart from '../pages/Cart';
 
 const mockNavigate = jest.fn();
@@ -39,10 +39,41 @@ describe('<Cart />', () => {
     expect(setCart).toHaveBeenCalledWith([{ id: '2', name: 'Gizmo', price: 5.01, image: '' }]);
   });
 
+  it('changes quantities within the stock and totals each line', () => {
+    const items = [
+      { id: '1', name: 'Widget', price: 9.99, image: '', quantity: 2, stock: 3 },
+      { id: '2', name: 'Gizmo', price: 5.01, image: '', stock: 1 },
+    ];
+    const setCart = jest.fn();
+    render(<Cart cart={items} setCart={setCart} />);
+
+    expect(screen.getByText('$19.98')).toBeInTheDocument();
+    expect(screen.getByText(/Total: \$24\.99/)).toBeInTheDocument();
+    expect(screen.getByText('3 items')).toBeInTheDocument();
+
+    const widget = screen.getByRole('group', { name: 'Quantity of Widget' });
+    fireEvent.click(within(widget).getByRole('button', { name: 'Increase quantity' }));
+    expect(setCart).toHaveBeenCalledWith([{ ...items[0], quantity: 3 }, items[1]]);
+
+    const gizmo = screen.getByRole('group', { name: 'Quantity of Gizmo' });
+    expect(within(gizmo).getByRole('button', { name: 'Increase quantity' })).toBeDisabled();
+    expect(within(gizmo).getByRole('button', { name: 'Decrease quantity' })).toBeDisabled();
+  });
+
   it('navigates to /checkout on Proceed to Checkout click', () => {
     const items = [{ id: '1', name: 'Widget', price: 9.99, image: '' }];
     render(<Cart cart={items} setCart={jest.fn()} />);
     fireEvent.click(screen.getByRole('button', { name: /proceed to checkout/i }));
     expect(mockNavigate).toHaveBeenCalledWith('/checkout');
   });
+
+  it('sums in cents and prefers the server-formatted price', () => {
+    const items = [
+      { id: '1', name: 'Widget', price: 0.1, image: '', quantity: 3 },
+      { id: '2', name: 'Gizmo', price: 0.2, image: '', money: { price: { amount: 20, currency: 'USD', formatted: 'US$0.20' } } },
+    ];
+    render(<Cart cart={items} setCart={jest.fn()} />);
+    expect(screen.getByText('US$0.20')).toBeInTheDocument();
+    expect(screen.getByText(/Total: \$0\.50/)).toBeInTheDocument();
+  });
 });
@@ -12,13 +12,17 @@ jest.mock('../services/apiClient', () => ({
   apiClient: {
     post: jest.fn(() => Promise.resolve({ data: { orderNumber: '123', items: [], total: 0 } })),
   },
+  createIdempotencyKey: jest.fn(() => 'key-1'),
   withRetry: jest.fn(fn => fn()),
 }));
 
-// Mock the CheckoutForm to simply render a button that calls onSubmit when clicked
-jest.mock('../components/CheckoutForm', () => props => <button onClick={() => props.onSubmit({ email: 'test@example.com' })}>Submit Order</button>);
+// Mock the CheckoutForm to simply render a button that calls onSubmit when clicked, paying with the mock provider's test card
+jest.mock('../components/CheckoutForm', () => props => (
+  <button onClick={() => props.onSubmit({ email: 'test@example.com' }, () => Promise.resolve({ paymentMethod: 'pm_card_visa' }))}>Submit Order</button>
+));
 
 const Checkout = require('../pages/Checkout').default;
+const { apiClient, withRetry } = require('../services/apiClient');
 
 describe('<Checkout />', () => {
   it('renders the form initially', () => {
@@ -52,4 +56,107 @@ describe('<Checkout />', () => {
     // after API completes, router should render the success route
     await waitFor(() => expect(screen.getByText(/order success/i)).toBeInTheDocument());
   });
+
+  it('shows the server quote for the selected items', async () => {
+    const quote = {
+      lines: [{ productId: '1', name: 'Test Product', unitPrice: 100, quantity: 1, subtotal: 100, discount: 10, tax: 0, total: 90 }],
+      subtotal: 100,
+      discountTotal: 10,
+      shippingTotal: 0,
+      taxTotal: 0,
+      total: 90,
+      promotion: { code: 'SAVE10', description: null, type: 'percentage', freeShipping: false },
+    };
+    withRetry.mockImplementation(fn => fn());
+    apiClient.post.mockImplementation(url => Promise.resolve({ data: url === 'checkout/quote' ? quote : { orderNumber: '123' } }));
+
+    render(
+      <MemoryRouter initialEntries={['/checkout']}>
+        <Routes>
+          <Route path="/checkout" element={<Checkout cartItems={[{ id: '1', _id: '1', name: 'Test Product', price: 100 }]} />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Order summary')).toBeInTheDocument();
+    expect(screen.getByText(/Total due \$90\.00/)).toBeInTheDocument();
+    expect(apiClient.post).toHaveBeenCalledWith('checkout/quote', expect.objectContaining({ items: [{ productId: '1', quantity: 1 }] }));
+  });
+
+  it('confirms the payment before treating the order as placed', async () => {
+    const order = { orderNumber: 'FE-123456', items: [], total: 100, payment: { provider: 'mock', intentId: 'pi_mock_1', clientSecret: 'secret', status: 'pending' } };
+    withRetry.mockImplementation(fn => fn());
+    apiClient.post.mockImplementation(url => {
+      if (url === 'checkout/create-order') return Promise.resolve({ data: order });
+      if (url === 'checkout/orders/FE-123456/confirm-payment') return Promise.resolve({ data: { paymentStatus: 'succeeded' } });
+      return Promise.resolve({ data: {} });
+    });
+
+    render(
+      <MemoryRouter initialEntries={['/checkout']}>
+        <Routes>
+          <Route path="/checkout" element={<Checkout cartItems={[{ id: '1', _id: '1', name: 'Test Product', price: 100 }]} />} />
+          <Route path="/order-success" element={<div>Order success</div>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /submit order/i }));
+
+    expect(await screen.findByText(/order success/i)).toBeInTheDocument();
+    expect(apiClient.post).toHaveBeenCalledWith('checkout/orders/FE-123456/confirm-payment', { paymentIntentId: 'pi_mock_1', paymentMethod: 'pm_card_visa' });
+  });
+
+  it('keeps an unpaid order and retries only the payment', async () => {
+    const order = { orderNumber: 'FE-123456', items: [], total: 100, payment: { provider: 'mock', intentId: 'pi_mock_1', clientSecret: 'secret', status: 'pending' } };
+    withRetry.mockImplementation(fn => fn());
+    apiClient.post.mockImplementation(url => {
+      if (url === 'checkout/create-order') return Promise.resolve({ data: order });
+      if (url.endsWith('/confirm-payment')) {
+        return Promise.reject({ response: { status: 409, data: { error: 'The payment has not been completed yet.', code: 'PAYMENT_INCOMPLETE' } } });
+      }
+      return Promise.resolve({ data: {} });
+    });
+
+    render(
+      <MemoryRouter initialEntries={['/checkout']}>
+        <Routes>
+          <Route path="/checkout" element={<Checkout cartItems={[{ id: '1', _id: '1', name: 'Test Product', price: 100 }]} />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /submit order/i }));
+    expect(await screen.findByText('The payment has not been completed yet.')).toBeInTheDocument();
+    expect(screen.getByText(/FE-123456 is reserved but not paid yet/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /submit order/i }));
+    await waitFor(() => expect(apiClient.post.mock.calls.filter(([url]) => url.endsWith('/confirm-payment'))).toHaveLength(2));
+    expect(apiClient.post.mock.calls.filter(([url]) => url === 'checkout/create-order')).toHaveLength(1);
+  });
+
+  it('places a new order after a decline, since the declined one is released', async () => {
+    const order = { orderNumber: 'FE-123456', items: [], total: 100, payment: { provider: 'mock', intentId: 'pi_mock_1', clientSecret: 'secret', status: 'pending' } };
+    withRetry.mockImplementation(fn => fn());
+    apiClient.post.mockImplementation(url => {
+      if (url === 'checkout/create-order') return Promise.resolve({ data: order });
+      if (url.endsWith('/confirm-payment')) return Promise.reject({ response: { status: 402, data: { error: 'Your card was declined.', code: 'PAYMENT_DECLINED' } } });
+      return Promise.resolve({ data: {} });
+    });
+
+    render(
+      <MemoryRouter initialEntries={['/checkout']}>
+        <Routes>
+          <Route path="/checkout" element={<Checkout cartItems={[{ id: '1', _id: '1', name: 'Test Product', price: 100 }]} />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /submit order/i }));
+    expect(await screen.findByText('Your card was declined.')).toBeInTheDocument();
+    expect(screen.queryByText(/is reserved but not paid yet/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /submit order/i }));
+    await waitFor(() => expect(apiClient.post.mock.calls.filter(([url]) => url === 'checkout/create-order')).toHaveLength(2));
+  });
 });
@@ -0,0 +1,135 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CheckoutForm from '../components/CheckoutForm';
+
+jest.mock('../context/NotificationProvider', () => ({
+  useNotifier: () => ({
+    notify: jest.fn(),
+  }),
+}));
+
+const fillAddress = () => {
+  fireEvent.change(screen.getByLabelText(/address line 1/i), { target: { value: '1 Main St' } });
+  fireEvent.change(screen.getByLabelText(/city/i), { target: { value: 'Springfield' } });
+  fireEvent.change(screen.getByLabelText(/state \/ region/i), { target: { value: 'IL' } });
+  fireEvent.change(screen.getByLabelText(/postal code/i), { target: { value: '62701' } });
+};
+
+describe('<CheckoutForm /> payment', () => {
+  it('never sends card data and pays through the selected test card', async () => {
+    const onSubmit = jest.fn(() => Promise.resolve());
+    render(<CheckoutForm onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText(/full name/i), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { value: 'ada@example.com' } });
+    fillAddress();
+    fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    const [payload, confirmPayment] = onSubmit.mock.calls[0];
+    expect(payload).toEqual({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      shippingAddress: { fullName: 'Ada Lovelace', line1: '1 Main St', line2: '', city: 'Springfield', region: 'IL', postalCode: '62701', country: 'US', phone: '' },
+    });
+    await expect(confirmPayment({ intentId: 'pi_mock_1', clientSecret: 'secret' })).resolves.toEqual({ paymentMethod: 'pm_card_visa' });
+  });
+});
+
+describe('<CheckoutForm /> shipping address', () => {
+  const saved = [
+    { id: 4, fullName: 'Ada Lovelace', line1: '12 St James Sq', line2: null, city: 'London', region: null, postalCode: 'SW1Y 4JH', country: 'GB', phone: null, isDefault: false },
+    { id: 7, fullName: 'Ada Lovelace', line1: '1 Main St', line2: null, city: 'Springfield', region: 'IL', postalCode: '62701', country: 'US', phone: null, isDefault: true },
+  ];
+
+  it('preselects the default saved address and ships there', async () => {
+    const onSubmit = jest.fn(() => Promise.resolve());
+    const onShippingAddressChange = jest.fn();
+    render(<CheckoutForm onSubmit={onSubmit} onShippingAddressChange={onShippingAddressChange} savedAddresses={saved} canSaveAddress />);
+
+    expect(screen.getByLabelText(/1 Main St.*\(default\)/)).toBeChecked();
+    expect(screen.queryByLabelText(/address line 1/i)).not.toBeInTheDocument();
+    expect(onShippingAddressChange).toHaveBeenLastCalledWith({ shippingAddressId: 7 });
+
+    fireEvent.click(screen.getByLabelText(/12 St James Sq/));
+    expect(onShippingAddressChange).toHaveBeenLastCalledWith({ shippingAddressId: 4 });
+
+    fireEvent.change(screen.getByLabelText(/full name/i), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { value: 'ada@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    expect(onSubmit.mock.calls[0][0]).toEqual({ name: 'Ada Lovelace', email: 'ada@example.com', shippingAddressId: 4 });
+  });
+
+  it('can save a new address to the account and re-prices on blur', async () => {
+    const onSubmit = jest.fn(() => Promise.resolve());
+    const onShippingAddressChange = jest.fn();
+    render(<CheckoutForm onSubmit={onSubmit} onShippingAddressChange={onShippingAddressChange} savedAddresses={saved} canSaveAddress />);
+
+    fireEvent.click(screen.getByLabelText(/ship to a new address/i));
+    fireEvent.change(screen.getByLabelText(/full name/i), { target: { value: 'Ada Lovelace' } });
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { value: 'ada@example.com' } });
+    fillAddress();
+    fireEvent.change(screen.getByLabelText(/country/i), { target: { value: 'CA' } });
+    fireEvent.blur(screen.getByLabelText(/country/i));
+    expect(onShippingAddressChange).toHaveBeenLastCalledWith({ shippingAddress: { country: 'CA', region: 'IL', postalCode: '62701' } });
+
+    fireEvent.click(screen.getByLabelText(/save this address/i));
+    fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    expect(onSubmit.mock.calls[0][0]).toMatchObject({ shippingAddress: { line1: '1 Main St', country: 'CA' }, saveAddress: true });
+  });
+
+  it('shows the server’s field errors', () => {
+    render(<CheckoutForm onSubmit={jest.fn()} addressErrors={{ postalCode: 'Postal code is required' }} />);
+
+    expect(screen.getByText('Postal code is required')).toBeInTheDocument();
+  });
+});
+
+describe('<CheckoutForm /> delivery', () => {
+  it('offers the quoted shipping methods with their price and delivery window', () => {
+    const onShippingMethodChange = jest.fn();
+    const shippingOptions = [
+      { code: 'standard', name: 'Standard', amount: 0, money: { amount: { amount: 0, currency: 'USD', formatted: '$0.00' } }, deliveryWindow: { start: '2026-10-22', end: '2026-10-26' } },
+      { code: 'overnight', name: 'Overnight', amount: 29.99, money: { amount: { amount: 2999, currency: 'USD', formatted: '$29.99' } }, deliveryWindow: { start: '2026-10-20', end: '2026-10-20' } },
+    ];
+    render(<CheckoutForm onSubmit={jest.fn()} shippingOptions={shippingOptions} shippingMethod="standard" onShippingMethodChange={onShippingMethodChange} />);
+
+    expect(screen.getByLabelText(/Standard: Free, arrives Thu, Oct 22 – Mon, Oct 26/)).toBeChecked();
+    fireEvent.click(screen.getByLabelText(/Overnight: \$29\.99, arrives Tue, Oct 20$/));
+    expect(onShippingMethodChange).toHaveBeenCalledWith('overnight');
+  });
+});
+
+describe('<CheckoutForm /> promo codes', () => {
+  it('sends the entered code and shows the discount once applied', async () => {
+    const onApplyCoupon = jest.fn(() => Promise.resolve());
+    const { rerender } = render(<CheckoutForm onSubmit={jest.fn()} onApplyCoupon={onApplyCoupon} />);
+
+    fireEvent.change(screen.getByLabelText(/promo code/i), { target: { value: 'save10' } });
+    fireEvent.click(screen.getByRole('button', { name: /apply/i }));
+    await waitFor(() => expect(onApplyCoupon).toHaveBeenCalledWith('SAVE10', ''));
+
+    rerender(
+      <CheckoutForm
+        onSubmit={jest.fn()}
+        onApplyCoupon={onApplyCoupon}
+        onRemoveCoupon={jest.fn()}
+        appliedCoupon={{ couponCode: 'SAVE10', discount: 12.5, shippingDiscount: 0, freeShipping: false }}
+      />
+    );
+    expect(screen.getByText(/applied: -\$12\.50/)).toBeInTheDocument();
+  });
+
+  it('shows why a code was rejected', async () => {
+    const onApplyCoupon = jest.fn(() => Promise.reject({ response: { data: { error: 'That promo code has expired.' } } }));
+    render(<CheckoutForm onSubmit={jest.fn()} onApplyCoupon={onApplyCoupon} />);
+
+    fireEvent.change(screen.getByLabelText(/promo code/i), { target: { value: 'OLD' } });
+    fireEvent.click(screen.getByRole('button', { name: /apply/i }));
+    expect(await screen.findByText('That promo code has expired.')).toBeInTheDocument();
+  });
+});
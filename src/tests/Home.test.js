@@ -1,7 +1,13 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor } from '@testing-library/react';
 import { MemoryRouter } from 'react-router-dom';
 import Home from '../pages/Home';
+import { apiClient } from '../services/apiClient';
+
+jest.mock('../services/apiClient', () => ({
+  apiClient: { get: jest.fn(), post: jest.fn() },
+  withRetry: fn => fn(),
+}));
 
 // 1) Mock the ProductCard so it doesn't pull in useNavigate
 jest.mock('../components/ProductCard', () => ({ product }) => <div data-testid="product-card">{product.name}</div>);
@@ -24,47 +30,65 @@ describe('<Home />', () => {
       category: 'any',
     }));
 
-  it('renders the 3 banner images', () => {
+  // Serves each storefront section from `products`, plus one category.
+  const serveStorefront = products => {
+    apiClient.get.mockImplementation((url, config) => {
+      if (url === 'products/categories') return Promise.resolve({ data: [{ category: 'audio', count: 2, image: 'audio.jpg' }] });
+      return Promise.resolve({ data: { products: products.slice(0, config.params.limit) } });
+    });
+  };
+
+  beforeEach(() => {
+    apiClient.get.mockReset();
+    serveStorefront([]);
+  });
+
+  it('renders the 3 banner images', async () => {
     render(
       <MemoryRouter>
-        <Home products={[]} addToCart={() => {}} loading={false} error={null} />
+        <Home addToCart={() => {}} />
       </MemoryRouter>
     );
     bannerAlts.forEach(alt => {
       expect(screen.getByAltText(alt)).toBeInTheDocument();
     });
+    await waitFor(() => expect(screen.queryByRole('progressbar')).not.toBeInTheDocument());
   });
 
-  it('shows a spinner when loading=true', () => {
+  it('shows a spinner while the featured products load', () => {
+    apiClient.get.mockReturnValue(new Promise(() => {}));
     render(
       <MemoryRouter>
-        <Home products={[]} addToCart={() => {}} loading={true} error={null} />
+        <Home addToCart={() => {}} />
       </MemoryRouter>
     );
     expect(screen.getByRole('progressbar')).toBeInTheDocument();
   });
 
-  it('shows an error alert when error is passed', () => {
-    const err = new Error('Oops!');
+  it('shows an error alert when the products cannot be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    apiClient.get.mockRejectedValue(new Error('Oops!'));
     render(
       <MemoryRouter>
-        <Home products={[]} addToCart={() => {}} loading={false} error={err} />
+        <Home addToCart={() => {}} />
       </MemoryRouter>
     );
-    expect(screen.getByText('Oops!')).toBeInTheDocument();
+    expect(await screen.findByText('Oops!')).toBeInTheDocument();
+    console.error.mockRestore();
   });
 
-  it('renders only the first 3 products as featured', () => {
-    const five = makeProducts(5);
+  it('asks the catalog for 3 featured products and lists the categories', async () => {
+    serveStorefront(makeProducts(5));
     render(
       <MemoryRouter>
-        <Home products={five} addToCart={() => {}} loading={false} error={null} />
+        <Home addToCart={() => {}} />
       </MemoryRouter>
     );
-    const cards = screen.getAllByTestId('product-card');
-    // Home page now renders Featured Products (3) + New Arrivals (5) = 8 total
-    // Featured products are the first 3 in the array
-    expect(cards.length).toBeGreaterThanOrEqual(3);
+    const cards = await screen.findAllByTestId('product-card');
+    expect(apiClient.get).toHaveBeenCalledWith('products', { params: { limit: 3, sort: 'featured' } });
+    expect(screen.getByText('Audio')).toBeInTheDocument();
+    // Featured Products (3) come before New Arrivals (5)
+    expect(cards).toHaveLength(8);
     expect(cards[0].textContent).toBe('Prod1');
     expect(cards[1].textContent).toBe('Prod2');
     expect(cards[2].textContent).toBe('Prod3');
@@ -25,4 +25,35 @@ describe('<OrderSuccess />', () => {
     const svg = screen.getByTestId('CheckCircleOutlineIcon');
     expect(svg).toBeInTheDocument();
   });
+
+  it('shows the delivery window and method of the new order', () => {
+    render(
+      <MemoryRouter initialEntries={[{ pathname: '/order-success', state: { orderNumber: 'FE-123456', deliveryWindow: { start: '2026-10-22', end: '2026-10-26' }, shippingMethod: { code: 'standard', name: 'Standard' } } }]}>
+        <OrderSuccess />
+      </MemoryRouter>
+    );
+    expect(screen.getByText(/Estimated delivery: Thu, Oct 22 – Mon, Oct 26 \(Standard\)/)).toBeInTheDocument();
+  });
+
+  it('itemizes the tax charged on the order', () => {
+    const state = {
+      orderNumber: 'FE-123456',
+      items: [{ productId: 1, name: 'Desk Lamp', price: 40, quantity: 2, tax: 5, taxRate: 6.25 }],
+      subtotal: 80,
+      discountTotal: 0,
+      shippingTotal: 5.99,
+      taxTotal: 5,
+      total: 90.99,
+      tax: { jurisdiction: 'Illinois', exempt: false },
+      currency: 'USD',
+    };
+    render(
+      <MemoryRouter initialEntries={[{ pathname: '/order-success', state }]}>
+        <OrderSuccess />
+      </MemoryRouter>
+    );
+    expect(screen.getByText(/Qty 2 • \$40\.00 • Tax \$5\.00 \(6\.25%\)/)).toBeInTheDocument();
+    expect(screen.getByText('Tax (Illinois)')).toBeInTheDocument();
+    expect(screen.getByText('$90.99')).toBeInTheDocument();
+  });
 });
@@ -0,0 +1,227 @@
+import React from 'react';
+import { act, render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import OrderTracking from '../pages/OrderTracking';
+import { apiClient } from '../services/apiClient';
+
+const mockNotify = jest.fn();
+jest.mock('../context/NotificationProvider', () => ({
+  useNotifier: () => ({ notify: mockNotify }),
+}));
+
+jest.mock('../services/apiClient', () => ({
+  API_BASE_URL: 'http://api.test',
+  apiClient: { post: jest.fn(), patch: jest.fn() },
+  withRetry: fn => fn(),
+}));
+
+const renderTracking = () =>
+  render(
+    <MemoryRouter initialEntries={['/track?orderNumber=FE-100200&email=alice@example.com']}>
+      <OrderTracking />
+    </MemoryRouter>
+  );
+
+describe('<OrderTracking /> order changes', () => {
+  const order = {
+    orderNumber: 'FE-100200',
+    email: 'alice@example.com',
+    currency: 'USD',
+    currentStatus: { code: 'PICKING_ITEMS', label: 'Picking items' },
+    statusHistory: [{ code: 'PICKING_ITEMS', label: 'Picking items', description: 'Picking', enteredAt: '2026-10-01T11:00:00Z' }],
+    statusFlow: [{ code: 'PICKING_ITEMS', label: 'Picking items', description: 'Picking' }],
+    items: [{ id: 1, productId: 3, name: 'Cable', price: 29.99, quantity: 2 }],
+    subtotal: 59.98,
+    total: 59.98,
+    refundDue: 0,
+    canCancel: true,
+    canEdit: true,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('cancels the order after confirming', async () => {
+    apiClient.post.mockImplementation(url =>
+      Promise.resolve({
+        data: url === 'orders/track' ? { ...order, orderToken: 'order-token' } : { ...order, canCancel: false, canEdit: false, cancelledAt: '2026-10-02T09:00:00Z', refundDue: 59.98 },
+      })
+    );
+
+    renderTracking();
+    fireEvent.click(await screen.findByRole('button', { name: 'Cancel order' }));
+    fireEvent.change(screen.getByLabelText(/reason/i), { target: { value: 'Ordered twice' } });
+    fireEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Cancel order' }));
+
+    expect(await screen.findByText(/this order was cancelled/i)).toHaveTextContent('$59.98 is being refunded');
+    expect(apiClient.post).toHaveBeenCalledWith('orders/FE-100200/cancel', { orderToken: 'order-token', reason: 'Ordered twice' });
+    expect(screen.queryByRole('button', { name: 'Change order' })).not.toBeInTheDocument();
+  });
+
+  it('sends lowered quantities only', async () => {
+    apiClient.post.mockResolvedValue({ data: { ...order, orderToken: 'order-token' } });
+    apiClient.patch.mockResolvedValue({ data: { ...order, items: [{ ...order.items[0], quantity: 1 }], refundDue: 29.99 } });
+
+    renderTracking();
+    fireEvent.click(await screen.findByRole('button', { name: 'Change order' }));
+    const dialog = screen.getByRole('dialog');
+    expect(within(dialog).getByRole('button', { name: 'Increase quantity' })).toBeDisabled();
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Decrease quantity' }));
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Save changes' }));
+
+    await waitFor(() => expect(apiClient.patch).toHaveBeenCalledWith('orders/FE-100200', { orderToken: 'order-token', items: [{ itemId: 1, quantity: 1 }] }));
+    expect(await screen.findByText(/owed back to you is being refunded/i)).toHaveTextContent('$29.99');
+  });
+});
+
+describe('<OrderTracking /> returns', () => {
+  const delivered = {
+    orderNumber: 'FE-100200',
+    email: 'alice@example.com',
+    currency: 'USD',
+    currentStatus: { code: 'DELIVERED', label: 'Delivered' },
+    statusHistory: [{ code: 'DELIVERED', label: 'Delivered', description: 'Delivered', enteredAt: '2026-10-10T11:00:00Z' }],
+    statusFlow: [{ code: 'DELIVERED', label: 'Delivered', description: 'Delivered' }],
+    items: [
+      { id: 1, productId: 3, name: 'Cable', price: 29.99, quantity: 2, returnableQuantity: 2 },
+      { id: 2, productId: 4, name: 'Mouse', price: 19.99, quantity: 1, returnableQuantity: 0 },
+    ],
+    subtotal: 79.97,
+    total: 79.97,
+    refundDue: 0,
+    canReturn: true,
+    returnWindow: { deliveredAt: '2026-10-10T11:00:00Z', endsAt: '2026-11-09T11:00:00Z' },
+    returns: [
+      {
+        rmaNumber: 'RMA-111111',
+        status: 'label_issued',
+        labelUrl: 'https://labels.example.com/1.pdf',
+        items: [{ orderItemId: 2, name: 'Mouse', quantity: 1, reason: 'defective', reasonLabel: 'Stopped working or faulty' }],
+        refundAmount: null,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('shows existing returns and requests one for the items left', async () => {
+    const requested = { rmaNumber: 'RMA-222222', status: 'requested', items: [{ orderItemId: 1, name: 'Cable', quantity: 1, reasonLabel: 'Arrived damaged' }] };
+    apiClient.post.mockImplementation(url =>
+      Promise.resolve({ data: url === 'orders/track' ? { ...delivered, orderToken: 'order-token' } : { ...delivered, canReturn: false, returns: [...delivered.returns, requested] } })
+    );
+
+    renderTracking();
+    expect(await screen.findByText('RMA-111111')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /print your return label/i })).toHaveAttribute('href', 'https://labels.example.com/1.pdf');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start a return' }));
+    const dialog = screen.getByRole('dialog');
+    expect(within(dialog).queryByText('Mouse')).not.toBeInTheDocument();
+    expect(within(dialog).getByRole('button', { name: 'Request return' })).toBeDisabled();
+
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Increase quantity' }));
+    fireEvent.mouseDown(within(dialog).getByRole('combobox', { name: /reason for returning cable/i }));
+    fireEvent.click(await screen.findByRole('option', { name: 'Arrived damaged' }));
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Request return' }));
+
+    await waitFor(() =>
+      expect(apiClient.post).toHaveBeenCalledWith('orders/FE-100200/returns', {
+        orderToken: 'order-token',
+        items: [{ itemId: 1, quantity: 1, reason: 'damaged' }],
+        comment: undefined,
+      })
+    );
+    expect(await screen.findByText('RMA-222222')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Start a return' })).not.toBeInTheDocument();
+  });
+});
+
+describe('<OrderTracking /> live updates', () => {
+  class MockEventSource {
+    static CLOSED = 2;
+
+    static instances = [];
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.listeners = {};
+      MockEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+      this.listeners[type] = listener;
+    }
+
+    close() {
+      this.readyState = MockEventSource.CLOSED;
+    }
+
+    open() {
+      this.readyState = 1;
+      this.onopen();
+    }
+
+    emit(id, data) {
+      this.listeners.history({ lastEventId: String(id), data: JSON.stringify(data) });
+    }
+  }
+
+  const flow = [
+    { code: 'PICKING_ITEMS', label: 'Picking items', description: 'Picking' },
+    { code: 'PACKED_FOR_SHIPMENT', label: 'Packed for shipment', description: 'Packed' },
+  ];
+  const order = {
+    orderNumber: 'FE-100200',
+    email: 'alice@example.com',
+    currency: 'USD',
+    currentStatus: { id: 4, code: 'PICKING_ITEMS', label: 'Picking items' },
+    statusHistory: [{ id: 4, code: 'PICKING_ITEMS', label: 'Picking items', description: 'Picking', enteredAt: '2026-10-01T11:00:00Z' }],
+    statusFlow: flow,
+    items: [],
+    eventsToken: 'events-token',
+  };
+  const packed = { id: 5, code: 'PACKED_FOR_SHIPMENT', label: 'Packed for shipment', description: 'Sealed and ready', enteredAt: '2026-10-01T12:00:00Z', note: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    MockEventSource.instances = [];
+    window.EventSource = MockEventSource;
+    apiClient.post.mockResolvedValue({ data: { ...order, orderToken: 'order-token' } });
+  });
+
+  afterEach(() => {
+    delete window.EventSource;
+  });
+
+  it('adds pushed entries to the timeline and reconnects after the last one it got', async () => {
+    renderTracking();
+    await waitFor(() => expect(MockEventSource.instances).toHaveLength(1));
+    const [stream] = MockEventSource.instances;
+    expect(stream.url).toBe('http://api.test/orders/FE-100200/events?token=events-token&lastEventId=4');
+
+    act(() => stream.open());
+    expect(screen.getByText('Live')).toBeInTheDocument();
+
+    act(() => stream.emit(5, { entry: packed, isStatus: true, statusFlow: flow }));
+    expect(await screen.findByText(/Sealed and ready/)).toBeInTheDocument();
+    expect(mockNotify).toHaveBeenCalledWith({ severity: 'info', message: 'Order update: Packed for shipment' });
+    await waitFor(() => expect(apiClient.post).toHaveBeenCalledTimes(2));
+    // The details refresh does not roll the timeline back to what the server had when it was read.
+    expect(screen.getByText(/Sealed and ready/)).toBeInTheDocument();
+
+    act(() => {
+      stream.close();
+      stream.onerror();
+    });
+    expect(screen.getByText('Reconnecting…')).toBeInTheDocument();
+    await waitFor(() => expect(MockEventSource.instances).toHaveLength(2), { timeout: 2000 });
+    expect(MockEventSource.instances[1].url).toBe('http://api.test/orders/FE-100200/events?token=events-token&lastEventId=5');
+  });
+});
@@ -113,6 +113,27 @@ describe('<Register />', () => {
     await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/', { replace: true }));
   });
 
+  it('sends unverified accounts to the verification page', async () => {
+    apiClient.post.mockResolvedValueOnce({ data: { email: 'b@c.com', requiresVerification: true, devVerificationCode: '123456' } });
+
+    render(
+      <MemoryRouter>
+        <Register />
+      </MemoryRouter>
+    );
+    let [pwd, cpwd] = screen.getAllByLabelText(/password/i, { selector: 'input' });
+    fireEvent.change(pwd, { target: { value: 'pw' } });
+    fireEvent.change(cpwd, { target: { value: 'pw' } });
+
+    fireEvent.click(screen.getByRole('button', { name: /register/i }));
+
+    await waitFor(() =>
+      expect(mockNavigate).toHaveBeenCalledWith('/verify-email', { state: { email: 'b@c.com', devVerificationCode: '123456' } })
+    );
+    expect(localStorage.getItem('MERNEcommerceToken')).toBeNull();
+    expect(localStorage.getItem('pendingEmailVerification')).toBe('b@c.com');
+  });
+
   it('renders concatenated validation errors from server', async () => {
     apiClient.post.mockRejectedValueOnce({
       response: { data: { errors: [{ msg: 'Err1' }, { msg: 'Err2' }] } },
@@ -1,6 +1,12 @@
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import Shop from '../pages/Shop';
+import { apiClient } from '../services/apiClient';
+
+jest.mock('../services/apiClient', () => ({
+  apiClient: { get: jest.fn() },
+  withRetry: fn => fn(),
+}));
 
 // Mock ProductCard so it doesn’t invoke useNavigate
 jest.mock('../components/ProductCard', () => ({ product }) => <div data-testid="product-card">{product.name}</div>);
@@ -13,35 +19,79 @@ describe('<Shop />', () => {
       category,
     }));
 
-  it('shows loading spinner when loading=true', () => {
-    render(<Shop products={[]} addToCart={() => {}} loading={true} />);
+  // Serves `products` the way GET /api/products pages them.
+  const serveCatalog = products => {
+    apiClient.get.mockImplementation((url, config) => {
+      if (url === 'products/categories') {
+        const categories = [...new Set(products.map(product => product.category))];
+        return Promise.resolve({ data: categories.map(category => ({ category, count: 1, image: null })) });
+      }
+      const { params } = config;
+      const start = (params.page - 1) * params.limit;
+      return Promise.resolve({
+        data: {
+          products: products.slice(start, start + params.limit),
+          total: products.length,
+          totalPages: Math.max(1, Math.ceil(products.length / params.limit)),
+        },
+      });
+    });
+  };
+
+  beforeEach(() => {
+    apiClient.get.mockReset();
+    serveCatalog([]);
+  });
+
+  it('shows a spinner while the first page loads', () => {
+    apiClient.get.mockReturnValue(new Promise(() => {}));
+    render(<Shop addToCart={() => {}} />);
     expect(screen.getByRole('progressbar')).toBeInTheDocument();
   });
 
-  it('renders header and no cards when products empty', () => {
-    render(<Shop products={[]} addToCart={() => {}} loading={false} />);
+  it('renders header and no cards when products empty', async () => {
+    render(<Shop addToCart={() => {}} />);
     expect(screen.getByText(/^Shop$/)).toBeInTheDocument();
+    expect(await screen.findByText(/No products matched your filters/)).toBeInTheDocument();
     expect(screen.queryAllByTestId('product-card')).toHaveLength(0);
   });
 
-  it('renders up to 6 product cards per page', () => {
+  it('renders up to 6 product cards per page', async () => {
     const six = makeProducts(6);
-    render(<Shop products={six} addToCart={() => {}} loading={false} />);
-    expect(screen.getAllByTestId('product-card')).toHaveLength(6);
+    serveCatalog(six);
+    render(<Shop addToCart={() => {}} />);
+    expect(await screen.findAllByTestId('product-card')).toHaveLength(6);
   });
 
   it('paginates when more than 6 products', async () => {
     const eight = makeProducts(8);
-    render(<Shop products={eight} addToCart={() => {}} loading={false} />);
+    serveCatalog(eight);
+    render(<Shop addToCart={() => {}} />);
 
     // Page 1 should show 6 cards
-    expect(screen.getAllByTestId('product-card')).toHaveLength(6);
+    expect(await screen.findAllByTestId('product-card')).toHaveLength(6);
 
     // Click the "Go to page 2" button
     fireEvent.click(screen.getByRole('button', { name: /go to page 2/i }));
 
     // Wait for the new set of cards on page 2 (should be 2)
-    const page2Cards = await screen.findAllByTestId('product-card');
-    expect(page2Cards).toHaveLength(2);
+    await waitFor(() => expect(screen.getAllByTestId('product-card')).toHaveLength(2));
+    expect(apiClient.get).toHaveBeenLastCalledWith('products', { params: expect.objectContaining({ page: 2, limit: 6 }) });
+  });
+
+  it('sends category, availability and sort filters to the API', async () => {
+    serveCatalog(makeProducts(2, 'laptops'));
+    render(<Shop addToCart={() => {}} />);
+    await screen.findAllByTestId('product-card');
+    expect(apiClient.get).toHaveBeenCalledWith('products/categories');
+
+    fireEvent.click(screen.getByRole('button', { name: /in stock/i }));
+    fireEvent.click(screen.getByText('Laptops', { selector: '.MuiChip-label' }));
+
+    await waitFor(() =>
+      expect(apiClient.get).toHaveBeenLastCalledWith('products', {
+        params: { page: 1, limit: 6, sort: 'featured', category: 'Laptops', inStock: true },
+      })
+    );
   });
 });
@@ -0,0 +1,50 @@
+import { apiClient } from '../services/apiClient';
+import { CART_TOKEN_STORAGE_KEY, diffCarts, fromServerCart, syncCartChanges } from '../services/cartApi';
+
+jest.mock('../services/apiClient', () => ({
+  apiClient: { get: jest.fn(), post: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+}));
+
+describe('cart API sync', () => {
+  const lamp = { id: 1, _id: 1, name: 'Desk Lamp', price: 40 };
+  const mug = { id: 2, _id: 2, name: 'Mug', price: 12.5 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('works out the calls that turn one cart into another', () => {
+    expect(diffCarts([lamp], [{ ...lamp, quantity: 3 }, mug])).toEqual([
+      { type: 'update', productId: '1', quantity: 3 },
+      { type: 'add', productId: '2', quantity: 1 },
+    ]);
+    expect(diffCarts([lamp, mug], [mug])).toEqual([{ type: 'remove', productId: '1' }]);
+    expect(diffCarts([lamp, mug], [])).toEqual([{ type: 'clear' }]);
+    expect(diffCarts([], [])).toEqual([]);
+  });
+
+  it('keeps the guest cart token from the first add and sends it afterwards', async () => {
+    apiClient.post.mockResolvedValue({ data: { token: 'guest-token-1234567890', items: [] } });
+    apiClient.patch.mockResolvedValue({ data: {} });
+
+    await syncCartChanges([], [lamp]);
+    await syncCartChanges([lamp], [{ ...lamp, quantity: 2 }]);
+
+    expect(apiClient.post).toHaveBeenCalledWith('cart/items', { productId: 1, quantity: 1 }, {});
+    expect(localStorage.getItem(CART_TOKEN_STORAGE_KEY)).toBe('guest-token-1234567890');
+    expect(apiClient.patch).toHaveBeenCalledWith('cart/items/1', { quantity: 2 }, { headers: { 'x-cart-token': 'guest-token-1234567890' } });
+  });
+
+  it('treats removing an item the server no longer has as done', async () => {
+    apiClient.delete.mockRejectedValue({ response: { status: 404 } });
+
+    await expect(syncCartChanges([lamp, mug], [mug])).resolves.toBeUndefined();
+  });
+
+  it('maps server cart items to cart products with their quantity', () => {
+    const data = { items: [{ productId: 2, quantity: 3, product: { id: 2, name: 'Mug', price: 12.5 } }] };
+    expect(fromServerCart(data)).toEqual([{ id: 2, _id: 2, name: 'Mug', price: 12.5, quantity: 3 }]);
+    expect(fromServerCart(null)).toEqual([]);
+  });
+});
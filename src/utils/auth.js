@@ -0,0 +1,27 @@
+export const TOKEN_STORAGE_KEY = 'MERNEcommerceToken';
+
+// Reads the JWT payload without verifying it. Only use the result to tailor the UI;
+// the server enforces roles on every protected request.
+export const decodeTokenPayload = token => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const segment = token.split('.')[1];
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(segment.length / 4) * 4, '=');
+    return JSON.parse(atob(base64));
+  } catch (err) {
+    return null;
+  }
+};
+
+export const getStoredUserRole = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  return decodeTokenPayload(localStorage.getItem(TOKEN_STORAGE_KEY))?.user?.role || null;
+};
+
+export const isStoredUserAdmin = () => getStoredUserRole() === 'admin';
@@ -0,0 +1,17 @@
+// Delivery windows come from the API as calendar dates (YYYY-MM-DD). They are formatted in UTC so
+// the browser's own time zone can never move them to the day before.
+
+const dayFormatter = new Intl.DateTimeFormat('en-LB', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+export const formatDeliveryDate = date => {
+  if (!date) return '';
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return Number.isNaN(parsed.getTime()) ? '' : dayFormatter.format(parsed);
+};
+
+export const formatDeliveryWindow = window => {
+  if (!window?.start || !window?.end) return '';
+  const start = formatDeliveryDate(window.start);
+  const end = formatDeliveryDate(window.end);
+  return start === end ? start : `${start} – ${end}`;
+};
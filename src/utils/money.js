@@ -0,0 +1,43 @@
+// Client-side counterpart of backend/utils/money.js. Sums are done in integer minor units
+// (cents) and only turned into display strings at the edge.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+const CURRENCY_EXPONENTS = { BHD: 3, CLP: 0, ISK: 0, JPY: 0, KRW: 0, KWD: 3, OMR: 3, VND: 0 };
+
+const currencyExponent = currency => CURRENCY_EXPONENTS[currency] ?? 2;
+
+export const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return 0;
+  const exponent = currencyExponent(currency);
+  // toFixed first strips binary noise (1.005 is stored as 1.00499…) before rounding to the minor unit.
+  return Math.round(Number(value.toFixed(exponent + 6)) * 10 ** exponent);
+};
+
+const formatters = new Map();
+
+export const formatMoney = (minor, currency = DEFAULT_CURRENCY) => {
+  if (!formatters.has(currency)) {
+    const exponent = currencyExponent(currency);
+    formatters.set(
+      currency,
+      new Intl.NumberFormat('en-US', { style: 'currency', currency, minimumFractionDigits: exponent, maximumFractionDigits: exponent })
+    );
+  }
+  return formatters.get(currency).format(minor / 10 ** currencyExponent(currency));
+};
+
+// Prefers the server's `{ amount, currency, formatted }` object and falls back to a major-unit number.
+export const displayMoney = (money, fallbackAmount, currency = DEFAULT_CURRENCY) => {
+  if (money?.formatted) return money.formatted;
+  if (money && Number.isInteger(money.amount)) return formatMoney(money.amount, money.currency || currency);
+  return formatMoney(toMinorUnits(fallbackAmount, currency), currency);
+};
+
+export const formatProductPrice = product => displayMoney(product?.money?.price, product?.price, product?.currency);
+
+// Line and cart totals in minor units; items without a numeric price count as zero.
+export const cartItemTotal = item => (typeof item.price === 'number' ? toMinorUnits(item.price, item.currency) : 0) * (item.quantity || 1);
+
+export const sumCartItems = items => items.reduce((total, item) => total + cartItemTotal(item), 0);
@@ -14,3 +14,15 @@ export const normalizeProductList = items => {
 
   return items.map(normalizeProduct);
 };
+
+// Same cap as the server cart (MAX_CART_ITEM_QUANTITY in backend/services/cart.js).
+export const MAX_CART_QUANTITY = 99;
+
+// Most of `product` one cart can hold: what is in stock, up to the cart cap. Zero when sold out.
+export const maxCartQuantity = product => {
+  const stock = Number(product?.stock);
+  return Number.isFinite(stock) ? Math.max(0, Math.min(stock, MAX_CART_QUANTITY)) : MAX_CART_QUANTITY;
+};
+
+// How many units a cart holds, counting every line's quantity.
+export const cartUnitCount = cart => cart.reduce((count, item) => count + (item.quantity || 1), 0);